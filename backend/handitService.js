@@ -2,11 +2,9 @@
  * Handit.ai service initialization.
  */
 import { config } from '@handit.ai/node';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { getConfig } from './src/config/index.js';
  
 // Configure Handit.ai with your API key
 config({ 
-    apiKey: process.env.HANDIT_API_KEY  // Sets up authentication for Handit.ai services
+    apiKey: getConfig().handit.apiKey  // Sets up authentication for Handit.ai services
 });
\ No newline at end of file
@@ -0,0 +1,253 @@
+/**
+ * Mock Account Service Module
+ * @module accounts/accountService
+ * @requires crypto
+ *
+ * Stand-in for the billing and identity backends the agent's tools call.
+ * Accounts, subscriptions and invoices are seeded in memory on startup, so
+ * changes made through the tools (pausing or upgrading a subscription) last
+ * until the server restarts.
+ */
+
+import { randomUUID } from 'crypto';
+
+/**
+ * Subscription plans with their monthly price in cents
+ * @type {Object<string, {name: string, monthlyPrice: number}>}
+ */
+export const PLANS = {
+    starter: { name: 'Starter', monthlyPrice: 1900 },
+    professional: { name: 'Professional', monthlyPrice: 4900 },
+    enterprise: { name: 'Enterprise', monthlyPrice: 19900 }
+};
+
+/**
+ * Plans in upgrade order
+ * @type {string[]}
+ */
+const PLAN_ORDER = ['starter', 'professional', 'enterprise'];
+
+/**
+ * Longest allowed subscription pause, in months
+ * @type {number}
+ */
+export const MAX_PAUSE_MONTHS = 3;
+
+/**
+ * Accounts the service starts with
+ * @type {Array<Object>}
+ */
+const SEED_ACCOUNTS = [
+    {
+        id: 'acc_1001',
+        name: 'Alex Morgan',
+        email: 'alex.morgan@example.com',
+        subscription: { plan: 'professional', status: 'active', pausedUntil: null, nextBillingDate: '2026-11-01' },
+        invoices: [
+            { id: 'INV-2026-0910', date: '2026-09-01', amount: 4900, status: 'paid' },
+            { id: 'INV-2026-1010', date: '2026-10-01', amount: 4900, status: 'paid' }
+        ]
+    },
+    {
+        id: 'acc_1002',
+        name: 'Sam Rivera',
+        email: 'sam.rivera@example.com',
+        subscription: { plan: 'starter', status: 'paused', pausedUntil: '2026-12-01', nextBillingDate: '2026-12-01' },
+        invoices: [
+            { id: 'INV-2026-0820', date: '2026-08-01', amount: 1900, status: 'paid' },
+            { id: 'INV-2026-0920', date: '2026-09-01', amount: 1900, status: 'refunded' }
+        ]
+    },
+    {
+        id: 'acc_1003',
+        name: 'Jordan Lee',
+        email: 'jordan.lee@example.com',
+        subscription: { plan: 'enterprise', status: 'active', pausedUntil: null, nextBillingDate: '2026-11-01' },
+        invoices: [
+            { id: 'INV-2026-0930', date: '2026-09-01', amount: 19900, status: 'paid' },
+            { id: 'INV-2026-1030', date: '2026-10-01', amount: 19900, status: 'open' }
+        ]
+    }
+];
+
+/**
+ * Error raised when an account action cannot be carried out
+ * @class AccountServiceError
+ * @extends Error
+ */
+export class AccountServiceError extends Error {
+    /**
+     * @constructor
+     * @param {string} message - Error message, safe to show to the customer
+     * @param {string} code - Machine readable reason (e.g. account_not_found)
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'AccountServiceError';
+        this.code = code;
+    }
+}
+
+/**
+ * Adds whole months to an ISO date
+ * @param {string} date - ISO date (YYYY-MM-DD)
+ * @param {number} months - Months to add
+ * @returns {string} The resulting ISO date
+ */
+const addMonths = (date, months) => {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    return result.toISOString().slice(0, 10);
+};
+
+/**
+ * Hides most of an email address
+ * @param {string} email - Email address
+ * @returns {string} Masked address such as a***@example.com
+ */
+const maskEmail = (email) => {
+    const [local, domain] = email.split('@');
+    return `${local[0]}***@${domain}`;
+};
+
+/**
+ * In-memory account, subscription and invoice backend
+ * @class AccountService
+ */
+export class AccountService {
+    /**
+     * @constructor
+     * @param {Array<Object>} [accounts=SEED_ACCOUNTS] - Accounts to start with
+     */
+    constructor(accounts = SEED_ACCOUNTS) {
+        this.accounts = new Map(structuredClone(accounts).map(account => [account.id, account]));
+        this.passwordResets = [];
+    }
+
+    /**
+     * Returns the stored account
+     * @private
+     * @param {string} accountId - Account id
+     * @returns {Object} The account
+     * @throws {AccountServiceError} If the account does not exist
+     */
+    find(accountId) {
+        const account = this.accounts.get(accountId);
+        if (!account) {
+            throw new AccountServiceError(`Account "${accountId}" not found`, 'account_not_found');
+        }
+        return account;
+    }
+
+    /**
+     * Returns the account profile and subscription
+     * @async
+     * @method getAccount
+     * @param {string} accountId - Account id
+     * @returns {Promise<Object>} Account id, name, masked email and subscription
+     * @throws {AccountServiceError} If the account does not exist
+     */
+    async getAccount(accountId) {
+        const { id, name, email, subscription } = this.find(accountId);
+        return {
+            id,
+            name,
+            email: maskEmail(email),
+            subscription: {
+                ...subscription,
+                planName: PLANS[subscription.plan].name,
+                monthlyPrice: PLANS[subscription.plan].monthlyPrice
+            }
+        };
+    }
+
+    /**
+     * Lists past invoices, newest first, and the upcoming one
+     * @async
+     * @method listInvoices
+     * @param {string} accountId - Account id
+     * @param {Object} [options={}] - List options
+     * @param {number} [options.limit=3] - Number of past invoices
+     * @returns {Promise<{invoices: Array<Object>, upcoming: Object|null}>} The invoices
+     * @throws {AccountServiceError} If the account does not exist
+     */
+    async listInvoices(accountId, { limit = 3 } = {}) {
+        const { invoices, subscription } = this.find(accountId);
+        return {
+            invoices: [...invoices].sort((a, b) => b.date.localeCompare(a.date)).slice(0, limit),
+            upcoming: subscription.status === 'cancelled' ? null : {
+                date: subscription.nextBillingDate,
+                amount: PLANS[subscription.plan].monthlyPrice
+            }
+        };
+    }
+
+    /**
+     * Pauses an active subscription; billing resumes when the pause ends
+     * @async
+     * @method pauseSubscription
+     * @param {string} accountId - Account id
+     * @param {Object} [options={}] - Pause options
+     * @param {number} [options.months=1] - Length of the pause (1 to MAX_PAUSE_MONTHS)
+     * @returns {Promise<Object>} The updated subscription
+     * @throws {AccountServiceError} If the account does not exist, the subscription is not active or the length is invalid
+     */
+    async pauseSubscription(accountId, { months = 1 } = {}) {
+        const { subscription } = this.find(accountId);
+        if (subscription.status !== 'active') {
+            throw new AccountServiceError(`The subscription is ${subscription.status}, only active subscriptions can be paused`, 'invalid_state');
+        }
+        if (!Number.isInteger(months) || months < 1 || months > MAX_PAUSE_MONTHS) {
+            throw new AccountServiceError(`A subscription can be paused for 1 to ${MAX_PAUSE_MONTHS} months`, 'invalid_argument');
+        }
+
+        const pausedUntil = addMonths(subscription.nextBillingDate, months);
+        Object.assign(subscription, { status: 'paused', pausedUntil, nextBillingDate: pausedUntil });
+        return { ...subscription };
+    }
+
+    /**
+     * Moves the subscription to a higher plan; the new price applies from the next invoice
+     * @async
+     * @method upgradeSubscription
+     * @param {string} accountId - Account id
+     * @param {Object} options - Upgrade options
+     * @param {string} options.plan - Target plan (see PLANS)
+     * @returns {Promise<Object>} The updated subscription with the previous plan
+     * @throws {AccountServiceError} If the account does not exist or the plan is not an upgrade
+     */
+    async upgradeSubscription(accountId, { plan }) {
+        const { subscription } = this.find(accountId);
+        if (!PLANS[plan]) {
+            throw new AccountServiceError(`Unknown plan "${plan}"`, 'invalid_argument');
+        }
+        if (PLAN_ORDER.indexOf(plan) <= PLAN_ORDER.indexOf(subscription.plan)) {
+            throw new AccountServiceError(`The account is already on the ${PLANS[subscription.plan].name} plan, ${PLANS[plan].name} is not an upgrade`, 'invalid_state');
+        }
+
+        const previousPlan = subscription.plan;
+        subscription.plan = plan;
+        return { ...subscription, previousPlan, monthlyPrice: PLANS[plan].monthlyPrice };
+    }
+
+    /**
+     * Sends a password reset link to the email address on file
+     * @async
+     * @method sendPasswordReset
+     * @param {string} accountId - Account id
+     * @returns {Promise<{requestId: string, sentTo: string}>} The reset request and masked recipient
+     * @throws {AccountServiceError} If the account does not exist
+     */
+    async sendPasswordReset(accountId) {
+        const { email } = this.find(accountId);
+        const request = { requestId: randomUUID(), accountId, sentAt: new Date().toISOString() };
+        this.passwordResets.push(request);
+        return { requestId: request.requestId, sentTo: maskEmail(email) };
+    }
+}
+
+/**
+ * Shared account service used by the agent's tools
+ * @type {AccountService}
+ */
+export const accountService = new AccountService();
@@ -0,0 +1,772 @@
+/**
+ * Express Application Module
+ * @module app
+ * @requires express
+ * @requires cors
+ * @requires crypto
+ * @requires ./config
+ * @requires ./auth
+ * @requires ./rateLimit
+ * @requires ./pipeline
+ * @requires ./pipeline/structuredOutput
+ * @requires ./knowledgeBase/documents
+ * @requires ./escalations/ticketStore
+ * @requires ./tracing/traceStore
+ * @requires ./metrics
+ * @requires ./health
+ * @requires ./logging/logger
+ * @requires ./logging/middleware
+ *
+ * The routes and middleware of the API. Importing this module reads the
+ * configuration, so it is only imported by the server entry point once the
+ * configuration is known to be valid (see server.js).
+ */
+
+import express from 'express';
+import cors from 'cors';
+import { randomUUID } from 'crypto';
+import { getConfig } from './config/index.js';
+import { authenticateClient, keysMatch } from './auth/index.js';
+import { rateLimit } from './rateLimit/index.js';
+import { runPipeline, getPipelineConfigurations } from './pipeline/index.js';
+import { StructuredOutputError } from './pipeline/structuredOutput.js';
+import {
+    KnowledgeBaseError,
+    listDocuments,
+    getDocument,
+    createDocument,
+    updateDocument,
+    deleteDocument,
+    searchDocuments
+} from './knowledgeBase/documents.js';
+import { EscalationError, ticketStore } from './escalations/ticketStore.js';
+import { traceStore } from './tracing/traceStore.js';
+import { httpMetrics, metricsHandler, setMiddlewareRoute } from './metrics/index.js';
+import { livenessHandler, readinessHandler } from './health/index.js';
+import { logger, redactCustomerContent } from './logging/logger.js';
+import { assignRequestId, bindRequestContext, requestLogger } from './logging/middleware.js';
+
+const config = getConfig();
+
+/**
+ * Express application instance
+ * @type {express.Application}
+ */
+export const app = express();
+
+// Client IPs, used by the rate limits, come from X-Forwarded-For behind this many proxies
+app.set('trust proxy', config.server.trustProxy);
+
+// Middleware
+app.use(assignRequestId);
+app.use(requestLogger);
+app.use(cors({
+    origin: config.server.corsOrigins.includes('*') ? '*' : config.server.corsOrigins,
+    exposedHeaders: ['X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'Retry-After']
+}));
+app.use(express.json());
+app.use(bindRequestContext);
+app.use(httpMetrics);
+
+// Every chat request spends model tokens: identify API key clients and rate limit them
+app.use('/api/chat', authenticateClient, rateLimit);
+
+/**
+ * Validates the optional conversation session id of a chat request.
+ * A new id is generated when the client does not send one, so the
+ * first message of a conversation can start a session.
+ * @param {*} sessionId - The session id from the request body
+ * @returns {string|null} A usable session id, or null if the value is invalid
+ */
+const resolveSessionId = (sessionId) => {
+    if (sessionId === undefined || sessionId === null || sessionId === '') {
+        return randomUUID();
+    }
+    if (typeof sessionId !== 'string' || sessionId.length > 128) {
+        return null;
+    }
+    return sessionId;
+};
+
+/**
+ * Validates the optional account id of a chat request. The demo has no
+ * sign-in, so the client names the customer's account and the agent's
+ * account tools act on it; without one they ask the customer to sign in.
+ * @param {*} accountId - The account id from the request body
+ * @returns {boolean} Whether the value is absent or a usable account id
+ */
+const isValidAccountId = (accountId) => (
+    accountId === undefined || accountId === null
+    || (typeof accountId === 'string' && accountId.length <= 128)
+);
+
+/**
+ * Express middleware validating the body of a chat request, answering 400
+ * when it is invalid. The validated fields are set as
+ * `req.chat` (`{ message, sessionId, accountId }`) for the chat routes.
+ * @middleware
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const validateChatRequest = (req, res, next) => {
+    setMiddlewareRoute(req, res, 'validateChatRequest');
+    const { message, accountId } = req.body ?? {};
+    const sessionId = resolveSessionId(req.body?.sessionId);
+
+    if (typeof message !== 'string' || !message) {
+        return res.status(400).json({
+            error: 'Message is required'
+        });
+    }
+
+    if (!sessionId) {
+        return res.status(400).json({
+            error: 'sessionId must be a string of at most 128 characters'
+        });
+    }
+
+    if (!isValidAccountId(accountId)) {
+        return res.status(400).json({
+            error: 'accountId must be a string of at most 128 characters'
+        });
+    }
+
+    req.chat = { message, sessionId, accountId };
+    next();
+};
+
+app.use('/api/chat', validateChatRequest);
+
+/**
+ * Returns the pipeline result sent to the client. The usage meta (per-node
+ * duration, tokens, embedding calls and cost) is only included when the
+ * client asks for it with `?meta=true`.
+ * @param {Object} result - The pipeline result
+ * @param {Object} req - The request
+ * @returns {Object} The result, with or without `meta`
+ */
+const formatResult = (result, req) => {
+    if (req.query.meta === 'true') {
+        return result;
+    }
+    const { meta, ...data } = result;
+    return data;
+};
+
+/**
+ * Describes a failed pipeline run as an HTTP status and error body.
+ * Models that keep returning invalid output are reported as a typed 502
+ * so clients can tell them apart from other server errors. The request id
+ * is included so customers can quote it to support.
+ * @param {Error} error - The pipeline error
+ * @param {string} requestId - Id of the failed request
+ * @returns {{statusCode: number, body: Object}} Status code and response body
+ */
+const describePipelineError = (error, requestId) => {
+    if (error instanceof StructuredOutputError) {
+        return {
+            statusCode: 502,
+            body: {
+                error: 'The model returned an invalid response',
+                code: error.code,
+                node: error.nodeName,
+                attempts: error.attempts,
+                details: error.errors,
+                requestId
+            }
+        };
+    }
+
+    return {
+        statusCode: 500,
+        body: {
+            error: 'Internal server error',
+            message: error.message,
+            requestId
+        }
+    };
+};
+
+/**
+ * Process a customer service chat request with Handit tracing
+ * @route POST /api/chat
+ * @param {string} req.body.message - The customer's message
+ * @param {string} [req.body.sessionId] - Conversation session id; generated when omitted
+ * @param {string} [req.body.accountId] - Account of the signed-in customer, used by the account tools
+ * @param {string} [req.query.meta] - `true` to include the usage meta (durations, tokens, cost) in the result
+ * @returns {Object} Response object containing status and data
+ * @throws {400} If message is missing or not a string, or sessionId or accountId is invalid
+ * @throws {401} If the API key is invalid, or missing while keys are required
+ * @throws {429} If the client exceeded its rate limit
+ * @throws {502} If the model keeps returning invalid output
+ * @throws {500} If internal server error occurs
+ */
+app.post('/api/chat', async (req, res) => {
+    try {
+        const { message, sessionId, accountId } = req.chat;
+
+        // Run the Handit-enhanced pipeline with the user message
+        const result = await runPipeline('enhanced', message, { sessionId, accountId, requestId: req.id });
+
+        res.json({ 
+            status: 'success',
+            sessionId,
+            requestId: req.id,
+            data: formatResult(result, req)
+        });
+    } catch (error) {
+        logger.error('Chat request failed', { error });
+        const { statusCode, body } = describePipelineError(error, req.id);
+        res.status(statusCode).json(body);
+    }
+});
+
+/**
+ * Stream a customer service chat response with Handit tracing as Server-Sent Events.
+ * Emits `intent` once the message is classified, `knowledge` with the knowledge
+ * base matches, `token` for each piece of generated text and finally `done` with
+ * the same structured result /api/chat returns (or `error`). `reset` tells the
+ * client to discard the tokens received so far: the model's answer was invalid
+ * and is being repaired, and the repaired answer only arrives with `done`.
+ * Closing the connection aborts the request.
+ * @route POST /api/chat/stream
+ * @param {string} req.body.message - The customer's message
+ * @param {string} [req.body.sessionId] - Conversation session id; generated when omitted
+ * @param {string} [req.body.accountId] - Account of the signed-in customer, used by the account tools
+ * @param {string} [req.query.meta] - `true` to include the usage meta (durations, tokens, cost) in the result
+ * @returns {text/event-stream} Stream of pipeline events
+ * @throws {400} If message is missing or not a string, or sessionId or accountId is invalid
+ * @throws {401} If the API key is invalid, or missing while keys are required
+ * @throws {429} If the client exceeded its rate limit
+ */
+app.post('/api/chat/stream', async (req, res) => {
+    const { message, sessionId, accountId } = req.chat;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    // Stop generating as soon as the client disconnects or aborts
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+
+    const sendEvent = (event, data) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    try {
+        const result = await runPipeline('enhanced', message, {
+            sessionId,
+            accountId,
+            requestId: req.id,
+            onEvent: sendEvent,
+            signal: controller.signal
+        });
+
+        sendEvent('done', {
+            status: 'success',
+            sessionId,
+            requestId: req.id,
+            data: formatResult(result, req)
+        });
+    } catch (error) {
+        if (!controller.signal.aborted) {
+            logger.error('Chat stream failed', { error });
+            sendEvent('error', describePipelineError(error, req.id).body);
+        }
+    } finally {
+        res.end();
+    }
+});
+
+/**
+ * Process a customer service chat request without Handit tracing
+ * @route POST /api/chat/simple
+ * @param {string} req.body.message - The customer's message
+ * @param {string} [req.body.sessionId] - Conversation session id; generated when omitted
+ * @param {string} [req.body.accountId] - Account of the signed-in customer, used by the account tools
+ * @param {string} [req.query.meta] - `true` to include the usage meta (durations, tokens, cost) in the result
+ * @returns {Object} Response object containing status and data
+ * @throws {400} If message is missing or not a string, or sessionId or accountId is invalid
+ * @throws {401} If the API key is invalid, or missing while keys are required
+ * @throws {429} If the client exceeded its rate limit
+ * @throws {502} If the model keeps returning invalid output
+ * @throws {500} If internal server error occurs
+ */
+app.post('/api/chat/simple', async (req, res) => {
+    try {
+        const { message, sessionId, accountId } = req.chat;
+
+        // Run the standard pipeline with the user message
+        const result = await runPipeline('standard', message, { sessionId, accountId, requestId: req.id });
+
+        res.json({ 
+            status: 'success',
+            sessionId,
+            requestId: req.id,
+            data: formatResult(result, req)
+        });
+    } catch (error) {
+        logger.error('Chat request failed', { error });
+        const { statusCode, body } = describePipelineError(error, req.id);
+        res.status(statusCode).json(body);
+    }
+});
+
+/**
+ * Process a customer service chat request with any configured pipeline variant
+ * @route POST /api/chat/pipelines/:variant
+ * @param {string} req.params.variant - Pipeline variant name (see pipeline/configurations)
+ * @param {string} req.body.message - The customer's message
+ * @param {string} [req.body.sessionId] - Conversation session id; generated when omitted
+ * @param {string} [req.body.accountId] - Account of the signed-in customer, used by the account tools
+ * @param {string} [req.query.meta] - `true` to include the usage meta (durations, tokens, cost) in the result
+ * @returns {Object} Response object containing status and data
+ * @throws {400} If message is missing or not a string, or sessionId or accountId is invalid
+ * @throws {401} If the API key is invalid, or missing while keys are required
+ * @throws {429} If the client exceeded its rate limit
+ * @throws {404} If the variant is not configured
+ * @throws {502} If the model keeps returning invalid output
+ * @throws {500} If internal server error occurs
+ */
+app.post('/api/chat/pipelines/:variant', async (req, res) => {
+    try {
+        const { variant } = req.params;
+        const { message, sessionId, accountId } = req.chat;
+
+        if (!Object.hasOwn(getPipelineConfigurations(), variant)) {
+            return res.status(404).json({
+                error: `Unknown pipeline "${variant}"`
+            });
+        }
+
+        const result = await runPipeline(variant, message, { sessionId, accountId, requestId: req.id });
+
+        res.json({ 
+            status: 'success',
+            sessionId,
+            requestId: req.id,
+            data: formatResult(result, req)
+        });
+    } catch (error) {
+        logger.error('Chat request failed', { error });
+        const { statusCode, body } = describePipelineError(error, req.id);
+        res.status(statusCode).json(body);
+    }
+});
+
+/**
+ * Requires the admin API key (KB_ADMIN_API_KEY) in the X-Admin-Key header
+ * or as a Bearer token. The admin APIs (knowledge base, escalations and
+ * traces) are disabled when no key is configured.
+ * @middleware
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const requireAdminKey = (req, res, next) => {
+    setMiddlewareRoute(req, res, 'requireAdminKey');
+    const adminKey = config.knowledgeBase.adminApiKey;
+    if (!adminKey) {
+        return res.status(503).json({
+            error: 'Admin API is disabled, set KB_ADMIN_API_KEY to enable it'
+        });
+    }
+
+    const providedKey = req.get('X-Admin-Key') || req.get('Authorization')?.replace(/^Bearer\s+/i, '') || '';
+    if (!keysMatch(providedKey, adminKey)) {
+        return res.status(401).json({
+            error: 'Invalid admin API key'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Sends the error of an admin request (knowledge base or escalations)
+ * @param {Response} res - Express response object
+ * @param {Error} error - The error
+ * @returns {void}
+ */
+const sendAdminError = (res, error) => {
+    if (error instanceof KnowledgeBaseError || error instanceof EscalationError) {
+        return res.status(error.statusCode).json({
+            error: error.message
+        });
+    }
+
+    logger.error('Admin request failed', { error });
+    res.status(500).json({ 
+        error: 'Internal server error',
+        message: error.message 
+    });
+};
+
+app.use('/api/kb', requireAdminKey);
+
+/**
+ * List indexed knowledge base documents
+ * @route GET /api/kb/documents
+ * @param {string} [req.query.scope] - Only list documents of this scope (e.g. "api", "sample")
+ * @returns {Object} Response object containing the document summaries
+ * @throws {401} If the admin API key is invalid
+ */
+app.get('/api/kb/documents', async (req, res) => {
+    try {
+        const documents = await listDocuments({ scope: req.query.scope });
+        res.json({
+            status: 'success',
+            data: documents
+        });
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+/**
+ * Fetch a knowledge base document with its chunks
+ * @route GET /api/kb/documents/:id
+ * @param {string} req.params.id - Document id
+ * @returns {Object} Response object containing the document
+ * @throws {401} If the admin API key is invalid
+ * @throws {404} If the document does not exist
+ */
+app.get('/api/kb/documents/:id', async (req, res) => {
+    try {
+        const document = await getDocument(req.params.id);
+        res.json({
+            status: 'success',
+            data: document
+        });
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+/**
+ * Create a knowledge base document; it is chunked, embedded and stored
+ * @route POST /api/kb/documents
+ * @param {string} req.body.text - Document text
+ * @param {Object} [req.body.metadata] - Flat metadata (category, intent, topic, title, source, ...)
+ * @returns {Object} Response object containing the created document
+ * @throws {400} If the text or metadata is invalid
+ * @throws {401} If the admin API key is invalid
+ * @throws {409} If a document with the same source already exists
+ */
+app.post('/api/kb/documents', async (req, res) => {
+    try {
+        const document = await createDocument(req.body);
+        res.status(201).json({
+            status: 'success',
+            data: document
+        });
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+/**
+ * Replace a knowledge base document; only changed chunks are re-embedded
+ * @route PUT /api/kb/documents/:id
+ * @param {string} req.params.id - Document id
+ * @param {string} req.body.text - Document text
+ * @param {Object} [req.body.metadata] - Flat metadata
+ * @returns {Object} Response object containing the updated document
+ * @throws {400} If the text or metadata is invalid
+ * @throws {401} If the admin API key is invalid
+ * @throws {404} If the document does not exist
+ */
+app.put('/api/kb/documents/:id', async (req, res) => {
+    try {
+        const document = await updateDocument(req.params.id, req.body);
+        res.json({
+            status: 'success',
+            data: document
+        });
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+/**
+ * Delete a knowledge base document and its vectors
+ * @route DELETE /api/kb/documents/:id
+ * @param {string} req.params.id - Document id
+ * @returns {Object} Response object containing the number of deleted chunks
+ * @throws {401} If the admin API key is invalid
+ * @throws {404} If the document does not exist
+ */
+app.delete('/api/kb/documents/:id', async (req, res) => {
+    try {
+        const result = await deleteDocument(req.params.id);
+        res.json({
+            status: 'success',
+            data: result
+        });
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+/**
+ * Debug retrieval: raw knowledge base matches and per-stage scores for a query
+ * @route POST /api/kb/search
+ * @param {string} req.body.query - Search query
+ * @param {number} [req.body.topK=5] - Maximum number of matches (1-50)
+ * @param {Object} [req.body.filter] - Pinecone-style metadata filter
+ * @param {string} [req.body.mode] - `vector` or `hybrid` (defaults to KB_RETRIEVAL_MODE)
+ * @param {string} [req.body.reranker] - `none` or `lexical` (defaults to KB_RERANKER)
+ * @returns {Object} Response object containing the matches
+ * @throws {400} If the query or options are invalid
+ * @throws {401} If the admin API key is invalid
+ */
+app.post('/api/kb/search', async (req, res) => {
+    try {
+        const matches = await searchDocuments(req.body);
+        res.json({
+            status: 'success',
+            data: { query: req.body.query, matches }
+        });
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+app.use('/api/escalations', requireAdminKey);
+
+/**
+ * List escalation tickets, newest first
+ * @route GET /api/escalations
+ * @param {string} [req.query.status] - Only list tickets with this status (open, claimed, resolved)
+ * @returns {Object} Response object containing the tickets
+ * @throws {400} If the status is unknown
+ * @throws {401} If the admin API key is invalid
+ */
+app.get('/api/escalations', async (req, res) => {
+    try {
+        const tickets = await ticketStore.list({ status: req.query.status });
+        res.json({
+            status: 'success',
+            data: tickets
+        });
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+/**
+ * Get an escalation ticket with its transcript
+ * @route GET /api/escalations/:id
+ * @param {string} req.params.id - Ticket id or reference
+ * @returns {Object} Response object containing the ticket
+ * @throws {401} If the admin API key is invalid
+ * @throws {404} If the ticket does not exist
+ */
+app.get('/api/escalations/:id', async (req, res) => {
+    try {
+        const ticket = await ticketStore.get(req.params.id);
+        res.json({
+            status: 'success',
+            data: ticket
+        });
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+/**
+ * Claim an open escalation ticket for a support agent
+ * @route POST /api/escalations/:id/claim
+ * @param {string} req.params.id - Ticket id or reference
+ * @param {string} req.body.agent - Name of the support agent
+ * @returns {Object} Response object containing the claimed ticket
+ * @throws {400} If the agent is missing
+ * @throws {401} If the admin API key is invalid
+ * @throws {404} If the ticket does not exist
+ * @throws {409} If the ticket is not open
+ */
+app.post('/api/escalations/:id/claim', async (req, res) => {
+    try {
+        const ticket = await ticketStore.claim(req.params.id, req.body?.agent);
+        res.json({
+            status: 'success',
+            data: ticket
+        });
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+/**
+ * Resolve an escalation ticket
+ * @route POST /api/escalations/:id/resolve
+ * @param {string} req.params.id - Ticket id or reference
+ * @param {string} [req.body.resolution] - How the ticket was resolved
+ * @returns {Object} Response object containing the resolved ticket
+ * @throws {400} If the resolution is not a string
+ * @throws {401} If the admin API key is invalid
+ * @throws {404} If the ticket does not exist
+ * @throws {409} If the ticket is already resolved
+ */
+app.post('/api/escalations/:id/resolve', async (req, res) => {
+    try {
+        const ticket = await ticketStore.resolve(req.params.id, req.body?.resolution);
+        res.json({
+            status: 'success',
+            data: ticket
+        });
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+app.use('/api/traces', requireAdminKey);
+
+/**
+ * List the most recent traces recorded by the local (jsonl) trace exporter.
+ * Customer content is redacted as in the logs unless LOG_REDACT is `false`.
+ * @route GET /api/traces
+ * @param {number} [req.query.limit=20] - Maximum number of traces (1 to 100)
+ * @param {string} [req.query.sessionId] - Only list traces of this conversation
+ * @param {string} [req.query.requestId] - Only list the trace of this request (`X-Request-Id`)
+ * @returns {Object} Response object containing the trace summaries, newest first
+ * @throws {400} If limit is invalid
+ * @throws {401} If the admin API key is invalid
+ * @throws {500} If the trace file cannot be read
+ */
+app.get('/api/traces', async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            return res.status(400).json({
+                error: 'limit must be an integer between 1 and 100'
+            });
+        }
+
+        const traces = await traceStore.list({
+            limit,
+            sessionId: req.query.sessionId,
+            requestId: req.query.requestId
+        });
+        res.json({
+            status: 'success',
+            data: redactCustomerContent(traces)
+        });
+    } catch (error) {
+        logger.error('Failed to read traces', { error });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Get a recorded trace with its node and tool spans in start order, with
+ * customer content redacted as in the logs unless LOG_REDACT is `false`
+ * @route GET /api/traces/:traceId
+ * @param {string} req.params.traceId - Trace id (returned as `traceId` by the chat endpoints)
+ * @returns {Object} Response object containing the trace
+ * @throws {401} If the admin API key is invalid
+ * @throws {404} If the trace does not exist
+ * @throws {500} If the trace file cannot be read
+ */
+app.get('/api/traces/:traceId', async (req, res) => {
+    try {
+        const trace = await traceStore.get(req.params.traceId);
+        if (!trace) {
+            return res.status(404).json({
+                error: `Trace "${req.params.traceId}" not found`
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: redactCustomerContent(trace)
+        });
+    } catch (error) {
+        logger.error('Failed to read trace', { traceId: req.params.traceId, error });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Requires the metrics token (METRICS_TOKEN) as a Bearer token when one is
+ * configured. Without one /metrics is open, so it must then only be
+ * reachable by the scraper (see the README).
+ * @middleware
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const requireMetricsToken = (req, res, next) => {
+    const { token } = config.metrics;
+    if (!token) {
+        return next();
+    }
+
+    const providedToken = req.get('Authorization')?.replace(/^Bearer\s+/i, '') || '';
+    if (!keysMatch(providedToken, token)) {
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({
+            error: 'Invalid metrics token'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Prometheus metrics: HTTP requests and latency per route, pipeline node
+ * durations, intents, fallbacks, escalations, LLM errors and knowledge base hits
+ * @route GET /metrics
+ * @returns {string} Metrics in the Prometheus text exposition format
+ * @throws {401} If METRICS_TOKEN is set and the request does not send it
+ */
+app.get('/metrics', requireMetricsToken, metricsHandler);
+
+/**
+ * Liveness probe: the process is up, whatever the state of its dependencies.
+ * `/api/health` is kept as an alias for existing monitors.
+ * @route GET /api/health/live
+ * @returns {Object} Status, uptime and timestamp
+ */
+app.get(['/api/health/live', '/api/health'], livenessHandler);
+
+/**
+ * Readiness probe: configuration, vector store, embeddings, index dimension,
+ * LLM models and Handit, each with its status and latency. Results are cached
+ * for HEALTH_CACHE_TTL_MS.
+ * @route GET /api/health/ready
+ * @returns {Object} `ready` (200) or `not_ready` (503) with the result of every check
+ */
+app.get('/api/health/ready', readinessHandler);
+
+/**
+ * Global error handling middleware
+ * @middleware
+ * @param {Error} err - Error object
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+app.use((err, req, res, next) => {
+    logger.error('Unhandled server error', { requestId: req.id, error: err });
+    res.status(500).json({ 
+        error: 'Something broke!',
+        message: err.message 
+    });
+});
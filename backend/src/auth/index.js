@@ -0,0 +1,71 @@
+/**
+ * API Key Authentication Module
+ * @module auth
+ * @requires crypto
+ * @requires ../config
+ * @requires ../metrics
+ *
+ * Identifies server-to-server clients of the chat API by the API key they
+ * send in the `X-Api-Key` header or as a Bearer token. Keys are configured
+ * with a client name in `auth.apiKeys` (API_KEYS=name:key,...).
+ *
+ * The browser demo cannot keep a key secret, so requests without a key are
+ * accepted (and rate limited by IP) unless `auth.required` (API_KEY_REQUIRED)
+ * is set. A key that is sent must be valid.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { getConfig } from '../config/index.js';
+import { setMiddlewareRoute } from '../metrics/index.js';
+
+/**
+ * Compares a key sent by a client with a configured key. Digests are
+ * compared so the comparison is constant-time regardless of key length.
+ * @function keysMatch
+ * @param {string} providedKey - Key sent by the client
+ * @param {string} expectedKey - Configured key
+ * @returns {boolean} Whether the keys are equal
+ */
+export const keysMatch = (providedKey, expectedKey) => {
+    const digest = (value) => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(providedKey), digest(expectedKey));
+};
+
+/**
+ * Express middleware identifying the API key client of a request as
+ * `req.apiClient` (`{ name, rateLimit }`), answering 401 when the key is invalid,
+ * or missing while keys are required
+ * @function authenticateClient
+ * @param {Object} req - The request
+ * @param {Object} res - The response
+ * @param {Function} next - Next middleware
+ * @returns {void}
+ */
+export const authenticateClient = (req, res, next) => {
+    setMiddlewareRoute(req, res, 'authenticateClient');
+    const { apiKeys, required } = getConfig().auth;
+    const providedKey = req.get('X-Api-Key') || req.get('Authorization')?.replace(/^Bearer\s+/i, '') || '';
+
+    if (!providedKey) {
+        if (!required) {
+            return next();
+        }
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({
+            error: 'An API key is required, send it in the X-Api-Key header',
+            code: 'API_KEY_REQUIRED',
+            requestId: req.id
+        });
+    }
+
+    const client = apiKeys.find(({ key }) => keysMatch(providedKey, key));
+    if (!client) {
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({
+            error: 'Invalid API key',
+            code: 'INVALID_API_KEY',
+            requestId: req.id
+        });
+    }
+
+    req.apiClient = { name: client.name, rateLimit: client.rateLimit };
+    next();
+};
@@ -0,0 +1,653 @@
+/**
+ * Application Configuration Module
+ * @module config
+ * @requires fs
+ * @requires url
+ * @requires dotenv
+ * @requires ../utils/schema
+ *
+ * Every setting of the server lives in one typed configuration object,
+ * validated once when it is first read so a missing or malformed value
+ * stops the server at boot with a clear message instead of failing a request.
+ *
+ * The configuration is built from these layers, later layers winning:
+ * 1. `defaults.json` next to this module
+ * 2. `environments/<NODE_ENV>.json` (NODE_ENV defaults to `development`), when it exists
+ * 3. the JSON file named by CONFIG_PATH, for deployment specific settings
+ * 4. environment variables (and `.env`), see ENV_VARIABLES; secrets such as
+ *    API keys should only be given this way
+ *
+ * Per-node model settings use the node name in upper snake case as prefix
+ * (CLASSIFY_INTENT_LLM_MODEL sets `llm.nodes.classifyIntent.model`) and
+ * per-intent minimum scores use the intent (KB_MIN_SCORE_COMPLAINT sets
+ * `retrieval.minScoreByIntent.complaint`).
+ *
+ * API keys of server-to-server clients are given as `name:key` pairs
+ * (API_KEYS=billing-portal:k3y...,crm:s3cr3t...); per-key rate limits can
+ * only be set in a settings file.
+ *
+ * Logging settings (LOG_LEVEL, LOG_FORMAT, LOG_REDACT) are read from the
+ * environment by the logger itself, so configuration errors can be logged.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { validateSchema } from '../utils/schema.js';
+
+dotenv.config();
+
+/**
+ * Path of the default settings
+ * @type {string}
+ */
+const DEFAULTS_PATH = fileURLToPath(new URL('./defaults.json', import.meta.url));
+
+/**
+ * Directory of the per-environment settings
+ * @type {string}
+ */
+const ENVIRONMENTS_DIRECTORY = fileURLToPath(new URL('./environments/', import.meta.url));
+
+/**
+ * Schema of a string setting that may be unset
+ * @type {Object}
+ */
+const OPTIONAL_STRING = { type: ['string', 'null'] };
+
+/**
+ * Schema of a share between 0 and 1
+ * @type {Object}
+ */
+const RATIO = { type: 'number', minimum: 0, maximum: 1 };
+
+/**
+ * Builds the schema of a settings section that accepts no unknown keys
+ * @param {Object} properties - Schemas of the settings
+ * @returns {Object} Section schema
+ */
+const section = properties => ({
+    type: 'object',
+    required: Object.keys(properties),
+    properties,
+    additionalProperties: false
+});
+
+/**
+ * JSON Schema of a token bucket rate limit: `burst` requests at once,
+ * refilled at `perMinute` requests per minute
+ * @type {Object}
+ */
+const RATE_LIMIT_SCHEMA = section({
+    burst: { type: 'integer', minimum: 1 },
+    perMinute: { type: 'number', minimum: 1 }
+});
+
+/**
+ * JSON Schema of the API key of a server-to-server client, with an optional
+ * rate limit replacing `rateLimits.perKey`
+ * @type {Object}
+ */
+const API_KEY_SCHEMA = {
+    type: 'object',
+    required: ['name', 'key'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        key: { type: 'string', minLength: 16 },
+        rateLimit: RATE_LIMIT_SCHEMA
+    },
+    additionalProperties: false
+};
+
+/**
+ * JSON Schema of the model settings of one pipeline node (`llm.nodes.<name>`)
+ * @type {Object}
+ */
+const NODE_MODEL_SCHEMA = {
+    type: 'object',
+    properties: {
+        provider: { type: 'string', minLength: 1 },
+        model: { type: 'string', minLength: 1 },
+        temperature: { type: 'number', minimum: 0, maximum: 2 },
+        baseURL: OPTIONAL_STRING,
+        apiKey: OPTIONAL_STRING
+    },
+    additionalProperties: false
+};
+
+/**
+ * JSON Schema of the configuration
+ * @type {Object}
+ */
+const CONFIG_SCHEMA = section({
+    environment: { type: 'string', minLength: 1 },
+    server: section({
+        port: { type: 'integer', minimum: 0, maximum: 65535 },
+        corsOrigins: { type: 'array', items: { type: 'string', minLength: 1 } },
+        trustProxy: { type: 'integer', minimum: 0 }
+    }),
+    auth: section({
+        apiKeys: { type: 'array', items: API_KEY_SCHEMA },
+        required: { type: 'boolean' }
+    }),
+    rateLimits: section({
+        enabled: { type: 'boolean' },
+        perIp: RATE_LIMIT_SCHEMA,
+        perKey: RATE_LIMIT_SCHEMA
+    }),
+    openai: section({
+        apiKey: OPTIONAL_STRING
+    }),
+    llm: section({
+        provider: { type: 'string', minLength: 1 },
+        model: { type: 'string', minLength: 1 },
+        temperature: { type: 'number', minimum: 0, maximum: 2 },
+        baseURL: OPTIONAL_STRING,
+        apiKey: OPTIONAL_STRING,
+        fakeScript: OPTIONAL_STRING,
+        nodes: { type: 'object' }
+    }),
+    embeddings: section({
+        provider: OPTIONAL_STRING,
+        model: OPTIONAL_STRING,
+        baseURL: OPTIONAL_STRING,
+        apiKey: OPTIONAL_STRING,
+        dimensions: { type: ['integer', 'null'], minimum: 1 }
+    }),
+    vectorStore: section({
+        backend: { type: 'string', enum: ['pinecone', 'local'] },
+        namespace: { type: 'string', minLength: 1 },
+        localDirectory: { type: 'string', minLength: 1 }
+    }),
+    pinecone: section({
+        apiKey: OPTIONAL_STRING,
+        index: OPTIONAL_STRING
+    }),
+    knowledgeBase: section({
+        adminApiKey: OPTIONAL_STRING,
+        manifestDirectory: { type: 'string', minLength: 1 },
+        keywordIndexDirectory: { type: 'string', minLength: 1 }
+    }),
+    retrieval: section({
+        topK: { type: 'integer', minimum: 1 },
+        mode: { type: 'string', enum: ['hybrid', 'vector'] },
+        rrfK: { type: 'number', minimum: 0 },
+        reranker: { type: 'string', enum: ['none', 'lexical'] },
+        minScore: { type: 'number', minimum: -1, maximum: 1 },
+        minScoreByIntent: { type: 'object' },
+        minKeywordCoverage: RATIO,
+        intentStrategy: { type: 'string', enum: ['filter', 'boost', 'none'] },
+        intentMinConfidence: RATIO,
+        intentBoost: { type: 'number', minimum: 0 },
+        filterMinResults: { type: 'integer', minimum: 0 },
+        filterMinScore: { type: ['number', 'null'], minimum: -1, maximum: 1 },
+        fallbackContactCategory: { type: 'string', minLength: 1 }
+    }),
+    conversations: section({
+        store: { type: 'string', enum: ['memory', 'file'] },
+        path: { type: 'string', minLength: 1 },
+        historyWindow: { type: 'integer', minimum: 1 },
+        historyTokenBudget: { type: 'integer', minimum: 1 },
+        maxTurns: { type: 'integer', minimum: 1 },
+        maxSessions: { type: 'integer', minimum: 1 },
+        sessionTtlMs: { type: 'integer', minimum: 1 }
+    }),
+    intents: section({
+        taxonomyPath: OPTIONAL_STRING,
+        clarifyMinConfidence: RATIO
+    }),
+    escalation: section({
+        storePath: { type: 'string', minLength: 1 },
+        intents: { type: 'array', items: { type: 'string', minLength: 1 } },
+        maxFailedTurns: { type: 'integer', minimum: 1 }
+    }),
+    structuredOutput: section({
+        maxRetries: { type: 'integer', minimum: 0 }
+    }),
+    pipelines: section({
+        configPath: OPTIONAL_STRING
+    }),
+    tracing: section({
+        exporters: { type: 'array', items: { type: 'string', enum: ['jsonl', 'handit'] } },
+        storePath: { type: 'string', minLength: 1 },
+        maxFileBytes: { type: 'integer', minimum: 1 },
+        maxFiles: { type: 'integer', minimum: 0 }
+    }),
+    handit: section({
+        apiKey: OPTIONAL_STRING
+    }),
+    pricing: section({
+        path: OPTIONAL_STRING
+    }),
+    health: section({
+        checkTimeoutMs: { type: 'integer', minimum: 1 },
+        cacheTtlMs: { type: 'integer', minimum: 0 }
+    }),
+    metrics: section({
+        token: { type: ['string', 'null'], minLength: 16 }
+    })
+});
+
+/**
+ * Environment variables and the settings they override, with their type
+ * @type {Array<[string, string, string]>}
+ */
+const ENV_VARIABLES = [
+    ['PORT', 'server.port', 'integer'],
+    ['CORS_ORIGINS', 'server.corsOrigins', 'list'],
+    ['TRUST_PROXY', 'server.trustProxy', 'integer'],
+    ['API_KEYS', 'auth.apiKeys', 'apiKeys'],
+    ['API_KEY_REQUIRED', 'auth.required', 'boolean'],
+    ['RATE_LIMIT_ENABLED', 'rateLimits.enabled', 'boolean'],
+    ['RATE_LIMIT_IP_BURST', 'rateLimits.perIp.burst', 'integer'],
+    ['RATE_LIMIT_IP_PER_MINUTE', 'rateLimits.perIp.perMinute', 'number'],
+    ['RATE_LIMIT_KEY_BURST', 'rateLimits.perKey.burst', 'integer'],
+    ['RATE_LIMIT_KEY_PER_MINUTE', 'rateLimits.perKey.perMinute', 'number'],
+    ['OPENAI_API_KEY', 'openai.apiKey', 'string'],
+    ['LLM_PROVIDER', 'llm.provider', 'string'],
+    ['LLM_MODEL', 'llm.model', 'string'],
+    ['LLM_TEMPERATURE', 'llm.temperature', 'number'],
+    ['LLM_BASE_URL', 'llm.baseURL', 'string'],
+    ['LLM_API_KEY', 'llm.apiKey', 'string'],
+    ['FAKE_LLM_SCRIPT', 'llm.fakeScript', 'string'],
+    ['EMBEDDINGS_PROVIDER', 'embeddings.provider', 'string'],
+    ['EMBEDDINGS_MODEL', 'embeddings.model', 'string'],
+    ['EMBEDDINGS_BASE_URL', 'embeddings.baseURL', 'string'],
+    ['EMBEDDINGS_API_KEY', 'embeddings.apiKey', 'string'],
+    ['EMBEDDINGS_DIMENSIONS', 'embeddings.dimensions', 'integer'],
+    ['VECTOR_STORE', 'vectorStore.backend', 'string'],
+    ['KB_NAMESPACE', 'vectorStore.namespace', 'string'],
+    ['LOCAL_VECTOR_STORE_DIR', 'vectorStore.localDirectory', 'string'],
+    ['PINECONE_API_KEY', 'pinecone.apiKey', 'string'],
+    ['PINECONE_INDEX', 'pinecone.index', 'string'],
+    ['KB_ADMIN_API_KEY', 'knowledgeBase.adminApiKey', 'string'],
+    ['KB_MANIFEST_DIR', 'knowledgeBase.manifestDirectory', 'string'],
+    ['KB_KEYWORD_INDEX_DIR', 'knowledgeBase.keywordIndexDirectory', 'string'],
+    ['KB_TOP_K', 'retrieval.topK', 'integer'],
+    ['KB_RETRIEVAL_MODE', 'retrieval.mode', 'string'],
+    ['KB_RRF_K', 'retrieval.rrfK', 'number'],
+    ['KB_RERANKER', 'retrieval.reranker', 'string'],
+    ['KB_MIN_SCORE', 'retrieval.minScore', 'number'],
+    ['KB_MIN_KEYWORD_COVERAGE', 'retrieval.minKeywordCoverage', 'number'],
+    ['KB_INTENT_STRATEGY', 'retrieval.intentStrategy', 'string'],
+    ['KB_INTENT_MIN_CONFIDENCE', 'retrieval.intentMinConfidence', 'number'],
+    ['KB_INTENT_BOOST', 'retrieval.intentBoost', 'number'],
+    ['KB_INTENT_FILTER_MIN_RESULTS', 'retrieval.filterMinResults', 'integer'],
+    ['KB_INTENT_FILTER_MIN_SCORE', 'retrieval.filterMinScore', 'number'],
+    ['KB_FALLBACK_CONTACT_CATEGORY', 'retrieval.fallbackContactCategory', 'string'],
+    ['CONVERSATION_STORE', 'conversations.store', 'string'],
+    ['CONVERSATION_STORE_PATH', 'conversations.path', 'string'],
+    ['CONVERSATION_HISTORY_WINDOW', 'conversations.historyWindow', 'integer'],
+    ['CONVERSATION_HISTORY_TOKEN_BUDGET', 'conversations.historyTokenBudget', 'integer'],
+    ['CONVERSATION_MAX_TURNS', 'conversations.maxTurns', 'integer'],
+    ['CONVERSATION_MAX_SESSIONS', 'conversations.maxSessions', 'integer'],
+    ['CONVERSATION_SESSION_TTL_MS', 'conversations.sessionTtlMs', 'integer'],
+    ['INTENT_TAXONOMY_PATH', 'intents.taxonomyPath', 'string'],
+    ['INTENT_CLARIFY_MIN_CONFIDENCE', 'intents.clarifyMinConfidence', 'number'],
+    ['ESCALATION_STORE_PATH', 'escalation.storePath', 'string'],
+    ['ESCALATION_INTENTS', 'escalation.intents', 'list'],
+    ['ESCALATION_MAX_FAILED_TURNS', 'escalation.maxFailedTurns', 'integer'],
+    ['STRUCTURED_OUTPUT_MAX_RETRIES', 'structuredOutput.maxRetries', 'integer'],
+    ['PIPELINE_CONFIG_PATH', 'pipelines.configPath', 'string'],
+    ['TRACE_EXPORTERS', 'tracing.exporters', 'list'],
+    ['TRACE_STORE_PATH', 'tracing.storePath', 'string'],
+    ['TRACE_STORE_MAX_BYTES', 'tracing.maxFileBytes', 'integer'],
+    ['TRACE_STORE_MAX_FILES', 'tracing.maxFiles', 'integer'],
+    ['HANDIT_API_KEY', 'handit.apiKey', 'string'],
+    ['PRICING_PATH', 'pricing.path', 'string'],
+    ['HEALTH_CHECK_TIMEOUT_MS', 'health.checkTimeoutMs', 'integer'],
+    ['HEALTH_CACHE_TTL_MS', 'health.cacheTtlMs', 'integer'],
+    ['METRICS_TOKEN', 'metrics.token', 'string']
+];
+
+/**
+ * Per-node model settings: environment suffix and setting name with its type
+ * @type {Object<string, [string, string]>}
+ */
+const NODE_ENV_SETTINGS = {
+    LLM_PROVIDER: ['provider', 'string'],
+    LLM_MODEL: ['model', 'string'],
+    LLM_TEMPERATURE: ['temperature', 'number'],
+    LLM_BASE_URL: ['baseURL', 'string'],
+    LLM_API_KEY: ['apiKey', 'string']
+};
+
+/**
+ * Converts a comma separated environment string to a list
+ * @param {string} value - The environment string
+ * @returns {string[]} The non-empty items
+ */
+const parseList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Converts `name:key` pairs to API key settings
+ * @param {string} value - The environment string
+ * @returns {Array<{name: string, key: string}>|undefined} The keys, undefined when a pair has no name or key
+ */
+const parseApiKeys = (value) => {
+    const keys = parseList(value).map((pair) => {
+        const separator = pair.indexOf(':');
+        return separator > 0 && separator < pair.length - 1
+            ? { name: pair.slice(0, separator), key: pair.slice(separator + 1) }
+            : undefined;
+    });
+    return keys.includes(undefined) ? undefined : keys;
+};
+
+/**
+ * Converters from environment strings to setting values, returning undefined
+ * for strings of the wrong type
+ * @type {Object<string, Function>}
+ */
+const PARSERS = {
+    string: value => value,
+    number: value => (Number.isNaN(Number(value)) ? undefined : Number(value)),
+    integer: value => (Number.isInteger(Number(value)) ? Number(value) : undefined),
+    boolean: value => ({ true: true, false: false })[value.toLowerCase()],
+    list: parseList,
+    apiKeys: parseApiKeys
+};
+
+/**
+ * What each environment variable type expects, for error messages
+ * @type {Object<string, string>}
+ */
+const TYPE_DESCRIPTIONS = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'true or false',
+    list: 'a comma separated list',
+    apiKeys: 'a comma separated list of name:key pairs'
+};
+
+/**
+ * Environment variable types holding secrets, whose values are left out of error messages
+ * @type {Set<string>}
+ */
+const SECRET_TYPES = new Set(['apiKeys']);
+
+/**
+ * Raised when the configuration is invalid, listing every problem
+ * @class ConfigError
+ * @extends Error
+ */
+export class ConfigError extends Error {
+    /**
+     * @constructor
+     * @param {string[]} problems - What is wrong, one entry per setting
+     * @param {string} environment - The environment being configured
+     */
+    constructor(problems, environment) {
+        super(`Invalid configuration for the "${environment}" environment:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.code = 'INVALID_CONFIG';
+        this.environment = environment;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Whether a value is a plain settings object (not an array or null)
+ * @param {*} value - The value
+ * @returns {boolean} Whether it is an object
+ */
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Merges a settings layer into the configuration, remembering where every value came from
+ * @param {Object} target - Settings merged so far, modified in place
+ * @param {Object} layer - Settings of the layer
+ * @param {string} source - Name of the layer, used in error messages
+ * @param {Map<string, string>} sources - Source of every setting path
+ * @param {string} [prefix=''] - Path of the object being merged
+ * @returns {void}
+ */
+const mergeLayer = (target, layer, source, sources, prefix = '') => {
+    for (const [key, value] of Object.entries(layer)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isObject(value) && isObject(target[key])) {
+            mergeLayer(target[key], value, source, sources, path);
+        } else {
+            target[key] = value;
+            sources.set(path, source);
+        }
+    }
+};
+
+/**
+ * Sets a value at a dotted path, creating missing objects
+ * @param {Object} target - The object to modify
+ * @param {string} path - Dotted path (e.g. `retrieval.topK`)
+ * @param {*} value - The value
+ * @returns {void}
+ */
+const setPath = (target, path, value) => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((object, key) => {
+        if (!isObject(object[key])) {
+            object[key] = {};
+        }
+        return object[key];
+    }, target);
+    parent[keys.at(-1)] = value;
+};
+
+/**
+ * Converts an upper snake case prefix to a node name (CLASSIFY_INTENT → classifyIntent)
+ * @param {string} prefix - Environment variable prefix
+ * @returns {string} Node name
+ */
+const toNodeName = prefix => prefix.toLowerCase().replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * Reads the settings given as environment variables
+ * @param {Object} env - Environment variables
+ * @param {string[]} problems - Receives the variables that cannot be converted
+ * @returns {Array<[string, string, *]>} Variable name, setting path and value of every variable set
+ */
+const readEnvironment = (env, problems) => {
+    const settings = [];
+    const add = (name, path, type) => {
+        const raw = env[name];
+        if (raw === undefined || raw === '') {
+            return;
+        }
+        const value = PARSERS[type](raw.trim());
+        if (value === undefined) {
+            problems.push(`${name} must be ${TYPE_DESCRIPTIONS[type]}${SECRET_TYPES.has(type) ? '' : `, got "${raw}"`}`);
+            return;
+        }
+        settings.push([name, path, value]);
+    };
+
+    ENV_VARIABLES.forEach(([name, path, type]) => add(name, path, type));
+
+    for (const name of Object.keys(env)) {
+        const nodeSetting = /^([A-Z0-9_]+?)_(LLM_[A-Z_]+)$/.exec(name);
+        if (nodeSetting && NODE_ENV_SETTINGS[nodeSetting[2]]) {
+            const [setting, type] = NODE_ENV_SETTINGS[nodeSetting[2]];
+            add(name, `llm.nodes.${toNodeName(nodeSetting[1])}.${setting}`, type);
+        }
+        const intentScore = /^KB_MIN_SCORE_(.+)$/.exec(name);
+        if (intentScore) {
+            add(name, `retrieval.minScoreByIntent.${intentScore[1].toLowerCase()}`, 'number');
+        }
+    }
+
+    return settings;
+};
+
+/**
+ * Reads a JSON settings file
+ * @param {string} filePath - The file
+ * @param {string[]} problems - Receives read and parse errors
+ * @returns {Object} The settings, empty when the file cannot be used
+ */
+const readSettingsFile = (filePath, problems) => {
+    try {
+        const settings = JSON.parse(readFileSync(filePath, 'utf8'));
+        if (!isObject(settings)) {
+            problems.push(`${filePath} must contain a JSON object`);
+            return {};
+        }
+        return settings;
+    } catch (error) {
+        problems.push(`Cannot read ${filePath}: ${error.message}`);
+        return {};
+    }
+};
+
+/**
+ * Adds where a setting was set to its validation error
+ * @param {string} error - Validation error starting with the setting path
+ * @param {Map<string, string>} sources - Source of every setting path
+ * @returns {string} The error, with its source when known
+ */
+const withSource = (error, sources) => {
+    let path = /^config\.([\w.]+)/.exec(error)?.[1];
+    while (path) {
+        if (sources.has(path)) {
+            return `${error} (set by ${sources.get(path)})`;
+        }
+        path = path.includes('.') ? path.slice(0, path.lastIndexOf('.')) : null;
+    }
+    return error;
+};
+
+/**
+ * Finds the values that appear more than once in a list
+ * @param {string[]} values - The values
+ * @returns {string[]} The repeated values
+ */
+const findDuplicates = values => [...new Set(values.filter((value, index) => values.indexOf(value) !== index))];
+
+/**
+ * Problems the schema cannot express: settings the server cannot work without
+ * in some setups, and API keys that clash
+ * @param {Object} config - The configuration
+ * @returns {string[]} Missing or conflicting settings
+ */
+const findSettingProblems = (config) => {
+    const problems = [];
+    if (config.vectorStore.backend === 'pinecone') {
+        [['apiKey', 'PINECONE_API_KEY'], ['index', 'PINECONE_INDEX']]
+            .filter(([key]) => !config.pinecone[key])
+            .forEach(([key, name]) => problems.push(
+                `pinecone.${key} is required when the vector store is pinecone: set ${name}, or VECTOR_STORE=local to run without Pinecone`
+            ));
+    }
+
+    const { apiKeys, required } = config.auth;
+    if (required && !apiKeys.length) {
+        problems.push('auth.apiKeys must list at least one key when auth.required is true: set API_KEYS');
+    }
+    findDuplicates(apiKeys.map(({ name }) => name))
+        .forEach(name => problems.push(`auth.apiKeys has several keys named "${name}"`));
+    if (findDuplicates(apiKeys.map(({ key }) => key)).length) {
+        problems.push('auth.apiKeys has the same key under several names');
+    }
+
+    // Older turns are dropped, so the kept ones must cover what is read back
+    const { maxTurns, historyWindow } = config.conversations;
+    if (maxTurns < historyWindow) {
+        problems.push(`conversations.maxTurns (${maxTurns}) must be at least conversations.historyWindow (${historyWindow})`);
+    }
+    if (maxTurns < config.escalation.maxFailedTurns) {
+        problems.push(`conversations.maxTurns (${maxTurns}) must be at least escalation.maxFailedTurns (${config.escalation.maxFailedTurns})`);
+    }
+    return problems;
+};
+
+/**
+ * The configuration
+ * @typedef {Object} Config
+ * @property {string} environment - NODE_ENV, `development` by default
+ * @property {Object} server - Port, allowed CORS origins (`*` allows every origin) and number of
+ *   trusted proxies in front of the server, whose `X-Forwarded-For` gives the client IP
+ * @property {Object} auth - API keys of server-to-server clients, and whether chat requests require one
+ * @property {Object} rateLimits - Token bucket limits of chat requests per client IP and per API key
+ * @property {Object} openai - OpenAI API key, used when no LLM or embeddings key is set
+ * @property {Object} llm - Default provider, model, temperature and connection of chat models,
+ *   with per-node overrides in `nodes`
+ * @property {Object} embeddings - Embeddings provider, model and connection (unset values follow `llm`)
+ * @property {Object} vectorStore - Backend, knowledge base namespace and local directory
+ * @property {Object} pinecone - Pinecone API key and index
+ * @property {Object} knowledgeBase - Admin API key and local index directories
+ * @property {Object} retrieval - topK, retrieval mode, reranker and relevance thresholds
+ * @property {Object} conversations - Conversation store, history window, turns kept per session,
+ *   sessions kept and their idle lifetime
+ * @property {Object} intents - Taxonomy file and clarification threshold
+ * @property {Object} escalation - Ticket store, escalating intents and failed turn limit
+ * @property {Object} structuredOutput - Repair attempts
+ * @property {Object} pipelines - Additional pipeline configuration file
+ * @property {Object} tracing - Trace exporters, and local trace file with its rotation size and rotated files kept
+ * @property {Object} handit - Handit API key
+ * @property {Object} pricing - Price table file
+ * @property {Object} health - Readiness check timeout and cache duration
+ * @property {Object} metrics - Bearer token required by /metrics, if any
+ */
+
+/**
+ * Builds and validates the configuration
+ * @function loadConfig
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Config} The configuration
+ * @throws {ConfigError} If a file cannot be read or a setting is missing or invalid
+ */
+export const loadConfig = (env = process.env) => {
+    const environment = env.NODE_ENV || 'development';
+    const problems = [];
+    const sources = new Map();
+    const config = {};
+
+    mergeLayer(config, readSettingsFile(DEFAULTS_PATH, problems), 'defaults.json', sources);
+    const environmentPath = `${ENVIRONMENTS_DIRECTORY}${environment}.json`;
+    if (existsSync(environmentPath)) {
+        mergeLayer(config, readSettingsFile(environmentPath, problems), `environments/${environment}.json`, sources);
+    }
+    if (env.CONFIG_PATH) {
+        mergeLayer(config, readSettingsFile(env.CONFIG_PATH, problems), env.CONFIG_PATH, sources);
+    }
+    for (const [name, path, value] of readEnvironment(env, problems)) {
+        setPath(config, path, value);
+        sources.set(path, name);
+    }
+    config.environment = environment;
+
+    const errors = validateSchema(config, CONFIG_SCHEMA, 'config');
+    if (!errors.length) {
+        Object.entries(config.llm.nodes).forEach(([node, settings]) => {
+            errors.push(...validateSchema(settings, NODE_MODEL_SCHEMA, `config.llm.nodes.${node}`));
+        });
+        Object.entries(config.retrieval.minScoreByIntent).forEach(([intent, score]) => {
+            errors.push(...validateSchema(score, { type: 'number', minimum: -1, maximum: 1 }, `config.retrieval.minScoreByIntent.${intent}`));
+        });
+        errors.push(...findSettingProblems(config));
+    }
+    problems.push(...errors.map(error => withSource(error, sources)));
+
+    if (problems.length) {
+        throw new ConfigError(problems, environment);
+    }
+    return config;
+};
+
+/**
+ * Loaded configuration, built once per process
+ * @type {Config|null}
+ */
+let config = null;
+
+/**
+ * Returns the configuration
+ * @function getConfig
+ * @returns {Config} The configuration
+ * @throws {ConfigError} If the configuration is invalid
+ */
+export const getConfig = () => {
+    if (!config) {
+        config = loadConfig();
+    }
+    return config;
+};
@@ -0,0 +1,134 @@
+/**
+ * Intent Taxonomy Configuration Module
+ * @module config/intents
+ * @requires fs
+ * @requires url
+ * @requires ./index
+ * @requires ../utils/schema
+ *
+ * The intents the classifier may choose from are defined in a JSON taxonomy
+ * (`intents.json` next to this module, or the file named by
+ * `intents.taxonomyPath`, INTENT_TAXONOMY_PATH). Each intent has a description and example
+ * utterances used to build the classification prompt, and routing hints
+ * passed on with the classification result.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { getConfig } from './index.js';
+import { validateSchema } from '../utils/schema.js';
+
+/**
+ * Path of the bundled taxonomy
+ * @type {string}
+ */
+const DEFAULT_TAXONOMY_PATH = fileURLToPath(new URL('./intents.json', import.meta.url));
+
+/**
+ * JSON Schema of a taxonomy file
+ * @type {Object}
+ */
+const TAXONOMY_SCHEMA = {
+    type: 'object',
+    required: ['intents'],
+    properties: {
+        intents: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['name', 'description'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    description: { type: 'string', minLength: 1 },
+                    examples: { type: 'array', items: { type: 'string', minLength: 1 } },
+                    routing: {
+                        type: 'object',
+                        properties: {
+                            handler: { type: 'string', minLength: 1 },
+                            priority: { type: 'string', enum: ['normal', 'high'] },
+                            knowledgeFilter: { type: 'object' }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * An intent of the taxonomy
+ * @typedef {Object} Intent
+ * @property {string} name - Intent name returned by the classifier (e.g. billing_inquiry)
+ * @property {string} description - What messages of this intent are about
+ * @property {string[]} examples - Example customer messages
+ * @property {IntentRouting} routing - Routing hints for later pipeline steps
+ */
+
+/**
+ * Routing hints of an intent
+ * @typedef {Object} IntentRouting
+ * @property {string} handler - Handler answering messages of this intent (see pipeline/handlers)
+ * @property {string} priority - `normal` or `high`
+ * @property {Object|null} knowledgeFilter - Metadata filter the knowledge base search tries first;
+ *   dropped when the filtered matches are weak
+ */
+
+/**
+ * Loads and validates an intent taxonomy file
+ * @function loadIntentTaxonomy
+ * @param {string} [filePath] - Taxonomy file, defaults to `intents.taxonomyPath` or the bundled taxonomy
+ * @returns {Intent[]} The intents, with default examples and routing filled in
+ * @throws {Error} If the file cannot be read or is not a valid taxonomy
+ */
+export const loadIntentTaxonomy = (filePath = getConfig().intents.taxonomyPath || DEFAULT_TAXONOMY_PATH) => {
+    let taxonomy;
+    try {
+        taxonomy = JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read the intent taxonomy ${filePath}: ${error.message}`);
+    }
+
+    const errors = validateSchema(taxonomy, TAXONOMY_SCHEMA);
+    const names = taxonomy.intents?.map?.(intent => intent?.name) ?? [];
+    names
+        .filter((name, index) => names.indexOf(name) !== index)
+        .forEach(name => errors.push(`intent "${name}" is defined more than once`));
+    if (errors.length) {
+        throw new Error(`Invalid intent taxonomy ${filePath}: ${errors.join('; ')}`);
+    }
+
+    return taxonomy.intents.map(({ name, description, examples = [], routing = {} }) => ({
+        name,
+        description,
+        examples,
+        routing: { handler: 'default', priority: 'normal', knowledgeFilter: null, ...routing }
+    }));
+};
+
+/**
+ * Loaded taxonomy, read once per process
+ * @type {Intent[]|null}
+ */
+let intents = null;
+
+/**
+ * Returns the configured intent taxonomy
+ * @function getIntents
+ * @returns {Intent[]} The intents
+ * @throws {Error} If the taxonomy is invalid
+ */
+export const getIntents = () => {
+    if (!intents) {
+        intents = loadIntentTaxonomy();
+    }
+    return intents;
+};
+
+/**
+ * Finds an intent of the taxonomy by name
+ * @function getIntent
+ * @param {string} name - Intent name
+ * @returns {Intent|undefined} The intent, if it exists
+ */
+export const getIntent = (name) => getIntents().find(intent => intent.name === name);
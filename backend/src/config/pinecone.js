@@ -2,13 +2,13 @@
  * Pinecone Configuration Module
  * @module config/pinecone
  * @requires @pinecone-database/pinecone
- * @requires dotenv
+ * @requires ./index
+ * @requires ../logging/logger
  */
 
 import { Pinecone } from '@pinecone-database/pinecone';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { getConfig } from './index.js';
+import { logger } from '../logging/logger.js';
 
 /**
  * Initialize Pinecone client and index
@@ -18,19 +18,20 @@ dotenv.config();
  * @throws {Error} If initialization fails
  */
 export const initializePinecone = async () => {
+    const { apiKey, index: indexName } = getConfig().pinecone;
     const client = new Pinecone({ 
-        apiKey: process.env.PINECONE_API_KEY,
+        apiKey,
     });
     
     try {
-        const index = client.index(process.env.PINECONE_INDEX);
+        const index = client.index(indexName);
         
         return {
             client,
             index
         };
     } catch (error) {
-        console.error('❌ Error initializing Pinecone:', error);
+        logger.error('Failed to initialize Pinecone', { error });
         throw error;
     }
 };
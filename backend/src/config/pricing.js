@@ -0,0 +1,137 @@
+/**
+ * Model Pricing Configuration Module
+ * @module config/pricing
+ * @requires fs
+ * @requires url
+ * @requires ./index
+ * @requires ../utils/schema
+ *
+ * Prices used to turn token counts into request cost are defined in a JSON
+ * price table (`pricing.json` next to this module, or the file named by
+ * `pricing.path`, PRICING_PATH). Each model has a price per million input tokens and, for
+ * chat models, per million output tokens. Models missing from the table are
+ * reported as unpriced rather than counted as free.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { getConfig } from './index.js';
+import { validateSchema } from '../utils/schema.js';
+
+/**
+ * Path of the bundled price table
+ * @type {string}
+ */
+const DEFAULT_PRICING_PATH = fileURLToPath(new URL('./pricing.json', import.meta.url));
+
+/**
+ * JSON Schema of a price table file
+ * @type {Object}
+ */
+const PRICING_SCHEMA = {
+    type: 'object',
+    required: ['currency', 'models'],
+    properties: {
+        currency: { type: 'string', minLength: 1 },
+        models: { type: 'object' }
+    }
+};
+
+/**
+ * JSON Schema of the prices of one model
+ * @type {Object}
+ */
+const MODEL_PRICE_SCHEMA = {
+    type: 'object',
+    required: ['inputPerMillion'],
+    properties: {
+        inputPerMillion: { type: 'number', minimum: 0 },
+        outputPerMillion: { type: 'number', minimum: 0 }
+    }
+};
+
+/**
+ * A price table
+ * @typedef {Object} Pricing
+ * @property {string} currency - Currency of every price (e.g. USD)
+ * @property {Object<string, {inputPerMillion: number, outputPerMillion?: number}>} models - Prices keyed by model name
+ */
+
+/**
+ * Loads and validates a price table file
+ * @function loadPricing
+ * @param {string} [filePath] - Price table file, defaults to `pricing.path` or the bundled table
+ * @returns {Pricing} The price table
+ * @throws {Error} If the file cannot be read or is not a valid price table
+ */
+export const loadPricing = (filePath = getConfig().pricing.path || DEFAULT_PRICING_PATH) => {
+    const pricing = JSON.parse(readFileSync(filePath, 'utf8'));
+
+    const errors = validateSchema(pricing, PRICING_SCHEMA);
+    if (!errors.length) {
+        Object.entries(pricing.models).forEach(([name, price]) => {
+            errors.push(...validateSchema(price, MODEL_PRICE_SCHEMA, `$.models["${name}"]`));
+        });
+    }
+    if (errors.length) {
+        throw new Error(`Invalid price table ${filePath}: ${errors.join('; ')}`);
+    }
+
+    return pricing;
+};
+
+/**
+ * Loaded price table, read once per process
+ * @type {Pricing|null}
+ */
+let pricing = null;
+
+/**
+ * Returns the configured price table
+ * @function getPricing
+ * @returns {Pricing} The price table
+ * @throws {Error} If the price table is invalid
+ */
+export const getPricing = () => {
+    if (!pricing) {
+        pricing = loadPricing();
+    }
+    return pricing;
+};
+
+/**
+ * Computes the cost of the tokens a node used
+ * @function calculateCost
+ * @param {Object} usage - Token usage (see pipeline/usage)
+ * @param {Object} models - Models the tokens were spent on
+ * @param {string|null} [models.model] - Chat model
+ * @param {string|null} [models.embeddingModel] - Embedding model
+ * @returns {{cost: number|null, unpricedModels: string[]}} The cost in the table currency,
+ * null when a model that was used is missing from the table
+ */
+export const calculateCost = (usage, { model, embeddingModel }) => {
+    const { models } = getPricing();
+    const unpricedModels = [];
+    let cost = 0;
+
+    const charge = (name, inputTokens, outputTokens = 0) => {
+        const price = models[name];
+        if (!price) {
+            unpricedModels.push(name ?? 'unknown');
+            return;
+        }
+        cost += (inputTokens * price.inputPerMillion + outputTokens * (price.outputPerMillion ?? 0)) / 1e6;
+    };
+
+    if (usage.llmCalls) {
+        charge(model, usage.inputTokens, usage.outputTokens);
+    }
+    if (usage.embeddingCalls) {
+        charge(embeddingModel, usage.embeddingTokens);
+    }
+
+    return {
+        cost: unpricedModels.length ? null : Number(cost.toFixed(8)),
+        unpricedModels
+    };
+};
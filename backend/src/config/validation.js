@@ -0,0 +1,69 @@
+/**
+ * Configuration Validation Module
+ * @module config/validation
+ * @requires ./index
+ * @requires ./intents
+ * @requires ../pipeline
+ * @requires ../providers
+ *
+ * Checks what the configuration schema cannot: that the intent taxonomy and
+ * the PIPELINE_CONFIG_PATH file are valid, that every configured pipeline can
+ * be built and that the provider of every model it uses, and of the
+ * embeddings, has the settings it needs (an API key, a base URL).
+ * Nothing is called, so the checks are cheap enough to run at boot.
+ */
+
+import { ConfigError } from './index.js';
+import { getIntents } from './intents.js';
+import { getPipeline, getPipelineConfigurations } from '../pipeline/index.js';
+import { validateEmbeddingsConfig, validateModelConfig } from '../providers/index.js';
+
+/**
+ * Finds the configuration problems that would make requests fail
+ * @function findConfigurationProblems
+ * @returns {string[]} What is wrong, empty when every pipeline can serve requests
+ */
+export const findConfigurationProblems = () => {
+    const problems = [];
+
+    try {
+        getIntents();
+    } catch (error) {
+        problems.push(error.message);
+    }
+
+    let pipelineConfigurations = {};
+    try {
+        pipelineConfigurations = getPipelineConfigurations();
+    } catch (error) {
+        if (!(error instanceof ConfigError)) {
+            throw error;
+        }
+        problems.push(...error.problems);
+    }
+
+    const nodes = new Set();
+    for (const variant of Object.keys(pipelineConfigurations)) {
+        try {
+            getPipeline(variant).nodes
+                .filter(node => node.type === 'llm')
+                .forEach(node => nodes.add(node.name));
+        } catch (error) {
+            problems.push(error.message);
+        }
+    }
+    for (const node of nodes) {
+        try {
+            validateModelConfig(node);
+        } catch (error) {
+            problems.push(`${node}: ${error.message}`);
+        }
+    }
+    try {
+        validateEmbeddingsConfig();
+    } catch (error) {
+        problems.push(`embeddings: ${error.message}`);
+    }
+
+    return problems;
+};
@@ -0,0 +1,268 @@
+/**
+ * Escalation Ticket Store Module
+ * @module escalations/ticketStore
+ * @requires crypto
+ * @requires fs/promises
+ * @requires path
+ * @requires ../config
+ *
+ * Keeps the tickets created when a conversation is handed over to a human,
+ * in a JSON file (ESCALATION_STORE_PATH, default `.data/escalations.json`).
+ * A ticket carries the conversation transcript and moves from `open` to
+ * `claimed` (a support agent took it) to `resolved`.
+ */
+
+import { randomBytes, randomUUID } from 'crypto';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { getConfig } from '../config/index.js';
+
+/**
+ * Ticket statuses in lifecycle order
+ * @type {string[]}
+ */
+export const TICKET_STATUSES = ['open', 'claimed', 'resolved'];
+
+/**
+ * Error with the HTTP status the escalations API should answer with
+ * @class EscalationError
+ * @extends Error
+ */
+export class EscalationError extends Error {
+    /**
+     * @constructor
+     * @param {string} message - Error message
+     * @param {number} [statusCode=400] - HTTP status code
+     */
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'EscalationError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * An escalation ticket
+ * @typedef {Object} Ticket
+ * @property {string} id - Ticket id
+ * @property {string} reference - Short reference shown to the customer (e.g. ESC-4F7K2Q)
+ * @property {string} status - open, claimed or resolved
+ * @property {string|null} sessionId - Conversation session id
+ * @property {string} reason - Why the conversation was escalated
+ * @property {string|null} intent - Classified intent of the escalated message
+ * @property {string} priority - normal or high
+ * @property {Array<{role: string, content: string, timestamp?: string}>} transcript - The conversation so far
+ * @property {string|null} claimedBy - Support agent handling the ticket
+ * @property {string|null} resolution - How the ticket was resolved
+ * @property {string} createdAt - Creation time
+ * @property {string} updatedAt - Time of the last change
+ */
+
+/**
+ * Creates a short, human-friendly ticket reference
+ * @returns {string} Reference such as ESC-4F7K2Q
+ */
+const createReference = () => {
+    const alphabet = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+    const code = [...randomBytes(6)].map(byte => alphabet[byte % alphabet.length]).join('');
+    return `ESC-${code}`;
+};
+
+/**
+ * Escalation tickets persisted to a JSON file
+ * @class TicketStore
+ */
+export class TicketStore {
+    /**
+     * @constructor
+     * @param {string} filePath - Location of the JSON file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.tickets = null;
+        this.loading = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Reads the JSON file on first access. Concurrent first calls share one
+     * read, so none of them replaces tickets another has already added.
+     * @async
+     * @private
+     * @returns {Promise<Ticket[]>} All tickets
+     */
+    async readAll() {
+        if (!this.loading) {
+            this.loading = (async () => {
+                try {
+                    this.tickets = JSON.parse(await readFile(this.filePath, 'utf8'));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        throw error;
+                    }
+                    this.tickets = [];
+                }
+                return this.tickets;
+            })();
+            // Do not cache a failed read so the next request can retry
+            this.loading.catch(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Serializes writes so concurrent requests never interleave on disk. A
+     * failed write rejects for its caller only; later writes still run.
+     * @async
+     * @private
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        this.writeQueue = this.writeQueue
+            .catch(() => {})
+            .then(async () => {
+                const tempPath = `${this.filePath}.tmp`;
+                await mkdir(path.dirname(this.filePath), { recursive: true });
+                await writeFile(tempPath, JSON.stringify(this.tickets, null, 2));
+                await rename(tempPath, this.filePath);
+            });
+        return this.writeQueue;
+    }
+
+    /**
+     * Returns a ticket by id or reference
+     * @async
+     * @method get
+     * @param {string} id - Ticket id or reference
+     * @returns {Promise<Ticket>} The ticket
+     * @throws {EscalationError} If the ticket does not exist
+     */
+    async get(id) {
+        const ticket = (await this.readAll()).find(candidate => candidate.id === id || candidate.reference === id);
+        if (!ticket) {
+            throw new EscalationError(`Ticket "${id}" not found`, 404);
+        }
+        return ticket;
+    }
+
+    /**
+     * Opens a ticket for a conversation. A session with an unresolved ticket
+     * keeps it: the new transcript replaces the stored one and no second
+     * ticket is created.
+     *
+     * @async
+     * @method create
+     * @param {Object} details - Ticket details
+     * @param {string} [details.sessionId] - Conversation session id
+     * @param {string} details.reason - Why the conversation is escalated
+     * @param {string} [details.intent] - Classified intent
+     * @param {string} [details.priority='normal'] - normal or high
+     * @param {Array<Object>} details.transcript - The conversation so far
+     * @returns {Promise<{ticket: Ticket, created: boolean}>} The ticket and whether it is new
+     */
+    async create({ sessionId = null, reason, intent = null, priority = 'normal', transcript }) {
+        const tickets = await this.readAll();
+        const now = new Date().toISOString();
+
+        const existing = sessionId && tickets.find(ticket => ticket.sessionId === sessionId && ticket.status !== 'resolved');
+        if (existing) {
+            Object.assign(existing, { transcript, updatedAt: now });
+            await this.flush();
+            return { ticket: existing, created: false };
+        }
+
+        const ticket = {
+            id: randomUUID(),
+            reference: createReference(),
+            status: 'open',
+            sessionId,
+            reason,
+            intent,
+            priority,
+            transcript,
+            claimedBy: null,
+            resolution: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        tickets.push(ticket);
+        await this.flush();
+
+        return { ticket, created: true };
+    }
+
+    /**
+     * Lists tickets, newest first
+     * @async
+     * @method list
+     * @param {Object} [options={}] - List options
+     * @param {string} [options.status] - Only list tickets with this status
+     * @returns {Promise<Ticket[]>} The tickets
+     * @throws {EscalationError} If the status is unknown
+     */
+    async list({ status } = {}) {
+        if (status !== undefined && !TICKET_STATUSES.includes(status)) {
+            throw new EscalationError(`status must be one of ${TICKET_STATUSES.join(', ')}`);
+        }
+
+        return (await this.readAll())
+            .filter(ticket => !status || ticket.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Assigns an open ticket to a support agent
+     * @async
+     * @method claim
+     * @param {string} id - Ticket id or reference
+     * @param {string} agent - Name of the support agent
+     * @returns {Promise<Ticket>} The claimed ticket
+     * @throws {EscalationError} If the agent is missing, the ticket does not exist or is not open
+     */
+    async claim(id, agent) {
+        if (typeof agent !== 'string' || !agent.trim()) {
+            throw new EscalationError('agent must be a non-empty string');
+        }
+
+        const ticket = await this.get(id);
+        if (ticket.status !== 'open') {
+            throw new EscalationError(`Ticket "${ticket.reference}" is already ${ticket.status}`, 409);
+        }
+
+        Object.assign(ticket, { status: 'claimed', claimedBy: agent.trim(), updatedAt: new Date().toISOString() });
+        await this.flush();
+        return ticket;
+    }
+
+    /**
+     * Closes a ticket
+     * @async
+     * @method resolve
+     * @param {string} id - Ticket id or reference
+     * @param {string} [resolution=''] - How the ticket was resolved
+     * @returns {Promise<Ticket>} The resolved ticket
+     * @throws {EscalationError} If the ticket does not exist or is already resolved
+     */
+    async resolve(id, resolution = '') {
+        if (typeof resolution !== 'string') {
+            throw new EscalationError('resolution must be a string');
+        }
+
+        const ticket = await this.get(id);
+        if (ticket.status === 'resolved') {
+            throw new EscalationError(`Ticket "${ticket.reference}" is already resolved`, 409);
+        }
+
+        Object.assign(ticket, { status: 'resolved', resolution: resolution.trim(), updatedAt: new Date().toISOString() });
+        await this.flush();
+        return ticket;
+    }
+}
+
+/**
+ * Shared ticket store used by the pipeline and the escalations API
+ * @type {TicketStore}
+ */
+export const ticketStore = new TicketStore(getConfig().escalation.storePath);
@@ -0,0 +1,149 @@
+/**
+ * Health Checker Module
+ * @module health/healthChecker
+ * @requires ../logging/logger
+ *
+ * Runs named dependency checks concurrently, each with a timeout, and caches
+ * their results so frequent readiness probes do not hammer the vector store
+ * or the LLM provider. Concurrent probes share the checks already running.
+ *
+ * A check is `{ name, run }` where `run({ signal, resultOf })` resolves to the
+ * details to report. The details may set `status` (`ok` by default, `error`,
+ * `disabled` for optional integrations that are switched off, `unknown` when
+ * a check it depends on failed) and `error`. Rejections are reported as
+ * `error`. `resultOf(name)` returns the (cached) result of another check.
+ */
+
+import { logger } from '../logging/logger.js';
+
+/**
+ * Logger of health checks
+ * @type {import('../logging/logger.js').Logger}
+ */
+const log = logger.child({ component: 'health' });
+
+/**
+ * Runs a check, aborting it once the timeout elapses
+ * @async
+ * @param {Function} run - The check, receiving `{ signal }`
+ * @param {number} timeoutMs - Time allowed in milliseconds
+ * @param {Object} context - Additional arguments of the check
+ * @returns {Promise<Object>} The check details
+ * @throws {Error} If the check fails or times out
+ */
+const runWithTimeout = async (run, timeoutMs, context) => {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`Timed out after ${timeoutMs} ms`);
+            error.code = 'TIMEOUT';
+            controller.abort(error);
+            reject(error);
+        }, timeoutMs);
+    });
+
+    try {
+        return await Promise.race([run({ ...context, signal: controller.signal }), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Runs dependency checks with timeouts and cached results
+ * @class HealthChecker
+ */
+export class HealthChecker {
+    /**
+     * @constructor
+     * @param {Object} options - Checker options
+     * @param {Array<{name: string, run: Function}>} options.checks - Checks, reported in this order
+     * @param {number} [options.timeoutMs=5000] - Time allowed for each check
+     * @param {number} [options.cacheTtlMs=30000] - How long a result is reused
+     */
+    constructor({ checks, timeoutMs = 5000, cacheTtlMs = 30000 }) {
+        this.checks = new Map(checks.map(check => [check.name, check]));
+        this.timeoutMs = timeoutMs;
+        this.cacheTtlMs = cacheTtlMs;
+        this.results = new Map();
+    }
+
+    /**
+     * Returns the result of a check, running it unless a fresh result is cached
+     * @method runCheck
+     * @param {string} name - Check name
+     * @returns {Promise<Object>} Status, latency, time of the check and details
+     * @throws {Error} If no check has that name
+     */
+    runCheck(name) {
+        const check = this.checks.get(name);
+        if (!check) {
+            throw new Error(`Unknown health check "${name}"`);
+        }
+
+        const cached = this.results.get(name);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.result;
+        }
+
+        // Running checks never expire, so concurrent probes wait for them
+        const entry = { expiresAt: Infinity };
+        entry.result = this.execute(check).then((result) => {
+            entry.expiresAt = Date.now() + this.cacheTtlMs;
+            return result;
+        });
+        this.results.set(name, entry);
+        return entry.result;
+    }
+
+    /**
+     * Runs a check and describes its outcome
+     * @async
+     * @private
+     * @param {Object} check - The check
+     * @returns {Promise<Object>} The check result; never rejects
+     */
+    async execute({ name, run }) {
+        const checkedAt = new Date().toISOString();
+        const start = process.hrtime.bigint();
+        const latencyMs = () => Math.round(Number(process.hrtime.bigint() - start) / 1e6);
+
+        try {
+            const { status = 'ok', ...details } = await runWithTimeout(run, this.timeoutMs, {
+                resultOf: dependency => this.runCheck(dependency)
+            });
+            if (status === 'error') {
+                log.warn('Health check failed', { check: name, error: details.error });
+            }
+            return { status, latencyMs: latencyMs(), checkedAt, ...details };
+        } catch (error) {
+            log.warn('Health check failed', { check: name, error });
+            return {
+                status: 'error',
+                latencyMs: latencyMs(),
+                checkedAt,
+                error: error.message,
+                ...(error.code && { code: error.code })
+            };
+        }
+    }
+
+    /**
+     * Runs every check
+     * @async
+     * @method check
+     * @returns {Promise<Object>} `ready` when no check failed, otherwise `not_ready`,
+     *   with the result of every check by name
+     */
+    async check() {
+        const names = [...this.checks.keys()];
+        const results = await Promise.all(names.map(name => this.runCheck(name)));
+        const checks = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+        return {
+            status: results.some(result => result.status === 'error') ? 'not_ready' : 'ready',
+            checks
+        };
+    }
+}
@@ -0,0 +1,207 @@
+/**
+ * Health Checks Module
+ * @module health
+ * @requires ./healthChecker
+ * @requires ../config
+ * @requires ../config/validation
+ * @requires ../pipeline
+ * @requires ../providers
+ * @requires ../vectorStore
+ *
+ * Liveness and readiness of the server. Liveness only says the process is up
+ * and answering. Readiness checks the dependencies a chat request needs:
+ * - `configuration` - settings of the configured pipelines, models, embeddings and vector store
+ * - `vectorStore` - the vector store answers and reports its dimension and record count
+ * - `embeddings` - the embeddings provider embeds a probe text
+ * - `indexDimension` - the index dimension matches the embeddings
+ * - `llm` - every distinct chat model of the configured pipelines is reachable
+ * - `handit` - whether Handit tracing and prompt optimization are enabled (never fails)
+ *
+ * - `health.checkTimeoutMs` (HEALTH_CHECK_TIMEOUT_MS, default 5000) - time allowed for each check
+ * - `health.cacheTtlMs` (HEALTH_CACHE_TTL_MS, default 30000) - how long check results are reused
+ */
+
+import { HealthChecker } from './healthChecker.js';
+import { getConfig } from '../config/index.js';
+import { findConfigurationProblems } from '../config/validation.js';
+import { getPipeline, getPipelineConfigurations } from '../pipeline/index.js';
+import { createEmbeddings, getEmbeddingsConfig, getNodeModelConfig, pingModel } from '../providers/index.js';
+import { createVectorStore } from '../vectorStore/index.js';
+
+/**
+ * Lists the LLM nodes of every configured pipeline
+ * @returns {string[]} Distinct node names
+ * @throws {Error} If a pipeline configuration is invalid
+ */
+const listModelNodes = () => [...new Set(Object.keys(getPipelineConfigurations()).flatMap(variant => (
+    getPipeline(variant).nodes.filter(node => node.type === 'llm').map(node => node.name)
+)))];
+
+/**
+ * Checks that every setting needed to serve requests is present, without calling anything
+ * @async
+ * @returns {Promise<Object>} The environment, pipelines and vector store backend, with the problems found
+ */
+const checkConfiguration = async () => {
+    const problems = findConfigurationProblems();
+    const { environment, vectorStore } = getConfig();
+
+    return {
+        status: problems.length ? 'error' : 'ok',
+        ...(problems.length && { error: problems.join('; ') }),
+        environment,
+        pipelines: Object.keys(getPipelineConfigurations()),
+        vectorStore: vectorStore.backend,
+        problems
+    };
+};
+
+/**
+ * Checks that the vector store answers
+ * @async
+ * @returns {Promise<Object>} Backend, namespace, dimension and record count
+ */
+const checkVectorStore = async () => {
+    const store = await createVectorStore();
+    const { dimension, recordCount } = await store.describe();
+    return {
+        backend: getConfig().vectorStore.backend,
+        namespace: store.namespace,
+        dimension,
+        recordCount
+    };
+};
+
+/**
+ * Checks that the embeddings provider answers by embedding a short probe
+ * @async
+ * @returns {Promise<Object>} Provider, model and dimension of the embeddings
+ */
+const checkEmbeddings = async () => {
+    const { provider, model } = getEmbeddingsConfig();
+    const vector = await createEmbeddings().embedQuery('health check');
+    return { provider, ...(model && { model }), dimension: vector.length };
+};
+
+/**
+ * Compares the vector store dimension with the embeddings dimension; a
+ * mismatch makes every knowledge base query fail
+ * @async
+ * @param {Object} context - Check context
+ * @param {Function} context.resultOf - Returns the result of another check
+ * @returns {Promise<Object>} Both dimensions
+ */
+const checkIndexDimension = async ({ resultOf }) => {
+    const [vectorStore, embeddings] = await Promise.all([resultOf('vectorStore'), resultOf('embeddings')]);
+    if (vectorStore.status !== 'ok' || embeddings.status !== 'ok') {
+        return { status: 'unknown', error: 'The vector store or embeddings check failed' };
+    }
+
+    const dimensions = { index: vectorStore.dimension, embeddings: embeddings.dimension };
+    // An empty local store has no dimension yet; the first ingestion sets it
+    if (dimensions.index !== null && dimensions.index !== dimensions.embeddings) {
+        return {
+            status: 'error',
+            error: `The index stores ${dimensions.index}-dimensional vectors but the embeddings have ${dimensions.embeddings} dimensions; `
+                + 're-index with `npm run init-pinecone -- --force`',
+            ...dimensions
+        };
+    }
+    return dimensions;
+};
+
+/**
+ * Checks that every distinct chat model of the configured pipelines is reachable
+ * @async
+ * @param {Object} context - Check context
+ * @param {AbortSignal} context.signal - Aborted when the check times out
+ * @returns {Promise<Object>} Status and latency of each model with the nodes using it
+ */
+const checkModels = async ({ signal }) => {
+    const models = new Map();
+    for (const node of listModelNodes()) {
+        const { provider, model, baseURL } = getNodeModelConfig(node);
+        const key = JSON.stringify([provider, model, baseURL]);
+        if (!models.has(key)) {
+            models.set(key, { provider, model, ...(baseURL && { baseURL }), nodes: [] });
+        }
+        models.get(key).nodes.push(node);
+    }
+
+    const results = await Promise.all([...models.values()].map(async (entry) => {
+        const start = Date.now();
+        try {
+            await pingModel(entry.nodes[0], { signal });
+            return { ...entry, status: 'ok', latencyMs: Date.now() - start };
+        } catch (error) {
+            return { ...entry, status: 'error', latencyMs: Date.now() - start, error: error.message };
+        }
+    }));
+
+    const failed = results.filter(result => result.status === 'error');
+    return {
+        status: failed.length ? 'error' : 'ok',
+        ...(failed.length && { error: failed.map(({ provider, model, error }) => `${provider}/${model}: ${error}`).join('; ') }),
+        models: results
+    };
+};
+
+/**
+ * Reports whether Handit is configured. It is optional: without a key traces
+ * stay local and the default prompts are used, so it never fails readiness.
+ * @async
+ * @returns {Promise<Object>} `ok` or `disabled`
+ */
+const checkHandit = async () => (getConfig().handit.apiKey
+    ? { status: 'ok' }
+    : { status: 'disabled', reason: 'HANDIT_API_KEY is not set' });
+
+/**
+ * Shared readiness checker
+ * @type {HealthChecker}
+ */
+export const readiness = new HealthChecker({
+    checks: [
+        { name: 'configuration', run: checkConfiguration },
+        { name: 'vectorStore', run: checkVectorStore },
+        { name: 'embeddings', run: checkEmbeddings },
+        { name: 'indexDimension', run: checkIndexDimension },
+        { name: 'llm', run: checkModels },
+        { name: 'handit', run: checkHandit }
+    ],
+    timeoutMs: getConfig().health.checkTimeoutMs,
+    cacheTtlMs: getConfig().health.cacheTtlMs
+});
+
+/**
+ * Express handler answering liveness probes: the process is up and serving requests
+ * @function livenessHandler
+ * @param {Object} req - The request
+ * @param {Object} res - The response
+ * @returns {void}
+ */
+export const livenessHandler = (req, res) => {
+    res.json({
+        status: 'ok',
+        uptimeSeconds: Math.round(process.uptime()),
+        timestamp: new Date().toISOString()
+    });
+};
+
+/**
+ * Express handler answering readiness probes with the result of every check,
+ * with status 503 while a dependency is failing
+ * @async
+ * @function readinessHandler
+ * @param {Object} req - The request
+ * @param {Object} res - The response
+ * @returns {Promise<void>}
+ */
+export const readinessHandler = async (req, res) => {
+    const { status, checks } = await readiness.check();
+    res.status(status === 'ready' ? 200 : 503).json({
+        status,
+        timestamp: new Date().toISOString(),
+        checks
+    });
+};
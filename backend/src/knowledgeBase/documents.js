@@ -0,0 +1,309 @@
+/**
+ * Knowledge Base Documents Module
+ * @module knowledgeBase/documents
+ * @requires crypto
+ * @requires ../providers
+ * @requires ../vectorStore
+ * @requires ./indexer
+ * @requires ./manifest
+ * @requires ./keywordIndex
+ * @requires ./retrieval
+ *
+ * Runtime management of knowledge base documents for the admin API. Documents
+ * are tracked in the index manifest, so anything added here is indexed the
+ * same way the ingestion scripts index it (stable chunk ids, content hashes).
+ * Documents created through the API belong to the "api" scope; updating an
+ * ingested document keeps its scope, so the next ingestion of its directory
+ * still owns it.
+ */
+
+import { randomUUID } from 'crypto';
+import { createEmbeddings } from '../providers/index.js';
+import { createVectorStore, KNOWLEDGE_BASE_NAMESPACE } from '../vectorStore/index.js';
+import { applySyncPlan, documentId, planSync } from './indexer.js';
+import { IndexManifest } from './manifest.js';
+import { getKeywordIndex } from './keywordIndex.js';
+import { getRetrievalConfig, queryKnowledgeBase } from './retrieval.js';
+
+/**
+ * Scope of documents created through the admin API
+ * @type {string}
+ */
+export const API_SCOPE = 'api';
+
+/**
+ * Metadata keys set by the indexer that callers may not provide
+ * @type {string[]}
+ */
+const RESERVED_METADATA_KEYS = ['text', 'documentId', 'chunkIndex', 'totalChunks'];
+
+/**
+ * Error with the HTTP status the admin API should answer with
+ * @class KnowledgeBaseError
+ * @extends Error
+ */
+export class KnowledgeBaseError extends Error {
+    /**
+     * @constructor
+     * @param {string} message - Error message
+     * @param {number} [statusCode=400] - HTTP status code
+     */
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'KnowledgeBaseError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Admin changes run one at a time so concurrent requests never overwrite
+ * each other's manifest updates
+ * @type {Promise<void>}
+ */
+let changeQueue = Promise.resolve();
+
+/**
+ * Runs a manifest-changing operation after all previously queued ones
+ * @param {Function} operation - Async operation
+ * @returns {Promise<*>} The operation result
+ */
+const enqueueChange = (operation) => {
+    const result = changeQueue.then(operation);
+    changeQueue = result.then(() => undefined, () => undefined);
+    return result;
+};
+
+/**
+ * Validates a document request body
+ * @param {Object} body - Request body
+ * @param {string} body.text - Document text
+ * @param {Object} [body.metadata={}] - Flat document metadata
+ * @returns {{text: string, metadata: Object}} The validated document
+ * @throws {KnowledgeBaseError} If the text or metadata is invalid
+ */
+const validateDocument = ({ text, metadata = {} } = {}) => {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new KnowledgeBaseError('text must be a non-empty string');
+    }
+    if (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata)) {
+        throw new KnowledgeBaseError('metadata must be an object');
+    }
+
+    for (const [key, value] of Object.entries(metadata)) {
+        if (RESERVED_METADATA_KEYS.includes(key)) {
+            throw new KnowledgeBaseError(`metadata.${key} is set by the indexer`);
+        }
+        const isScalar = ['string', 'number', 'boolean'].includes(typeof value);
+        const isStringList = Array.isArray(value) && value.every(item => typeof item === 'string');
+        if (!isScalar && !isStringList) {
+            throw new KnowledgeBaseError(`metadata.${key} must be a string, number, boolean or list of strings`);
+        }
+    }
+
+    return { text: text.trim(), metadata };
+};
+
+/**
+ * Summarizes a manifest entry for listings
+ * @param {import('./manifest.js').ManifestDocument} document - Manifest entry
+ * @returns {Object} Document summary
+ */
+const summarize = ({ id, scope, key, metadata, chunks, indexedAt }) => ({
+    id,
+    scope,
+    key,
+    metadata,
+    chunkCount: chunks.length,
+    indexedAt
+});
+
+/**
+ * Indexes a single document and returns its summary
+ * @async
+ * @param {IndexManifest} manifest - The namespace manifest
+ * @param {{text: string, metadata: Object}} document - Document to index
+ * @param {string} scope - Scope owning the document
+ * @returns {Promise<Object>} Document summary with the chunk changes
+ */
+const indexDocument = async (manifest, document, scope) => {
+    const plan = await planSync({ documents: [document], scope, manifest, prune: false });
+
+    await applySyncPlan(plan, {
+        embeddings: createEmbeddings(),
+        vectorStore: await createVectorStore({ namespace: KNOWLEDGE_BASE_NAMESPACE }),
+        keywordIndex: await getKeywordIndex(KNOWLEDGE_BASE_NAMESPACE),
+        manifest
+    });
+
+    const [{ added, updated, removed, unchanged }] = plan.documents;
+    return {
+        ...summarize(manifest.get(plan.entries[0].id)),
+        changes: { added, updated, removed, unchanged }
+    };
+};
+
+/**
+ * Lists indexed documents
+ * @async
+ * @function listDocuments
+ * @param {Object} [options={}] - List options
+ * @param {string} [options.scope] - Only list documents of this scope
+ * @returns {Promise<Object[]>} Document summaries, most recently indexed first
+ */
+export const listDocuments = async ({ scope } = {}) => {
+    const manifest = await IndexManifest.load(KNOWLEDGE_BASE_NAMESPACE);
+    return manifest.list(scope)
+        .map(summarize)
+        .sort((a, b) => b.indexedAt.localeCompare(a.indexedAt));
+};
+
+/**
+ * Fetches a document with the text of each of its chunks
+ * @async
+ * @function getDocument
+ * @param {string} id - Document id
+ * @returns {Promise<Object>} The document and its chunks
+ * @throws {KnowledgeBaseError} If the document does not exist
+ */
+export const getDocument = async (id) => {
+    const manifest = await IndexManifest.load(KNOWLEDGE_BASE_NAMESPACE);
+    const document = manifest.get(id);
+    if (!document) {
+        throw new KnowledgeBaseError(`Document "${id}" not found`, 404);
+    }
+
+    const vectorStore = await createVectorStore({ namespace: KNOWLEDGE_BASE_NAMESPACE });
+    const records = new Map((await vectorStore.fetch(document.chunks.map(chunk => chunk.id)))
+        .map(record => [record.id, record]));
+
+    return {
+        ...summarize(document),
+        chunks: document.chunks.map(({ id: chunkId }) => ({
+            id: chunkId,
+            text: records.get(chunkId)?.metadata.text ?? null
+        }))
+    };
+};
+
+/**
+ * Creates and indexes a document in the "api" scope
+ * @async
+ * @function createDocument
+ * @param {Object} body - Document to create
+ * @param {string} body.text - Document text
+ * @param {Object} [body.metadata] - Document metadata; a `source` is generated when omitted
+ * @returns {Promise<Object>} The created document
+ * @throws {KnowledgeBaseError} If the document is invalid or its source is already indexed
+ */
+export const createDocument = (body) => enqueueChange(async () => {
+    const { text, metadata } = validateDocument(body);
+    const document = { text, metadata: { source: `api/${randomUUID()}`, ...metadata } };
+
+    const manifest = await IndexManifest.load(KNOWLEDGE_BASE_NAMESPACE);
+    const id = documentId(document);
+    if (manifest.get(id)) {
+        throw new KnowledgeBaseError(`Document "${id}" already exists`, 409);
+    }
+
+    return indexDocument(manifest, document, API_SCOPE);
+});
+
+/**
+ * Replaces the text and metadata of a document and re-embeds changed chunks.
+ * The document keeps its id and scope.
+ * @async
+ * @function updateDocument
+ * @param {string} id - Document id
+ * @param {Object} body - New document content
+ * @param {string} body.text - Document text
+ * @param {Object} [body.metadata] - Document metadata
+ * @returns {Promise<Object>} The updated document
+ * @throws {KnowledgeBaseError} If the document does not exist or the content is invalid
+ */
+export const updateDocument = (id, body) => enqueueChange(async () => {
+    const { text, metadata } = validateDocument(body);
+
+    const manifest = await IndexManifest.load(KNOWLEDGE_BASE_NAMESPACE);
+    const existing = manifest.get(id);
+    if (!existing) {
+        throw new KnowledgeBaseError(`Document "${id}" not found`, 404);
+    }
+
+    // Pinning the source to the existing key keeps the document id stable
+    return indexDocument(manifest, { text, metadata: { ...metadata, source: existing.key } }, existing.scope);
+});
+
+/**
+ * Deletes a document and all of its vectors
+ * @async
+ * @function deleteDocument
+ * @param {string} id - Document id
+ * @returns {Promise<{id: string, deletedChunks: number}>} Deletion result
+ * @throws {KnowledgeBaseError} If the document does not exist
+ */
+export const deleteDocument = (id) => enqueueChange(async () => {
+    const manifest = await IndexManifest.load(KNOWLEDGE_BASE_NAMESPACE);
+    const document = manifest.get(id);
+    if (!document) {
+        throw new KnowledgeBaseError(`Document "${id}" not found`, 404);
+    }
+
+    const chunkIds = document.chunks.map(chunk => chunk.id);
+    const vectorStore = await createVectorStore({ namespace: KNOWLEDGE_BASE_NAMESPACE });
+    await vectorStore.delete(chunkIds);
+
+    const keywordIndex = await getKeywordIndex(KNOWLEDGE_BASE_NAMESPACE);
+    chunkIds.forEach(chunkId => keywordIndex.remove(chunkId));
+    await keywordIndex.save();
+
+    manifest.remove(id);
+    await manifest.save();
+
+    return { id, deletedChunks: document.chunks.length };
+});
+
+/**
+ * Runs a raw search for debugging retrieval, without intent handling or score thresholds
+ * @async
+ * @function searchDocuments
+ * @param {Object} options - Search options
+ * @param {string} options.query - Search query
+ * @param {number} [options.topK=5] - Maximum number of matches (1-50)
+ * @param {Object} [options.filter] - Pinecone-style metadata filter
+ * @param {string} [options.mode] - `vector` or `hybrid` (defaults to KB_RETRIEVAL_MODE)
+ * @param {string} [options.reranker] - `none` or `lexical` (defaults to KB_RERANKER)
+ * @returns {Promise<Array<{id: string, score: number, scores: Object, metadata: Object}>>} Matches
+ *   with their raw per-stage scores
+ * @throws {KnowledgeBaseError} If the query or options are invalid
+ */
+export const searchDocuments = async ({ query, topK = 5, filter, mode, reranker } = {}) => {
+    if (typeof query !== 'string' || !query.trim()) {
+        throw new KnowledgeBaseError('query must be a non-empty string');
+    }
+    if (!Number.isInteger(topK) || topK < 1 || topK > 50) {
+        throw new KnowledgeBaseError('topK must be an integer between 1 and 50');
+    }
+    if (filter !== undefined && (typeof filter !== 'object' || filter === null || Array.isArray(filter))) {
+        throw new KnowledgeBaseError('filter must be an object');
+    }
+
+    if (mode !== undefined && !['vector', 'hybrid'].includes(mode)) {
+        throw new KnowledgeBaseError('mode must be "vector" or "hybrid"');
+    }
+    if (reranker !== undefined && !['none', 'lexical'].includes(reranker)) {
+        throw new KnowledgeBaseError('reranker must be "none" or "lexical"');
+    }
+
+    const config = getRetrievalConfig();
+    const embeddings = createEmbeddings();
+
+    return queryKnowledgeBase({
+        vectorStore: await createVectorStore({ namespace: KNOWLEDGE_BASE_NAMESPACE }),
+        keywordIndex: await getKeywordIndex(KNOWLEDGE_BASE_NAMESPACE),
+        vector: await embeddings.embedQuery(query),
+        query,
+        topK,
+        filter,
+        config: { ...config, mode: mode ?? config.mode, reranker: reranker ?? config.reranker }
+    });
+};
@@ -0,0 +1,316 @@
+/**
+ * Knowledge Base Indexer Module
+ * @module knowledgeBase/indexer
+ * @requires crypto
+ * @requires ../utils/textProcessor
+ * @requires ../providers
+ * @requires ../vectorStore
+ * @requires ./manifest
+ * @requires ./keywordIndex
+ * @requires ../logging/logger
+ *
+ * Idempotent, incremental indexing of knowledge base documents.
+ *
+ * Every document gets a stable id derived from its identity (source path, or
+ * category/topic for documents without a source) and every chunk the id
+ * `<documentId>#<chunkIndex>`. Chunk content hashes are kept in the manifest,
+ * so a sync only embeds new or changed chunks, deletes the vectors of chunks
+ * a shrunk document no longer has, and deletes removed documents entirely.
+ * The BM25 keyword index is kept in step with the vectors; chunks missing
+ * from it (e.g. indexed before it existed) are added without re-embedding.
+ *
+ * Documents belong to a scope (the ingestion source, e.g. "sample" or
+ * "directory:/srv/docs"); a sync only removes documents of its own scope.
+ */
+
+import { createHash } from 'crypto';
+import { TextProcessor } from '../utils/textProcessor.js';
+import { createEmbeddings } from '../providers/index.js';
+import { createVectorStore, KNOWLEDGE_BASE_NAMESPACE } from '../vectorStore/index.js';
+import { IndexManifest } from './manifest.js';
+import { getKeywordIndex } from './keywordIndex.js';
+import { logger } from '../logging/logger.js';
+
+/**
+ * Number of chunks embedded per embeddings request
+ * @type {number}
+ */
+const EMBEDDING_BATCH_SIZE = 100;
+
+/**
+ * SHA-256 hex digest of a string
+ * @param {string} value - Value to hash
+ * @returns {string} Hex digest
+ */
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+/**
+ * Returns the identity of a document: its source path, or category/topic
+ * @function documentKey
+ * @param {{metadata: Object}} document - The document
+ * @returns {string} Document identity
+ * @throws {Error} If the document has neither a source nor a category and topic
+ */
+export const documentKey = ({ metadata = {} }) => {
+    if (metadata.source) {
+        return metadata.source;
+    }
+    if (metadata.category && metadata.topic) {
+        return `${metadata.category}/${metadata.topic}`;
+    }
+    throw new Error('Documents need a metadata.source or a metadata.category and metadata.topic');
+};
+
+/**
+ * Returns the stable id of a document
+ * @function documentId
+ * @param {{metadata: Object}} document - The document
+ * @returns {string} Stable document id
+ */
+export const documentId = (document) => `doc-${sha256(documentKey(document)).slice(0, 16)}`;
+
+/**
+ * Hashes a chunk's text and metadata so metadata edits are re-indexed too
+ * @param {{text: string, metadata: Object}} chunk - The chunk
+ * @returns {string} Content hash
+ */
+const hashChunk = ({ text, metadata }) => {
+    const sortedMetadata = Object.fromEntries(Object.entries(metadata).sort(([a], [b]) => a.localeCompare(b)));
+    return sha256(JSON.stringify({ text, metadata: sortedMetadata }));
+};
+
+/**
+ * Compares documents with the manifest and plans the vector store changes
+ * @async
+ * @function planSync
+ * @param {Object} options - Plan options
+ * @param {Array<{text: string, metadata: Object}>} options.documents - The complete document set of the scope
+ * @param {string} options.scope - Scope owning the documents
+ * @param {IndexManifest} options.manifest - The namespace manifest
+ * @param {Object} [options.chunkOptions={}] - Chunking options (chunkSize, chunkOverlap)
+ * @param {boolean} [options.force=false] - Re-embed unchanged chunks too
+ * @param {boolean} [options.prune=true] - Delete documents of the scope that are no longer present
+ * @returns {Promise<Object>} The sync plan
+ * @throws {Error} If two documents share the same identity
+ */
+export const planSync = async ({ documents, scope, manifest, chunkOptions = {}, force = false, prune = true }) => {
+    const plan = {
+        scope,
+        upserts: [],
+        deletes: [],
+        chunks: [],
+        unchanged: 0,
+        documents: [],
+        entries: [],
+        removals: []
+    };
+    const seen = new Set();
+
+    for (const document of documents) {
+        const id = documentId(document);
+        const key = documentKey(document);
+        if (seen.has(id)) {
+            throw new Error(`Duplicate knowledge base document "${key}"`);
+        }
+        seen.add(id);
+
+        const previous = manifest.get(id);
+        const previousHashes = new Map((previous?.chunks || []).map(chunk => [chunk.id, chunk.hash]));
+        const chunks = await TextProcessor.processDocument(
+            { text: document.text, metadata: { ...document.metadata, documentId: id } },
+            chunkOptions
+        );
+
+        const summary = { id, key, added: 0, updated: 0, removed: 0, unchanged: 0 };
+        const entryChunks = chunks.map(({ text, metadata }, index) => {
+            // totalChunks is dropped so growing or shrinking a document
+            // leaves its untouched leading chunks unchanged
+            const { totalChunks, ...chunkMetadata } = metadata;
+            const chunkId = `${id}#${index}`;
+            const hash = hashChunk({ text, metadata: chunkMetadata });
+            const previousHash = previousHashes.get(chunkId);
+            plan.chunks.push({ id: chunkId, text, metadata: chunkMetadata });
+
+            if (previousHash === hash && !force) {
+                summary.unchanged++;
+            } else {
+                plan.upserts.push({ id: chunkId, text, metadata: chunkMetadata });
+                summary[previousHash ? 'updated' : 'added']++;
+            }
+            return { id: chunkId, hash };
+        });
+
+        // Chunks the document no longer has after shrinking
+        const removedChunks = [...previousHashes.keys()].slice(entryChunks.length);
+        plan.deletes.push(...removedChunks);
+        summary.removed = removedChunks.length;
+        plan.unchanged += summary.unchanged;
+
+        const changed = summary.added + summary.updated + summary.removed > 0 || previous?.scope !== scope;
+        summary.status = !previous ? 'added' : changed ? 'updated' : 'unchanged';
+        plan.documents.push(summary);
+        plan.entries.push({
+            id,
+            scope,
+            key,
+            metadata: document.metadata,
+            chunks: entryChunks,
+            indexedAt: changed ? new Date().toISOString() : previous.indexedAt
+        });
+    }
+
+    if (prune) {
+        for (const previous of manifest.list(scope)) {
+            if (!seen.has(previous.id)) {
+                plan.deletes.push(...previous.chunks.map(chunk => chunk.id));
+                plan.removals.push(previous.id);
+                plan.documents.push({
+                    id: previous.id,
+                    key: previous.key,
+                    status: 'removed',
+                    added: 0,
+                    updated: 0,
+                    removed: previous.chunks.length,
+                    unchanged: 0
+                });
+            }
+        }
+    }
+
+    return plan;
+};
+
+/**
+ * Embeds and upserts changed chunks, deletes stale vectors and updates the
+ * keyword index and the manifest
+ * @async
+ * @function applySyncPlan
+ * @param {Object} plan - Plan from planSync
+ * @param {Object} services - Indexing services
+ * @param {Object} services.embeddings - Embeddings client
+ * @param {VectorStore} services.vectorStore - Target vector store
+ * @param {KeywordIndex} services.keywordIndex - Target keyword index
+ * @param {IndexManifest} services.manifest - The namespace manifest
+ * @returns {Promise<void>}
+ */
+export const applySyncPlan = async (plan, { embeddings, vectorStore, keywordIndex, manifest }) => {
+    for (let i = 0; i < plan.upserts.length; i += EMBEDDING_BATCH_SIZE) {
+        const batch = plan.upserts.slice(i, i + EMBEDDING_BATCH_SIZE);
+        const vectors = await embeddings.embedDocuments(batch.map(chunk => chunk.text));
+
+        await vectorStore.upsert(batch.map((chunk, index) => ({
+            id: chunk.id,
+            values: vectors[index],
+            metadata: {
+                text: chunk.text,
+                ...chunk.metadata
+            }
+        })));
+        logger.info('Stored knowledge base chunks', {
+            stored: Math.min(i + EMBEDDING_BATCH_SIZE, plan.upserts.length),
+            total: plan.upserts.length
+        });
+    }
+
+    if (plan.deletes.length) {
+        await vectorStore.delete(plan.deletes);
+        logger.info('Deleted stale knowledge base chunks', { deleted: plan.deletes.length });
+    }
+
+    // Embedding takes a while: start from the latest index file so changes made meanwhile are kept
+    await keywordIndex.refresh();
+    const upserted = new Set(plan.upserts.map(chunk => chunk.id));
+    plan.chunks
+        .filter(chunk => upserted.has(chunk.id) || !keywordIndex.has(chunk.id))
+        .forEach(chunk => keywordIndex.add(chunk.id, chunk.text, chunk.metadata));
+    plan.deletes.forEach(id => keywordIndex.remove(id));
+    await keywordIndex.save();
+
+    plan.entries.forEach(entry => manifest.set(entry));
+    plan.removals.forEach(id => manifest.remove(id));
+    await manifest.save();
+};
+
+/**
+ * Formats a sync plan as a readable diff
+ * @function formatSyncPlan
+ * @param {Object} plan - Plan from planSync
+ * @returns {string} Multi-line summary
+ */
+export const formatSyncPlan = (plan) => {
+    const symbols = { added: '+', updated: '~', removed: '-', unchanged: '=' };
+    const lines = [
+        `🧮 Sync plan (scope ${plan.scope})`,
+        `   Chunks to embed:  ${plan.upserts.length}`,
+        `   Chunks to delete: ${plan.deletes.length}`,
+        `   Unchanged chunks: ${plan.unchanged}`
+    ];
+
+    const changedDocuments = plan.documents.filter(document => document.status !== 'unchanged');
+    if (changedDocuments.length) {
+        lines.push('   Documents:');
+        changedDocuments.forEach(({ key, status, added, updated, removed }) => {
+            lines.push(`     ${symbols[status]} ${key} (${status}: +${added} ~${updated} -${removed} chunks)`);
+        });
+    }
+
+    return lines.join('\n');
+};
+
+/**
+ * Synchronizes the complete document set of a scope with the vector store
+ * @async
+ * @function syncDocuments
+ * @param {Object} options - Sync options
+ * @param {Array<{text: string, metadata: Object}>} options.documents - The complete document set of the scope
+ * @param {string} options.scope - Scope owning the documents
+ * @param {string} [options.namespace=KNOWLEDGE_BASE_NAMESPACE] - Vector store namespace
+ * @param {Object} [options.chunkOptions] - Chunking options (chunkSize, chunkOverlap)
+ * @param {boolean} [options.dryRun=false] - Only plan, do not change anything
+ * @param {boolean} [options.force=false] - Re-embed unchanged chunks too
+ * @param {boolean} [options.prune=true] - Delete documents of the scope that are no longer present
+ * @returns {Promise<Object>} The executed (or planned) sync plan
+ *
+ * @example
+ * const plan = await syncDocuments({ documents, scope: 'sample', dryRun: true });
+ * console.log(formatSyncPlan(plan));
+ */
+export const syncDocuments = async ({
+    documents,
+    scope,
+    namespace = KNOWLEDGE_BASE_NAMESPACE,
+    chunkOptions,
+    dryRun = false,
+    force = false,
+    prune = true
+}) => {
+    const manifest = await IndexManifest.load(namespace);
+    const plan = await planSync({ documents, scope, manifest, chunkOptions, force, prune });
+
+    if (!dryRun) {
+        await applySyncPlan(plan, {
+            embeddings: createEmbeddings(),
+            vectorStore: await createVectorStore({ namespace }),
+            keywordIndex: await getKeywordIndex(namespace),
+            manifest
+        });
+    }
+
+    return plan;
+};
+
+/**
+ * Lists vectors in a namespace that no manifest entry accounts for,
+ * such as duplicates left behind by older timestamp-based ids
+ * @async
+ * @function findUntrackedIds
+ * @param {string} [namespace=KNOWLEDGE_BASE_NAMESPACE] - Vector store namespace
+ * @returns {Promise<string[]>} Untracked vector ids
+ */
+export const findUntrackedIds = async (namespace = KNOWLEDGE_BASE_NAMESPACE) => {
+    const manifest = await IndexManifest.load(namespace);
+    const vectorStore = await createVectorStore({ namespace });
+    const tracked = manifest.chunkIds();
+
+    return (await vectorStore.list()).filter(id => !tracked.has(id));
+};
@@ -0,0 +1,288 @@
+/**
+ * Knowledge Base Keyword Index Module
+ * @module knowledgeBase/keywordIndex
+ * @requires fs/promises
+ * @requires path
+ * @requires ../config
+ * @requires ../vectorStore/metadataFilter
+ * @requires ../utils/fileVersion
+ *
+ * BM25 keyword index over the knowledge base chunks. Embedding search is good
+ * at meaning but misses exact terms customers type verbatim (phone numbers,
+ * product names, acronyms like "SLA"); the keyword index catches those and is
+ * fused with the vector results at query time.
+ *
+ * The index is built by the indexer next to the vectors, keyed by the same
+ * chunk ids, and kept in one JSON file per vector store backend and namespace
+ * under KB_KEYWORD_INDEX_DIR (default `.data/keyword-index`). The server
+ * keeps the index in memory and reloads it when the file changed (e.g. after
+ * `npm run ingest`), see `refresh`.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { getConfig } from '../config/index.js';
+import { matchesFilter } from '../vectorStore/metadataFilter.js';
+import { readFileVersion } from '../utils/fileVersion.js';
+
+/**
+ * BM25 term frequency saturation
+ * @type {number}
+ */
+const K1 = 1.2;
+
+/**
+ * BM25 document length normalization
+ * @type {number}
+ */
+const B = 0.75;
+
+/**
+ * Common English words that carry no meaning for matching
+ * @type {Set<string>}
+ */
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for',
+    'from', 'how', 'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our',
+    'so', 'that', 'the', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which',
+    'who', 'why', 'with', 'you', 'your'
+]);
+
+/**
+ * Splits text into lower case terms, dropping stop words
+ * @function tokenize
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms in order of appearance
+ *
+ * @example
+ * tokenize('Call +1 (800) 555-0123 for SLA questions');
+ * // ['call', '1', '800', '555', '0123', 'sla', 'questions']
+ */
+export const tokenize = (text) => (
+    (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+).filter(term => !STOP_WORDS.has(term));
+
+/**
+ * Counts how often each term occurs
+ * @param {string[]} terms - Terms to count
+ * @returns {Object<string, number>} Term frequencies
+ */
+const countTerms = (terms) => {
+    const frequencies = {};
+    terms.forEach(term => {
+        frequencies[term] = (frequencies[term] || 0) + 1;
+    });
+    return frequencies;
+};
+
+/**
+ * A keyword match, highest score first
+ * @typedef {Object} KeywordMatch
+ * @property {string} id - The chunk id
+ * @property {number} score - BM25 score (unbounded, higher is better)
+ * @property {number} coverage - Share of the distinct query terms found in the chunk (0-1)
+ * @property {Object} metadata - The chunk metadata, including its text
+ */
+
+/**
+ * BM25 index of knowledge base chunks for one namespace
+ * @class KeywordIndex
+ */
+export class KeywordIndex {
+    /**
+     * @constructor
+     * @param {string} filePath - Location of the index file
+     * @param {Object<string, {terms: Object<string, number>, length: number, metadata: Object}>} [entries={}] - Indexed chunks keyed by id
+     * @param {string|null} [version=null] - Version of the file the entries were read from
+     */
+    constructor(filePath, entries = {}, version = null) {
+        this.filePath = filePath;
+        this.entries = new Map(Object.entries(entries));
+        this.statistics = null;
+        this.version = version;
+    }
+
+    /**
+     * Loads the index of a namespace, or an empty one if none exists yet
+     * @static
+     * @async
+     * @param {string} namespace - Vector store namespace
+     * @returns {Promise<KeywordIndex>} The index
+     */
+    static async load(namespace) {
+        const { vectorStore, knowledgeBase } = getConfig();
+        const filePath = path.join(knowledgeBase.keywordIndexDirectory, `${vectorStore.backend}.${namespace}.json`);
+        const index = new KeywordIndex(filePath);
+        await index.refresh();
+        return index;
+    }
+
+    /**
+     * Reloads the entries if the file changed since they were read or saved,
+     * for instance by `npm run ingest` in another process
+     * @async
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        const version = await readFileVersion(this.filePath);
+        if (version === this.version) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(await readFile(this.filePath, 'utf8'));
+            this.entries = new Map(Object.entries(data.entries));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            this.entries = new Map();
+        }
+        this.statistics = null;
+        this.version = version;
+    }
+
+    /**
+     * @param {string} id - Chunk id
+     * @returns {boolean} Whether the chunk is indexed
+     */
+    has(id) {
+        return this.entries.has(id);
+    }
+
+    /**
+     * Indexes a chunk, replacing any previous version
+     * @param {string} id - Chunk id
+     * @param {string} text - Chunk text
+     * @param {Object} [metadata={}] - Chunk metadata, returned with matches
+     * @returns {void}
+     */
+    add(id, text, metadata = {}) {
+        const terms = tokenize(text);
+        this.entries.set(id, {
+            terms: countTerms(terms),
+            length: terms.length,
+            metadata: { ...metadata, text }
+        });
+        this.statistics = null;
+    }
+
+    /**
+     * @param {string} id - Chunk id to remove
+     * @returns {void}
+     */
+    remove(id) {
+        this.entries.delete(id);
+        this.statistics = null;
+    }
+
+    /**
+     * Computes document frequencies and the average chunk length
+     * @private
+     * @returns {{documentFrequency: Map<string, number>, averageLength: number}} Corpus statistics
+     */
+    getStatistics() {
+        if (!this.statistics) {
+            const documentFrequency = new Map();
+            let totalLength = 0;
+
+            for (const { terms, length } of this.entries.values()) {
+                totalLength += length;
+                Object.keys(terms).forEach(term => {
+                    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+                });
+            }
+
+            this.statistics = {
+                documentFrequency,
+                averageLength: this.entries.size ? totalLength / this.entries.size : 0
+            };
+        }
+        return this.statistics;
+    }
+
+    /**
+     * Ranks the indexed chunks against a query with BM25
+     * @param {string} query - Search query
+     * @param {Object} [options={}] - Search options
+     * @param {number} [options.topK=10] - Maximum number of matches
+     * @param {Object} [options.filter] - Pinecone-style metadata filter
+     * @returns {KeywordMatch[]} Matches ordered by score
+     */
+    search(query, { topK = 10, filter } = {}) {
+        const queryTerms = [...new Set(tokenize(query))];
+        if (!queryTerms.length || !this.entries.size) {
+            return [];
+        }
+
+        const { documentFrequency, averageLength } = this.getStatistics();
+        const count = this.entries.size;
+        const matches = [];
+
+        for (const [id, { terms, length, metadata }] of this.entries) {
+            if (!matchesFilter(metadata, filter)) {
+                continue;
+            }
+
+            let score = 0;
+            let matched = 0;
+            for (const term of queryTerms) {
+                const frequency = terms[term];
+                if (frequency) {
+                    const df = documentFrequency.get(term);
+                    const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+                    score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+                    matched++;
+                }
+            }
+
+            if (matched) {
+                matches.push({ id, score, coverage: matched / queryTerms.length, metadata });
+            }
+        }
+
+        matches.sort((a, b) => b.score - a.score);
+        return matches.slice(0, topK);
+    }
+
+    /**
+     * Writes the index atomically
+     * @async
+     * @returns {Promise<void>}
+     */
+    async save() {
+        const tempPath = `${this.filePath}.tmp`;
+        await mkdir(path.dirname(this.filePath), { recursive: true });
+        await writeFile(tempPath, JSON.stringify({ entries: Object.fromEntries(this.entries) }));
+        await rename(tempPath, this.filePath);
+        this.version = await readFileVersion(this.filePath);
+    }
+}
+
+/**
+ * Loaded indexes keyed by backend and namespace, shared so that changes made
+ * through the admin API are visible to searches in the same process
+ * @type {Map<string, Promise<KeywordIndex>>}
+ */
+const indexes = new Map();
+
+/**
+ * Returns the keyword index of a namespace, loading it on first use and
+ * reloading it when its file changed
+ * @async
+ * @function getKeywordIndex
+ * @param {string} namespace - Vector store namespace
+ * @returns {Promise<KeywordIndex>} The shared index
+ */
+export const getKeywordIndex = async (namespace) => {
+    const key = `${getConfig().vectorStore.backend}:${namespace}`;
+    if (!indexes.has(key)) {
+        const loading = KeywordIndex.load(namespace);
+        // Do not cache failed loads so the next request can retry
+        loading.catch(() => indexes.delete(key));
+        indexes.set(key, loading);
+    }
+    const index = await indexes.get(key);
+    await index.refresh();
+    return index;
+};
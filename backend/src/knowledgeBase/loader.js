@@ -0,0 +1,143 @@
+/**
+ * Knowledge Base Loader Module
+ * @module knowledgeBase/loader
+ * @requires fs/promises
+ * @requires path
+ * @requires ./parsers
+ *
+ * Walks a directory of support articles and turns every supported file into
+ * knowledge base documents. Metadata comes from front matter (or CSV columns)
+ * first and is completed from the folder structure:
+ *
+ *   docs/billing/refund-policy.md
+ *   → category "billing", topic "refund_policy", source "billing/refund-policy.md"
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { PARSERS } from './parsers.js';
+
+/**
+ * Reasons for skipping files that look like documents but cannot be parsed
+ * @type {Object<string, string>}
+ */
+const UNSUPPORTED_FORMATS = {
+    '.pdf': 'PDF files must be converted to text first (e.g. pdftotext manual.pdf manual.txt)',
+    '.docx': 'Word files must be exported to Markdown, HTML or text first'
+};
+
+/**
+ * Converts a name to a metadata-friendly identifier ("Refund Policy" → "refund_policy")
+ * @function slugify
+ * @param {string} value - The name to convert
+ * @returns {string} Lower snake case identifier
+ */
+export const slugify = (value) => value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+/**
+ * Turns an identifier into a readable title ("refund_policy" → "Refund policy")
+ * @param {string} value - The identifier
+ * @returns {string} Readable title
+ */
+const humanize = (value) => {
+    const words = value.replace(/[_-]+/g, ' ').trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Derives the metadata a document gets from its location
+ * @param {string} source - Path relative to the knowledge base root (POSIX separators)
+ * @returns {{category: string, topic: string, source: string}} Location metadata
+ */
+const locationMetadata = (source) => {
+    const segments = source.split('/');
+    const topic = slugify(path.parse(source).name);
+
+    return {
+        category: segments.length > 1 ? slugify(segments[0]) : 'general',
+        topic,
+        source
+    };
+};
+
+/**
+ * Lists every file below a directory, skipping hidden files and folders
+ * @async
+ * @param {string} directory - Directory to walk
+ * @returns {Promise<string[]>} Absolute file paths, sorted
+ */
+const listFiles = async (directory) => {
+    const entries = await readdir(directory, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) {
+            continue;
+        }
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(fullPath));
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+
+    return files.sort();
+};
+
+/**
+ * Loads every supported document below a directory
+ * @async
+ * @function loadDocuments
+ * @param {string} rootDirectory - The knowledge base root directory
+ * @returns {Promise<{documents: Array<{text: string, metadata: Object}>, files: Array<Object>}>}
+ *          The parsed documents and a per-file report (`status` is loaded, skipped or failed)
+ */
+export const loadDocuments = async (rootDirectory) => {
+    const documents = [];
+    const files = [];
+
+    for (const filePath of await listFiles(rootDirectory)) {
+        const source = path.relative(rootDirectory, filePath).split(path.sep).join('/');
+        const extension = path.extname(filePath).toLowerCase();
+        const parser = PARSERS[extension];
+
+        if (!parser) {
+            files.push({
+                source,
+                status: 'skipped',
+                reason: UNSUPPORTED_FORMATS[extension] || `Unsupported file type "${extension || 'none'}"`
+            });
+            continue;
+        }
+
+        try {
+            const location = locationMetadata(source);
+            const parsed = parser.parse(await readFile(filePath, 'utf8'))
+                .filter(document => document.text);
+
+            parsed.forEach((document, index) => {
+                const metadata = { ...location, ...document.metadata };
+
+                // Every FAQ row becomes its own document with its own topic and source
+                if (parsed.length > 1 || document.metadata.row) {
+                    metadata.source = `${source}#row-${document.metadata.row ?? index + 1}`;
+                    metadata.topic = document.metadata.topic || slugify(metadata.title).slice(0, 64);
+                    delete metadata.row;
+                }
+
+                metadata.title = metadata.title || humanize(metadata.topic);
+                documents.push({ text: document.text, metadata });
+            });
+
+            files.push({ source, format: parser.format, status: 'loaded', documents: parsed.length });
+        } catch (error) {
+            files.push({ source, format: parser.format, status: 'failed', reason: error.message });
+        }
+    }
+
+    return { documents, files };
+};
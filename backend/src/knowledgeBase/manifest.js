@@ -0,0 +1,138 @@
+/**
+ * Knowledge Base Index Manifest Module
+ * @module knowledgeBase/manifest
+ * @requires fs/promises
+ * @requires path
+ * @requires ../config
+ *
+ * Records what has been indexed into each vector store namespace: for every
+ * document its stable id, scope, metadata and the content hash of each chunk.
+ * Sync runs compare against it to embed only what changed and to delete the
+ * vectors of removed or shrunk documents.
+ *
+ * One manifest file is kept per vector store backend and namespace under
+ * KB_MANIFEST_DIR (default `.data/kb-manifest`).
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { getConfig } from '../config/index.js';
+
+/**
+ * An indexed document as recorded in the manifest
+ * @typedef {Object} ManifestDocument
+ * @property {string} id - Stable document id
+ * @property {string} scope - Ingestion source that owns the document (e.g. "sample", "directory:/docs")
+ * @property {string} key - Human readable identity (source path or category/topic)
+ * @property {Object} metadata - Document metadata
+ * @property {Array<{id: string, hash: string}>} chunks - Indexed chunks in order
+ * @property {string} indexedAt - ISO timestamp of the last change
+ */
+
+/**
+ * Pending writes keyed by manifest file. Each load returns a new manifest,
+ * so saves are queued per file rather than per instance.
+ * @type {Map<string, Promise<void>>}
+ */
+const writeQueues = new Map();
+
+/**
+ * Persistent record of indexed documents for one namespace
+ * @class IndexManifest
+ */
+export class IndexManifest {
+    /**
+     * @constructor
+     * @param {string} filePath - Location of the manifest file
+     * @param {Object<string, ManifestDocument>} [documents={}] - Documents keyed by id
+     */
+    constructor(filePath, documents = {}) {
+        this.filePath = filePath;
+        this.documents = documents;
+    }
+
+    /**
+     * Loads the manifest of a namespace, or an empty one if none exists yet
+     * @static
+     * @async
+     * @param {string} namespace - Vector store namespace
+     * @returns {Promise<IndexManifest>} The manifest
+     */
+    static async load(namespace) {
+        const { vectorStore, knowledgeBase } = getConfig();
+        const filePath = path.join(knowledgeBase.manifestDirectory, `${vectorStore.backend}.${namespace}.json`);
+
+        try {
+            const data = JSON.parse(await readFile(filePath, 'utf8'));
+            return new IndexManifest(filePath, data.documents);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            return new IndexManifest(filePath);
+        }
+    }
+
+    /**
+     * Returns the indexed documents, optionally limited to one scope
+     * @param {string} [scope] - Scope to filter by
+     * @returns {ManifestDocument[]} Indexed documents
+     */
+    list(scope) {
+        const documents = Object.values(this.documents);
+        return scope ? documents.filter(document => document.scope === scope) : documents;
+    }
+
+    /**
+     * @param {string} id - Document id
+     * @returns {ManifestDocument|undefined} The indexed document
+     */
+    get(id) {
+        return this.documents[id];
+    }
+
+    /**
+     * @param {ManifestDocument} document - Document to record
+     * @returns {void}
+     */
+    set(document) {
+        this.documents[document.id] = document;
+    }
+
+    /**
+     * @param {string} id - Document id to forget
+     * @returns {void}
+     */
+    remove(id) {
+        delete this.documents[id];
+    }
+
+    /**
+     * Returns the ids of every indexed chunk
+     * @returns {Set<string>} Chunk ids
+     */
+    chunkIds() {
+        return new Set(this.list().flatMap(document => document.chunks.map(chunk => chunk.id)));
+    }
+
+    /**
+     * Writes the manifest atomically. Saves of the same file run one at a
+     * time, in call order, so they never share the temporary file; each
+     * writes the documents as they were when it was called.
+     * @async
+     * @returns {Promise<void>}
+     */
+    async save() {
+        const data = JSON.stringify({ documents: this.documents }, null, 2);
+        const writeQueue = (writeQueues.get(this.filePath) ?? Promise.resolve())
+            .catch(() => {})
+            .then(async () => {
+                const tempPath = `${this.filePath}.tmp`;
+                await mkdir(path.dirname(this.filePath), { recursive: true });
+                await writeFile(tempPath, data);
+                await rename(tempPath, this.filePath);
+            });
+        writeQueues.set(this.filePath, writeQueue);
+        return writeQueue;
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Knowledge Base Parsers Module
+ * @module knowledgeBase/parsers
+ *
+ * Turns support articles in various formats into knowledge base documents
+ * (`{ text, metadata }`). Parsers only extract what the file itself says;
+ * metadata derived from the file location is added by the loader.
+ */
+
+/**
+ * Parses a YAML-style front matter block (`key: value` lines between `---` fences)
+ * Only flat scalar values are supported, which is all the metadata needs.
+ * @function parseFrontMatter
+ * @param {string} content - Raw file content
+ * @returns {{attributes: Object, body: string}} Front matter attributes and remaining content
+ */
+export const parseFrontMatter = (content) => {
+    const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(content);
+    if (!match) {
+        return { attributes: {}, body: content };
+    }
+
+    const attributes = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const pair = /^([\w-]+)\s*:\s*(.*)$/.exec(line.trim());
+        if (pair) {
+            attributes[pair[1]] = pair[2].replace(/^(['"])(.*)\1$/, '$2');
+        }
+    }
+
+    return { attributes, body: content.slice(match[0].length) };
+};
+
+/**
+ * Named and numeric HTML entities decoded by the HTML parser
+ * @type {Object<string, string>}
+ */
+const HTML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    mdash: '—',
+    ndash: '–',
+    hellip: '…',
+    lsquo: '‘',
+    rsquo: '’',
+    ldquo: '“',
+    rdquo: '”',
+    copy: '©',
+    reg: '®'
+};
+
+/**
+ * Decodes HTML entities
+ * @param {string} text - Text containing entities
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) => text.replace(/&(#x?[\da-f]+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return String.fromCodePoint(value);
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+/**
+ * Parses a Markdown article; the title comes from front matter or the first heading
+ * @function parseMarkdown
+ * @param {string} content - Raw file content
+ * @returns {Array<{text: string, metadata: Object}>} One document
+ */
+export const parseMarkdown = (content) => {
+    const { attributes, body } = parseFrontMatter(content);
+    const heading = /^#\s+(.+)$/m.exec(body);
+
+    return [{
+        text: body.trim(),
+        metadata: {
+            ...(heading && { title: heading[1].trim() }),
+            ...attributes
+        }
+    }];
+};
+
+/**
+ * Parses an HTML article into plain text, keeping block structure as line breaks
+ * @function parseHtml
+ * @param {string} content - Raw file content
+ * @returns {Array<{text: string, metadata: Object}>} One document
+ */
+export const parseHtml = (content) => {
+    const title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(content)
+        || /<h1[^>]*>([\s\S]*?)<\/h1>/i.exec(content);
+
+    const text = decodeEntities(
+        content
+            .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+            .replace(/<li[^>]*>/gi, '- ')
+            .replace(/<(br|\/p|\/div|\/h[1-6]|\/li|\/tr|\/ul|\/ol)[^>]*>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+    )
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    return [{
+        text,
+        metadata: title ? { title: decodeEntities(title[1].replace(/<[^>]+>/g, '')).trim() } : {}
+    }];
+};
+
+/**
+ * Parses a plain text article, such as text extracted from a PDF.
+ * Front matter is honoured so exported files can still carry metadata.
+ * @function parseText
+ * @param {string} content - Raw file content
+ * @returns {Array<{text: string, metadata: Object}>} One document
+ */
+export const parseText = (content) => {
+    const { attributes, body } = parseFrontMatter(content);
+    return [{ text: body.trim(), metadata: attributes }];
+};
+
+/**
+ * Splits CSV content into rows of fields (RFC 4180 quoting)
+ * @function parseCsvRows
+ * @param {string} content - Raw CSV content
+ * @returns {string[][]} Rows of fields
+ */
+export const parseCsvRows = (content) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim()));
+};
+
+/**
+ * Parses a CSV FAQ file into one document per question.
+ * Requires `question` and `answer` columns; `category`, `topic`, `intent`
+ * and `title` columns are copied into the metadata when present.
+ * @function parseCsv
+ * @param {string} content - Raw file content
+ * @returns {Array<{text: string, metadata: Object}>} One document per row
+ * @throws {Error} If the question or answer column is missing
+ */
+export const parseCsv = (content) => {
+    const [header = [], ...rows] = parseCsvRows(content);
+    const columns = header.map(name => name.trim().toLowerCase());
+
+    if (!columns.includes('question') || !columns.includes('answer')) {
+        throw new Error('CSV files need "question" and "answer" columns');
+    }
+
+    return rows.map((fields, index) => {
+        const record = Object.fromEntries(columns.map((name, i) => [name, (fields[i] || '').trim()]));
+        const metadata = { title: record.title || record.question, row: index + 1 };
+
+        for (const key of ['category', 'topic', 'intent']) {
+            if (record[key]) {
+                metadata[key] = record[key];
+            }
+        }
+
+        return {
+            text: `Question: ${record.question}\n\nAnswer: ${record.answer}`,
+            metadata
+        };
+    });
+};
+
+/**
+ * Parsers keyed by file extension
+ * @type {Object<string, {format: string, parse: Function}>}
+ */
+export const PARSERS = {
+    '.md': { format: 'markdown', parse: parseMarkdown },
+    '.markdown': { format: 'markdown', parse: parseMarkdown },
+    '.html': { format: 'html', parse: parseHtml },
+    '.htm': { format: 'html', parse: parseHtml },
+    '.txt': { format: 'text', parse: parseText },
+    '.csv': { format: 'csv', parse: parseCsv }
+};
@@ -0,0 +1,410 @@
+/**
+ * Knowledge Base Retrieval Module
+ * @module knowledgeBase/retrieval
+ * @requires ../config
+ * @requires ./keywordIndex
+ *
+ * Retrieves knowledge base matches for a customer message, using the
+ * classified intent to narrow the search when the classifier is confident,
+ * and drops matches below the minimum relevance score so unrelated chunks
+ * never reach response generation.
+ *
+ * In `hybrid` mode (KB_RETRIEVAL_MODE, default) every search combines the
+ * vector results with BM25 keyword results using reciprocal rank fusion, so
+ * exact terms such as phone numbers or "SLA" are found even when the
+ * embeddings miss them. An optional local reranker re-scores the fused
+ * candidates. Each match reports its per-stage scores in `scores`.
+ *
+ * Strategies (KB_INTENT_STRATEGY):
+ * - `filter` (default): only search documents whose `metadata.intent` equals the
+ *   classified intent, falling back to an unfiltered search when the filtered
+ *   results are weak (too few matches or a low best score)
+ * - `boost`: search everything, but rank documents of the classified intent higher
+ * - `none`: always search the whole namespace
+ *
+ * Callers may also pass a base filter (e.g. the knowledge filter of the intent
+ * route) that every search of the request is restricted to.
+ *
+ * Configuration (the `retrieval` section, see config; environment variables shown):
+ * - KB_TOP_K (default 3) - matches passed to response generation
+ * - KB_MIN_SCORE (default 0.3) - minimum similarity score of a match; per-intent
+ *   overrides use the intent in upper case, e.g. KB_MIN_SCORE_BILLING_INQUIRY=0.4
+ * - KB_INTENT_MIN_CONFIDENCE (default 0.7) - classifier confidence needed to use the intent
+ * - KB_INTENT_BOOST (default 0.1) - score added to matching documents by `boost`
+ * - KB_RETRIEVAL_MODE (default hybrid) - `hybrid` or `vector` (embeddings only)
+ * - KB_RRF_K (default 60) - reciprocal rank fusion constant; higher values flatten rank differences
+ * - KB_RERANKER (default none) - `lexical` re-scores fused candidates by query term and phrase overlap
+ * - KB_MIN_KEYWORD_COVERAGE (default 0.6) - share of the query terms a keyword-only match
+ *   must contain to count as relevant (keyword-only matches have no similarity score)
+ * - KB_INTENT_FILTER_MIN_RESULTS (default 1), KB_INTENT_FILTER_MIN_SCORE (default KB_MIN_SCORE) -
+ *   filtered results with fewer matches or a lower best score are weak
+ * - KB_FALLBACK_CONTACT_CATEGORY (default contact_info) - category of the documents
+ *   quoted when no relevant knowledge is found
+ */
+
+import { getConfig } from '../config/index.js';
+import { tokenize } from './keywordIndex.js';
+
+/**
+ * How many more candidates than topK are fused, reranked or boosted
+ * @type {number}
+ */
+const CANDIDATE_FACTOR = 3;
+
+/**
+ * Local rerankers keyed by KB_RERANKER value (list new ones in the `retrieval.reranker`
+ * enum of the configuration schema). A reranker receives the query and the fused
+ * candidates and returns them with `scores.rerank` and a new `rankScore`.
+ * @type {Object<string, Function>}
+ */
+const rerankers = {
+    /**
+     * Blends the fused score with how many query terms and adjacent term
+     * pairs (phrases) the chunk contains
+     * @param {string} query - Search query
+     * @param {Array<Object>} matches - Fused candidates
+     * @returns {Array<Object>} Rescored candidates
+     */
+    lexical: (query, matches) => {
+        const queryTerms = tokenize(query);
+        const uniqueTerms = [...new Set(queryTerms)];
+        const queryPairs = new Set(queryTerms.slice(1).map((term, i) => `${queryTerms[i]} ${term}`));
+
+        return matches.map((match) => {
+            const terms = tokenize(match.metadata?.text);
+            const termSet = new Set(terms);
+            const pairs = new Set(terms.slice(1).map((term, i) => `${terms[i]} ${term}`));
+
+            const coverage = uniqueTerms.length
+                ? uniqueTerms.filter(term => termSet.has(term)).length / uniqueTerms.length
+                : 0;
+            const phrase = queryPairs.size
+                ? [...queryPairs].filter(pair => pairs.has(pair)).length / queryPairs.size
+                : coverage;
+            const rerank = 0.5 * match.rankScore + 0.5 * (0.7 * coverage + 0.3 * phrase);
+
+            return { ...match, rankScore: rerank, scores: { ...match.scores, rerank } };
+        });
+    }
+};
+
+/**
+ * Resolves the retrieval settings from the `retrieval` configuration
+ * @function getRetrievalConfig
+ * @returns {Object} Retrieval settings
+ */
+export const getRetrievalConfig = () => {
+    const { filterMinScore, fallbackContactCategory, ...retrieval } = getConfig().retrieval;
+    return {
+        ...retrieval,
+        filterMinScore: filterMinScore ?? retrieval.minScore
+    };
+};
+
+/**
+ * Returns the minimum relevance score for an intent
+ * @function getMinScore
+ * @param {string} [intent] - The classified intent
+ * @param {Object} [config] - Retrieval settings (defaults to getRetrievalConfig())
+ * @returns {number} Minimum similarity score
+ */
+export const getMinScore = (intent, config = getRetrievalConfig()) => (
+    config.minScoreByIntent[intent] ?? config.minScore
+);
+
+/**
+ * Whether a match is relevant enough to ground an answer: its similarity
+ * reaches the minimum score, or (for keyword hits) it contains enough of the query terms
+ * @param {Object} match - A match from queryKnowledgeBase
+ * @param {number} minScore - Minimum similarity score
+ * @param {Object} config - Retrieval settings
+ * @returns {boolean} Whether the match is relevant
+ */
+const isRelevant = (match, minScore, config) => (
+    (match.score !== null && match.score >= minScore)
+    || (match.scores.keywordCoverage ?? 0) >= config.minKeywordCoverage
+);
+
+/**
+ * Returns the highest similarity score of the matches
+ * @param {Array<Object>} matches - Matches from queryKnowledgeBase
+ * @returns {number|null} Best similarity score, or null if no match has one
+ */
+const bestScoreOf = (matches) => {
+    const scores = matches.map(match => match.score).filter(score => score !== null);
+    return scores.length ? Math.max(...scores) : null;
+};
+
+/**
+ * Fuses ranked result lists with reciprocal rank fusion. Each list contributes
+ * 1 / (k + rank) for every match it contains; the sum is normalized to 0-1
+ * (1 meaning first in every list).
+ * @function reciprocalRankFusion
+ * @param {Object<string, Array<{id: string, score: number, metadata: Object}>>} rankings - Ranked
+ *   lists keyed by stage name (e.g. vector, keyword)
+ * @param {number} [k=60] - Fusion constant
+ * @returns {Array<Object>} Fused matches ordered by fused score, with each stage's score and rank in `scores`
+ */
+export const reciprocalRankFusion = (rankings, k = 60) => {
+    const fused = new Map();
+    const stages = Object.entries(rankings);
+
+    for (const [stage, matches] of stages) {
+        matches.forEach((match, index) => {
+            const entry = fused.get(match.id) || { id: match.id, metadata: match.metadata, scores: {}, sum: 0 };
+            entry.scores[stage] = match.score;
+            entry.scores[`${stage}Rank`] = index + 1;
+            if (match.coverage !== undefined) {
+                entry.scores[`${stage}Coverage`] = match.coverage;
+            }
+            entry.sum += 1 / (k + index + 1);
+            fused.set(match.id, entry);
+        });
+    }
+
+    const maximum = stages.length / (k + 1);
+    return [...fused.values()]
+        .map(({ sum, ...entry }) => ({ ...entry, scores: { ...entry.scores, fused: sum / maximum } }))
+        .sort((a, b) => b.scores.fused - a.scores.fused);
+};
+
+/**
+ * Runs one knowledge base search in the configured mode and reranks the result.
+ * `score` stays the vector similarity (null for keyword-only matches) so score
+ * thresholds keep their meaning; the ranking uses `rankScore`.
+ * @async
+ * @function queryKnowledgeBase
+ * @param {Object} options - Search options
+ * @param {VectorStore} options.vectorStore - The knowledge base vectors
+ * @param {KeywordIndex} [options.keywordIndex] - The knowledge base keyword index (hybrid mode)
+ * @param {number[]} options.vector - The query embedding
+ * @param {string} options.query - The query text
+ * @param {number} options.topK - Maximum number of matches
+ * @param {Object} [options.filter] - Pinecone-style metadata filter
+ * @param {Object} [options.config] - Retrieval settings (defaults to getRetrievalConfig())
+ * @returns {Promise<Array<{id: string, score: number|null, rankScore: number, scores: Object, metadata: Object}>>}
+ *   Matches ordered by rankScore
+ */
+export const queryKnowledgeBase = async ({
+    vectorStore,
+    keywordIndex,
+    vector,
+    query,
+    topK,
+    filter,
+    config = getRetrievalConfig()
+}) => {
+    const hybrid = config.mode === 'hybrid' && keywordIndex;
+    const candidates = hybrid || config.reranker !== 'none' ? topK * CANDIDATE_FACTOR : topK;
+    const { matches: vectorMatches } = await vectorStore.query({ vector, topK: candidates, filter });
+
+    let matches;
+    if (hybrid) {
+        // The pipeline keeps the index for the life of the process: pick up ingestions made since
+        await keywordIndex.refresh();
+        const keywordMatches = keywordIndex.search(query, { topK: candidates, filter });
+        matches = reciprocalRankFusion({ vector: vectorMatches, keyword: keywordMatches }, config.rrfK)
+            .map(match => ({
+                id: match.id,
+                score: match.scores.vector ?? null,
+                rankScore: match.scores.fused,
+                scores: match.scores,
+                metadata: match.metadata
+            }));
+    } else {
+        matches = vectorMatches.map(match => ({
+            ...match,
+            rankScore: match.score,
+            scores: { vector: match.score }
+        }));
+    }
+
+    if (config.reranker !== 'none') {
+        matches = rerankers[config.reranker](query, matches).sort((a, b) => b.rankScore - a.rankScore);
+    }
+
+    return matches.slice(0, topK);
+};
+
+/**
+ * Combines two metadata filters so both must match
+ * @param {Object} [a] - First filter
+ * @param {Object} [b] - Second filter
+ * @returns {Object|undefined} The combined filter, or undefined when neither is set
+ */
+const combineFilters = (a, b) => (a && b ? { $and: [a, b] } : a || b);
+
+/**
+ * Searches the knowledge base using the classified intent according to the configured strategy
+ * @async
+ * @param {Object} options - Retrieval options (see retrieve)
+ * @returns {Promise<{matches: Array<Object>, retrieval: Object}>} The matches and a report of the strategy used
+ */
+const search = async ({ vectorStore, keywordIndex, vector, query, intent, baseFilter, config }) => {
+    const { topK, intentStrategy, intentMinConfidence } = config;
+    const runQuery = ({ filter, ...options }) => queryKnowledgeBase({
+        vectorStore,
+        keywordIndex,
+        vector,
+        query,
+        config,
+        ...options,
+        filter: combineFilters(baseFilter, filter)
+    });
+    const report = {
+        mode: keywordIndex ? config.mode : 'vector',
+        reranker: config.reranker,
+        intent: intent?.intent ?? null,
+        confidence: intent?.confidence ?? null,
+        minConfidence: intentMinConfidence,
+        ...(baseFilter && { baseFilter })
+    };
+
+    const confident = Boolean(intent?.intent) && Number(intent.confidence) >= intentMinConfidence;
+    if (intentStrategy === 'none' || !confident) {
+        return {
+            matches: await runQuery({ topK }),
+            retrieval: {
+                strategy: 'unfiltered',
+                reason: intentStrategy === 'none' ? 'intent_strategy_disabled' : 'low_intent_confidence',
+                ...report
+            }
+        };
+    }
+
+    if (intentStrategy === 'boost') {
+        const matches = await runQuery({ topK: topK * CANDIDATE_FACTOR });
+        const ranked = matches
+            .map((match) => {
+                const boosted = match.metadata?.intent === intent.intent;
+                return { ...match, boosted, rankScore: boosted ? match.rankScore + config.intentBoost : match.rankScore };
+            })
+            .sort((a, b) => b.rankScore - a.rankScore)
+            .slice(0, topK);
+
+        return {
+            matches: ranked.map(({ boosted, ...match }) => match),
+            retrieval: {
+                strategy: 'intent_boost',
+                boost: config.intentBoost,
+                boostedCount: ranked.filter(match => match.boosted).length,
+                ...report
+            }
+        };
+    }
+
+    const filter = { intent: { $eq: intent.intent } };
+    const matches = await runQuery({ topK, filter });
+    const strongMatches = matches.filter(match => isRelevant(match, config.filterMinScore, config));
+
+    if (strongMatches.length >= config.filterMinResults) {
+        return {
+            matches,
+            retrieval: { strategy: 'intent_filter', filter, ...report }
+        };
+    }
+
+    return {
+        matches: await runQuery({ topK }),
+        retrieval: {
+            strategy: 'unfiltered',
+            reason: 'weak_filtered_results',
+            filter,
+            filteredCount: matches.length,
+            filteredBestScore: bestScoreOf(matches),
+            ...report
+        }
+    };
+};
+
+/**
+ * Retrieves the relevant matches for a customer message: searches according to the
+ * intent strategy, then drops matches below the minimum relevance score.
+ * The base filter (the route's `knowledgeFilter`) is a preference like the
+ * intent filter: when it leaves fewer than `filterMinResults` matches scoring
+ * `filterMinScore`, the search is repeated without it, so documents ingested
+ * with another category can still answer.
+ * @async
+ * @function retrieve
+ * @param {Object} options - Retrieval options
+ * @param {VectorStore} options.vectorStore - The knowledge base vectors
+ * @param {KeywordIndex} [options.keywordIndex] - The knowledge base keyword index; without it
+ *   retrieval is vector-only
+ * @param {number[]} options.vector - The query embedding
+ * @param {string} options.query - The query text
+ * @param {{intent: string, confidence: number}} [options.intent] - The classified intent
+ * @param {Object} [options.baseFilter] - Metadata filter preferred for every search
+ * @param {Object} [options.config] - Retrieval settings (defaults to getRetrievalConfig())
+ * @returns {Promise<{matches: Array<Object>, retrieval: Object}>} The relevant matches and a
+ *   report of the strategy used and the relevance filtering
+ *
+ * @example
+ * const { matches, retrieval } = await retrieve({ vectorStore, keywordIndex, vector, query, intent });
+ * // retrieval.strategy: 'intent_filter' | 'intent_boost' | 'unfiltered'
+ * // retrieval.grounded: false when no match was relevant enough
+ * // retrieval.baseFilterApplied: false when the base filter was dropped
+ */
+export const retrieve = async ({
+    vectorStore,
+    keywordIndex,
+    vector,
+    query,
+    intent,
+    baseFilter,
+    config = getRetrievalConfig()
+}) => {
+    let { matches, retrieval } = await search({ vectorStore, keywordIndex, vector, query, intent, baseFilter, config });
+
+    if (baseFilter) {
+        const strongMatches = matches.filter(match => isRelevant(match, config.filterMinScore, config));
+        if (strongMatches.length >= config.filterMinResults) {
+            retrieval = { ...retrieval, baseFilterApplied: true };
+        } else {
+            const filtered = { count: matches.length, bestScore: bestScoreOf(matches) };
+            ({ matches, retrieval } = await search({ vectorStore, keywordIndex, vector, query, intent, config }));
+            retrieval = {
+                ...retrieval,
+                baseFilter,
+                baseFilterApplied: false,
+                baseFilterReason: 'weak_filtered_results',
+                baseFilteredCount: filtered.count,
+                baseFilteredBestScore: filtered.bestScore
+            };
+        }
+    }
+
+    const minScore = getMinScore(intent?.intent, config);
+    const relevant = matches.filter(match => isRelevant(match, minScore, config));
+
+    return {
+        matches: relevant,
+        retrieval: {
+            ...retrieval,
+            minScore,
+            bestScore: bestScoreOf(matches),
+            discarded: matches.length - relevant.length,
+            grounded: relevant.length > 0
+        }
+    };
+};
+
+/**
+ * Looks up the contact information document quoted by the grounded fallback
+ * @async
+ * @function findContactInfo
+ * @param {Object} options - Lookup options
+ * @param {VectorStore} options.vectorStore - The knowledge base
+ * @param {Object} options.embeddings - Embeddings client
+ * @returns {Promise<{id: string, text: string}|null>} The best contact chunk, or null if the knowledge base has none
+ */
+export const findContactInfo = async ({ vectorStore, embeddings }) => {
+    const category = getConfig().retrieval.fallbackContactCategory;
+    const vector = await embeddings.embedQuery('How can I contact customer support?');
+    const { matches } = await vectorStore.query({
+        vector,
+        topK: 1,
+        filter: { category: { $eq: category } }
+    });
+
+    return matches.length ? { id: matches[0].id, text: matches[0].metadata.text } : null;
+};
@@ -0,0 +1,264 @@
+/**
+ * Structured Logger Module
+ * @module logging/logger
+ * @requires async_hooks
+ *
+ * Writes one JSON object per line with the time, level, message and fields
+ * of every log entry. Entries written while an HTTP request is handled carry
+ * its `requestId` (see `runWithRequestContext`), so everything logged for a
+ * request, in the pipeline or below it, can be found from the id returned to
+ * the client.
+ *
+ * Customer content is redacted by default: string values under keys that hold
+ * messages, answers, prompts or contact details (see REDACTED_KEYS) are
+ * replaced by their length, at any depth, as are strings listed under those
+ * keys. Set LOG_REDACT=false to log them
+ * when debugging locally. The same rules apply to data served outside the
+ * logs, such as recorded traces (see `redactCustomerContent`).
+ *
+ * - LOG_LEVEL (default info) - debug, info, warn or error
+ * - LOG_FORMAT (default json) - `json`, or `pretty` for one readable line per entry
+ * - LOG_REDACT (default true) - `false` to log customer content
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Log levels by severity
+ * @type {Object<string, number>}
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Keys whose string values (at any depth) are customer content
+ * @type {Set<string>}
+ */
+export const REDACTED_KEYS = new Set([
+    'message',
+    'userMessage',
+    'messages',
+    'history',
+    'transcript',
+    'response',
+    'content',
+    'text',
+    'pageContent',
+    'question',
+    'reasoning',
+    'query',
+    'prompt',
+    'optimizedPrompt',
+    'rawOutput',
+    'email',
+    'sentTo'
+]);
+
+/**
+ * Request details of the code currently running, kept across async calls
+ * @type {AsyncLocalStorage}
+ */
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Runs a function with request details attached to every entry it logs
+ * @function runWithRequestContext
+ * @param {Object} context - Request details (e.g. `{ requestId }`)
+ * @param {Function} fn - Function to run
+ * @returns {*} The function result
+ */
+export const runWithRequestContext = (context, fn) => requestContext.run(context, fn);
+
+/**
+ * Returns the id of the request being handled
+ * @function getRequestId
+ * @returns {string|undefined} The request id, outside a request undefined
+ */
+export const getRequestId = () => requestContext.getStore()?.requestId;
+
+/**
+ * Reduces an error to serializable fields
+ * @param {Error} error - The error
+ * @returns {Object} Name, message, code and stack
+ */
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    stack: error.stack
+});
+
+/**
+ * Whether customer content is redacted from logs
+ * @returns {boolean} False only when LOG_REDACT is `false`
+ */
+const isRedactionEnabled = () => process.env.LOG_REDACT !== 'false';
+
+/**
+ * Whether a value is a plain object (not an array, error or date)
+ * @param {*} value - The value
+ * @returns {boolean} Whether it is a plain object
+ */
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+/**
+ * Prepares a field value for logging: errors are serialized and customer
+ * content is replaced by its length unless redaction is disabled
+ * @param {*} value - The value
+ * @param {boolean} redact - Whether the value is customer content to redact
+ * @param {WeakSet} seen - Objects already visited, to stop on cycles
+ * @returns {*} A JSON-safe value
+ */
+const sanitize = (value, redact, seen = new WeakSet()) => {
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (typeof value === 'string') {
+        return redact ? `[redacted ${value.length} chars]` : value;
+    }
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (seen.has(value)) {
+        return '[circular]';
+    }
+    seen.add(value);
+
+    // Objects, even under a content key (e.g. a response with its metadata or
+    // a chat message), are searched for content keys of their own
+    if (Array.isArray(value)) {
+        return value.map(item => sanitize(item, redact && !isPlainObject(item), seen));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        sanitize(item, isRedactionEnabled() && REDACTED_KEYS.has(key) && !isPlainObject(item), seen)
+    ]));
+};
+
+/**
+ * Redacts customer content from a value with the rules of log entries,
+ * unless LOG_REDACT is `false`
+ * @function redactCustomerContent
+ * @param {*} value - The value (e.g. a trace with its spans)
+ * @returns {*} A JSON-safe copy with customer content replaced by its length
+ */
+export const redactCustomerContent = (value) => sanitize(value, false);
+
+/**
+ * Returns the configured minimum level
+ * @returns {number} Severity of LOG_LEVEL, info when unset or unknown
+ */
+const minimumLevel = () => LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS.info;
+
+/**
+ * Formats an entry as a readable line for local development
+ * @param {Object} entry - The log entry
+ * @returns {string} The line
+ */
+const formatPretty = ({ time, level, msg, ...fields }) => {
+    const details = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+    return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${details}`;
+};
+
+/**
+ * Logger writing structured entries with fixed fields
+ * @class Logger
+ */
+export class Logger {
+    /**
+     * @constructor
+     * @param {Object} [bindings={}] - Fields added to every entry (e.g. `{ component: 'pipeline' }`)
+     */
+    constructor(bindings = {}) {
+        this.bindings = bindings;
+    }
+
+    /**
+     * Creates a logger adding more fields to every entry
+     * @method child
+     * @param {Object} bindings - Additional fields
+     * @returns {Logger} The child logger
+     */
+    child(bindings) {
+        return new Logger({ ...this.bindings, ...bindings });
+    }
+
+    /**
+     * Writes an entry if its level is enabled
+     * @private
+     * @param {string} level - debug, info, warn or error
+     * @param {string} msg - What happened
+     * @param {Object} [fields={}] - Details of the entry
+     * @returns {void}
+     */
+    write(level, msg, fields = {}) {
+        if (LEVELS[level] < minimumLevel()) {
+            return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...(getRequestId() && { requestId: getRequestId() }),
+            ...sanitize({ ...this.bindings, ...fields }, false)
+        };
+        const line = process.env.LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+        (LEVELS[level] >= LEVELS.error ? process.stderr : process.stdout).write(`${line}\n`);
+    }
+
+    /**
+     * Logs details useful when debugging (node outputs, provider responses)
+     * @method debug
+     * @param {string} msg - What happened
+     * @param {Object} [fields] - Details of the entry
+     * @returns {void}
+     */
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+
+    /**
+     * Logs a normal event (request completed, run finished)
+     * @method info
+     * @param {string} msg - What happened
+     * @param {Object} [fields] - Details of the entry
+     * @returns {void}
+     */
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+
+    /**
+     * Logs an unexpected but handled condition
+     * @method warn
+     * @param {string} msg - What happened
+     * @param {Object} [fields] - Details of the entry
+     * @returns {void}
+     */
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+
+    /**
+     * Logs a failure; pass the error as the `error` field
+     * @method error
+     * @param {string} msg - What failed
+     * @param {Object} [fields] - Details of the entry
+     * @returns {void}
+     */
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+}
+
+/**
+ * Shared root logger
+ * @type {Logger}
+ */
+export const logger = new Logger();
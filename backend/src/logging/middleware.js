@@ -0,0 +1,83 @@
+/**
+ * Request Logging Middleware Module
+ * @module logging/middleware
+ * @requires crypto
+ * @requires ./logger
+ *
+ * Gives every HTTP request an id, taken from a valid `X-Request-Id` header or
+ * generated, echoes it in the `X-Request-Id` response header and attaches it
+ * to everything logged while the request is handled. Each request is logged
+ * once it completes, replacing the morgan access log.
+ */
+
+import { randomUUID } from 'crypto';
+import { logger, runWithRequestContext } from './logger.js';
+
+/**
+ * Request ids accepted from clients and proxies
+ * @type {RegExp}
+ */
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Logger of HTTP requests
+ * @type {import('./logger.js').Logger}
+ */
+const log = logger.child({ component: 'http' });
+
+/**
+ * Express middleware choosing the request id (`req.id`) and echoing it in the response headers
+ * @function assignRequestId
+ * @param {Object} req - The request
+ * @param {Object} res - The response
+ * @param {Function} next - Next middleware
+ * @returns {void}
+ */
+export const assignRequestId = (req, res, next) => {
+    const header = req.get('X-Request-Id');
+    req.id = header && REQUEST_ID_PATTERN.test(header) ? header : randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+/**
+ * Express middleware running the rest of the request with its id in the
+ * logging context. Mount it after the body parser: parsing continues on
+ * socket events, which do not carry the context.
+ * @function bindRequestContext
+ * @param {Object} req - The request, with `req.id` set by assignRequestId
+ * @param {Object} res - The response
+ * @param {Function} next - Next middleware
+ * @returns {void}
+ */
+export const bindRequestContext = (req, res, next) => {
+    runWithRequestContext({ requestId: req.id }, next);
+};
+
+/**
+ * Express middleware logging every request once the response is done
+ * (or the client went away), at warn level for 4xx and error level for 5xx
+ * @function requestLogger
+ * @param {Object} req - The request
+ * @param {Object} res - The response
+ * @param {Function} next - Next middleware
+ * @returns {void}
+ */
+export const requestLogger = (req, res, next) => {
+    const start = process.hrtime.bigint();
+
+    res.on('close', () => {
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        log[level]('Request completed', {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6),
+            ...(req.apiClient && { client: req.apiClient.name }),
+            ...(!res.writableFinished && { aborted: true })
+        });
+    });
+
+    next();
+};
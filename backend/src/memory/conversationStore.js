@@ -0,0 +1,400 @@
+/**
+ * Conversation Memory Module
+ * @module memory/conversationStore
+ * @requires fs/promises
+ * @requires path
+ * @requires ../config
+ * @requires ../utils/textProcessor
+ *
+ * Keeps the turn history of each chat session so follow-up messages
+ * ("and how do I cancel it?") can be resolved against earlier turns.
+ * Conversations live in memory and are written through a pluggable
+ * persistence adapter.
+ */
+
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { getConfig } from '../config/index.js';
+import { TextProcessor } from '../utils/textProcessor.js';
+
+/**
+ * Persistence adapter that keeps conversations only for the lifetime of the
+ * process. Sessions idle for longer than `ttlMs` are forgotten, and the least
+ * recently used ones beyond `maxSessions`, so memory stays bounded.
+ * @class InMemoryPersistenceAdapter
+ */
+export class InMemoryPersistenceAdapter {
+    /**
+     * @constructor
+     * @param {Object} [options={}] - Adapter options
+     * @param {number} [options.maxSessions=10000] - Sessions kept
+     * @param {number} [options.ttlMs=86400000] - Milliseconds a session is kept after its last use
+     * @param {Function} [options.now=Date.now] - Clock in milliseconds
+     */
+    constructor({ maxSessions = 10000, ttlMs = 86400000, now = Date.now } = {}) {
+        this.maxSessions = maxSessions;
+        this.ttlMs = ttlMs;
+        this.now = now;
+        // Session id -> { conversation, expiresAt }, least recently used first
+        this.conversations = new Map();
+    }
+
+    /**
+     * Marks a session as the most recently used one
+     * @private
+     * @param {string} sessionId - The conversation session id
+     * @param {Object} conversation - The conversation
+     * @returns {void}
+     */
+    touch(sessionId, conversation) {
+        this.conversations.delete(sessionId);
+        this.conversations.set(sessionId, { conversation, expiresAt: this.now() + this.ttlMs });
+    }
+
+    /**
+     * Forgets expired sessions and the least recently used ones beyond
+     * `maxSessions`. Every use extends a session by the same lifetime, so
+     * the Map order is also the expiry order.
+     * @private
+     * @returns {void}
+     */
+    evict() {
+        const now = this.now();
+        for (const [sessionId, { expiresAt }] of this.conversations) {
+            if (expiresAt > now && this.conversations.size <= this.maxSessions) {
+                break;
+            }
+            this.conversations.delete(sessionId);
+        }
+    }
+
+    /**
+     * Loads a stored conversation
+     * @async
+     * @param {string} sessionId - The conversation session id
+     * @returns {Promise<Object|null>} The stored conversation or null
+     */
+    async load(sessionId) {
+        const entry = this.conversations.get(sessionId);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= this.now()) {
+            this.conversations.delete(sessionId);
+            return null;
+        }
+        this.touch(sessionId, entry.conversation);
+        return entry.conversation;
+    }
+
+    /**
+     * Stores a conversation
+     * @async
+     * @param {string} sessionId - The conversation session id
+     * @param {Object} conversation - The conversation to store
+     * @returns {Promise<void>}
+     */
+    async save(sessionId, conversation) {
+        this.touch(sessionId, conversation);
+        this.evict();
+    }
+
+    /**
+     * Removes a stored conversation
+     * @async
+     * @param {string} sessionId - The conversation session id
+     * @returns {Promise<void>}
+     */
+    async delete(sessionId) {
+        this.conversations.delete(sessionId);
+    }
+}
+
+/**
+ * Persistence adapter that writes every conversation to a single JSON file
+ * so sessions survive a server restart. Before each write, sessions not
+ * updated for longer than `ttlMs` are dropped, then the least recently
+ * updated ones beyond `maxSessions`, so the file stays bounded.
+ * @class JsonFilePersistenceAdapter
+ */
+export class JsonFilePersistenceAdapter {
+    /**
+     * @constructor
+     * @param {string} filePath - Location of the JSON file
+     * @param {Object} [options={}] - Adapter options
+     * @param {number} [options.maxSessions=10000] - Sessions kept
+     * @param {number} [options.ttlMs=86400000] - Milliseconds a session is kept after its last update
+     * @param {Function} [options.now=Date.now] - Clock in milliseconds
+     */
+    constructor(filePath, { maxSessions = 10000, ttlMs = 86400000, now = Date.now } = {}) {
+        this.filePath = filePath;
+        this.maxSessions = maxSessions;
+        this.ttlMs = ttlMs;
+        this.now = now;
+        this.conversations = null;
+        this.loading = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Reads the JSON file on first access. Concurrent first calls share one
+     * read, so none of them replaces conversations another has already changed.
+     * @async
+     * @private
+     * @returns {Promise<Object>} Conversations keyed by session id
+     */
+    async readAll() {
+        if (!this.loading) {
+            this.loading = (async () => {
+                try {
+                    this.conversations = JSON.parse(await readFile(this.filePath, 'utf8'));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        throw error;
+                    }
+                    this.conversations = {};
+                }
+                return this.conversations;
+            })();
+            // Do not cache a failed read so the next request can retry
+            this.loading.catch(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Returns when a conversation was last updated
+     * @private
+     * @param {Object} conversation - The conversation
+     * @returns {number} Time in milliseconds, 0 when it is not recorded
+     */
+    lastUpdate(conversation) {
+        return Date.parse(conversation.updatedAt ?? conversation.createdAt) || 0;
+    }
+
+    /**
+     * Tells whether a conversation was not updated for longer than `ttlMs`
+     * @private
+     * @param {Object} conversation - The conversation
+     * @returns {boolean} Whether it expired
+     */
+    isExpired(conversation) {
+        return this.lastUpdate(conversation) + this.ttlMs <= this.now();
+    }
+
+    /**
+     * Drops expired sessions and the least recently updated ones beyond
+     * `maxSessions`. The conversations object is changed in place, since
+     * concurrent calls hold it.
+     * @private
+     * @returns {void}
+     */
+    evict() {
+        const conversations = this.conversations;
+        const kept = Object.keys(conversations).filter((sessionId) => {
+            if (this.isExpired(conversations[sessionId])) {
+                delete conversations[sessionId];
+                return false;
+            }
+            return true;
+        });
+
+        kept
+            .sort((a, b) => this.lastUpdate(conversations[a]) - this.lastUpdate(conversations[b]))
+            .slice(0, Math.max(0, kept.length - this.maxSessions))
+            .forEach(sessionId => delete conversations[sessionId]);
+    }
+
+    /**
+     * Serializes writes so concurrent requests never interleave on disk. A
+     * failed write rejects for its caller only; later writes still run.
+     * @async
+     * @private
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        this.evict();
+        this.writeQueue = this.writeQueue
+            .catch(() => {})
+            .then(async () => {
+                await mkdir(path.dirname(this.filePath), { recursive: true });
+                await writeFile(this.filePath, JSON.stringify(this.conversations, null, 2));
+            });
+        return this.writeQueue;
+    }
+
+    async load(sessionId) {
+        const conversation = (await this.readAll())[sessionId];
+        return conversation && !this.isExpired(conversation) ? conversation : null;
+    }
+
+    async save(sessionId, conversation) {
+        const conversations = await this.readAll();
+        conversations[sessionId] = conversation;
+        await this.flush();
+    }
+
+    async delete(sessionId) {
+        const conversations = await this.readAll();
+        delete conversations[sessionId];
+        await this.flush();
+    }
+}
+
+/**
+ * Conversation store that trims history to a turn window and a token budget,
+ * and keeps at most `maxTurns` turns of each session
+ * @class ConversationStore
+ */
+export class ConversationStore {
+    /**
+     * @constructor
+     * @param {Object} [options={}] - Store options
+     * @param {Object} [options.adapter] - Persistence adapter (load/save/delete)
+     * @param {number} [options.window=5] - Maximum number of previous turns returned
+     * @param {number} [options.tokenBudget=1500] - Maximum estimated tokens of history returned
+     * @param {number} [options.maxTurns=50] - Turns stored per session; the oldest are dropped beyond it
+     */
+    constructor(options = {}) {
+        this.adapter = options.adapter || new InMemoryPersistenceAdapter();
+        this.window = options.window ?? 5;
+        this.tokenBudget = options.tokenBudget ?? 1500;
+        this.maxTurns = options.maxTurns ?? 50;
+    }
+
+    /**
+     * Returns the recent history of a session as chat messages, newest last.
+     * A turn is one user message plus the assistant reply; the oldest turns
+     * are dropped first when the window or token budget is exceeded.
+     *
+     * @async
+     * @method getHistory
+     * @param {string} sessionId - The conversation session id
+     * @returns {Promise<Array<{role: string, content: string}>>} Chat messages
+     */
+    async getHistory(sessionId) {
+        const conversation = await this.adapter.load(sessionId);
+        if (!conversation) {
+            return [];
+        }
+
+        const turns = conversation.turns.slice(-this.window);
+        const history = [];
+        let tokens = 0;
+
+        for (let i = turns.length - 1; i >= 0; i--) {
+            const turn = turns[i];
+            const turnTokens = TextProcessor.estimateTokens(turn.userMessage)
+                + TextProcessor.estimateTokens(turn.response);
+
+            if (tokens + turnTokens > this.tokenBudget) {
+                break;
+            }
+            tokens += turnTokens;
+
+            history.unshift(
+                { role: 'user', content: turn.userMessage },
+                { role: 'assistant', content: turn.response }
+            );
+        }
+
+        return history;
+    }
+
+    /**
+     * Returns every stored turn of a session, oldest first, with its metadata
+     * (intent, outcome, timestamp). Unlike getHistory it is not trimmed to
+     * the history window, only to the `maxTurns` kept.
+     *
+     * @async
+     * @method getTurns
+     * @param {string} sessionId - The conversation session id
+     * @returns {Promise<Array<Object>>} The stored turns
+     */
+    async getTurns(sessionId) {
+        const conversation = await this.adapter.load(sessionId);
+        return conversation ? conversation.turns : [];
+    }
+
+    /**
+     * Records a completed turn for a session, dropping its oldest turns
+     * beyond `maxTurns`
+     *
+     * @async
+     * @method appendTurn
+     * @param {string} sessionId - The conversation session id
+     * @param {Object} turn - The completed turn
+     * @param {string} turn.userMessage - The customer's message
+     * @param {string} turn.response - The assistant's reply
+     * @param {string} [turn.intent] - The classified intent
+     * @param {string} [turn.outcome] - How the turn ended: answered, fallback, clarification or escalated
+     * @param {Object|null} [turn.pendingAction] - Account action the customer was asked to confirm
+     * @returns {Promise<void>}
+     */
+    async appendTurn(sessionId, turn) {
+        const now = new Date().toISOString();
+        const conversation = await this.adapter.load(sessionId) || {
+            sessionId,
+            createdAt: now,
+            turns: []
+        };
+
+        conversation.turns.push({ ...turn, timestamp: now });
+        conversation.turns = conversation.turns.slice(-this.maxTurns);
+        conversation.updatedAt = now;
+
+        await this.adapter.save(sessionId, conversation);
+    }
+
+    /**
+     * Forgets a session entirely
+     *
+     * @async
+     * @method clear
+     * @param {string} sessionId - The conversation session id
+     * @returns {Promise<void>}
+     */
+    async clear(sessionId) {
+        await this.adapter.delete(sessionId);
+    }
+}
+
+/**
+ * Persistence adapters selectable through CONVERSATION_STORE
+ * @type {Object<string, Function>}
+ */
+const adapters = {
+    memory: ({ maxSessions, sessionTtlMs }) => new InMemoryPersistenceAdapter({ maxSessions, ttlMs: sessionTtlMs }),
+    file: ({ path: filePath, maxSessions, sessionTtlMs }) => new JsonFilePersistenceAdapter(filePath, { maxSessions, ttlMs: sessionTtlMs })
+};
+
+/**
+ * Creates a conversation store from the `conversations` configuration
+ * @function createConversationStore
+ * @returns {ConversationStore} Configured conversation store
+ * @throws {Error} If CONVERSATION_STORE names an unknown adapter
+ */
+export const createConversationStore = () => {
+    const settings = getConfig().conversations;
+    const { store: adapterName, historyWindow, historyTokenBudget, maxTurns } = settings;
+    const createAdapter = adapters[adapterName];
+
+    if (!createAdapter) {
+        throw new Error(`Unknown conversation store "${adapterName}"`);
+    }
+
+    return new ConversationStore({
+        adapter: createAdapter(settings),
+        window: historyWindow,
+        tokenBudget: historyTokenBudget,
+        maxTurns
+    });
+};
+
+/**
+ * Shared conversation store used by both agents
+ * @type {ConversationStore}
+ */
+export const conversationStore = createConversationStore();
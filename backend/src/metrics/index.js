@@ -0,0 +1,181 @@
+/**
+ * Application Metrics Module
+ * @module metrics
+ * @requires ./registry
+ *
+ * The metrics exposed at `/metrics` for Prometheus. HTTP metrics are recorded
+ * by the `httpMetrics` and `rateLimit` middlewares; pipeline metrics (node durations, intents,
+ * fallbacks, escalations, LLM errors and knowledge base hits) by the
+ * `metrics` pipeline plugin (see pipeline/plugins/metrics).
+ *
+ * Labels only take bounded values (route patterns, node and intent names) so
+ * the number of series stays small.
+ */
+
+import { CONTENT_TYPE, Registry } from './registry.js';
+
+/**
+ * Registry of every application metric
+ * @type {Registry}
+ */
+export const registry = new Registry();
+
+/**
+ * HTTP requests by method, route pattern and status code
+ * @type {import('./registry.js').Counter}
+ */
+export const httpRequestsTotal = registry.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests handled, by method, route and status code',
+    labelNames: ['method', 'route', 'status']
+});
+
+/**
+ * HTTP request latency by method, route pattern and status code
+ * @type {import('./registry.js').Histogram}
+ */
+export const httpRequestDuration = registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency in seconds, by method, route and status code',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 40, 60]
+});
+
+/**
+ * Duration of every pipeline node and tool call
+ * @type {import('./registry.js').Histogram}
+ */
+export const pipelineNodeDuration = registry.histogram({
+    name: 'pipeline_node_duration_seconds',
+    help: 'Pipeline node and tool call duration in seconds, by pipeline, node, type and status',
+    labelNames: ['pipeline', 'node', 'type', 'status']
+});
+
+/**
+ * Classified intents
+ * @type {import('./registry.js').Counter}
+ */
+export const intentsTotal = registry.counter({
+    name: 'pipeline_intents_total',
+    help: 'Customer messages by classified intent',
+    labelNames: ['pipeline', 'intent']
+});
+
+/**
+ * Grounded fallback answers
+ * @type {import('./registry.js').Counter}
+ */
+export const fallbacksTotal = registry.counter({
+    name: 'pipeline_fallbacks_total',
+    help: 'Requests answered with the grounded fallback instead of a generated answer, by reason',
+    labelNames: ['pipeline', 'reason']
+});
+
+/**
+ * Conversations handed over to a human
+ * @type {import('./registry.js').Counter}
+ */
+export const escalationsTotal = registry.counter({
+    name: 'pipeline_escalations_total',
+    help: 'Conversations handed over to a human, by escalation reason',
+    labelNames: ['pipeline', 'reason']
+});
+
+/**
+ * Failed LLM nodes
+ * @type {import('./registry.js').Counter}
+ */
+export const llmErrorsTotal = registry.counter({
+    name: 'llm_errors_total',
+    help: 'LLM node failures, by pipeline, node and error code',
+    labelNames: ['pipeline', 'node', 'code']
+});
+
+/**
+ * Knowledge base searches with and without matches
+ * @type {import('./registry.js').Counter}
+ */
+export const knowledgeBaseSearchesTotal = registry.counter({
+    name: 'knowledge_base_searches_total',
+    help: 'Knowledge base searches by result: hit (at least one match) or miss',
+    labelNames: ['pipeline', 'result']
+});
+
+/**
+ * Chat requests refused by the rate limits
+ * @type {import('./registry.js').Counter}
+ */
+export const rateLimitedRequestsTotal = registry.counter({
+    name: 'http_rate_limited_requests_total',
+    help: 'Requests refused with 429 by the rate limits, by limit: ip or apiKey',
+    labelNames: ['limit']
+});
+
+/**
+ * Names the middleware that may answer a request before any route does
+ * (authentication, rate limiting), so its responses are labeled with the
+ * path it is mounted on and its name, e.g. `/api/chat (rateLimit)`, instead
+ * of `unmatched`. A route that handles the request afterwards takes precedence.
+ * @function setMiddlewareRoute
+ * @param {Object} req - The request
+ * @param {Object} res - The response
+ * @param {string} name - Name of the middleware
+ * @returns {void}
+ */
+export const setMiddlewareRoute = (req, res, name) => {
+    res.locals.metricsRoute = `${req.baseUrl || '/'} (${name})`;
+};
+
+/**
+ * Route label of a request: the matched route pattern, so ids in paths do
+ * not create a series per request. Of a route registered with several paths,
+ * the one that was requested.
+ * @param {Object} req - The request
+ * @param {Object} res - The response
+ * @returns {string} The route pattern, the middleware that answered (see setMiddlewareRoute),
+ *   or `unmatched` when no route handled the request
+ */
+const routeOf = (req, res) => {
+    if (!req.route) {
+        return res.locals.metricsRoute ?? 'unmatched';
+    }
+    if (!Array.isArray(req.route.path)) {
+        return `${req.baseUrl}${req.route.path}`;
+    }
+    const requestedPath = req.originalUrl.split('?')[0];
+    const paths = req.route.path.map(path => `${req.baseUrl}${path}`);
+    return paths.find(path => path === requestedPath) ?? paths.join('|');
+};
+
+/**
+ * Express middleware counting requests and timing them until the response is done
+ * @function httpMetrics
+ * @param {Object} req - The request
+ * @param {Object} res - The response
+ * @param {Function} next - Next middleware
+ * @returns {void}
+ */
+export const httpMetrics = (req, res, next) => {
+    const start = process.hrtime.bigint();
+
+    // 'close' also fires when the client disconnects early (e.g. an aborted stream)
+    res.on('close', () => {
+        const labels = { method: req.method, route: routeOf(req, res), status: res.statusCode };
+        httpRequestsTotal.inc(labels);
+        httpRequestDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    });
+
+    next();
+};
+
+/**
+ * Express handler answering a Prometheus scrape
+ * @function metricsHandler
+ * @param {Object} req - The request
+ * @param {Object} res - The response
+ * @returns {void}
+ */
+export const metricsHandler = (req, res) => {
+    res.set('Content-Type', CONTENT_TYPE);
+    res.send(registry.render());
+};
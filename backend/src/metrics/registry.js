@@ -0,0 +1,241 @@
+/**
+ * Metrics Registry Module
+ * @module metrics/registry
+ *
+ * Counters and histograms rendered in the Prometheus text exposition format
+ * (version 0.0.4), enough for the server's `/metrics` endpoint without a
+ * dependency. Every metric declares its label names up front; each distinct
+ * combination of label values is a separate series.
+ */
+
+/**
+ * Content type of the exposition format
+ * @type {string}
+ */
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Default histogram buckets, in seconds
+ * @type {number[]}
+ */
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escapes a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabelValue = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+
+/**
+ * Formats a label set as `{name="value",...}`
+ * @param {Array<[string, *]>} pairs - Label names and values
+ * @returns {string} Label set, empty when there are no labels
+ */
+const formatLabels = (pairs) => (pairs.length
+    ? `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`
+    : '');
+
+/**
+ * Base class of metrics keeping one value per label combination
+ * @class Metric
+ */
+class Metric {
+    /**
+     * @constructor
+     * @param {Object} options - Metric definition
+     * @param {string} options.name - Metric name
+     * @param {string} options.help - Description shown in the HELP line
+     * @param {string[]} [options.labelNames=[]] - Names of the labels of every series
+     * @param {string} type - counter or histogram
+     */
+    constructor({ name, help, labelNames = [] }, type) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.type = type;
+        this.series = new Map();
+    }
+
+    /**
+     * Returns the series of a label combination, creating it when needed
+     * @private
+     * @param {Object} labels - Label values by name
+     * @param {Function} create - Returns the initial value of a new series
+     * @returns {Object} The series: its label pairs and value
+     */
+    getSeries(labels, create) {
+        const values = this.labelNames.map(name => String(labels[name] ?? ''));
+        const key = JSON.stringify(values);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: this.labelNames.map((name, i) => [name, values[i]]), value: create() });
+        }
+        return this.series.get(key);
+    }
+
+    /**
+     * Renders the metric in the exposition format
+     * @method collect
+     * @returns {string} HELP and TYPE lines followed by one line per sample
+     */
+    collect() {
+        return [
+            `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+            `# TYPE ${this.name} ${this.type}`,
+            ...[...this.series.values()].flatMap(series => this.samples(series))
+        ].join('\n');
+    }
+}
+
+/**
+ * Monotonically increasing count
+ * @class Counter
+ * @extends Metric
+ */
+export class Counter extends Metric {
+    /**
+     * @constructor
+     * @param {Object} options - Metric definition (see Metric)
+     */
+    constructor(options) {
+        super(options, 'counter');
+    }
+
+    /**
+     * Increments the series of a label combination
+     * @method inc
+     * @param {Object} [labels={}] - Label values by name
+     * @param {number} [value=1] - Amount to add, must not be negative
+     * @returns {void}
+     */
+    inc(labels = {}, value = 1) {
+        this.getSeries(labels, () => ({ count: 0 })).value.count += value;
+    }
+
+    /**
+     * Renders the sample of a series
+     * @private
+     * @param {Object} series - The series
+     * @returns {string[]} The sample line
+     */
+    samples({ labels, value }) {
+        return [`${this.name}${formatLabels(labels)} ${value.count}`];
+    }
+}
+
+/**
+ * Distribution of observed values (durations) in cumulative buckets
+ * @class Histogram
+ * @extends Metric
+ */
+export class Histogram extends Metric {
+    /**
+     * @constructor
+     * @param {Object} options - Metric definition (see Metric)
+     * @param {number[]} [options.buckets=DEFAULT_BUCKETS] - Upper bounds of the buckets, ascending
+     */
+    constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+        super(options, 'histogram');
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    /**
+     * Records a value in the series of a label combination
+     * @method observe
+     * @param {Object} labels - Label values by name
+     * @param {number} value - Observed value (seconds for durations)
+     * @returns {void}
+     */
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        })).value;
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Renders the bucket, sum and count samples of a series
+     * @private
+     * @param {Object} series - The series
+     * @returns {string[]} The sample lines
+     */
+    samples({ labels, value }) {
+        return [
+            ...this.buckets.map((bound, i) => (
+                `${this.name}_bucket${formatLabels([...labels, ['le', bound]])} ${value.counts[i]}`
+            )),
+            `${this.name}_bucket${formatLabels([...labels, ['le', '+Inf']])} ${value.count}`,
+            `${this.name}_sum${formatLabels(labels)} ${value.sum}`,
+            `${this.name}_count${formatLabels(labels)} ${value.count}`
+        ];
+    }
+}
+
+/**
+ * Set of metrics exposed together
+ * @class Registry
+ */
+export class Registry {
+    /**
+     * @constructor
+     */
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    /**
+     * Adds a metric to the registry
+     * @private
+     * @param {Metric} metric - The metric
+     * @returns {Metric} The metric
+     * @throws {Error} If a metric with the same name is already registered
+     */
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric "${metric.name}" is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    /**
+     * Creates and registers a counter
+     * @method counter
+     * @param {Object} options - Counter definition: name, help, labelNames
+     * @returns {Counter} The counter
+     */
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    /**
+     * Creates and registers a histogram
+     * @method histogram
+     * @param {Object} options - Histogram definition: name, help, labelNames, buckets
+     * @returns {Histogram} The histogram
+     */
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    /**
+     * Renders every metric in the exposition format
+     * @method render
+     * @returns {string} The scrape response body
+     */
+    render() {
+        return `${[...this.metrics.values()].map(metric => metric.collect()).join('\n')}\n`;
+    }
+}
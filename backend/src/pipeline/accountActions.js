@@ -0,0 +1,216 @@
+/**
+ * Account Action Node Module
+ * @module pipeline/accountActions
+ * @requires ../accounts/accountService
+ * @requires ../tools
+ * @requires ../utils/schema
+ *
+ * Answers requests about the customer's own account by calling a tool from
+ * the tool registry (lookups, invoices, subscription changes, password
+ * resets). The model picks the tool and its arguments; the engine runs it
+ * through `runtime.callTool`, which traces every call as a `tool` node.
+ *
+ * Tools that change the account are never run straight away: the reply asks
+ * the customer to confirm and returns the call as `pendingAction`, which the
+ * conversation memory keeps with the turn. When the next message answers
+ * "yes" or "no", `routeIntent` sends it back here to run or drop the call.
+ * The pending action is bound to the account it was planned for: session ids
+ * are chosen by the client, so a confirmation sent in the same session for
+ * another account never runs it. Only a reply that is nothing but an
+ * affirmative confirms it; "ok, but what is the fee?" is a new question.
+ */
+
+import { AccountServiceError } from '../accounts/accountService.js';
+import { getTool, listTools } from '../tools/index.js';
+import { validateSchema } from '../utils/schema.js';
+
+/**
+ * Replies confirming a pending action: the whole reply must be an affirmative,
+ * optionally followed by "please" and punctuation
+ * @type {RegExp}
+ */
+const CONFIRM_REPLY = /^\s*(yes|yep|yeah|sure|ok(ay)?|confirm(ed)?|go ahead|do it|please do)(,?\s*please)?\s*[.!]*\s*$/i;
+
+/**
+ * Replies cancelling a pending action
+ * @type {RegExp}
+ */
+const CANCEL_REPLY = /^\s*(no|nope|cancel|stop|don'?t|never\s*mind)\b/i;
+
+/**
+ * Returns the action the previous turn asked the customer to confirm
+ * @function getPendingAction
+ * @param {Array<Object>} turns - Stored turns, oldest first
+ * @param {string|null} accountId - Account of the current request
+ * @returns {{tool: string, arguments: Object, accountId: string}|null} The pending action,
+ *   or null if there is none or it was planned for another account
+ */
+export const getPendingAction = (turns, accountId) => {
+    const pendingAction = turns[turns.length - 1]?.pendingAction;
+    return pendingAction && accountId && pendingAction.accountId === accountId ? pendingAction : null;
+};
+
+/**
+ * Reads the customer's answer to a confirmation question
+ * @function readConfirmation
+ * @param {string} userMessage - The customer's message
+ * @returns {'confirm'|'cancel'|null} The answer, or null if the message is not one
+ */
+export const readConfirmation = (userMessage) => {
+    if (CANCEL_REPLY.test(userMessage)) {
+        return 'cancel';
+    }
+    return CONFIRM_REPLY.test(userMessage) ? 'confirm' : null;
+};
+
+/**
+ * Streams a fixed reply and returns it as the node output
+ * @param {Object} runtime - Node runtime (onToken)
+ * @param {string} response - The reply
+ * @param {Object} [details={}] - Additional fields of the output
+ * @returns {Object} The response object
+ */
+const reply = (runtime, response, details = {}) => {
+    if (runtime.onToken) {
+        runtime.onToken(response);
+    }
+    return { response, ...details };
+};
+
+/**
+ * Runs a tool and describes its result to the customer
+ * @async
+ * @param {Object} tool - The tool definition
+ * @param {Object} args - Validated tool arguments
+ * @param {Object} runtime - Node runtime (callTool, onToken)
+ * @returns {Promise<Object>} The response with the tool call and its status
+ * @throws {Error} If the tool fails for a reason other than the account state
+ */
+const runTool = async (tool, args, runtime) => {
+    const toolCall = { tool: tool.name, arguments: args };
+    try {
+        const result = await runtime.callTool(tool, args);
+        return reply(runtime, tool.describe(result), { toolCall: { ...toolCall, status: 'completed' } });
+    } catch (error) {
+        if (!(error instanceof AccountServiceError)) {
+            throw error;
+        }
+        return reply(runtime, `Sorry, I couldn't do that. ${error.message}.`, {
+            toolCall: { ...toolCall, status: 'failed', error: error.code }
+        });
+    }
+};
+
+/**
+ * Describes the registered tools for the planning prompt
+ * @returns {string} One entry per tool with its description and arguments
+ */
+const formatTools = () => listTools()
+    .map(({ name, description, parameters }) => `- ${name}: ${description}. Arguments: ${JSON.stringify(parameters.properties)}`)
+    .join('\n        ');
+
+/**
+ * Looks up or changes the customer's account with a tool call
+ * @type {Object}
+ */
+export const handleAccountAction = {
+    name: 'handleAccountAction',
+    type: 'llm',
+    output: 'response',
+    log: 'Account action handled',
+    when: ({ route, response }) => response === undefined && route?.node === 'handleAccountAction',
+    // Built on first use so tools registered later are offered too
+    get schema() {
+        return {
+            type: 'object',
+            required: ['tool', 'arguments'],
+            properties: {
+                tool: { type: 'string', enum: [...listTools().map(({ name }) => name), 'none'] },
+                arguments: { type: 'object' },
+                question: { type: 'string' }
+            }
+        };
+    },
+
+    /**
+     * @param {Object} state - Execution state
+     * @param {string} state.userMessage - The customer's message
+     * @param {Object} state.route - The intent route
+     * @param {Array<Object>} state.turns - Previous turns of the session, the last one may hold a pending action
+     * @param {Array<{role: string, content: string}>} state.history - Previous turns of the conversation
+     * @param {Object} runtime - Node runtime (accountId, complete, callTool, resolvePrompt, onToken)
+     * @returns {Promise<Object>} The response with the tool call, or the action awaiting confirmation
+     * @throws {StructuredOutputError} If the model keeps returning invalid output
+     */
+    async run({ userMessage, route, turns, history }, runtime) {
+        if (!runtime.accountId) {
+            runtime.input = { userMessage, accountId: null };
+            return reply(runtime, 'I can only look up or change account details for signed-in customers. Please sign in and ask me again.');
+        }
+
+        // Answer to the confirmation question of the previous turn
+        const pendingAction = getPendingAction(turns, runtime.accountId);
+        if (route.reason === 'confirmation_reply' && pendingAction) {
+            runtime.input = { userMessage, pendingAction };
+            const tool = getTool(pendingAction.tool);
+            if (!tool || readConfirmation(userMessage) === 'cancel') {
+                return reply(runtime, 'Okay, I haven\'t changed anything on your account.', {
+                    toolCall: { tool: pendingAction.tool, arguments: pendingAction.arguments, status: 'cancelled' }
+                });
+            }
+            return runTool(tool, pendingAction.arguments, runtime);
+        }
+
+        const prompt = `
+        You help a signed-in customer with their own account. Choose the ONE
+        tool that handles their request and its arguments:
+        ${formatTools()}
+
+        Only pass arguments the customer actually gave; leave optional ones
+        out. If a required argument is missing, still choose the tool and put
+        a short question asking for it in "question". Use "none" when no tool
+        fits the request.
+
+        Response format:
+        {
+            "tool": "toolName",
+            "arguments": {},
+            "question": "optional question for the customer"
+        }
+        `;
+
+        const messages = [
+            {
+                role: "system",
+                content: await runtime.resolvePrompt(prompt)
+            },
+            ...history,
+            {
+                role: "user",
+                content: `Customer Message: ${userMessage}`
+            }
+        ];
+        runtime.input = messages;
+
+        const plan = await runtime.complete(messages);
+        const tool = getTool(plan.tool);
+        if (!tool) {
+            const actions = listTools().map(({ description }) => `- ${description}`).join('\n');
+            return reply(runtime, `I'm not able to do that from here. These are the account tasks I can help with:\n${actions}`);
+        }
+
+        if (validateSchema(plan.arguments, tool.parameters, '$.arguments').length) {
+            return reply(runtime, plan.question || 'Could you give me a few more details about what you would like me to do?', {
+                clarification: true
+            });
+        }
+
+        if (tool.mutating) {
+            return reply(runtime, `Just to confirm: would you like me to ${tool.confirmation(plan.arguments)}? Reply "yes" to go ahead or "no" to cancel.`, {
+                pendingAction: { tool: tool.name, arguments: plan.arguments, accountId: runtime.accountId }
+            });
+        }
+
+        return runTool(tool, plan.arguments, runtime);
+    }
+};
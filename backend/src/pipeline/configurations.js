@@ -0,0 +1,58 @@
+/**
+ * Pipeline Configurations Module
+ * @module pipeline/configurations
+ *
+ * Declarative definitions of the agent variants. Each variant lists the nodes
+ * it runs (in order) and the plugins it enables, by registered name. Handler
+ * nodes only run when `routeIntent` sends the message to them. Plugins
+ * are given either as a name or as `{ "name": "...", "options": { ... } }`.
+ *
+ * Additional variants, or overrides of these, can be loaded from the JSON file
+ * named by PIPELINE_CONFIG_PATH using the same shape. The file is validated
+ * against this shape and the node and plugin registries when it is first read
+ * (see pipeline/index).
+ */
+
+/**
+ * Name of the AI application reported to tracing plugins
+ * @type {string}
+ */
+export const AGENT_NAME = 'customer_service_agent';
+
+/**
+ * Nodes of the built-in variants, which only differ in their plugins
+ * @type {Array<string>}
+ */
+export const AGENT_NODES = [
+    'classifyIntent',
+    'decideEscalation',
+    'routeIntent',
+    'escalateToHuman',
+    'searchKnowledgeBase',
+    'groundedFallback',
+    'handleComplaint',
+    'handleBillingInquiry',
+    'askClarifyingQuestion',
+    'handleAccountAction',
+    'generateResponse'
+];
+
+/**
+ * Built-in pipeline variants
+ * @type {Object<string, Object>}
+ */
+export const defaultPipelineConfigurations = {
+    // Traditional implementation: static prompts, no tracing (/api/chat/simple)
+    standard: {
+        agentName: AGENT_NAME,
+        nodes: AGENT_NODES,
+        plugins: ['metrics', 'conversationMemory']
+    },
+
+    // Handit-enhanced implementation: optimized prompts and tracing (/api/chat)
+    enhanced: {
+        agentName: AGENT_NAME,
+        nodes: AGENT_NODES,
+        plugins: ['metrics', 'conversationMemory', 'handitPromptOptimization', 'tracing']
+    }
+};
@@ -0,0 +1,370 @@
+/**
+ * Pipeline Engine Module
+ * @module pipeline/engine
+ * @requires ../providers
+ * @requires ../vectorStore
+ * @requires ../knowledgeBase/keywordIndex
+ * @requires ./structuredOutput
+ * @requires ./usage
+ * @requires ../logging/logger
+ *
+ * Runs a customer request through an ordered list of declarative nodes.
+ * Cross-cutting behaviour (tracing, prompt optimization, conversation memory)
+ * is provided by plugins that hook into the run and node lifecycle, so every
+ * variant of the agent is just a different combination of nodes and plugins.
+ *
+ * A node definition looks like:
+ * {
+ *   name: 'classifyIntent',     // unique node name, also used for per-node model config
+ *   type: 'llm' | 'tool',       // reported to tracing plugins
+ *   output: 'intent',           // state key receiving the node result
+ *   event: 'intent',            // optional streaming event emitted with the result
+ *   eventData: (output) => ..., // optional payload of the streaming event
+ *   log: 'Intent classified',   // optional debug log entry written with the output
+ *   when: (state) => boolean,   // optional condition, the node is skipped when false
+ *   schema: { type: 'object' }, // llm nodes: JSON Schema of the model output
+ *   streamField: 'response',    // optional string field of the output streamed as tokens
+ *   run: async (state, runtime) => output
+ * }
+ * Nodes may set `runtime.input` to what they sent to the model so plugins can record it.
+ * LLM nodes call `runtime.complete(messages)` to get model output validated
+ * against their schema, with repair retries (see ./structuredOutput).
+ * Nodes call tools (see ../tools) with `runtime.callTool(tool, args)`; each
+ * call is reported to plugins as a node of type `tool` named after the tool.
+ *
+ * Plugins are objects implementing any of these async hooks:
+ * onRunStart(execution), resolvePrompt(node, prompt, execution),
+ * onNodeEnd(node, { input, output, startedAt, endedAt }, execution),
+ * onNodeError(node, { input, error, startedAt, endedAt }, execution),
+ * onRunEnd(execution, result), onRunError(execution, error)
+ * A hook that throws is logged and skipped: plugins observe or adjust a run,
+ * they never fail it (a prompt that cannot be resolved keeps the previous one).
+ * Tracing plugins set `execution.traceId`, which is returned with the result.
+ * `execution.requestId` is the id of the HTTP request the run belongs to.
+ * `startedAt` and `endedAt` are timestamps in milliseconds, as is `execution.startedAt`.
+ * Node and tool hooks also receive `usage`: the node's tokens, embedding calls
+ * and cost (see ./usage). Before onRunEnd and onRunError the engine sets
+ * `execution.meta` to the per-node usage and run totals, which is also
+ * returned with the result as `meta`.
+ */
+
+import { createChatModel, createEmbeddings } from '../providers/index.js';
+import { createVectorStore, KNOWLEDGE_BASE_NAMESPACE } from '../vectorStore/index.js';
+import { getKeywordIndex } from '../knowledgeBase/keywordIndex.js';
+import { invokeStructured } from './structuredOutput.js';
+import { countEmbeddings, describeNodeUsage, emptyUsage, getModelName, summarizeUsage } from './usage.js';
+import { logger } from '../logging/logger.js';
+
+/**
+ * Logger of pipeline runs
+ * @type {import('../logging/logger.js').Logger}
+ */
+const log = logger.child({ component: 'pipeline' });
+
+/**
+ * Configurable customer service pipeline
+ * @class Pipeline
+ */
+export class Pipeline {
+    /**
+     * @constructor
+     * @param {Object} options - Pipeline definition
+     * @param {string} options.name - Variant name (e.g. standard, enhanced)
+     * @param {string} options.agentName - Name of the AI application reported to plugins
+     * @param {Array<Object>} options.nodes - Node definitions, run in order
+     * @param {Array<Object>} [options.plugins=[]] - Plugin instances, called in order
+     */
+    constructor({ name, agentName, nodes, plugins = [] }) {
+        this.name = name;
+        this.agentName = agentName;
+        this.nodes = nodes;
+        this.plugins = plugins;
+        this.services = null;
+    }
+
+    /**
+     * Creates the models, embeddings, vector store and keyword index shared by all runs
+     *
+     * @async
+     * @method initialize
+     * @returns {Promise<Object>} The pipeline services
+     * @throws {Error} If a provider or the vector store cannot be initialized
+     */
+    async initialize() {
+        if (!this.services) {
+            const llms = {};
+            for (const node of this.nodes.filter(node => node.type === 'llm')) {
+                llms[node.name] = createChatModel(node.name);
+            }
+
+            try {
+                this.services = {
+                    llms,
+                    embeddings: createEmbeddings(),
+                    vectorStore: await createVectorStore(),
+                    keywordIndex: await getKeywordIndex(KNOWLEDGE_BASE_NAMESPACE)
+                };
+            } catch (error) {
+                log.error('Failed to initialize pipeline services', { pipeline: this.name, error });
+                throw error;
+            }
+        }
+        return this.services;
+    }
+
+    /**
+     * Calls a lifecycle hook on every plugin that implements it. Errors of a
+     * plugin are logged, then the other plugins are called.
+     * @async
+     * @private
+     * @param {string} hook - Hook name
+     * @param {...*} args - Hook arguments
+     * @returns {Promise<void>}
+     */
+    async notify(hook, ...args) {
+        for (const plugin of this.plugins) {
+            if (plugin[hook]) {
+                try {
+                    await plugin[hook](...args);
+                } catch (error) {
+                    log.error('Pipeline plugin failed', { pipeline: this.name, plugin: plugin.name, hook, error });
+                }
+            }
+        }
+    }
+
+    /**
+     * Lets plugins replace a node's default prompt; the last plugin returning a prompt wins
+     * @async
+     * @private
+     * @param {Object} node - The node definition
+     * @param {string} prompt - The default prompt
+     * @param {Object} execution - The current execution
+     * @returns {Promise<string>} The prompt to use
+     */
+    async resolvePrompt(node, prompt, execution) {
+        let resolved = prompt;
+        for (const plugin of this.plugins) {
+            if (plugin.resolvePrompt) {
+                try {
+                    const candidate = await plugin.resolvePrompt(node, resolved, execution);
+                    if (candidate !== null && candidate !== undefined) {
+                        resolved = candidate;
+                    }
+                } catch (error) {
+                    log.error('Pipeline plugin failed', { pipeline: this.name, plugin: plugin.name, hook: 'resolvePrompt', node: node.name, error });
+                }
+            }
+        }
+        return resolved;
+    }
+
+    /**
+     * Calls a tool for a node and reports the call to plugins like a node run,
+     * so every tool call is traced on its own
+     * @async
+     * @private
+     * @param {Object} tool - The tool definition
+     * @param {Object} args - Tool arguments
+     * @param {Object} execution - The current execution
+     * @returns {Promise<*>} The tool result
+     * @throws {Error} If the tool fails
+     */
+    async callTool(tool, args, execution) {
+        const step = { name: tool.name, type: 'tool' };
+        const input = { tool: tool.name, arguments: args, accountId: execution.accountId };
+        const startedAt = Date.now();
+
+        try {
+            const output = await tool.run(args, { accountId: execution.accountId, sessionId: execution.sessionId });
+            const endedAt = Date.now();
+            const usage = this.recordUsage(execution, { ...step, startedAt, endedAt });
+            // Tool results hold account details, so they are only recorded in traces
+            log.debug('Tool called', { pipeline: this.name, tool: tool.name, durationMs: endedAt - startedAt });
+            await this.notify('onNodeEnd', step, { input, output, startedAt, endedAt, usage }, execution);
+            return output;
+        } catch (error) {
+            const endedAt = Date.now();
+            const usage = this.recordUsage(execution, { ...step, startedAt, endedAt });
+            log.error('Tool failed', { pipeline: this.name, tool: tool.name, error });
+            await this.notify('onNodeError', step, { input, error, startedAt, endedAt, usage }, execution);
+            throw error;
+        }
+    }
+
+    /**
+     * Adds the usage entry of a finished node or tool call to the execution
+     * @private
+     * @param {Object} execution - The current execution
+     * @param {Object} details - Name, type, timing, usage and models (see ./usage describeNodeUsage)
+     * @returns {Object} The usage entry
+     */
+    recordUsage(execution, details) {
+        const entry = describeNodeUsage(details);
+        execution.usage.push(entry);
+        return entry;
+    }
+
+    /**
+     * Runs a single node and records its output in the execution state
+     * @async
+     * @private
+     * @param {Object} node - The node definition
+     * @param {Object} execution - The current execution
+     * @returns {Promise<void>}
+     * @throws {Error} If the node fails
+     */
+    async runNode(node, execution) {
+        const { state, services, onEvent, signal } = execution;
+        const onToken = onEvent && ((text) => onEvent('token', { text }));
+        const onReset = onEvent && (() => onEvent('reset', { node: node.name }));
+        const usage = emptyUsage();
+        const runtime = {
+            llm: services.llms[node.name],
+            embeddings: countEmbeddings(services.embeddings, usage),
+            vectorStore: services.vectorStore,
+            keywordIndex: services.keywordIndex,
+            nodeNames: this.nodes.map(({ name }) => name),
+            sessionId: execution.sessionId,
+            accountId: execution.accountId,
+            signal,
+            input: undefined,
+            onToken,
+            resolvePrompt: (prompt) => this.resolvePrompt(node, prompt, execution),
+            callTool: (tool, args) => this.callTool(tool, args, execution),
+            complete: async (messages) => {
+                const { value } = await invokeStructured({
+                    llm: services.llms[node.name],
+                    messages,
+                    schema: node.schema,
+                    nodeName: node.name,
+                    streamField: node.streamField,
+                    onToken,
+                    onReset,
+                    signal,
+                    usage
+                });
+                return value;
+            }
+        };
+
+        // Recorded once, even when a plugin fails after the node finished
+        let entry = null;
+        const nodeUsage = (startedAt, endedAt) => entry ??= this.recordUsage(execution, {
+            name: node.name,
+            type: node.type,
+            startedAt,
+            endedAt,
+            usage,
+            model: getModelName(services.llms[node.name]),
+            embeddingModel: getModelName(services.embeddings)
+        });
+
+        const startedAt = Date.now();
+        try {
+            const output = await node.run(state, runtime);
+            const endedAt = Date.now();
+            const input = runtime.input ?? { userMessage: state.userMessage };
+
+            state[node.output || node.name] = output;
+            if (node.log) {
+                log.debug(node.log, { pipeline: this.name, node: node.name, durationMs: endedAt - startedAt, output });
+            }
+
+            await this.notify('onNodeEnd', node, {
+                input,
+                output,
+                startedAt,
+                endedAt,
+                usage: nodeUsage(startedAt, endedAt)
+            }, execution);
+
+            if (node.event && onEvent) {
+                onEvent(node.event, node.eventData ? node.eventData(output) : output);
+            }
+        } catch (error) {
+            const endedAt = Date.now();
+            log.error('Node failed', { pipeline: this.name, node: node.name, error });
+            await this.notify('onNodeError', node, {
+                input: runtime.input ?? { userMessage: state.userMessage },
+                error,
+                startedAt,
+                endedAt,
+                usage: nodeUsage(startedAt, endedAt)
+            }, execution);
+            throw error;
+        }
+    }
+
+    /**
+     * Processes a complete customer service request
+     *
+     * @async
+     * @method run
+     * @param {string} userMessage - The customer's message
+     * @param {Object} [options={}] - Request options
+     * @param {string} [options.sessionId] - Conversation session id
+     * @param {string} [options.accountId] - Account of the signed-in customer, used by account tools
+     * @param {string} [options.requestId] - Id of the HTTP request, recorded in traces
+     * @param {Function} [options.onEvent] - Receives (event, data) for each pipeline stage and response token
+     * @param {AbortSignal} [options.signal] - Aborts processing when the client goes away
+     * @returns {Promise<Object>} Object containing the response, intent, escalation decision, route, retrieval strategy,
+     * trace id and usage meta (per-node duration, tokens, embedding calls and cost)
+     * @throws {Error} If any step in the process fails
+     */
+    async run(userMessage, { sessionId, accountId, requestId, onEvent, signal } = {}) {
+        const execution = {
+            pipeline: this.name,
+            agentName: this.agentName,
+            sessionId,
+            accountId,
+            requestId,
+            onEvent,
+            signal,
+            startedAt: Date.now(),
+            usage: [],
+            state: { userMessage, history: [], turns: [] },
+            services: await this.initialize()
+        };
+
+        try {
+            await this.notify('onRunStart', execution);
+
+            for (const node of this.nodes) {
+                if (node.when && !node.when(execution.state)) {
+                    continue;
+                }
+                await this.runNode(node, execution);
+            }
+
+            const result = {
+                response: execution.state.response,
+                intent: execution.state.intent,
+                route: execution.state.route,
+                escalation: execution.state.escalation,
+                retrieval: execution.state.context?.retrieval,
+                traceId: execution.traceId
+            };
+            execution.meta = summarizeUsage(execution.usage, Date.now() - execution.startedAt);
+            result.meta = execution.meta;
+            log.info('Pipeline run finished', {
+                pipeline: this.name,
+                sessionId,
+                intent: result.intent?.intent,
+                route: result.route?.node,
+                durationMs: execution.meta.durationMs,
+                totalTokens: execution.meta.totals.totalTokens,
+                cost: execution.meta.totals.cost
+            });
+            log.debug('Pipeline result', { pipeline: this.name, result });
+
+            await this.notify('onRunEnd', execution, result);
+            return result;
+        } catch (error) {
+            execution.meta = summarizeUsage(execution.usage, Date.now() - execution.startedAt);
+            log.error('Pipeline run failed', { pipeline: this.name, sessionId, durationMs: execution.meta.durationMs, error });
+            await this.notify('onRunError', execution, error);
+            throw error;
+        }
+    }
+}
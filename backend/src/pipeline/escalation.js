@@ -0,0 +1,164 @@
+/**
+ * Escalation Nodes Module
+ * @module pipeline/escalation
+ * @requires ../config
+ * @requires ../escalations/ticketStore
+ * @requires ./handlers
+ *
+ * Hands a conversation over to a human. `decideEscalation` runs after intent
+ * classification and escalates, in this order, when:
+ * - the customer asks for a person ("talk to a human") → `customer_request`
+ * - the customer complains again after an earlier complaint in the session
+ *   (intents listed in ESCALATION_INTENTS, default `complaint`) → `complaint`
+ * - the classifier is still unsure after the agent already asked a clarifying
+ *   question → `low_confidence`
+ * - the last ESCALATION_MAX_FAILED_TURNS turns (default 2) all ended in a
+ *   fallback or a clarifying question → `repeated_failure`
+ *
+ * `routeIntent` sends escalated messages to `escalateToHuman`, which opens a
+ * ticket with the transcript and gives the customer its reference.
+ */
+
+import { getConfig } from '../config/index.js';
+import { ticketStore } from '../escalations/ticketStore.js';
+import { getClarifyMinConfidence } from './handlers.js';
+
+/**
+ * Messages asking for a human agent
+ * @type {RegExp}
+ */
+const HUMAN_REQUEST = /\b(talk|speak|chat)\s+(to|with)\s+(a\s+)?(real\s+)?(human|person|agent|someone|representative)\b|\b(human|live|real)\s+(agent|person|support)\b|\brepresentative\b/i;
+
+/**
+ * Turn outcomes that did not help the customer
+ * @type {string[]}
+ */
+const FAILED_OUTCOMES = ['fallback', 'clarification'];
+
+/**
+ * Returns the escalation settings
+ * @returns {{intents: string[], maxFailedTurns: number}} Settings
+ */
+const getEscalationConfig = () => {
+    const { intents, maxFailedTurns } = getConfig().escalation;
+    return { intents, maxFailedTurns };
+};
+
+/**
+ * Counts the unsuccessful turns at the end of a conversation
+ * @param {Array<Object>} turns - Stored turns, oldest first
+ * @returns {number} Consecutive failed turns up to the latest one
+ */
+const countFailedTurns = (turns) => {
+    let count = 0;
+    for (let i = turns.length - 1; i >= 0 && FAILED_OUTCOMES.includes(turns[i].outcome); i--) {
+        count++;
+    }
+    return count;
+};
+
+/**
+ * Decides whether the conversation should be handed over to a human
+ * @type {Object}
+ */
+export const decideEscalation = {
+    name: 'decideEscalation',
+    type: 'tool',
+    output: 'escalation',
+    log: 'Escalation decided',
+
+    /**
+     * @param {Object} state - Execution state
+     * @param {string} state.userMessage - The customer's message
+     * @param {Object} state.intent - The classified intent
+     * @param {Array<Object>} state.turns - Previous turns of the session with their intent and outcome
+     * @param {Object} runtime - Node runtime
+     * @returns {Promise<Object>} Whether to escalate, the reason and the signals considered
+     */
+    async run({ userMessage, intent, turns }, runtime) {
+        const config = getEscalationConfig();
+        const lastTurn = turns[turns.length - 1];
+        const signals = {
+            humanRequested: HUMAN_REQUEST.test(userMessage),
+            repeatedIntent: config.intents.includes(intent.intent)
+                && turns.some(turn => turn.intent === intent.intent),
+            unsureAfterClarifying: intent.confidence < getClarifyMinConfidence()
+                && lastTurn?.outcome === 'clarification',
+            failedTurns: countFailedTurns(turns)
+        };
+        runtime.input = { userMessage, intent, signals };
+
+        let reason = null;
+        if (signals.humanRequested) {
+            reason = 'customer_request';
+        } else if (signals.repeatedIntent) {
+            reason = intent.intent;
+        } else if (signals.unsureAfterClarifying) {
+            reason = 'low_confidence';
+        } else if (signals.failedTurns >= config.maxFailedTurns) {
+            reason = 'repeated_failure';
+        }
+
+        return { escalate: reason !== null, reason, signals };
+    }
+};
+
+/**
+ * Opens an escalation ticket and tells the customer its reference
+ * @type {Object}
+ */
+export const escalateToHuman = {
+    name: 'escalateToHuman',
+    type: 'tool',
+    output: 'response',
+    log: 'Escalated to a human',
+    when: ({ route, response }) => response === undefined && route?.node === 'escalateToHuman',
+
+    /**
+     * @param {Object} state - Execution state
+     * @param {string} state.userMessage - The customer's message
+     * @param {Object} state.intent - The classified intent
+     * @param {Object} state.escalation - The escalation decision
+     * @param {Object} state.route - The intent route
+     * @param {Array<Object>} state.turns - Previous turns of the session
+     * @param {Object} runtime - Node runtime (sessionId, onToken)
+     * @returns {Promise<Object>} The handoff message and the ticket reference
+     */
+    async run({ userMessage, intent, escalation, route, turns }, runtime) {
+        const now = new Date().toISOString();
+        const transcript = [
+            ...turns.flatMap(turn => [
+                { role: 'user', content: turn.userMessage, timestamp: turn.timestamp },
+                { role: 'assistant', content: turn.response, timestamp: turn.timestamp }
+            ]),
+            { role: 'user', content: userMessage, timestamp: now }
+        ];
+        runtime.input = { sessionId: runtime.sessionId, reason: escalation.reason, messages: transcript.length };
+
+        const { ticket, created } = await ticketStore.create({
+            sessionId: runtime.sessionId,
+            reason: escalation.reason,
+            intent: intent.intent,
+            priority: route.priority,
+            transcript
+        });
+
+        const response = created
+            ? `I've passed our conversation on to our support team so a person can take it from here. Your ticket reference is ${ticket.reference}; a member of the team will get back to you as soon as possible.`
+            : `Our support team already has this conversation (ticket ${ticket.reference}) and will get back to you as soon as possible. I've added your latest message to the ticket.`;
+
+        if (runtime.onToken) {
+            runtime.onToken(response);
+        }
+
+        return {
+            response,
+            ticket: {
+                id: ticket.id,
+                reference: ticket.reference,
+                status: ticket.status,
+                reason: ticket.reason
+            }
+        };
+    }
+};
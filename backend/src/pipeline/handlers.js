@@ -0,0 +1,265 @@
+/**
+ * Intent Routing and Handler Nodes Module
+ * @module pipeline/handlers
+ * @requires ../config
+ * @requires ../config/intents
+ * @requires ./nodes
+ * @requires ./accountActions
+ *
+ * `routeIntent` runs after intent classification and picks the node that
+ * answers the message from the `routing.handler` hint of the intent in the
+ * taxonomy. Every handler is its own pipeline node, so each one is traced
+ * and gets its own prompt and model:
+ * - `complaint` → handleComplaint: empathetic answer plus an offer to escalate
+ * - `billing` → handleBillingInquiry: billing-specific prompt, knowledge search
+ *   preferring the intent's `knowledgeFilter`
+ * - `clarify` → askClarifyingQuestion: used for every message classified with
+ *   less confidence than INTENT_CLARIFY_MIN_CONFIDENCE (default 0.5)
+ * - `account` → handleAccountAction: looks up or changes the customer's
+ *   account with a tool call; also receives the "yes"/"no" reply to a
+ *   pending confirmation, whatever its intent
+ * - `escalate` → escalateToHuman: used for every message `decideEscalation`
+ *   hands over to a human, before any other route
+ * - `default` → generateResponse, also used for unknown handlers and for
+ *   handlers whose node is not part of the pipeline
+ */
+
+import { getConfig } from '../config/index.js';
+import { getIntents } from '../config/intents.js';
+import { ANSWER_SCHEMA, answerFromKnowledge } from './nodes.js';
+import { getPendingAction, readConfirmation } from './accountActions.js';
+
+/**
+ * Handler nodes keyed by the handler names used in the taxonomy.
+ * `usesKnowledge: false` skips the knowledge base search and
+ * `requiresGrounding: false` lets the handler answer when nothing relevant was found.
+ * @type {Object<string, {node: string, usesKnowledge: boolean, requiresGrounding: boolean}>}
+ */
+const HANDLERS = {
+    default: { node: 'generateResponse', usesKnowledge: true, requiresGrounding: true },
+    billing: { node: 'handleBillingInquiry', usesKnowledge: true, requiresGrounding: true },
+    complaint: { node: 'handleComplaint', usesKnowledge: true, requiresGrounding: false },
+    clarify: { node: 'askClarifyingQuestion', usesKnowledge: false, requiresGrounding: false },
+    account: { node: 'handleAccountAction', usesKnowledge: false, requiresGrounding: false },
+    escalate: { node: 'escalateToHuman', usesKnowledge: false, requiresGrounding: false }
+};
+
+/**
+ * Offer appended to every complaint answer
+ * @type {string}
+ */
+const ESCALATION_OFFER = 'If you would like, I can hand this conversation over to a member of our support team — just reply "talk to a human".';
+
+/**
+ * Returns the classifier confidence below which the customer is asked to clarify
+ * @function getClarifyMinConfidence
+ * @returns {number} Minimum confidence
+ */
+export const getClarifyMinConfidence = () => getConfig().intents.clarifyMinConfidence;
+
+/**
+ * Builds the `when` condition of a handler node
+ * @param {string} nodeName - Name of the handler node
+ * @returns {Function} Condition true when the message was routed to the node and is not answered yet
+ */
+const routedTo = (nodeName) => ({ route, response }) => response === undefined && route?.node === nodeName;
+
+/**
+ * Routes a classified message to the node that answers it
+ * @type {Object}
+ */
+export const routeIntent = {
+    name: 'routeIntent',
+    type: 'tool',
+    output: 'route',
+    event: 'route',
+    log: 'Intent routed',
+
+    /**
+     * @param {Object} state - Execution state
+     * @param {string} state.userMessage - The customer's message
+     * @param {Object} state.intent - The classified intent with its routing hints
+     * @param {Object} [state.escalation] - The escalation decision
+     * @param {Array<Object>} state.turns - Previous turns of the session
+     * @param {Object} runtime - Node runtime (nodeNames, accountId)
+     * @returns {Promise<Object>} The route: handler, node, reason and knowledge settings
+     */
+    async run({ userMessage, intent, escalation, turns }, runtime) {
+        const pendingAction = getPendingAction(turns, runtime.accountId);
+        runtime.input = { intent, escalation, pendingAction };
+
+        const minConfidence = getClarifyMinConfidence();
+        const requested = intent.routing?.handler ?? 'default';
+
+        let handler = requested;
+        let reason = 'intent_routing';
+        if (escalation?.escalate) {
+            handler = 'escalate';
+            reason = 'escalation';
+        } else if (pendingAction && readConfirmation(userMessage)) {
+            handler = 'account';
+            reason = 'confirmation_reply';
+        } else if (intent.confidence < minConfidence) {
+            handler = 'clarify';
+            reason = 'low_confidence';
+        } else if (!HANDLERS[requested]) {
+            handler = 'default';
+            reason = 'unmapped_handler';
+        }
+
+        if (!runtime.nodeNames.includes(HANDLERS[handler].node)) {
+            handler = 'default';
+            reason = 'handler_not_in_pipeline';
+        }
+
+        return {
+            handler,
+            ...HANDLERS[handler],
+            reason,
+            requestedHandler: requested,
+            intent: intent.intent,
+            confidence: intent.confidence,
+            minConfidence,
+            priority: intent.routing?.priority ?? 'normal',
+            knowledgeFilter: HANDLERS[handler].usesKnowledge ? intent.routing?.knowledgeFilter ?? null : null
+        };
+    }
+};
+
+/**
+ * Answers complaints with empathy and offers to escalate to a human
+ * @type {Object}
+ */
+export const handleComplaint = {
+    name: 'handleComplaint',
+    type: 'llm',
+    output: 'response',
+    log: 'Complaint answered',
+    when: routedTo('handleComplaint'),
+    schema: ANSWER_SCHEMA,
+    streamField: 'response',
+
+    /**
+     * @param {Object} state - Execution state
+     * @param {Object} state.context - The context object from knowledge search
+     * @param {Array<{role: string, content: string}>} state.history - Previous turns of the conversation
+     * @param {Object} runtime - Node runtime (complete, resolvePrompt, onToken)
+     * @returns {Promise<Object>} The response with its citations and the escalation offer
+     * @throws {StructuredOutputError} If the model keeps returning invalid output
+     */
+    async run(state, runtime) {
+        const answer = await answerFromKnowledge(state, runtime, {
+            task: 'Respond to a customer complaint.',
+            guidelines: `
+        Start by acknowledging the customer's frustration and apologizing for
+        the experience, without blaming them. Keep a calm, warm tone. If the
+        knowledge sources help solve the problem, explain the next steps;
+        otherwise do not invent a solution. Do not offer compensation or
+        promise anything the sources do not state.
+        `
+        });
+
+        // The escalation offer is fixed text, streamed after the generated answer
+        const offer = `\n\n${ESCALATION_OFFER}`;
+        if (runtime.onToken) {
+            runtime.onToken(offer);
+        }
+
+        return { ...answer, response: `${answer.response}${offer}`, escalationOffered: true };
+    }
+};
+
+/**
+ * Answers billing questions from the billing knowledge only
+ * @type {Object}
+ */
+export const handleBillingInquiry = {
+    name: 'handleBillingInquiry',
+    type: 'llm',
+    output: 'response',
+    log: 'Billing inquiry answered',
+    when: routedTo('handleBillingInquiry'),
+    schema: ANSWER_SCHEMA,
+    streamField: 'response',
+
+    /**
+     * @param {Object} state - Execution state
+     * @param {Object} state.context - The context object from knowledge search
+     * @param {Array<{role: string, content: string}>} state.history - Previous turns of the conversation
+     * @param {Object} runtime - Node runtime (complete, resolvePrompt)
+     * @returns {Promise<Object>} Object containing the response and its validated citations
+     * @throws {StructuredOutputError} If the model keeps returning invalid output
+     */
+    run: (state, runtime) => answerFromKnowledge(state, runtime, {
+        task: 'Answer a billing question from a customer.',
+        guidelines: `
+        Quote plan names, prices, billing periods and refund terms exactly as
+        they appear in the knowledge sources and never estimate amounts. For
+        questions about a specific charge or invoice, explain that the billing
+        team can look into the account and how to reach them.
+        `
+    })
+};
+
+/**
+ * Asks the customer a clarifying question when the intent is uncertain
+ * @type {Object}
+ */
+export const askClarifyingQuestion = {
+    name: 'askClarifyingQuestion',
+    type: 'llm',
+    output: 'response',
+    log: 'Clarifying question asked',
+    when: routedTo('askClarifyingQuestion'),
+    schema: {
+        type: 'object',
+        required: ['response'],
+        properties: {
+            response: { type: 'string', minLength: 1 }
+        }
+    },
+    streamField: 'response',
+
+    /**
+     * @param {Object} state - Execution state
+     * @param {Object} state.intent - The classified intent
+     * @param {Array<{role: string, content: string}>} state.history - Previous turns of the conversation
+     * @param {Object} runtime - Node runtime (complete, resolvePrompt)
+     * @returns {Promise<Object>} Object containing the clarifying question
+     * @throws {StructuredOutputError} If the model keeps returning invalid output
+     */
+    async run({ intent, history }, runtime) {
+        const topics = getIntents().map(({ name, description }) => `- ${name}: ${description}`).join('\n        ');
+
+        const prompt = `
+        The customer's message is ambiguous, so we are not sure what they need.
+        Our best guess is "${intent.intent}" (confidence ${intent.confidence}).
+
+        Ask ONE short, friendly clarifying question that helps the customer say
+        what they need. Do not answer the question yet. These are the topics we
+        can help with:
+        ${topics}
+
+        Response format:
+        {
+            "response": "your clarifying question"
+        }
+        `;
+
+        const messages = [
+            {
+                role: "system",
+                content: await runtime.resolvePrompt(prompt)
+            },
+            ...history,
+            {
+                role: "user",
+                content: `Customer Message: ${intent.userMessage}`
+            }
+        ];
+        runtime.input = messages;
+
+        const { response } = await runtime.complete(messages);
+        return { response, clarification: true };
+    }
+};
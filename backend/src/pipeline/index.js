@@ -0,0 +1,275 @@
+/**
+ * Pipeline Registry Module
+ * @module pipeline
+ * @requires fs
+ * @requires ../config
+ * @requires ../utils/schema
+ * @requires ./engine
+ * @requires ./nodes
+ * @requires ./handlers
+ * @requires ./escalation
+ * @requires ./accountActions
+ * @requires ./configurations
+ * @requires ./plugins/conversationMemory
+ * @requires ./plugins/tracing
+ * @requires ./plugins/metrics
+ * @requires ./plugins/handitPromptOptimization
+ *
+ * Builds pipelines from their declarative configuration by resolving node
+ * and plugin names against the registries below.
+ */
+
+import { readFileSync } from 'fs';
+import { ConfigError, getConfig } from '../config/index.js';
+import { validateSchema } from '../utils/schema.js';
+import { Pipeline } from './engine.js';
+import { classifyIntent, searchKnowledgeBase, groundedFallback, generateResponse } from './nodes.js';
+import { routeIntent, handleComplaint, handleBillingInquiry, askClarifyingQuestion } from './handlers.js';
+import { decideEscalation, escalateToHuman } from './escalation.js';
+import { handleAccountAction } from './accountActions.js';
+import { defaultPipelineConfigurations } from './configurations.js';
+import { conversationMemory } from './plugins/conversationMemory.js';
+import { tracing } from './plugins/tracing.js';
+import { metrics } from './plugins/metrics.js';
+import { handitPromptOptimization } from './plugins/handitPromptOptimization.js';
+
+/**
+ * Node definitions keyed by name
+ * @type {Map<string, Object>}
+ */
+const nodes = new Map();
+
+/**
+ * Plugin factories keyed by name
+ * @type {Map<string, Function>}
+ */
+const plugins = new Map();
+
+/**
+ * Registers a node definition so configurations can reference it by name
+ * @function registerNode
+ * @param {Object} node - The node definition
+ * @returns {void}
+ */
+export const registerNode = (node) => {
+    nodes.set(node.name, node);
+};
+
+/**
+ * Registers a plugin factory so configurations can reference it by name
+ * @function registerPlugin
+ * @param {string} name - Plugin name
+ * @param {Function} factory - Receives the plugin options and returns the plugin
+ * @returns {void}
+ */
+export const registerPlugin = (name, factory) => {
+    plugins.set(name, factory);
+};
+
+[
+    classifyIntent,
+    decideEscalation,
+    routeIntent,
+    escalateToHuman,
+    searchKnowledgeBase,
+    groundedFallback,
+    handleComplaint,
+    handleBillingInquiry,
+    askClarifyingQuestion,
+    handleAccountAction,
+    generateResponse
+].forEach(registerNode);
+
+registerPlugin('conversationMemory', conversationMemory);
+registerPlugin('tracing', tracing);
+registerPlugin('metrics', metrics);
+// Configurations written before the local exporter existed only trace to Handit
+registerPlugin('handitTracing', (options) => tracing({ exporters: ['handit'], ...options }));
+registerPlugin('handitPromptOptimization', handitPromptOptimization);
+
+/**
+ * Schema of a pipeline configuration; node and plugin names are checked
+ * against the registries separately
+ * @type {Object}
+ */
+const PIPELINE_CONFIGURATION_SCHEMA = {
+    type: 'object',
+    required: ['nodes'],
+    additionalProperties: false,
+    properties: {
+        agentName: { type: 'string', minLength: 1 },
+        nodes: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        plugins: { type: 'array', items: { type: ['string', 'object'] } }
+    }
+};
+
+/**
+ * Schema of a plugin given with options
+ * @type {Object}
+ */
+const PLUGIN_SPEC_SCHEMA = {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        options: { type: 'object' }
+    }
+};
+
+/**
+ * Finds what is wrong with a pipeline configuration: its shape, and node
+ * or plugin names that are not registered
+ * @function findPipelineProblems
+ * @param {*} config - The pipeline configuration
+ * @param {string} path - Path of the configuration, used in messages
+ * @returns {string[]} What is wrong, empty when the pipeline can be built
+ */
+export const findPipelineProblems = (config, path) => {
+    const problems = validateSchema(config, PIPELINE_CONFIGURATION_SCHEMA, path);
+    const listOf = (key) => (Array.isArray(config?.[key]) ? config[key] : []);
+
+    listOf('nodes').forEach((name, index) => {
+        if (typeof name === 'string' && name && !nodes.has(name)) {
+            problems.push(`${path}.nodes[${index}] must be a registered node (${[...nodes.keys()].join(', ')}), got "${name}"`);
+        }
+    });
+    listOf('plugins').forEach((spec, index) => {
+        const specPath = `${path}.plugins[${index}]`;
+        // Values of other types are already reported by the pipeline schema
+        if (validateSchema(spec, { type: ['string', 'object'] }).length) {
+            return;
+        }
+        const specProblems = typeof spec === 'string' ? [] : validateSchema(spec, PLUGIN_SPEC_SCHEMA, specPath);
+        const name = typeof spec === 'string' ? spec : spec.name;
+        if (specProblems.length) {
+            problems.push(...specProblems);
+        } else if (!plugins.has(name)) {
+            problems.push(`${specPath} must be a registered plugin (${[...plugins.keys()].join(', ')}), got "${name}"`);
+        }
+    });
+    return problems;
+};
+
+/**
+ * Reads the pipeline configurations of the PIPELINE_CONFIG_PATH file
+ * @param {string} filePath - The file
+ * @returns {Object<string, Object>} Pipeline configurations keyed by variant name
+ * @throws {ConfigError} If the file cannot be read or a configuration is invalid,
+ *   naming the file and the field
+ */
+const readConfigurationFile = (filePath) => {
+    const { environment } = getConfig();
+    let configurations;
+    try {
+        configurations = JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`Cannot read the pipeline configurations of ${filePath}: ${error.message}`], environment);
+    }
+    if (validateSchema(configurations, { type: 'object' }).length) {
+        throw new ConfigError([`${filePath} must contain a JSON object of pipeline configurations keyed by variant name`], environment);
+    }
+
+    const problems = Object.entries(configurations)
+        .flatMap(([variant, config]) => findPipelineProblems(config, `pipelines.${variant}`))
+        .map(problem => `${problem} (set by ${filePath})`);
+    if (problems.length) {
+        throw new ConfigError(problems, environment);
+    }
+    return configurations;
+};
+
+/**
+ * Pipeline configurations keyed by variant name, once loaded
+ * @type {Object<string, Object>|null}
+ */
+let pipelineConfigurations = null;
+
+/**
+ * Returns the built-in configurations merged with the optional
+ * PIPELINE_CONFIG_PATH file, reading the file on first use
+ * @function getPipelineConfigurations
+ * @returns {Object<string, Object>} Pipeline configurations keyed by variant name
+ * @throws {ConfigError} If the file cannot be read or a configuration is invalid
+ */
+export const getPipelineConfigurations = () => {
+    if (!pipelineConfigurations) {
+        const { configPath } = getConfig().pipelines;
+        pipelineConfigurations = {
+            ...defaultPipelineConfigurations,
+            ...(configPath && readConfigurationFile(configPath))
+        };
+    }
+    return pipelineConfigurations;
+};
+
+/**
+ * Built pipelines keyed by variant name
+ * @type {Map<string, Pipeline>}
+ */
+const pipelines = new Map();
+
+/**
+ * Resolves a name from a registry
+ * @param {Map} registry - The registry to search
+ * @param {string} kind - Human readable kind for the error message
+ * @param {string} name - The registered name
+ * @param {string} variant - The variant being built
+ * @returns {*} The registered value
+ * @throws {Error} If the name is not registered
+ */
+const resolve = (registry, kind, name, variant) => {
+    if (!registry.has(name)) {
+        throw new Error(`Pipeline "${variant}" references unknown ${kind} "${name}"`);
+    }
+    return registry.get(name);
+};
+
+/**
+ * Builds a pipeline from its configuration
+ * @function createPipeline
+ * @param {string} variant - Variant name
+ * @param {Object} config - The pipeline configuration
+ * @returns {Pipeline} The pipeline
+ * @throws {Error} If the configuration references unknown nodes or plugins
+ */
+export const createPipeline = (variant, config) => new Pipeline({
+    name: variant,
+    agentName: config.agentName,
+    nodes: config.nodes.map(name => resolve(nodes, 'node', name, variant)),
+    plugins: (config.plugins || []).map((spec) => {
+        const { name, options } = typeof spec === 'string' ? { name: spec } : spec;
+        return resolve(plugins, 'plugin', name, variant)(options);
+    })
+});
+
+/**
+ * Returns the pipeline of a configured variant, building it on first use
+ * @function getPipeline
+ * @param {string} variant - Variant name
+ * @returns {Pipeline} The pipeline
+ * @throws {Error} If no variant with that name is configured
+ */
+export const getPipeline = (variant) => {
+    if (!pipelines.has(variant)) {
+        const config = getPipelineConfigurations()[variant];
+        if (!config) {
+            throw new Error(`Unknown pipeline "${variant}"`);
+        }
+        pipelines.set(variant, createPipeline(variant, config));
+    }
+    return pipelines.get(variant);
+};
+
+/**
+ * Processes a customer message with a configured pipeline variant
+ * @async
+ * @function runPipeline
+ * @param {string} variant - Variant name (e.g. standard, enhanced)
+ * @param {string} userMessage - The customer's message
+ * @param {Object} [options={}] - Request options passed to Pipeline#run
+ * @returns {Promise<Object>} Object containing the response and intent
+ */
+export const runPipeline = (variant, userMessage, options = {}) => (
+    getPipeline(variant).run(userMessage, options)
+);
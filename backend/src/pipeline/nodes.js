@@ -0,0 +1,344 @@
+/**
+ * Pipeline Node Definitions Module
+ * @module pipeline/nodes
+ * @requires ../config/intents
+ * @requires ../knowledgeBase/retrieval
+ * @requires ../utils/citations
+ * @requires ../logging/logger
+ *
+ * The steps of the customer service workflow:
+ * 1. Intent Classification: Determines the type of customer request
+ * 2. Knowledge Base Search: Retrieves relevant information from the vector store
+ * 3. Grounded Fallback: Answers safely when nothing relevant was retrieved
+ * 4. Response Generation: Creates appropriate responses based on context
+ *
+ * Response generation is the default handler of the intent router; the
+ * intent-specific handlers live in ./handlers.
+ *
+ * Nodes only describe the work; model selection, prompt optimization,
+ * output validation and tracing are supplied by the pipeline engine and its
+ * plugins.
+ */
+
+import { getIntent, getIntents } from '../config/intents.js';
+import { findContactInfo, retrieve } from '../knowledgeBase/retrieval.js';
+import { formatKnowledgeSources, validateCitations } from '../utils/citations.js';
+import { logger } from '../logging/logger.js';
+
+/**
+ * Formats the intent taxonomy for the classification prompt
+ * @param {import('../config/intents.js').Intent[]} intents - The intents
+ * @returns {string} One entry per intent with its description and examples
+ */
+const formatIntents = (intents) => intents
+    .flatMap(({ name, description, examples }) => [
+        `- ${name}: ${description}`,
+        ...examples.map(example => `  Example: "${example}"`)
+    ])
+    .join('\n        ');
+
+/**
+ * Classifies the intent of a customer message into one of the intents of the taxonomy
+ * @type {Object}
+ */
+export const classifyIntent = {
+    name: 'classifyIntent',
+    type: 'llm',
+    output: 'intent',
+    event: 'intent',
+    log: 'Intent classified',
+    // Built on first use so the taxonomy is read after the environment is loaded
+    get schema() {
+        return {
+            type: 'object',
+            required: ['intent', 'confidence'],
+            properties: {
+                userMessage: { type: 'string' },
+                intent: { type: 'string', enum: getIntents().map(intent => intent.name) },
+                confidence: { type: 'number', minimum: 0, maximum: 1 }
+            }
+        };
+    },
+
+    /**
+     * @param {Object} state - Execution state
+     * @param {string} state.userMessage - The customer's message to classify
+     * @param {Array<{role: string, content: string}>} state.history - Previous turns of the conversation
+     * @param {Object} runtime - Node runtime (complete, resolvePrompt)
+     * @returns {Promise<Object>} Object containing userMessage, intent, confidence and the intent's routing hints
+     * @throws {StructuredOutputError} If the model keeps returning invalid output or an unknown intent
+     */
+    async run({ userMessage, history }, runtime) {
+        // Define the prompt for intent classification
+        const prompt = `
+        Classify this customer message into exactly one of these intents:
+        ${formatIntents(getIntents())}
+
+        If the message is a follow-up, use the earlier conversation turns to
+        understand what the customer is referring to.
+
+        IMPORTANT: You must respond ONLY with a valid JSON object, nothing else.
+
+        Customer Message: ${userMessage}
+
+        Return JSON:
+        {
+            "userMessage": "${userMessage}",
+            "intent": "intent_name",
+            "confidence": 0.95
+        }
+        `;
+
+        // Structure the messages for better control
+        const messages = [
+            {
+                role: "system",
+                content: await runtime.resolvePrompt(prompt)
+            },
+            ...history,
+            {
+                role: "user",
+                content: `Customer Message: ${userMessage}`
+            }
+        ];
+        runtime.input = messages;
+
+        // Get a schema-validated classification from the LLM
+        const { intent, confidence } = await runtime.complete(messages);
+
+        // The message comes from the request, not from the model's echo of it
+        return { userMessage, intent, confidence, routing: getIntent(intent).routing };
+    }
+};
+
+/**
+ * Searches the knowledge base for relevant information
+ * @type {Object}
+ */
+export const searchKnowledgeBase = {
+    name: 'searchKnowledgeBase',
+    type: 'tool',
+    output: 'context',
+    event: 'knowledge',
+    eventData: ({ count, results, retrieval }) => ({ count, results, retrieval }),
+    log: 'Knowledge base searched',
+    // Skipped for routes that answer without knowledge (e.g. clarifying questions)
+    when: ({ route }) => route?.usesKnowledge !== false,
+
+    /**
+     * @param {Object} state - Execution state
+     * @param {Object} state.intent - The classified intent object
+     * @param {Object} [state.route] - The intent route, whose knowledge filter restricts the search
+     * @param {Object} runtime - Node runtime (embeddings, vectorStore, keywordIndex)
+     * @returns {Promise<Object>} Object containing search results with per-stage scores, metadata and the retrieval strategy used
+     */
+    async run({ intent, route }, runtime) {
+        runtime.input = intent;
+
+        // Convert user message to vector embedding for similarity search
+        const queryEmbedding = await runtime.embeddings.embedQuery(intent.userMessage);
+
+        // Search the knowledge base (vector + keyword), narrowed to the classified intent when confident
+        const { matches, retrieval } = await retrieve({
+            vectorStore: runtime.vectorStore,
+            keywordIndex: runtime.keywordIndex,
+            vector: queryEmbedding,
+            query: intent.userMessage,
+            intent,
+            baseFilter: route?.knowledgeFilter ?? undefined
+        });
+
+        // Format search results
+        return {
+            results: matches.map(match => ({
+                id: match.id,
+                pageContent: match.metadata.text,
+                metadata: match.metadata,
+                score: match.score,
+                scores: match.scores
+            })),
+            count: matches.length,
+            retrieval,
+            intent
+        };
+    }
+};
+
+/**
+ * Answers with a safe fallback instead of generating a response when no
+ * knowledge base match is relevant enough, so the model is never asked to
+ * answer without grounding. Points the customer to the contact information
+ * from the knowledge base.
+ * @type {Object}
+ */
+export const groundedFallback = {
+    name: 'groundedFallback',
+    type: 'tool',
+    output: 'response',
+    log: 'Grounded fallback answered',
+    // Routes that can answer without knowledge (e.g. complaints) handle ungrounded messages themselves
+    when: ({ context, route }) => context?.retrieval?.grounded === false && route?.requiresGrounding !== false,
+
+    /**
+     * @param {Object} state - Execution state
+     * @param {Object} state.context - The context object from knowledge search
+     * @param {Object} runtime - Node runtime (embeddings, vectorStore, onToken)
+     * @returns {Promise<Object>} Object containing the response and the fallback decision
+     */
+    async run({ context }, runtime) {
+        const { retrieval } = context;
+        runtime.input = { userMessage: context.intent.userMessage, retrieval };
+
+        const contact = await findContactInfo({
+            vectorStore: runtime.vectorStore,
+            embeddings: runtime.embeddings
+        });
+
+        const apology = "I'm sorry, I couldn't find reliable information about that in our knowledge base, so I'd rather not guess.";
+        const response = contact
+            ? `${apology} Our support team can help you directly:\n\n${contact.text}`
+            : `${apology} Please contact our support team and they will help you directly.`;
+
+        if (runtime.onToken) {
+            runtime.onToken(response);
+        }
+
+        return {
+            response,
+            fallback: {
+                reason: 'no_relevant_knowledge',
+                minScore: retrieval.minScore,
+                bestScore: retrieval.bestScore,
+                contactSource: contact?.id ?? null
+            }
+        };
+    }
+};
+
+/**
+ * JSON Schema of an answer with citations of the knowledge sources
+ * @type {Object}
+ */
+export const ANSWER_SCHEMA = {
+    type: 'object',
+    required: ['response'],
+    properties: {
+        response: { type: 'string', minLength: 1 },
+        citations: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['source'],
+                properties: {
+                    source: { type: 'integer' },
+                    quote: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Answers the customer from the retrieved knowledge sources with validated
+ * citations. Shared by the default response generator and the intent handlers,
+ * which only differ in their instructions.
+ * @async
+ * @function answerFromKnowledge
+ * @param {Object} state - Execution state
+ * @param {Object} state.context - The context object from knowledge search
+ * @param {Array<{role: string, content: string}>} state.history - Previous turns of the conversation
+ * @param {Object} runtime - Node runtime (complete, resolvePrompt)
+ * @param {Object} [options={}] - Prompt options
+ * @param {string} [options.task='Generate a customer service response.'] - First line of the prompt
+ * @param {string} [options.guidelines=''] - Extra instructions for the answer
+ * @returns {Promise<{response: string, citations: Array<Object>}>} The answer and its validated citations
+ * @throws {StructuredOutputError} If the model keeps returning invalid output
+ */
+export const answerFromKnowledge = async ({ context, history }, runtime, {
+    task = 'Generate a customer service response.',
+    guidelines = ''
+} = {}) => {
+    const sources = context.results.length
+        ? formatKnowledgeSources(context.results)
+        : 'No relevant knowledge was found.';
+
+    // Define prompt for response generation
+    const prompt = `
+        ${task}
+        ${guidelines}
+        Question: ${context.intent.userMessage}
+        Intent: ${context.intent.intent}
+        Knowledge sources:
+        ${sources}
+
+        Use this information to help the customer. Earlier turns of the
+        conversation are included so you can answer follow-up questions
+        consistently with what was already said.
+
+        Cite the knowledge sources you use by their number in square brackets,
+        e.g. [1], right after the statement they support. For every cited source
+        add a short quote copied word for word from it. Only cite the sources
+        listed above.
+
+        Response format:
+        {
+            "response": "helpful response here [1]",
+            "citations": [
+                { "source": 1, "quote": "exact words from source 1" }
+            ]
+        }
+        `;
+
+    // Structure the messages for better control
+    const messages = [
+        {
+            role: "system",
+            content: await runtime.resolvePrompt(prompt)
+        },
+        ...history,
+        {
+            role: "user",
+            content: `Customer Message: ${context.intent.userMessage}`
+        }
+    ];
+    runtime.input = messages;
+
+    // Get a schema-validated response from the LLM; the engine streams
+    // the decoded "response" field to the caller when requested
+    const parsedResponse = await runtime.complete(messages);
+
+    // Keep only citations of sources that were actually retrieved
+    const { response: text, citations, dropped } = validateCitations(parsedResponse, context.results);
+    if (dropped.length) {
+        logger.warn('Dropped invalid citations', { dropped });
+    }
+
+    return { response: text, citations };
+};
+
+/**
+ * Generates a response based on the context and intent. The default handler
+ * of the intent router, and the only answer step of pipelines without one.
+ * @type {Object}
+ */
+export const generateResponse = {
+    name: 'generateResponse',
+    type: 'llm',
+    output: 'response',
+    log: 'Response generated',
+    // Skipped when an earlier node (e.g. groundedFallback) already answered
+    // or the message was routed to another handler
+    when: ({ response, route }) => response === undefined && (!route || route.node === 'generateResponse'),
+    schema: ANSWER_SCHEMA,
+    streamField: 'response',
+
+    /**
+     * @param {Object} state - Execution state
+     * @param {Object} state.context - The context object from knowledge search
+     * @param {Array<{role: string, content: string}>} state.history - Previous turns of the conversation
+     * @param {Object} runtime - Node runtime (complete, resolvePrompt)
+     * @returns {Promise<Object>} Object containing the response and its validated citations
+     * @throws {StructuredOutputError} If the model keeps returning invalid output
+     */
+    run: (state, runtime) => answerFromKnowledge(state, runtime)
+};
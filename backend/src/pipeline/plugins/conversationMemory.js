@@ -0,0 +1,60 @@
+/**
+ * Conversation Memory Plugin Module
+ * @module pipeline/plugins/conversationMemory
+ * @requires ../../memory/conversationStore
+ *
+ * Loads the previous turns of the session into `state.history` (chat
+ * messages for the prompts) and `state.turns` (stored turns with their
+ * intent and outcome) before the first node runs, and records the finished
+ * turn afterwards.
+ */
+
+import { conversationStore } from '../../memory/conversationStore.js';
+
+/**
+ * Describes how a turn ended, from the response object of the pipeline
+ * @param {Object} response - The pipeline response
+ * @returns {string} escalated, fallback, clarification or answered
+ */
+const outcomeOf = (response) => {
+    if (response.ticket) {
+        return 'escalated';
+    }
+    if (response.fallback) {
+        return 'fallback';
+    }
+    return response.clarification ? 'clarification' : 'answered';
+};
+
+/**
+ * Creates the conversation memory plugin
+ * @function conversationMemory
+ * @param {Object} [options={}] - Plugin options
+ * @param {ConversationStore} [options.store=conversationStore] - Store holding the sessions
+ * @returns {Object} Pipeline plugin
+ */
+export const conversationMemory = ({ store = conversationStore } = {}) => ({
+    name: 'conversationMemory',
+
+    async onRunStart(execution) {
+        // Load previous turns so follow-up questions keep their context
+        if (execution.sessionId) {
+            execution.state.history = await store.getHistory(execution.sessionId);
+            execution.state.turns = await store.getTurns(execution.sessionId);
+        }
+    },
+
+    async onRunEnd(execution, result) {
+        // Remember this turn for the next message in the session
+        if (execution.sessionId) {
+            await store.appendTurn(execution.sessionId, {
+                userMessage: execution.state.userMessage,
+                response: result.response.response,
+                intent: result.intent.intent,
+                outcome: outcomeOf(result.response),
+                // Kept so the next message can confirm or cancel the action
+                pendingAction: result.response.pendingAction ?? null
+            });
+        }
+    }
+});
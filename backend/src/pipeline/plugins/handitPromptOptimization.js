@@ -0,0 +1,51 @@
+/**
+ * Handit Prompt Optimization Plugin Module
+ * @module pipeline/plugins/handitPromptOptimization
+ * @requires @handit.ai/node
+ * @requires ../../../handitService
+ * @requires ../../config
+ * @requires ../../logging/logger
+ *
+ * Replaces the default prompt of each LLM node with the optimized prompt
+ * Handit has deployed for it, when one exists. Without HANDIT_API_KEY Handit
+ * is not called, and when it cannot be reached the default prompt is kept:
+ * Handit never fails a customer request.
+ */
+
+import { fetchOptimizedPrompt } from '@handit.ai/node';
+import '../../../handitService.js';  // Importar la configuración de Handit
+import { getConfig } from '../../config/index.js';
+import { logger } from '../../logging/logger.js';
+
+/**
+ * Creates the Handit prompt optimization plugin
+ * @function handitPromptOptimization
+ * @param {Object} [options={}] - Plugin options
+ * @param {Function} [options.fetchPrompt=fetchOptimizedPrompt] - Fetches the optimized prompt of a node
+ * @returns {Object} Pipeline plugin
+ */
+export const handitPromptOptimization = ({ fetchPrompt = fetchOptimizedPrompt } = {}) => ({
+    name: 'handitPromptOptimization',
+
+    async resolvePrompt(node) {
+        if (!getConfig().handit.apiKey) {
+            return null;
+        }
+
+        // Fetch optimized prompt from Handit
+        let optimizedPrompt;
+        try {
+            optimizedPrompt = await fetchPrompt({
+                modelId: node.name,
+            });
+        } catch (error) {
+            logger.warn('Failed to fetch the optimized prompt, using the default prompt', { node: node.name, error });
+            return null;
+        }
+
+        logger.debug('Optimized prompt fetched', { node: node.name, optimizedPrompt });
+
+        // Use optimized prompt if available, otherwise keep the default prompt
+        return optimizedPrompt;
+    }
+});
@@ -0,0 +1,73 @@
+/**
+ * Metrics Plugin Module
+ * @module pipeline/plugins/metrics
+ * @requires ../../metrics
+ *
+ * Records pipeline metrics for Prometheus (see metrics/index): the duration
+ * of every node and tool call, LLM node failures and, once a run ends, its
+ * classified intent, knowledge base hit or miss, grounded fallback and
+ * escalation.
+ */
+
+import {
+    pipelineNodeDuration,
+    intentsTotal,
+    fallbacksTotal,
+    escalationsTotal,
+    llmErrorsTotal,
+    knowledgeBaseSearchesTotal
+} from '../../metrics/index.js';
+
+/**
+ * Counts the outcome of a run from its final state
+ * @param {Object} execution - The finished execution
+ * @returns {void}
+ */
+const recordOutcome = ({ pipeline, state }) => {
+    if (state.intent) {
+        intentsTotal.inc({ pipeline, intent: state.intent.intent });
+    }
+    if (state.context) {
+        knowledgeBaseSearchesTotal.inc({ pipeline, result: state.context.count > 0 ? 'hit' : 'miss' });
+    }
+    if (state.response?.fallback) {
+        fallbacksTotal.inc({ pipeline, reason: state.response.fallback.reason });
+    }
+    if (state.response?.ticket) {
+        escalationsTotal.inc({ pipeline, reason: state.response.ticket.reason });
+    }
+};
+
+/**
+ * Creates the metrics plugin
+ * @function metrics
+ * @returns {Object} Pipeline plugin
+ */
+export const metrics = () => ({
+    name: 'metrics',
+
+    async onNodeEnd(node, { startedAt, endedAt }, execution) {
+        pipelineNodeDuration.observe(
+            { pipeline: execution.pipeline, node: node.name, type: node.type, status: 'ok' },
+            (endedAt - startedAt) / 1000
+        );
+    },
+
+    async onNodeError(node, { error, startedAt, endedAt }, execution) {
+        pipelineNodeDuration.observe(
+            { pipeline: execution.pipeline, node: node.name, type: node.type, status: 'error' },
+            (endedAt - startedAt) / 1000
+        );
+        if (node.type === 'llm') {
+            llmErrorsTotal.inc({ pipeline: execution.pipeline, node: node.name, code: error.code ?? error.name });
+        }
+    },
+
+    async onRunEnd(execution) {
+        recordOutcome(execution);
+    },
+
+    async onRunError(execution) {
+        recordOutcome(execution);
+    }
+});
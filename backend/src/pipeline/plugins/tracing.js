@@ -0,0 +1,109 @@
+/**
+ * Tracing Plugin Module
+ * @module pipeline/plugins/tracing
+ * @requires ../../config
+ * @requires ../../tracing/tracer
+ * @requires ../../tracing/jsonlExporter
+ * @requires ../../tracing/handitExporter
+ * @requires ../../logging/logger
+ *
+ * Records every pipeline run as a trace: a root span for the request and one
+ * span per node and tool call with its input, output, timing, error and usage
+ * (tokens, embedding calls and cost; run totals on the root span). The
+ * spans go to the exporters named in the plugin options or in `tracing.exporters`
+ * (TRACE_EXPORTERS, default `jsonl,handit`):
+ * - `jsonl` appends them to a local file (see tracing/jsonlExporter)
+ * - `handit` sends them to Handit with `trackNode`; it is skipped when
+ *   HANDIT_API_KEY is not set, so the traced pipeline also runs offline
+ *
+ * Exporter failures are logged and never fail the request.
+ */
+
+import { getConfig } from '../../config/index.js';
+import { Tracer } from '../../tracing/tracer.js';
+import { JsonlTraceExporter } from '../../tracing/jsonlExporter.js';
+import { HanditTraceExporter } from '../../tracing/handitExporter.js';
+import { logger } from '../../logging/logger.js';
+
+/**
+ * Exporter factories keyed by the names used in TRACE_EXPORTERS
+ * @type {Object<string, Function>}
+ */
+const EXPORTERS = {
+    jsonl: () => new JsonlTraceExporter(),
+    handit: () => {
+        if (!getConfig().handit.apiKey) {
+            logger.info('HANDIT_API_KEY is not set, traces are not sent to Handit');
+            return null;
+        }
+        return new HanditTraceExporter();
+    }
+};
+
+/**
+ * Creates the exporters named in a list
+ * @param {string[]} names - Exporter names
+ * @returns {Array<Object>} The exporters
+ * @throws {Error} If a name is unknown
+ */
+const createExporters = (names) => names
+    .map((name) => {
+        if (!EXPORTERS[name]) {
+            throw new Error(`Unknown trace exporter "${name}", expected one of ${Object.keys(EXPORTERS).join(', ')}`);
+        }
+        return EXPORTERS[name]();
+    })
+    .filter(Boolean);
+
+/**
+ * Creates the tracing plugin
+ * @function tracing
+ * @param {Object} [options={}] - Plugin options
+ * @param {string[]} [options.exporters] - Exporter names, defaults to `tracing.exporters`
+ * @returns {Object} Pipeline plugin
+ * @throws {Error} If an exporter name is unknown
+ */
+export const tracing = ({ exporters } = {}) => {
+    const names = exporters ?? getConfig().tracing.exporters;
+    const tracer = new Tracer(createExporters(names));
+
+    return {
+        name: 'tracing',
+
+        async onRunStart(execution) {
+            execution.trace = await tracer.startTrace({
+                agentName: execution.agentName,
+                pipeline: execution.pipeline,
+                sessionId: execution.sessionId,
+                requestId: execution.requestId,
+                input: { userMessage: execution.state.userMessage, history: execution.state.history },
+                startedAt: execution.startedAt
+            });
+            execution.traceId = execution.trace.traceId;
+        },
+
+        async onNodeEnd(node, { input, output, startedAt, endedAt, usage }, execution) {
+            if (execution.trace) {
+                await tracer.recordSpan(execution.trace, { name: node.name, type: node.type, input, output, usage, startedAt, endedAt });
+            }
+        },
+
+        async onNodeError(node, { input, error, startedAt, endedAt, usage }, execution) {
+            if (execution.trace) {
+                await tracer.recordSpan(execution.trace, { name: node.name, type: node.type, input, error, usage, startedAt, endedAt });
+            }
+        },
+
+        async onRunEnd(execution, result) {
+            if (execution.trace) {
+                await tracer.endTrace(execution.trace, { output: result, usage: execution.meta?.totals });
+            }
+        },
+
+        async onRunError(execution, error) {
+            if (execution.trace) {
+                await tracer.endTrace(execution.trace, { error, usage: execution.meta?.totals });
+            }
+        }
+    };
+};
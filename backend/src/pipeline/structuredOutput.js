@@ -0,0 +1,200 @@
+/**
+ * Structured Output Module
+ * @module pipeline/structuredOutput
+ * @requires ../config
+ * @requires ../utils/jsonFieldStream
+ * @requires ../utils/schema
+ * @requires ./usage
+ * @requires ../logging/logger
+ *
+ * Every LLM node declares the JSON Schema of the object it expects from the
+ * model. Completions are parsed and validated against it; when the model
+ * returns something malformed it is shown the validation errors and asked to
+ * answer again, a bounded number of times, before the node fails with a
+ * StructuredOutputError the server can report as a typed error.
+ *
+ * The number of repair attempts is set by STRUCTURED_OUTPUT_MAX_RETRIES
+ * (default 2, so at most three completions per node).
+ *
+ * Only the first completion is streamed. When text of it was already
+ * streamed but the completion is invalid, `onReset` is called before the
+ * repair attempt so clients discard that text; the repaired answer is then
+ * only delivered with the node result.
+ */
+
+import { getConfig } from '../config/index.js';
+import { JsonFieldStream } from '../utils/jsonFieldStream.js';
+import { validateSchema } from '../utils/schema.js';
+import { addUsage, readUsageMetadata } from './usage.js';
+import { logger } from '../logging/logger.js';
+
+/**
+ * Error raised when a model keeps returning output that does not match the node schema
+ * @class StructuredOutputError
+ * @extends Error
+ */
+export class StructuredOutputError extends Error {
+    /**
+     * @constructor
+     * @param {string} message - Error message
+     * @param {Object} details - Failure details
+     * @param {string} details.nodeName - Node whose output was invalid
+     * @param {number} details.attempts - Number of completions requested
+     * @param {string[]} details.errors - Validation errors of the last completion
+     * @param {string} details.rawOutput - The last raw completion
+     */
+    constructor(message, { nodeName, attempts, errors, rawOutput }) {
+        super(message);
+        this.name = 'StructuredOutputError';
+        this.code = 'INVALID_MODEL_OUTPUT';
+        this.nodeName = nodeName;
+        this.attempts = attempts;
+        this.errors = errors;
+        this.rawOutput = rawOutput;
+    }
+}
+
+/**
+ * Returns the number of repair attempts allowed after the first completion
+ * @function getMaxRetries
+ * @returns {number} Repair attempts
+ */
+export const getMaxRetries = () => getConfig().structuredOutput.maxRetries;
+
+/**
+ * Extracts and parses the JSON object of a completion. Markdown code fences
+ * and text around the outermost braces are ignored.
+ * @function parseJsonObject
+ * @param {string} content - Raw completion
+ * @returns {{value?: Object, errors: string[]}} The parsed object, or why it could not be parsed
+ */
+export const parseJsonObject = (content) => {
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        return { errors: ['the reply does not contain a JSON object'] };
+    }
+
+    try {
+        // Raw control characters are not allowed inside JSON strings
+        const json = content.slice(start, end + 1).replace(/[\u0000-\u001F\u007F-\u009F]/g, ' ');
+        return { value: JSON.parse(json), errors: [] };
+    } catch (error) {
+        return { errors: [`the reply is not valid JSON: ${error.message}`] };
+    }
+};
+
+/**
+ * Streams a completion, forwarding the decoded text of one string field
+ * @async
+ * @param {Object} llm - The chat model
+ * @param {Array<Object>} messages - The chat messages to send
+ * @param {string} streamField - Top-level string field to forward
+ * @param {Function} onToken - Receives each newly decoded piece of text
+ * @param {AbortSignal} [signal] - Aborts the stream
+ * @returns {Promise<{content: string, usage_metadata?: Object, streamed: boolean}>} The complete
+ * raw completion, with the token counts reported in the stream and whether any text was forwarded
+ */
+const streamCompletion = async (llm, messages, streamField, onToken, signal) => {
+    const field = new JsonFieldStream(streamField);
+    let content = '';
+    let usageMetadata;
+    let streamed = false;
+
+    for await (const chunk of await llm.stream(messages, { signal })) {
+        content += chunk.content;
+        usageMetadata = chunk.usage_metadata ?? usageMetadata;
+
+        const text = field.push(chunk.content);
+        if (text) {
+            streamed = true;
+            onToken(text);
+        }
+    }
+
+    return { content, usage_metadata: usageMetadata, streamed };
+};
+
+/**
+ * Builds the message asking the model to fix its previous reply
+ * @param {string[]} errors - Validation errors
+ * @param {Object} schema - Expected JSON Schema
+ * @returns {{role: string, content: string}} Repair message
+ */
+const repairMessage = (errors, schema) => ({
+    role: 'user',
+    content: [
+        'Your previous reply could not be used:',
+        ...errors.map(error => `- ${error}`),
+        'Reply again with ONLY a JSON object, without any other text, matching this JSON Schema:',
+        JSON.stringify(schema)
+    ].join('\n')
+});
+
+/**
+ * Requests a completion and validates it against a schema, re-prompting the
+ * model with the validation errors until it complies or retries run out.
+ * Only the first attempt is streamed; when it turns out invalid after text
+ * was streamed, `onReset` is called before the repair attempt, and the
+ * repaired answer reaches the caller through the node result only.
+ * @async
+ * @function invokeStructured
+ * @param {Object} options - Invocation options
+ * @param {Object} options.llm - The chat model
+ * @param {Array<Object>} options.messages - The chat messages to send
+ * @param {Object} options.schema - JSON Schema of the expected object
+ * @param {string} options.nodeName - Node name, reported in logs and errors
+ * @param {string} [options.streamField] - String field streamed through onToken
+ * @param {Function} [options.onToken] - Receives streamed text
+ * @param {Function} [options.onReset] - Called when the text streamed so far must be discarded
+ * @param {AbortSignal} [options.signal] - Aborts the completion
+ * @param {number} [options.maxRetries=getMaxRetries()] - Repair attempts after the first completion
+ * @param {Object} [options.usage] - Usage record every completion is counted in (see ./usage)
+ * @returns {Promise<{value: Object, attempts: number}>} The validated object
+ * @throws {StructuredOutputError} If no completion matched the schema
+ */
+export const invokeStructured = async ({
+    llm,
+    messages,
+    schema,
+    nodeName,
+    streamField,
+    onToken,
+    onReset,
+    signal,
+    maxRetries = getMaxRetries(),
+    usage
+}) => {
+    const conversation = [...messages];
+    let content = '';
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+        const completion = attempt === 1 && onToken && streamField
+            ? await streamCompletion(llm, conversation, streamField, onToken, signal)
+            : await llm.invoke(conversation, { signal });
+        content = completion.content;
+        if (usage) {
+            addUsage(usage, { llmCalls: 1, ...readUsageMetadata(completion) });
+        }
+
+        const parsed = parseJsonObject(content);
+        errors = parsed.errors.length ? parsed.errors : validateSchema(parsed.value, schema);
+        if (!errors.length) {
+            return { value: parsed.value, attempts: attempt };
+        }
+
+        logger.warn('Invalid model output', { node: nodeName, attempt, errors });
+        if (completion.streamed && attempt <= maxRetries) {
+            onReset?.();
+        }
+        conversation.push({ role: 'assistant', content }, repairMessage(errors, schema));
+    }
+
+    throw new StructuredOutputError(`${nodeName} returned invalid output after ${maxRetries + 1} attempts`, {
+        nodeName,
+        attempts: maxRetries + 1,
+        errors,
+        rawOutput: content
+    });
+};
@@ -0,0 +1,156 @@
+/**
+ * Usage Accounting Module
+ * @module pipeline/usage
+ * @requires ../config/pricing
+ *
+ * Counts what each node of a run consumed: wall time, chat completions with
+ * their prompt and completion tokens (as reported by the model in
+ * `usage_metadata`), and embedding calls. Embedding APIs do not report token
+ * counts through LangChain, so embedding tokens are estimated at four
+ * characters per token. Costs come from the price table (see config/pricing).
+ */
+
+import { calculateCost, getPricing } from '../config/pricing.js';
+
+/**
+ * Resources used by a node or a run
+ * @typedef {Object} Usage
+ * @property {number} llmCalls - Chat completions requested
+ * @property {number} inputTokens - Prompt tokens
+ * @property {number} outputTokens - Completion tokens
+ * @property {number} totalTokens - Prompt and completion tokens
+ * @property {number} embeddingCalls - Texts embedded
+ * @property {number} embeddingTokens - Estimated tokens of the embedded texts
+ */
+
+/**
+ * Returns a usage record with every count at zero
+ * @function emptyUsage
+ * @returns {Usage} Empty usage
+ */
+export const emptyUsage = () => ({
+    llmCalls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    totalTokens: 0,
+    embeddingCalls: 0,
+    embeddingTokens: 0
+});
+
+/**
+ * Adds the counts of one usage record to another
+ * @function addUsage
+ * @param {Usage} target - Usage updated in place
+ * @param {Partial<Usage>} usage - Counts to add
+ * @returns {Usage} The target
+ */
+export const addUsage = (target, usage) => {
+    for (const key of Object.keys(emptyUsage())) {
+        target[key] += usage[key] ?? 0;
+    }
+    return target;
+};
+
+/**
+ * Reads the token counts LangChain attaches to a model message or stream chunk
+ * @function readUsageMetadata
+ * @param {Object} message - Model message or chunk
+ * @returns {Partial<Usage>} Prompt, completion and total tokens (zero when not reported)
+ */
+export const readUsageMetadata = (message) => {
+    const metadata = message?.usage_metadata;
+    const inputTokens = metadata?.input_tokens ?? 0;
+    const outputTokens = metadata?.output_tokens ?? 0;
+    return {
+        inputTokens,
+        outputTokens,
+        totalTokens: metadata?.total_tokens ?? inputTokens + outputTokens
+    };
+};
+
+/**
+ * Returns the model name of a LangChain chat model or embeddings client
+ * @function getModelName
+ * @param {Object} client - Chat model or embeddings client
+ * @returns {string|null} The model name, if the client exposes one
+ */
+export const getModelName = (client) => client?.model ?? client?.modelName ?? null;
+
+/**
+ * Estimates the tokens of a text at four characters per token
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated tokens
+ */
+const estimateTokens = (text) => Math.ceil(String(text ?? '').length / 4);
+
+/**
+ * Wraps an embeddings client so every embedded text is counted in a usage record
+ * @function countEmbeddings
+ * @param {Object} embeddings - Embeddings client
+ * @param {Usage} usage - Usage updated on every call
+ * @returns {Object} Embeddings client with the same embedQuery/embedDocuments surface
+ */
+export const countEmbeddings = (embeddings, usage) => ({
+    model: getModelName(embeddings),
+
+    embedQuery: async (text) => {
+        const vector = await embeddings.embedQuery(text);
+        addUsage(usage, { embeddingCalls: 1, embeddingTokens: estimateTokens(text) });
+        return vector;
+    },
+
+    embedDocuments: async (texts) => {
+        const vectors = await embeddings.embedDocuments(texts);
+        addUsage(usage, {
+            embeddingCalls: texts.length,
+            embeddingTokens: texts.reduce((sum, text) => sum + estimateTokens(text), 0)
+        });
+        return vectors;
+    }
+});
+
+/**
+ * Builds the usage entry of a node or tool call, with its cost
+ * @function describeNodeUsage
+ * @param {Object} details - What the node used
+ * @param {string} details.name - Node or tool name
+ * @param {string} details.type - llm or tool
+ * @param {number} details.startedAt - Start time in milliseconds
+ * @param {number} details.endedAt - End time in milliseconds
+ * @param {Usage} [details.usage] - Counts of the node
+ * @param {string|null} [details.model] - Chat model of the node
+ * @param {string|null} [details.embeddingModel] - Embedding model of the node
+ * @returns {Object} Name, type, model, durationMs, usage counts, cost (null when unpriced) and unpriced models
+ */
+export const describeNodeUsage = ({ name, type, startedAt, endedAt, usage = emptyUsage(), model = null, embeddingModel = null }) => {
+    const { cost, unpricedModels } = calculateCost(usage, { model, embeddingModel });
+    return {
+        name,
+        type,
+        model: usage.llmCalls ? model : null,
+        durationMs: endedAt - startedAt,
+        ...usage,
+        cost,
+        unpricedModels
+    };
+};
+
+/**
+ * Sums the node and tool call entries of a run
+ * @function summarizeUsage
+ * @param {Array<Object>} nodes - Entries built with describeNodeUsage
+ * @param {number} durationMs - Wall time of the run
+ * @returns {Object} Run meta: durationMs, nodes and totals (with the cost currency)
+ */
+export const summarizeUsage = (nodes, durationMs) => {
+    const totals = { ...emptyUsage(), cost: 0, currency: getPricing().currency, unpricedModels: [] };
+
+    for (const node of nodes) {
+        addUsage(totals, node);
+        totals.cost += node.cost ?? 0;
+        totals.unpricedModels.push(...node.unpricedModels.filter(model => !totals.unpricedModels.includes(model)));
+    }
+    totals.cost = Number(totals.cost.toFixed(8));
+
+    return { durationMs, nodes, totals };
+};
@@ -0,0 +1,232 @@
+/**
+ * Fake Provider Module
+ * @module providers/fake
+ * @requires fs
+ *
+ * Deterministic, network-free stand-ins for chat models and embeddings so the
+ * whole pipeline can run in tests, CI and demos without API keys.
+ *
+ * Completions come from a script: a JSON file (FAKE_LLM_SCRIPT) mapping node
+ * names to rules `{ "match": "<regex>", "response": <string|object> }` tested
+ * against the latest user message. The key "*" applies to every node, and
+ * `{{userMessage}}` inside a response is replaced with that message. Nodes
+ * without a matching rule fall back to built-in canned answers.
+ *
+ * Embeddings are hashed bags of words: texts sharing words get similar
+ * vectors, which is enough for meaningful local retrieval.
+ */
+
+import { readFileSync } from 'fs';
+
+/**
+ * Keywords used by the canned intent classifier, checked in order
+ * @type {Array<[string, RegExp]>}
+ */
+const INTENT_KEYWORDS = [
+    ['complaint', /\b(angry|terrible|awful|unacceptable|complain|worst|frustrat)/i],
+    ['account_action', /\b(my (account|invoices?|subscription|plan)|next invoice|pause|upgrade|password reset|reset (my )?password)/i],
+    ['billing_inquiry', /\b(bill|invoice|payment|charge|refund|subscription|price|plan)/i],
+    ['contact_inquiry', /\b(contact|phone|email|call|reach|hours)/i],
+    ['company_inquiry', /\b(company|founded|office|headquarter|mission|values)/i],
+    ['product_question', /\b(feature|api|integration|graphql|webhook|sdk|uptime|sla)/i]
+];
+
+/**
+ * Keywords used by the canned tool planner, checked in order
+ * @type {Array<[string, RegExp]>}
+ */
+const TOOL_KEYWORDS = [
+    ['pauseSubscription', /\bpause/i],
+    ['upgradeSubscription', /\bupgrade/i],
+    ['sendPasswordReset', /\bpassword/i],
+    ['listInvoices', /\b(invoice|bill)/i],
+    ['lookupAccount', /\b(account|plan|subscription)/i]
+];
+
+/**
+ * Picks a tool and its arguments from the keywords of a message
+ * @param {string} userMessage - The customer's message
+ * @returns {Object} Tool plan in the shape the account action node expects
+ */
+const planToolCall = (userMessage) => {
+    const [tool] = TOOL_KEYWORDS.find(([, pattern]) => pattern.test(userMessage)) || ['none'];
+    const months = userMessage.match(/\b(\d+)\s+months?\b/i);
+    const plan = userMessage.match(/\b(starter|professional|enterprise)\b/i);
+
+    if (tool === 'pauseSubscription' && months) {
+        return { tool, arguments: { months: Number(months[1]) } };
+    }
+    if (tool === 'upgradeSubscription') {
+        return plan
+            ? { tool, arguments: { plan: plan[1].toLowerCase() } }
+            : { tool, arguments: {}, question: 'Which plan would you like to upgrade to?' };
+    }
+    return { tool, arguments: {} };
+};
+
+/**
+ * Built-in canned completions per node, used when no script rule matches
+ * @type {Object<string, Function>}
+ */
+const DEFAULT_COMPLETIONS = {
+    classifyIntent: (userMessage) => {
+        const [intent] = INTENT_KEYWORDS.find(([, pattern]) => pattern.test(userMessage))
+            || ['support_request'];
+        return { userMessage, intent, confidence: 0.9 };
+    },
+    generateResponse: (userMessage) => ({
+        response: `Thanks for reaching out about "${userMessage}". Our team is happy to help with that.`
+    }),
+    handleBillingInquiry: (userMessage) => ({
+        response: `Thanks for your billing question about "${userMessage}". Our billing team is happy to help with that.`
+    }),
+    handleComplaint: (userMessage) => ({
+        response: `I'm sorry about your experience with "${userMessage}". I understand how frustrating that is.`
+    }),
+    askClarifyingQuestion: (userMessage) => ({
+        response: `Could you tell me a bit more about what you need help with regarding "${userMessage}"?`
+    }),
+    handleAccountAction: planToolCall
+};
+
+/**
+ * Loads a script file, or returns an empty script when none is configured
+ * @param {string} [scriptPath] - Path to the JSON script
+ * @returns {Object} Rules keyed by node name
+ */
+const loadScript = (scriptPath) => (
+    scriptPath ? JSON.parse(readFileSync(scriptPath, 'utf8')) : {}
+);
+
+/**
+ * Scripted chat model with the same invoke/stream surface as LangChain chat models
+ * @class FakeChatModel
+ */
+export class FakeChatModel {
+    /**
+     * @constructor
+     * @param {Object} [options={}] - Model options
+     * @param {string} [options.nodeName] - Pipeline node the model serves
+     * @param {Object} [options.script] - Rules keyed by node name (or "*")
+     * @param {number} [options.chunkSize=8] - Characters per streamed chunk
+     */
+    constructor({ nodeName, script = {}, chunkSize = 8 } = {}) {
+        this.model = 'fake';
+        this.nodeName = nodeName;
+        this.rules = [...(script[nodeName] || []), ...(script['*'] || [])];
+        this.chunkSize = chunkSize;
+    }
+
+    /**
+     * Picks the scripted or canned completion for a conversation
+     * @private
+     * @param {Array<{role: string, content: string}>} messages - Chat messages
+     * @returns {string} Completion text
+     */
+    complete(messages) {
+        const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+        const userMessage = (lastUserMessage?.content || '').replace(/^Customer Message:\s*/, '');
+
+        const rule = this.rules.find(({ match }) => new RegExp(match, 'i').test(userMessage));
+        const canned = DEFAULT_COMPLETIONS[this.nodeName];
+        const response = rule ? rule.response : canned ? canned(userMessage) : '';
+        const text = typeof response === 'string' ? response : JSON.stringify(response);
+
+        return text.replaceAll('{{userMessage}}', userMessage);
+    }
+
+    /**
+     * Returns usage figures in the shape LangChain reports them
+     * @private
+     * @param {Array<{role: string, content: string}>} messages - Chat messages
+     * @param {string} content - Completion text
+     * @returns {Object} Estimated input, output and total tokens
+     */
+    usage(messages, content) {
+        const inputTokens = Math.ceil(messages.reduce((sum, m) => sum + m.content.length, 0) / 4);
+        const outputTokens = Math.ceil(content.length / 4);
+        return {
+            input_tokens: inputTokens,
+            output_tokens: outputTokens,
+            total_tokens: inputTokens + outputTokens
+        };
+    }
+
+    async invoke(messages, { signal } = {}) {
+        signal?.throwIfAborted();
+        const content = this.complete(messages);
+        return { content, usage_metadata: this.usage(messages, content) };
+    }
+
+    async *stream(messages, { signal } = {}) {
+        const content = this.complete(messages);
+        for (let i = 0; i < content.length; i += this.chunkSize) {
+            signal?.throwIfAborted();
+            yield { content: content.slice(i, i + this.chunkSize) };
+        }
+        yield { content: '', usage_metadata: this.usage(messages, content) };
+    }
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+const fnv1a = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Hash-based embeddings with the LangChain embeddings surface
+ * @class FakeEmbeddings
+ */
+export class FakeEmbeddings {
+    /**
+     * @constructor
+     * @param {Object} [options={}] - Embedding options
+     * @param {number} [options.dimensions=256] - Vector dimension
+     */
+    constructor({ dimensions = 256 } = {}) {
+        this.model = 'fake';
+        this.dimensions = dimensions;
+    }
+
+    async embedQuery(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+        for (const word of words) {
+            const hash = fnv1a(word);
+            vector[hash % this.dimensions] += hash & 0x80000000 ? -1 : 1;
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm ? vector.map(value => value / norm) : vector;
+    }
+
+    async embedDocuments(texts) {
+        return Promise.all(texts.map(text => this.embedQuery(text)));
+    }
+}
+
+/**
+ * Provider serving scripted completions and hashed embeddings
+ * @type {Object}
+ */
+export const fakeProvider = {
+    createChatModel: ({ nodeName, script }) => new FakeChatModel({
+        nodeName,
+        script: loadScript(script)
+    }),
+
+    createEmbeddings: ({ dimensions }) => new FakeEmbeddings({ dimensions }),
+
+    // Nothing to reach: the fake provider runs in process
+    ping: async () => {}
+};
@@ -0,0 +1,164 @@
+/**
+ * LLM Provider Registry Module
+ * @module providers
+ * @requires ../config
+ * @requires ./openai
+ * @requires ./fake
+ *
+ * Creates chat models and embeddings from named providers so every pipeline
+ * node can use its own provider, model and temperature.
+ *
+ * Settings come from the `llm` and `embeddings` sections of the configuration
+ * (see config). Global defaults:
+ * - LLM_PROVIDER (default `openai`), LLM_MODEL (default `gpt-4`),
+ *   LLM_TEMPERATURE (default 0.4), LLM_BASE_URL, LLM_API_KEY (default OPENAI_API_KEY)
+ *
+ * Per-node overrides (`llm.nodes.<name>`) use the node name in upper snake case as prefix, e.g.
+ * CLASSIFY_INTENT_LLM_MODEL=gpt-4o-mini or GENERATE_RESPONSE_LLM_PROVIDER=openai-compatible.
+ *
+ * Embeddings: EMBEDDINGS_PROVIDER (default LLM_PROVIDER), EMBEDDINGS_MODEL,
+ * EMBEDDINGS_BASE_URL (default LLM_BASE_URL), EMBEDDINGS_DIMENSIONS (fake provider only).
+ *
+ * The fake provider reads its script from FAKE_LLM_SCRIPT.
+ */
+
+import { getConfig } from '../config/index.js';
+import { openAIProvider, openAICompatibleProvider } from './openai.js';
+import { fakeProvider } from './fake.js';
+
+/**
+ * Registered providers keyed by name
+ * @type {Map<string, {createChatModel: Function, createEmbeddings: Function}>}
+ */
+const providers = new Map();
+
+/**
+ * Registers a provider under a name usable in LLM_PROVIDER settings
+ * @function registerProvider
+ * @param {string} name - Provider name
+ * @param {Object} provider - Provider implementation
+ * @param {Function} provider.createChatModel - Builds a chat model from a node configuration
+ * @param {Function} provider.createEmbeddings - Builds an embeddings client
+ * @param {Function} [provider.validate] - Throws when a configuration lacks a required setting
+ * @param {Function} [provider.ping] - Checks that a configured model is reachable (see pingModel)
+ * @returns {void}
+ */
+export const registerProvider = (name, provider) => {
+    providers.set(name, provider);
+};
+
+registerProvider('openai', openAIProvider);
+registerProvider('openai-compatible', openAICompatibleProvider);
+registerProvider('fake', fakeProvider);
+
+/**
+ * Looks up a registered provider
+ * @param {string} name - Provider name
+ * @returns {Object} The provider
+ * @throws {Error} If no provider is registered under the name
+ */
+const getProvider = (name) => {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(`Unknown LLM provider "${name}". Registered providers: ${[...providers.keys()].join(', ')}`);
+    }
+    return provider;
+};
+
+/**
+ * Resolves the model configuration of a pipeline node
+ * @function getNodeModelConfig
+ * @param {string} nodeName - Pipeline node name (e.g. classifyIntent)
+ * @returns {Object} Provider, model, temperature and connection settings
+ */
+export const getNodeModelConfig = (nodeName) => {
+    const { llm, openai } = getConfig();
+    const { provider, model, temperature, baseURL, apiKey } = { ...llm, ...llm.nodes[nodeName] };
+
+    return {
+        nodeName,
+        provider,
+        model,
+        temperature,
+        baseURL: baseURL ?? undefined,
+        apiKey: apiKey || openai.apiKey || undefined,
+        script: llm.fakeScript ?? undefined
+    };
+};
+
+/**
+ * Creates the chat model configured for a pipeline node
+ * @function createChatModel
+ * @param {string} nodeName - Pipeline node name (e.g. classifyIntent)
+ * @returns {Object} A chat model exposing invoke() and stream()
+ */
+export const createChatModel = (nodeName) => {
+    const config = getNodeModelConfig(nodeName);
+    return getProvider(config.provider).createChatModel(config);
+};
+
+/**
+ * Checks that the model of a pipeline node is fully configured, without calling it
+ * @function validateModelConfig
+ * @param {string} nodeName - Pipeline node name (e.g. classifyIntent)
+ * @returns {void}
+ * @throws {Error} If the provider is unknown or a required setting is missing
+ */
+export const validateModelConfig = (nodeName) => {
+    const config = getNodeModelConfig(nodeName);
+    getProvider(config.provider).validate?.(config);
+};
+
+/**
+ * Checks that the model configured for a pipeline node can be reached, for
+ * readiness checks. Providers without a `ping` method are assumed reachable.
+ * @async
+ * @function pingModel
+ * @param {string} nodeName - Pipeline node name (e.g. classifyIntent)
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Aborts the check
+ * @returns {Promise<void>}
+ * @throws {Error} If the provider is unknown or the model cannot be reached
+ */
+export const pingModel = async (nodeName, options = {}) => {
+    const config = getNodeModelConfig(nodeName);
+    await getProvider(config.provider).ping?.(config, options);
+};
+
+/**
+ * Resolves the embeddings configuration
+ * @function getEmbeddingsConfig
+ * @returns {Object} Provider, model and connection settings
+ */
+export const getEmbeddingsConfig = () => {
+    const { embeddings, llm, openai } = getConfig();
+
+    return {
+        provider: embeddings.provider || llm.provider,
+        model: embeddings.model ?? undefined,
+        baseURL: embeddings.baseURL || llm.baseURL || undefined,
+        apiKey: embeddings.apiKey || llm.apiKey || openai.apiKey || undefined,
+        ...(embeddings.dimensions && { dimensions: embeddings.dimensions })
+    };
+};
+
+/**
+ * Checks that the embeddings are fully configured, without calling them
+ * @function validateEmbeddingsConfig
+ * @returns {void}
+ * @throws {Error} If the provider is unknown or a required setting is missing
+ */
+export const validateEmbeddingsConfig = () => {
+    const config = getEmbeddingsConfig();
+    getProvider(config.provider).validate?.(config);
+};
+
+/**
+ * Creates the configured embeddings client
+ * @function createEmbeddings
+ * @returns {Object} An embeddings client exposing embedQuery() and embedDocuments()
+ */
+export const createEmbeddings = () => {
+    const config = getEmbeddingsConfig();
+    return getProvider(config.provider).createEmbeddings(config);
+};
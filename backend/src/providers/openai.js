@@ -0,0 +1,111 @@
+/**
+ * OpenAI Provider Module
+ * @module providers/openai
+ * @requires @langchain/openai
+ * @requires openai
+ *
+ * Chat models and embeddings served by the OpenAI API, or by any server that
+ * speaks the same protocol (Ollama, llama.cpp, vLLM, LM Studio) when a base
+ * URL is configured.
+ */
+
+import { ChatOpenAI } from '@langchain/openai';
+import { OpenAIEmbeddings } from '@langchain/openai';
+import OpenAI from 'openai';
+
+/**
+ * Provider for the hosted OpenAI API
+ * @type {Object}
+ */
+export const openAIProvider = {
+    /**
+     * @param {Object} config - Node model configuration
+     * @param {string} config.model - Model name
+     * @param {number} config.temperature - Sampling temperature
+     * @param {string} [config.apiKey] - API key
+     * @returns {ChatOpenAI} Chat model
+     */
+    createChatModel: ({ model, temperature, apiKey }) => new ChatOpenAI({
+        modelName: model,
+        temperature,
+        openAIApiKey: apiKey
+    }),
+
+    /**
+     * @param {Object} config - Embeddings configuration
+     * @param {string} [config.model] - Embedding model name
+     * @param {string} [config.apiKey] - API key
+     * @returns {OpenAIEmbeddings} Embeddings client
+     */
+    createEmbeddings: ({ model, apiKey }) => new OpenAIEmbeddings({
+        ...(model && { modelName: model }),
+        openAIApiKey: apiKey
+    }),
+
+    /**
+     * Checks that the settings needed to call the API are present
+     * @param {Object} config - Node model or embeddings configuration
+     * @returns {void}
+     * @throws {Error} If no API key is configured
+     */
+    validate: ({ apiKey }) => {
+        if (!apiKey) {
+            throw new Error('An OpenAI API key is required, set OPENAI_API_KEY');
+        }
+    },
+
+    /**
+     * Checks that the API is reachable, the key is accepted and the model exists,
+     * without spending tokens
+     * @async
+     * @param {Object} config - Node model configuration
+     * @param {Object} [options={}] - Request options
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<void>}
+     * @throws {Error} If the request fails
+     */
+    ping: async ({ model, apiKey }, { signal } = {}) => {
+        await new OpenAI({ apiKey, maxRetries: 0 }).models.retrieve(model, { signal });
+    }
+};
+
+/**
+ * Provider for self-hosted servers exposing the OpenAI-compatible API.
+ * Local servers usually ignore the API key, so a placeholder is sent when none is set.
+ * @type {Object}
+ */
+export const openAICompatibleProvider = {
+    createChatModel: ({ model, temperature, apiKey, baseURL }) => {
+        if (!baseURL) {
+            throw new Error(`A base URL is required for the OpenAI-compatible model "${model}"`);
+        }
+        return new ChatOpenAI({
+            modelName: model,
+            temperature,
+            openAIApiKey: apiKey || 'not-needed',
+            configuration: { baseURL }
+        });
+    },
+
+    createEmbeddings: ({ model, apiKey, baseURL }) => {
+        if (!baseURL) {
+            throw new Error('A base URL is required for OpenAI-compatible embeddings');
+        }
+        return new OpenAIEmbeddings({
+            ...(model && { modelName: model }),
+            openAIApiKey: apiKey || 'not-needed',
+            configuration: { baseURL }
+        });
+    },
+
+    validate: ({ baseURL }) => {
+        if (!baseURL) {
+            throw new Error('A base URL is required for the OpenAI-compatible provider, set LLM_BASE_URL');
+        }
+    },
+
+    // Not every server can describe a single model, but they all list them
+    ping: async ({ apiKey, baseURL }, { signal } = {}) => {
+        await new OpenAI({ apiKey: apiKey || 'not-needed', baseURL, maxRetries: 0 }).models.list({ signal });
+    }
+};
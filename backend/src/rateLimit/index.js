@@ -0,0 +1,66 @@
+/**
+ * Rate Limiting Module
+ * @module rateLimit
+ * @requires ./tokenBucket
+ * @requires ../config
+ * @requires ../metrics
+ *
+ * Limits how often each client may call the chat API, since every call
+ * spends model tokens. Requests with an API key draw from the bucket of that
+ * key (`rateLimits.perKey`, or the key's own `rateLimit`); the others from
+ * the bucket of their IP address (`rateLimits.perIp`), so a server-to-server
+ * client relaying many customers is not limited as a single browser.
+ *
+ * Every response carries `RateLimit-Limit` and `RateLimit-Remaining`; refused
+ * requests are answered with 429 and `Retry-After` in seconds.
+ */
+
+import { TokenBucketLimiter } from './tokenBucket.js';
+import { getConfig } from '../config/index.js';
+import { rateLimitedRequestsTotal, setMiddlewareRoute } from '../metrics/index.js';
+
+/**
+ * Buckets of every client of the process
+ * @type {TokenBucketLimiter}
+ */
+const limiter = new TokenBucketLimiter();
+
+/**
+ * Express middleware taking a token from the client's bucket, answering 429
+ * when it is empty. Mount it after `authenticateClient`, which identifies
+ * API key clients (`req.apiClient`).
+ * @function rateLimit
+ * @param {Object} req - The request
+ * @param {Object} res - The response
+ * @param {Function} next - Next middleware
+ * @returns {void}
+ */
+export const rateLimit = (req, res, next) => {
+    setMiddlewareRoute(req, res, 'rateLimit');
+    const { enabled, perIp, perKey } = getConfig().rateLimits;
+    if (!enabled) {
+        return next();
+    }
+
+    const [limitName, id, limit] = req.apiClient
+        ? ['apiKey', `key:${req.apiClient.name}`, req.apiClient.rateLimit ?? perKey]
+        : ['ip', `ip:${req.ip}`, perIp];
+    const { allowed, remaining, retryAfterSeconds } = limiter.take(id, limit);
+
+    res.set({
+        'RateLimit-Limit': String(limit.burst),
+        'RateLimit-Remaining': String(remaining)
+    });
+    if (allowed) {
+        return next();
+    }
+
+    rateLimitedRequestsTotal.inc({ limit: limitName });
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({
+        error: `Too many requests, retry in ${retryAfterSeconds} seconds`,
+        code: 'RATE_LIMITED',
+        retryAfterSeconds,
+        requestId: req.id
+    });
+};
@@ -0,0 +1,68 @@
+/**
+ * Token Bucket Module
+ * @module rateLimit/tokenBucket
+ *
+ * In-memory token buckets, one per client. A bucket holds up to `burst`
+ * tokens and refills continuously at `perMinute` tokens per minute; every
+ * request takes one token and is refused while the bucket is empty. Clients
+ * can therefore send a burst at once but not exceed the rate over time.
+ *
+ * Buckets live in the server process: with several instances, each one
+ * enforces the limits on its own share of the traffic.
+ */
+
+/**
+ * Token buckets of many clients, keeping the most recently used ones
+ * @class TokenBucketLimiter
+ */
+export class TokenBucketLimiter {
+    /**
+     * @constructor
+     * @param {Object} [options={}] - Limiter options
+     * @param {number} [options.maxBuckets=10000] - Buckets kept; the least recently used are dropped
+     *   beyond it (dropping a bucket only refills it)
+     * @param {Function} [options.now=Date.now] - Clock in milliseconds
+     */
+    constructor({ maxBuckets = 10000, now = Date.now } = {}) {
+        this.maxBuckets = maxBuckets;
+        this.now = now;
+        this.buckets = new Map();
+    }
+
+    /**
+     * Takes a token from a client's bucket
+     * @method take
+     * @param {string} id - Client id (e.g. `ip:203.0.113.7` or `key:crm`)
+     * @param {Object} limit - The client's limit
+     * @param {number} limit.burst - Capacity of the bucket
+     * @param {number} limit.perMinute - Tokens added per minute
+     * @returns {{allowed: boolean, remaining: number, retryAfterSeconds: number}} Whether the
+     *   request may proceed, the whole tokens left and, when refused, the seconds until a token is available
+     */
+    take(id, { burst, perMinute }) {
+        const now = this.now();
+        const bucket = this.buckets.get(id) ?? { tokens: burst, updatedAt: now };
+        const tokensPerMs = perMinute / 60000;
+
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * tokensPerMs);
+        bucket.updatedAt = now;
+
+        const allowed = bucket.tokens >= 1;
+        if (allowed) {
+            bucket.tokens -= 1;
+        }
+
+        // Re-inserting keeps the Map in least recently used order
+        this.buckets.delete(id);
+        this.buckets.set(id, bucket);
+        if (this.buckets.size > this.maxBuckets) {
+            this.buckets.delete(this.buckets.keys().next().value);
+        }
+
+        return {
+            allowed,
+            remaining: Math.floor(bucket.tokens),
+            retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / tokensPerMs / 1000)
+        };
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * Knowledge Base Ingestion Script
+ * @module scripts/ingestKnowledgeBase
+ * @requires util
+ * @requires path
+ * @requires ../knowledgeBase/loader
+ * @requires ../knowledgeBase/indexer
+ * @requires ../vectorStore
+ *
+ * Ingests a directory of support articles (Markdown, HTML, plain text and CSV
+ * question/answer files) into the configured vector store.
+ *
+ * Re-running the ingestion is safe: only new or changed chunks are embedded,
+ * and vectors of removed or shrunk articles are deleted. The directory is the
+ * sync scope, so articles ingested from other directories are left alone.
+ *
+ * Usage:
+ *   npm run ingest -- <directory> [--namespace customer-service-kb]
+ *                     [--chunk-size 1000] [--chunk-overlap 200]
+ *                     [--dry-run] [--force] [--prune-untracked]
+ *
+ * Process flow:
+ * 1. Walk the directory and parse every supported file
+ * 2. Derive metadata from front matter and folder structure
+ * 3. Compare the chunks with the index manifest
+ * 4. Embed changed chunks and delete stale ones (skipped with --dry-run)
+ * 5. Print a summary report
+ */
+
+import { parseArgs } from 'util';
+import path from 'path';
+import { loadDocuments } from '../knowledgeBase/loader.js';
+import { findUntrackedIds, formatSyncPlan, syncDocuments } from '../knowledgeBase/indexer.js';
+import { createVectorStore, KNOWLEDGE_BASE_NAMESPACE } from '../vectorStore/index.js';
+
+/**
+ * Prints the ingestion summary report
+ * @param {Object} report - Ingestion results
+ * @returns {void}
+ */
+function printSummary({ files, documents, plan, untracked, dryRun, namespace, durationMs }) {
+    const loaded = files.filter(file => file.status === 'loaded');
+    const skipped = files.filter(file => file.status === 'skipped');
+    const failed = files.filter(file => file.status === 'failed');
+
+    const formats = {};
+    loaded.forEach(file => {
+        formats[file.format] = (formats[file.format] || 0) + 1;
+    });
+    const formatSummary = Object.entries(formats).map(([format, count]) => `${format}: ${count}`).join(', ');
+
+    console.log(`\n📊 Ingestion summary${dryRun ? ' (dry run, nothing was changed)' : ''}`);
+    console.log(`   Namespace:       ${namespace}`);
+    console.log(`   Files scanned:   ${files.length}${formatSummary ? ` (${formatSummary})` : ''}`);
+    console.log(`   Documents:       ${documents}`);
+    console.log(`   Chunks embedded: ${plan.upserts.length}`);
+    console.log(`   Chunks deleted:  ${plan.deletes.length + untracked}`);
+    console.log(`   Chunks kept:     ${plan.unchanged}`);
+    console.log(`   Skipped files:   ${skipped.length}`);
+    skipped.forEach(file => console.log(`     - ${file.source}: ${file.reason}`));
+    console.log(`   Failed files:    ${failed.length}`);
+    failed.forEach(file => console.log(`     - ${file.source}: ${file.reason}`));
+    console.log(`   Duration:        ${(durationMs / 1000).toFixed(1)}s`);
+}
+
+/**
+ * Ingests a directory of documents into the knowledge base
+ * @async
+ * @function ingestKnowledgeBase
+ * @param {Object} options - Ingestion options
+ * @param {string} options.directory - Directory holding the articles
+ * @param {string} options.namespace - Vector store namespace to write
+ * @param {number} [options.chunkSize] - Chunk size in characters
+ * @param {number} [options.chunkOverlap] - Overlap between chunks in characters
+ * @param {boolean} [options.dryRun=false] - Only print the planned changes
+ * @param {boolean} [options.force=false] - Re-embed unchanged chunks too
+ * @param {boolean} [options.pruneUntracked=false] - Delete vectors missing from the manifest
+ * @returns {Promise<Object>} Ingestion report
+ *
+ * @example
+ * await ingestKnowledgeBase({ directory: './docs', namespace: 'customer-service-kb' });
+ */
+async function ingestKnowledgeBase({
+    directory,
+    namespace,
+    chunkSize,
+    chunkOverlap,
+    dryRun = false,
+    force = false,
+    pruneUntracked = false
+}) {
+    const startedAt = Date.now();
+
+    console.log(`📂 Loading documents from ${directory}...`);
+    const { documents, files } = await loadDocuments(directory);
+
+    // A failed file must not look like a removed one, or its vectors would be deleted
+    const prune = !files.some(file => file.status === 'failed');
+    if (!prune) {
+        console.log('⚠️ Some files failed to load, removed articles will not be pruned');
+    }
+
+    console.log('🔄 Syncing documents with the knowledge base...');
+    const plan = await syncDocuments({
+        documents,
+        scope: `directory:${path.resolve(directory)}`,
+        namespace,
+        chunkOptions: { chunkSize, chunkOverlap },
+        dryRun,
+        force,
+        prune
+    });
+    console.log(formatSyncPlan(plan));
+
+    let untracked = [];
+    if (pruneUntracked) {
+        untracked = await findUntrackedIds(namespace);
+        console.log(`🧹 ${untracked.length} untracked vectors${dryRun ? ' would be deleted' : ' deleted'}`);
+        if (!dryRun && untracked.length) {
+            const vectorStore = await createVectorStore({ namespace });
+            await vectorStore.delete(untracked);
+        }
+    }
+
+    return {
+        files,
+        namespace,
+        plan,
+        dryRun,
+        documents: documents.length,
+        untracked: untracked.length,
+        durationMs: Date.now() - startedAt
+    };
+}
+
+/**
+ * Parses the command line and runs the ingestion
+ * @async
+ * @returns {Promise<void>}
+ */
+async function main() {
+    try {
+        const { values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                namespace: { type: 'string', default: KNOWLEDGE_BASE_NAMESPACE },
+                'chunk-size': { type: 'string' },
+                'chunk-overlap': { type: 'string' },
+                'dry-run': { type: 'boolean', default: false },
+                force: { type: 'boolean', default: false },
+                'prune-untracked': { type: 'boolean', default: false }
+            }
+        });
+
+        if (positionals.length !== 1) {
+            console.error('Usage: npm run ingest -- <directory> [--namespace name] [--chunk-size n] [--chunk-overlap n] [--dry-run] [--force] [--prune-untracked]');
+            process.exit(1);
+        }
+
+        const report = await ingestKnowledgeBase({
+            directory: positionals[0],
+            namespace: values.namespace,
+            chunkSize: values['chunk-size'] && Number(values['chunk-size']),
+            chunkOverlap: values['chunk-overlap'] && Number(values['chunk-overlap']),
+            dryRun: values['dry-run'],
+            force: values.force,
+            pruneUntracked: values['prune-untracked']
+        });
+
+        printSummary(report);
+
+        if (report.files.some(file => file.status === 'failed')) {
+            process.exit(1);
+        }
+        console.log('✅ Knowledge base ingestion completed!');
+    } catch (error) {
+        console.error('❌ Error ingesting knowledge base:', error);
+        process.exit(1);
+    }
+}
+
+// Run the ingestion
+main();
@@ -1,32 +1,33 @@
 /**
- * Pinecone Knowledge Base Initialization Script
+ * Knowledge Base Initialization Script
  * @module scripts/initPinecone
- * @requires @pinecone-database/pinecone
- * @requires @langchain/openai
- * @requires dotenv
+ * @requires util
+ * @requires ../config
  * @requires ../config/pinecone
- * @requires ../utils/textProcessor
+ * @requires ../knowledgeBase/indexer
  * 
- * This script initializes the Pinecone vector database with sample customer service data.
- * It processes documents into chunks, generates embeddings, and stores them in Pinecone.
+ * This script initializes the configured vector store (Pinecone or local, see
+ * VECTOR_STORE) with sample customer service data. It processes documents into
+ * chunks, generates embeddings, and stores them in the vector store.
+ * 
+ * Running it again only embeds sample documents that changed since the last
+ * run; pass --dry-run to print the planned changes without applying them, or
+ * --force to re-embed every document (e.g. after switching embedding models).
  * 
  * Process flow:
- * 1. Initialize Pinecone client
- * 2. Create embeddings using OpenAI
- * 3. Process documents into chunks
- * 4. Store vectors in Pinecone with metadata
+ * 1. Process documents into chunks
+ * 2. Compare the chunks with the index manifest
+ * 3. Embed changed chunks using the configured provider
+ * 4. Store vectors with metadata and delete stale ones
  */
 
-import { Pinecone } from '@pinecone-database/pinecone';
-import { OpenAIEmbeddings } from '@langchain/openai';
+import { parseArgs } from 'util';
+import { getConfig } from '../config/index.js';
 import { sampleKnowledgeBase } from '../config/pinecone.js';
-import { TextProcessor } from '../utils/textProcessor.js';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { formatSyncPlan, syncDocuments } from '../knowledgeBase/indexer.js';
 
 /**
- * Initializes the knowledge base in Pinecone
+ * Initializes the knowledge base in the configured vector store
  * @async
  * @function initializeKnowledgeBase
  * @throws {Error} If initialization fails
@@ -38,40 +39,26 @@ dotenv.config();
  */
 async function initializeKnowledgeBase() {
     try {
-        console.log('🚀 Initializing Pinecone...');
-        const pc = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-        const namespace = pc.index(process.env.PINECONE_INDEX).namespace("customer-service-kb");
-        
-        console.log('🔄 Creating embeddings...');
-        const embeddings = new OpenAIEmbeddings({
-            openAIApiKey: process.env.OPENAI_API_KEY
+        const { values } = parseArgs({
+            options: {
+                'dry-run': { type: 'boolean', default: false },
+                force: { type: 'boolean', default: false }
+            }
         });
 
-        console.log('📝 Processing and adding documents to knowledge base...');
-        for (const document of sampleKnowledgeBase) {
-            // Process document into chunks
-            const processedChunks = await TextProcessor.processDocument(document);
-            
-            console.log(`✂️ Processing document with ${processedChunks.length} chunks...`);
-            
-            // Prepare records for batch upsert
-            const records = await Promise.all(processedChunks.map(async (chunk, index) => {
-                const embedding = await embeddings.embedQuery(chunk.text);
-                return {
-                    id: `${Date.now()}-${index}`,
-                    values: embedding,
-                    metadata: {
-                        text: chunk.text,
-                        ...chunk.metadata
-                    }
-                };
-            }));
-
-            // Upsert records in batches
-            await namespace.upsert(records);
-        }
+        console.log(`🚀 Initializing ${getConfig().vectorStore.backend} vector store...`);
+        console.log('📝 Syncing sample documents with the knowledge base...');
+        const plan = await syncDocuments({
+            documents: sampleKnowledgeBase,
+            scope: 'sample',
+            dryRun: values['dry-run'],
+            force: values.force
+        });
+        console.log(formatSyncPlan(plan));
 
-        console.log('✅ Knowledge base initialized successfully!');
+        console.log(values['dry-run']
+            ? '✅ Dry run completed, nothing was changed'
+            : '✅ Knowledge base initialized successfully!');
     } catch (error) {
         console.error('❌ Error initializing knowledge base:', error);
         process.exit(1);
@@ -1,131 +1,51 @@
 /**
- * Express Server Configuration
+ * API Server Entry Point
  * @module server
- * @requires express
- * @requires cors
- * @requires morgan
- * @requires dotenv
- * @requires ./agent
+ * @requires ./config
+ * @requires ./logging/logger
+ *
+ * Checks the configuration before anything else is loaded. Many modules read
+ * the configuration when they are imported, so they are imported dynamically
+ * once it is known to be valid; an invalid configuration is then reported as
+ * one structured log line instead of an uncaught stack trace.
  */
 
-import express from 'express';
-import cors from 'cors';
-import morgan from 'morgan';
-import { processRequestVersion2 } from './agent.js';
-import { processRequest } from './simpleAgent.js';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-/**
- * Express application instance
- * @type {express.Application}
- */
-const app = express();
-const port = process.env.PORT || 3000;
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(morgan('dev'));
-
-/**
- * Process a customer service chat request with Handit tracing
- * @route POST /api/chat
- * @param {Object} req.body.message - The customer's message
- * @returns {Object} Response object containing status and data
- * @throws {400} If message is missing
- * @throws {500} If internal server error occurs
- */
-app.post('/api/chat', async (req, res) => {
-    try {
-        const { message } = req.body;
-
-        if (!message) {
-            return res.status(400).json({ 
-                error: 'Message is required' 
-            });
-        }
-
-        // Call main function with the user message
-        const result = await processRequestVersion2(message);
-
-        res.json({ 
-            status: 'success',
-            data: result
-        });
-    } catch (error) {
-        console.error('❌ Error processing request:', error);
-        res.status(500).json({ 
-            error: 'Internal server error',
-            message: error.message 
-        });
-    }
-});
+import { ConfigError, getConfig } from './config/index.js';
+import { logger } from './logging/logger.js';
 
 /**
- * Process a customer service chat request without Handit tracing
- * @route POST /api/chat/simple
- * @param {Object} req.body.message - The customer's message
- * @returns {Object} Response object containing status and data
- * @throws {400} If message is missing
- * @throws {500} If internal server error occurs
+ * Logs the problems of an invalid configuration and stops the process
+ * @function exitWithConfigurationProblems
+ * @param {string} environment - The environment being configured
+ * @param {string[]} problems - What is wrong, one entry per setting
+ * @returns {never}
  */
-app.post('/api/chat/simple', async (req, res) => {
-    try {
-        const { message } = req.body;
-
-        if (!message) {
-            return res.status(400).json({ 
-                error: 'Message is required' 
-            });
-        }
-
-        // Call simple agent function with the user message
-        const result = await processRequest(message);
-
-        res.json({ 
-            status: 'success',
-            data: result
-        });
-    } catch (error) {
-        console.error('❌ Error processing request:', error);
-        res.status(500).json({ 
-            error: 'Internal server error',
-            message: error.message 
-        });
+const exitWithConfigurationProblems = (environment, problems) => {
+    logger.error('Invalid configuration', { environment, problems });
+    process.exit(1);
+};
+
+let config;
+try {
+    config = getConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) {
+        throw error;
     }
-});
+    exitWithConfigurationProblems(error.environment, error.problems);
+}
 
-/**
- * Health check endpoint to verify server status
- * @route GET /api/health
- * @returns {Object} Status object with timestamp
- */
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'ok',
-        timestamp: new Date().toISOString()
-    });
-});
+// Fail at boot rather than on the first request when a model cannot be used
+const { findConfigurationProblems } = await import('./config/validation.js');
+const configurationProblems = findConfigurationProblems();
+if (configurationProblems.length) {
+    exitWithConfigurationProblems(config.environment, configurationProblems);
+}
 
-/**
- * Global error handling middleware
- * @middleware
- * @param {Error} err - Error object
- * @param {Request} req - Express request object
- * @param {Response} res - Express response object
- * @param {NextFunction} next - Express next middleware function
- */
-app.use((err, req, res, next) => {
-    console.error('❌ Server error:', err.stack);
-    res.status(500).json({ 
-        error: 'Something broke!',
-        message: err.message 
-    });
-});
+const { app } = await import('./app.js');
+const port = config.server.port;
 
 // Start the server
 app.listen(port, () => {
-    console.log(`🚀 Server is running on port ${port}`);
-}); 
\ No newline at end of file
+    logger.info('Server is running', { port });
+});
@@ -0,0 +1,123 @@
+/**
+ * Account Tools Module
+ * @module tools/accountTools
+ * @requires ../accounts/accountService
+ *
+ * Tools the agent calls on behalf of the signed-in customer. The account is
+ * always the one of the request, never an argument chosen by the model.
+ * Each tool has:
+ * - `parameters`: JSON Schema of the arguments the model may pass
+ * - `mutating`: whether it changes the account (the customer must confirm first)
+ * - `confirmation(args)`: for mutating tools, what the customer is asked to confirm
+ * - `run(args, { accountId })`: calls the account service
+ * - `describe(result)`: the reply shown to the customer
+ */
+
+import { accountService, MAX_PAUSE_MONTHS, PLANS } from '../accounts/accountService.js';
+
+/**
+ * Formats an amount in cents as dollars
+ * @param {number} cents - Amount in cents
+ * @returns {string} Amount such as $49.00
+ */
+const formatAmount = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+/**
+ * Looks up the customer's account and subscription
+ * @type {Object}
+ */
+export const lookupAccount = {
+    name: 'lookupAccount',
+    description: 'Shows the customer\'s plan, subscription status and next billing date',
+    mutating: false,
+    parameters: { type: 'object', additionalProperties: false, properties: {} },
+    run: (args, { accountId }) => accountService.getAccount(accountId),
+    describe: ({ name, subscription }) => {
+        const status = subscription.status === 'paused'
+            ? `is paused until ${subscription.pausedUntil}`
+            : `is ${subscription.status}`;
+        return `Hi ${name}, your ${subscription.planName} subscription (${formatAmount(subscription.monthlyPrice)}/month) ${status}. Your next billing date is ${subscription.nextBillingDate}.`;
+    }
+};
+
+/**
+ * Lists the customer's recent invoices and the next one
+ * @type {Object}
+ */
+export const listInvoices = {
+    name: 'listInvoices',
+    description: 'Lists the customer\'s latest invoices and the date and amount of the next one',
+    mutating: false,
+    parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            limit: { type: 'integer', minimum: 1, maximum: 12 }
+        }
+    },
+    run: (args, { accountId }) => accountService.listInvoices(accountId, args),
+    describe: ({ invoices, upcoming }) => {
+        const next = upcoming
+            ? `Your next invoice of ${formatAmount(upcoming.amount)} will be issued on ${upcoming.date}.`
+            : 'You have no upcoming invoice.';
+        const recent = invoices.length
+            ? ` Your latest invoices are:\n${invoices.map(invoice => `- ${invoice.id} (${invoice.date}): ${formatAmount(invoice.amount)}, ${invoice.status}`).join('\n')}`
+            : ' You have no invoices yet.';
+        return `${next}${recent}`;
+    }
+};
+
+/**
+ * Pauses the customer's subscription
+ * @type {Object}
+ */
+export const pauseSubscription = {
+    name: 'pauseSubscription',
+    description: `Pauses the customer's subscription for 1 to ${MAX_PAUSE_MONTHS} months (default 1)`,
+    mutating: true,
+    parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            months: { type: 'integer', minimum: 1, maximum: MAX_PAUSE_MONTHS }
+        }
+    },
+    confirmation: ({ months = 1 }) => `pause your subscription for ${months} month${months === 1 ? '' : 's'}`,
+    run: (args, { accountId }) => accountService.pauseSubscription(accountId, args),
+    describe: ({ pausedUntil }) => `Done — your subscription is paused. You won't be billed until it resumes on ${pausedUntil}.`
+};
+
+/**
+ * Upgrades the customer's subscription plan
+ * @type {Object}
+ */
+export const upgradeSubscription = {
+    name: 'upgradeSubscription',
+    description: `Moves the customer's subscription to a higher plan (${Object.keys(PLANS).join(', ')})`,
+    mutating: true,
+    parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['plan'],
+        properties: {
+            plan: { type: 'string', enum: Object.keys(PLANS) }
+        }
+    },
+    confirmation: ({ plan }) => `upgrade your subscription to the ${PLANS[plan].name} plan (${formatAmount(PLANS[plan].monthlyPrice)}/month from your next invoice)`,
+    run: (args, { accountId }) => accountService.upgradeSubscription(accountId, args),
+    describe: ({ plan, nextBillingDate }) => `Done — you're now on the ${PLANS[plan].name} plan. The new price applies from your next invoice on ${nextBillingDate}.`
+};
+
+/**
+ * Emails the customer a password reset link
+ * @type {Object}
+ */
+export const sendPasswordReset = {
+    name: 'sendPasswordReset',
+    description: 'Emails the customer a link to reset their password',
+    mutating: true,
+    parameters: { type: 'object', additionalProperties: false, properties: {} },
+    confirmation: () => 'send a password reset link to the email address on your account',
+    run: (args, { accountId }) => accountService.sendPasswordReset(accountId),
+    describe: ({ sentTo }) => `Done — a password reset link is on its way to ${sentTo}. It may take a few minutes to arrive.`
+};
@@ -0,0 +1,50 @@
+/**
+ * Tool Registry Module
+ * @module tools
+ * @requires ./accountTools
+ *
+ * Tools the agent can call, keyed by name. The tool-calling node offers the
+ * model every registered tool with its description and argument schema (see
+ * ./accountTools for the shape of a tool).
+ */
+
+import { lookupAccount, listInvoices, pauseSubscription, upgradeSubscription, sendPasswordReset } from './accountTools.js';
+
+/**
+ * Tool definitions keyed by name
+ * @type {Map<string, Object>}
+ */
+const tools = new Map();
+
+/**
+ * Registers a tool so the agent can call it
+ * @function registerTool
+ * @param {Object} tool - The tool definition
+ * @returns {void}
+ */
+export const registerTool = (tool) => {
+    tools.set(tool.name, tool);
+};
+
+/**
+ * Returns a registered tool
+ * @function getTool
+ * @param {string} name - Tool name
+ * @returns {Object|undefined} The tool definition
+ */
+export const getTool = (name) => tools.get(name);
+
+/**
+ * Returns every registered tool
+ * @function listTools
+ * @returns {Array<Object>} The tool definitions
+ */
+export const listTools = () => [...tools.values()];
+
+[
+    lookupAccount,
+    listInvoices,
+    pauseSubscription,
+    upgradeSubscription,
+    sendPasswordReset
+].forEach(registerTool);
@@ -0,0 +1,108 @@
+/**
+ * Handit Trace Exporter Module
+ * @module tracing/handitExporter
+ * @requires @handit.ai/node
+ * @requires ../../handitService
+ * @requires ../logging/logger
+ *
+ * Sends traces to Handit: every trace is a Handit execution, the root span is
+ * tracked as the `processCustomerRequest` node and every other span with
+ * `trackNode` under its node name and type.
+ */
+
+import { startTracing, trackNode, endTracing } from '@handit.ai/node';
+import '../../handitService.js';  // Importar la configuración de Handit
+import { logger } from '../logging/logger.js';
+
+/**
+ * Exports traces to Handit
+ * @class HanditTraceExporter
+ */
+export class HanditTraceExporter {
+    constructor() {
+        this.name = 'handit';
+        // Handit execution ids keyed by trace id, for the traces in progress
+        this.executions = new Map();
+    }
+
+    /**
+     * Starts a Handit execution for the trace
+     * @async
+     * @param {Object} trace - The trace
+     * @returns {Promise<void>}
+     */
+    async startTrace(trace) {
+        // Start tracing session with Handit
+        const tracingResponse = await startTracing({
+            agentName: trace.agentName // Name of this AI Application
+        });
+
+        logger.debug('Handit tracing started', { traceId: trace.traceId, executionId: tracingResponse.executionId });
+        this.executions.set(trace.traceId, tracingResponse.executionId); // The execution ID for this trace session
+
+        // Track processCustomerRequest operation with Handit
+        await trackNode({
+            input: trace.input, // The input to this operation
+            nodeName: 'processCustomerRequest', // Unique identifier for this operation
+            agentName: trace.agentName, // Name of this AI Application
+            nodeType: 'tool', // Indicates this is a tool operation
+            executionId: tracingResponse.executionId // Links this operation to the current trace session
+        });
+    }
+
+    /**
+     * Tracks a node or tool span
+     * @async
+     * @param {Object} trace - The trace
+     * @param {import('./tracer.js').Span} span - The span
+     * @returns {Promise<void>}
+     */
+    async exportSpan(trace, span) {
+        const executionId = this.executions.get(trace.traceId);
+        if (!executionId) {
+            return;
+        }
+
+        await trackNode({
+            input: span.input, // The input to this operation
+            output: span.error ?? span.output, // The output of this operation
+            nodeName: span.name, // Unique identifier for this operation
+            agentName: trace.agentName, // Name of this AI Application
+            nodeType: span.type, // Indicates whether this is a LLM or tool operation
+            executionId // Links this operation to the current trace session
+        });
+    }
+
+    /**
+     * Ends the Handit execution, tracking the request error if there was one
+     * @async
+     * @param {Object} trace - The trace
+     * @param {import('./tracer.js').Span} rootSpan - The root span
+     * @returns {Promise<void>}
+     */
+    async endTrace(trace, rootSpan) {
+        const executionId = this.executions.get(trace.traceId);
+        if (!executionId) {
+            return;
+        }
+        this.executions.delete(trace.traceId);
+
+        if (rootSpan.error) {
+            // Track the error with Handit
+            await trackNode({
+                input: trace.input, // The input to this operation
+                output: rootSpan.error, // The output of this operation
+                nodeName: 'processCustomerRequest', // Unique identifier for this operation
+                agentName: trace.agentName, // Name of this AI Application
+                nodeType: 'tool', // Indicates this is a tool operation
+                executionId // Links this operation to the current trace session
+            });
+        }
+
+        await endTracing({
+            executionId, // The execution ID for this trace session
+            agentName: trace.agentName // Name of this AI Application
+        });
+        logger.debug('Handit tracing ended', { traceId: trace.traceId, executionId });
+    }
+}
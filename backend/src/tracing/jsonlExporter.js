@@ -0,0 +1,147 @@
+/**
+ * JSONL Trace Exporter Module
+ * @module tracing/jsonlExporter
+ * @requires fs/promises
+ * @requires path
+ * @requires ../config
+ *
+ * Records traces locally, without any external service: every span is
+ * appended as one JSON line to TRACE_STORE_PATH (default
+ * `.data/traces.jsonl`) as soon as it ends. The spans of a trace share its
+ * `traceId`; the root span (`parentSpanId: null`) is written last.
+ *
+ * The file is rotated before it grows beyond TRACE_STORE_MAX_BYTES: it is
+ * renamed `traces.jsonl.1`, the previous `.1` becomes `.2`, and so on up to
+ * TRACE_STORE_MAX_FILES rotated files; older ones are deleted.
+ */
+
+import { appendFile, mkdir, rename, rm, stat } from 'fs/promises';
+import path from 'path';
+import { getConfig } from '../config/index.js';
+
+/**
+ * Returns the location of the local trace file
+ * @function getTraceStorePath
+ * @returns {string} Path of the JSONL file
+ */
+export const getTraceStorePath = () => getConfig().tracing.storePath;
+
+/**
+ * Returns the trace files, newest first: the current file, then the rotated ones
+ * @function getTraceFilePaths
+ * @param {string} filePath - Location of the current JSONL file
+ * @param {number} maxFiles - Number of rotated files kept
+ * @returns {string[]} Paths of the files
+ */
+export const getTraceFilePaths = (filePath, maxFiles) => [
+    filePath,
+    ...Array.from({ length: maxFiles }, (_, index) => `${filePath}.${index + 1}`)
+];
+
+/**
+ * Returns the size of a file, 0 when it does not exist
+ * @async
+ * @param {string} filePath - The file
+ * @returns {Promise<number>} Size in bytes
+ */
+const readFileSize = async (filePath) => {
+    try {
+        return (await stat(filePath)).size;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return 0;
+    }
+};
+
+/**
+ * Renames a file, doing nothing when it does not exist
+ * @async
+ * @param {string} from - Current path
+ * @param {string} to - New path
+ * @returns {Promise<void>}
+ */
+const renameIfExists = async (from, to) => {
+    try {
+        await rename(from, to);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+};
+
+/**
+ * Appends spans to a JSONL file
+ * @class JsonlTraceExporter
+ */
+export class JsonlTraceExporter {
+    /**
+     * @constructor
+     * @param {string} [filePath=getTraceStorePath()] - Location of the JSONL file
+     * @param {Object} [options={}] - Rotation options (default TRACE_STORE_MAX_BYTES and TRACE_STORE_MAX_FILES)
+     * @param {number} [options.maxFileBytes] - Size the file may reach before it is rotated
+     * @param {number} [options.maxFiles] - Number of rotated files kept
+     */
+    constructor(filePath = getTraceStorePath(), { maxFileBytes, maxFiles } = {}) {
+        const { tracing } = getConfig();
+        this.name = 'jsonl';
+        this.filePath = filePath;
+        this.maxFileBytes = maxFileBytes ?? tracing.maxFileBytes;
+        this.maxFiles = maxFiles ?? tracing.maxFiles;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Rotates the file when appending `bytes` would take it beyond
+     * `maxFileBytes`. A file holding less than one line is never rotated.
+     * @async
+     * @private
+     * @param {number} bytes - Size of the line about to be appended
+     * @returns {Promise<void>}
+     */
+    async rotateIfFull(bytes) {
+        const size = await readFileSize(this.filePath);
+        if (!size || size + bytes <= this.maxFileBytes) {
+            return;
+        }
+
+        const [, ...rotated] = getTraceFilePaths(this.filePath, this.maxFiles);
+        if (!rotated.length) {
+            await rm(this.filePath, { force: true });
+            return;
+        }
+        for (let index = rotated.length - 1; index > 0; index--) {
+            await renameIfExists(rotated[index - 1], rotated[index]);
+        }
+        await rename(this.filePath, rotated[0]);
+    }
+
+    /**
+     * Appends a span, serializing writes so lines never interleave
+     * @async
+     * @private
+     * @param {import('./tracer.js').Span} span - The span
+     * @returns {Promise<void>}
+     */
+    async append(span) {
+        const line = `${JSON.stringify(span)}\n`;
+        this.writeQueue = this.writeQueue
+            .catch(() => {})
+            .then(async () => {
+                await mkdir(path.dirname(this.filePath), { recursive: true });
+                await this.rotateIfFull(Buffer.byteLength(line));
+                await appendFile(this.filePath, line);
+            });
+        return this.writeQueue;
+    }
+
+    async exportSpan(trace, span) {
+        await this.append(span);
+    }
+
+    async endTrace(trace, rootSpan) {
+        await this.append(rootSpan);
+    }
+}
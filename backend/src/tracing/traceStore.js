@@ -0,0 +1,223 @@
+/**
+ * Local Trace Store Module
+ * @module tracing/traceStore
+ * @requires fs/promises
+ * @requires ../config
+ * @requires ./jsonlExporter
+ *
+ * Reads the traces recorded by the JSONL exporter back for the trace viewer.
+ * The files are read on every call, so traces show up as soon as they are
+ * written. They are read from the end, newest span first, and only as far
+ * back as a request needs.
+ */
+
+import { open } from 'fs/promises';
+import { getConfig } from '../config/index.js';
+import { getTraceFilePaths, getTraceStorePath } from './jsonlExporter.js';
+
+/**
+ * Bytes read from a trace file at a time
+ * @type {number}
+ */
+const CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Reads the lines of a file from the last one to the first
+ * @async
+ * @generator
+ * @param {string} filePath - The file
+ * @yields {string} The lines, newest first
+ */
+async function* readLinesBackwards(filePath) {
+    let file;
+    try {
+        file = await open(filePath, 'r');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return;
+        }
+        throw error;
+    }
+
+    try {
+        let position = (await file.stat()).size;
+        // Bytes of the line that continues into the chunk read next
+        let partial = Buffer.alloc(0);
+        while (position > 0) {
+            const length = Math.min(CHUNK_BYTES, position);
+            position -= length;
+            const chunk = Buffer.alloc(length);
+            await file.read(chunk, 0, length, position);
+
+            let buffer = Buffer.concat([chunk, partial]);
+            let end = buffer.length;
+            for (let index = end - 1; index >= 0; index--) {
+                if (buffer[index] === 0x0a) {
+                    yield buffer.toString('utf8', index + 1, end);
+                    end = index;
+                }
+            }
+            partial = buffer.subarray(0, end);
+        }
+        yield partial.toString('utf8');
+    } finally {
+        await file.close();
+    }
+}
+
+/**
+ * Reads the spans of the trace files, newest first, skipping lines that
+ * cannot be parsed
+ * @async
+ * @generator
+ * @param {string[]} filePaths - The files, newest first
+ * @yields {import('./tracer.js').Span} The spans in reverse write order
+ */
+async function* readSpansBackwards(filePaths) {
+    for (const filePath of filePaths) {
+        for await (const line of readLinesBackwards(filePath)) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                yield JSON.parse(line);
+            } catch {
+                // A line cut short by a crash must not hide the other traces
+            }
+        }
+    }
+}
+
+/**
+ * Summarizes a trace from its root span
+ * @param {import('./tracer.js').Span} root - The root span
+ * @param {number} spanCount - Number of node and tool spans of the trace
+ * @returns {Object} The trace summary
+ */
+const summarize = (root, spanCount) => ({
+    traceId: root.traceId,
+    pipeline: root.attributes?.pipeline ?? null,
+    agentName: root.attributes?.agentName ?? null,
+    sessionId: root.attributes?.sessionId ?? null,
+    requestId: root.attributes?.requestId ?? null,
+    userMessage: root.input?.userMessage ?? null,
+    status: root.status,
+    error: root.error,
+    startedAt: root.startedAt,
+    durationMs: root.durationMs,
+    totalTokens: root.usage?.totalTokens ?? null,
+    cost: root.usage?.cost ?? null,
+    currency: root.usage?.currency ?? null,
+    spanCount
+});
+
+/**
+ * Traces recorded in a local JSONL file
+ * @class TraceStore
+ */
+export class TraceStore {
+    /**
+     * @constructor
+     * @param {string} [filePath=getTraceStorePath()] - Location of the JSONL file
+     * @param {number} [maxFiles] - Number of rotated files kept (default TRACE_STORE_MAX_FILES)
+     */
+    constructor(filePath = getTraceStorePath(), maxFiles = getConfig().tracing.maxFiles) {
+        this.filePath = filePath;
+        this.maxFiles = maxFiles;
+    }
+
+    /**
+     * Reads the spans of the current and rotated trace files, newest first
+     * @method spans
+     * @returns {AsyncGenerator<import('./tracer.js').Span>} The spans in reverse write order
+     */
+    spans() {
+        return readSpansBackwards(getTraceFilePaths(this.filePath, this.maxFiles));
+    }
+
+    /**
+     * Lists the most recent finished traces, newest first
+     * @async
+     * @method list
+     * @param {Object} [options={}] - List options
+     * @param {number} [options.limit=20] - Maximum number of traces
+     * @param {string} [options.sessionId] - Only list traces of this session
+     * @param {string} [options.requestId] - Only list the trace of this HTTP request
+     * @returns {Promise<Array<Object>>} Trace summaries
+     */
+    async list({ limit = 20, sessionId, requestId } = {}) {
+        const roots = [];
+        const counts = new Map();
+        // Start of the oldest trace listed so far, once `limit` are found
+        let oldestStart = null;
+
+        // Spans are written when they end. Once `limit` traces are found, a
+        // span that ended before the oldest of them started can neither be
+        // one of their spans nor belong to a trace that started later.
+        for await (const span of this.spans()) {
+            if (oldestStart && span.endedAt < oldestStart) {
+                break;
+            }
+            if (span.parentSpanId) {
+                counts.set(span.traceId, (counts.get(span.traceId) ?? 0) + 1);
+            } else if ((!sessionId || span.attributes?.sessionId === sessionId)
+                && (!requestId || span.attributes?.requestId === requestId)) {
+                roots.push(span);
+                if (roots.length >= limit) {
+                    roots.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+                    oldestStart = roots[limit - 1].startedAt;
+                }
+            }
+        }
+
+        return roots
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+            .slice(0, limit)
+            .map(root => summarize(root, counts.get(root.traceId) ?? 0));
+    }
+
+    /**
+     * Returns a trace with its spans in start order
+     * @async
+     * @method get
+     * @param {string} traceId - Trace id
+     * @returns {Promise<Object|null>} The trace summary with `root` and `spans`, or null if it does not exist.
+     * Traces still in progress have no root span yet (`root: null`).
+     */
+    async get(traceId) {
+        const spans = [];
+        let root = null;
+        for await (const span of this.spans()) {
+            // The spans of a trace all end after it started
+            if (root && span.endedAt < root.startedAt) {
+                break;
+            }
+            if (span.traceId === traceId) {
+                spans.push(span);
+                root = root ?? (span.parentSpanId ? null : span);
+            }
+        }
+        if (!spans.length) {
+            return null;
+        }
+
+        // Back in write order first, so spans starting in the same millisecond
+        // keep the order they ran in
+        const children = spans
+            .filter(span => span.parentSpanId)
+            .reverse()
+            .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+
+        return {
+            ...(root ? summarize(root, children.length) : { traceId, status: 'in_progress', spanCount: children.length }),
+            root,
+            spans: children
+        };
+    }
+}
+
+/**
+ * Shared store reading the traces of the JSONL exporter
+ * @type {TraceStore}
+ */
+export const traceStore = new TraceStore();
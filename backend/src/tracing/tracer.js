@@ -0,0 +1,197 @@
+/**
+ * Tracer Module
+ * @module tracing/tracer
+ * @requires crypto
+ * @requires ../logging/logger
+ *
+ * Turns pipeline runs into traces made of spans and hands them to exporters
+ * (Handit, a local JSONL file, ...). A trace has one root span for the whole
+ * request plus one span per node or tool call.
+ *
+ * An exporter is an object implementing any of these async methods:
+ * startTrace(trace), exportSpan(trace, span), endTrace(trace, rootSpan)
+ *
+ * Exporter errors are logged and swallowed: tracing must never break a
+ * customer request.
+ */
+
+import { randomUUID } from 'crypto';
+import { logger } from '../logging/logger.js';
+
+/**
+ * Name of the root span of every trace
+ * @type {string}
+ */
+export const ROOT_SPAN_NAME = 'processCustomerRequest';
+
+/**
+ * A recorded operation
+ * @typedef {Object} Span
+ * @property {string} traceId - Trace the span belongs to
+ * @property {string} spanId - Span id
+ * @property {string|null} parentSpanId - Root span id, null for the root span itself
+ * @property {string} name - Node or tool name (processCustomerRequest for the root span)
+ * @property {string} type - llm, tool or run (root span)
+ * @property {string} status - ok or error
+ * @property {*} input - What the operation received
+ * @property {*} [output] - What the operation returned
+ * @property {{name: string, message: string, code?: string}|null} error - The error, if it failed
+ * @property {string} startedAt - Start time
+ * @property {string} endedAt - End time
+ * @property {number} durationMs - Duration in milliseconds
+ * @property {Object} [usage] - Tokens, embedding calls and cost (see pipeline/usage); run totals on the root span
+ * @property {{agentName: string, pipeline: string, sessionId: string|null, requestId: string|null}} [attributes] - Request details, root span only
+ */
+
+/**
+ * Reduces an error to the fields worth keeping in a trace
+ * @function serializeError
+ * @param {Error} error - The error
+ * @returns {{name: string, message: string, code?: string}} Serializable error
+ */
+export const serializeError = (error) => ({
+    name: error?.name ?? 'Error',
+    message: error?.message ?? String(error),
+    ...(error?.code && { code: error.code })
+});
+
+/**
+ * Records traces and forwards them to exporters
+ * @class Tracer
+ */
+export class Tracer {
+    /**
+     * @constructor
+     * @param {Array<Object>} [exporters=[]] - Exporters receiving the traces
+     */
+    constructor(exporters = []) {
+        this.exporters = exporters;
+    }
+
+    /**
+     * Calls a method on every exporter that implements it, logging failures
+     * @async
+     * @private
+     * @param {string} method - Exporter method name
+     * @param {...*} args - Method arguments
+     * @returns {Promise<void>}
+     */
+    async export(method, ...args) {
+        for (const exporter of this.exporters) {
+            if (!exporter[method]) {
+                continue;
+            }
+            try {
+                await exporter[method](...args);
+            } catch (error) {
+                logger.error('Trace exporter failed', { exporter: exporter.name, method, error });
+            }
+        }
+    }
+
+    /**
+     * Builds a span of a trace
+     * @private
+     * @param {Object} trace - The trace
+     * @param {Object} details - Span details
+     * @returns {Span} The span
+     */
+    createSpan(trace, { spanId = randomUUID(), parentSpanId = trace.rootSpanId, name, type, input, output, error, usage, startedAt, endedAt = Date.now() }) {
+        return {
+            traceId: trace.traceId,
+            spanId,
+            parentSpanId,
+            name,
+            type,
+            status: error ? 'error' : 'ok',
+            input,
+            output,
+            error: error ? serializeError(error) : null,
+            startedAt: new Date(startedAt).toISOString(),
+            endedAt: new Date(endedAt).toISOString(),
+            durationMs: endedAt - startedAt,
+            ...(usage && { usage })
+        };
+    }
+
+    /**
+     * Starts the trace of a request
+     * @async
+     * @method startTrace
+     * @param {Object} details - Request details
+     * @param {string} details.agentName - Name of the AI application
+     * @param {string} details.pipeline - Pipeline variant
+     * @param {string} [details.sessionId] - Conversation session id
+     * @param {string} [details.requestId] - Id of the HTTP request
+     * @param {*} details.input - The request input
+     * @param {number} [details.startedAt=Date.now()] - Start time in milliseconds
+     * @returns {Promise<Object>} The trace, passed to the other methods
+     */
+    async startTrace({ agentName, pipeline, sessionId = null, requestId = null, input, startedAt = Date.now() }) {
+        const trace = {
+            traceId: randomUUID(),
+            rootSpanId: randomUUID(),
+            agentName,
+            pipeline,
+            sessionId,
+            requestId,
+            input,
+            startedAt
+        };
+        await this.export('startTrace', trace);
+        return trace;
+    }
+
+    /**
+     * Records a finished node or tool call
+     * @async
+     * @method recordSpan
+     * @param {Object} trace - The trace
+     * @param {Object} details - Span details
+     * @param {string} details.name - Node or tool name
+     * @param {string} details.type - llm or tool
+     * @param {*} details.input - What the operation received
+     * @param {*} [details.output] - What it returned
+     * @param {Error} [details.error] - Why it failed
+     * @param {Object} [details.usage] - Tokens, embedding calls and cost of the operation
+     * @param {number} details.startedAt - Start time in milliseconds
+     * @param {number} [details.endedAt=Date.now()] - End time in milliseconds
+     * @returns {Promise<Span>} The span
+     */
+    async recordSpan(trace, details) {
+        const span = this.createSpan(trace, details);
+        await this.export('exportSpan', trace, span);
+        return span;
+    }
+
+    /**
+     * Ends the trace of a request with its root span
+     * @async
+     * @method endTrace
+     * @param {Object} trace - The trace
+     * @param {Object} [details={}] - Request outcome
+     * @param {*} [details.output] - The request result
+     * @param {Error} [details.error] - Why the request failed
+     * @param {Object} [details.usage] - Usage totals of the request
+     * @returns {Promise<Span>} The root span
+     */
+    async endTrace(trace, { output, error, usage } = {}) {
+        const { agentName, pipeline, sessionId, requestId } = trace;
+        const rootSpan = {
+            ...this.createSpan(trace, {
+                spanId: trace.rootSpanId,
+                parentSpanId: null,
+                name: ROOT_SPAN_NAME,
+                type: 'run',
+                input: trace.input,
+                output,
+                error,
+                usage,
+                startedAt: trace.startedAt
+            }),
+            attributes: { agentName, pipeline, sessionId, requestId }
+        };
+        await this.export('endTrace', trace, rootSpan);
+        return rootSpan;
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Citation Utility Module
+ * @module utils/citations
+ *
+ * Numbers the knowledge base results given to the model as sources and checks
+ * the citations in the generated answer against them, so every citation that
+ * reaches the user points at a chunk that was really retrieved.
+ */
+
+/**
+ * Longest quote kept for a citation, in characters
+ * @type {number}
+ */
+const MAX_QUOTE_LENGTH = 300;
+
+/**
+ * Lower-cases and collapses whitespace and quote characters for quote matching
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+const normalize = (text) => text
+    .toLowerCase()
+    .replace(/[“”„"]/g, '"')
+    .replace(/[‘’`]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Returns the beginning of a text, cut at a word boundary
+ * @param {string} text - Source text
+ * @param {number} [length=MAX_QUOTE_LENGTH] - Maximum length
+ * @returns {string} The excerpt
+ */
+const excerpt = (text, length = MAX_QUOTE_LENGTH) => {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    return flat.length <= length ? flat : `${flat.slice(0, flat.lastIndexOf(' ', length))}…`;
+};
+
+/**
+ * Formats knowledge base results as numbered sources for a prompt
+ * @function formatKnowledgeSources
+ * @param {Array<{pageContent: string, metadata: Object}>} results - Knowledge base results
+ * @returns {string} Sources numbered from 1, each with its title, category and topic
+ *
+ * @example
+ * formatKnowledgeSources(context.results);
+ * // [1] Billing and Subscription (category: billing, topic: subscription)
+ * // Our subscription plans include: ...
+ */
+export const formatKnowledgeSources = (results) => results
+    .map(({ pageContent, metadata = {} }, index) => {
+        const details = ['category', 'topic']
+            .filter(key => metadata[key])
+            .map(key => `${key}: ${metadata[key]}`)
+            .join(', ');
+        const heading = [metadata.title, details && `(${details})`].filter(Boolean).join(' ');
+        return `[${index + 1}] ${heading}\n${pageContent}`;
+    })
+    .join('\n\n');
+
+/**
+ * A validated citation of a knowledge base chunk
+ * @typedef {Object} Citation
+ * @property {number} source - Source number used in the answer's [n] markers
+ * @property {string} chunkId - Id of the cited chunk
+ * @property {string} [title] - Document title
+ * @property {string} [category] - Document category
+ * @property {string} [topic] - Document topic
+ * @property {number} [chunkIndex] - Position of the chunk within its document
+ * @property {number|null} score - Retrieval similarity score
+ * @property {string} quote - Snippet supporting the answer
+ * @property {boolean} quoteVerified - Whether the quote was found verbatim in the chunk
+ * @property {string} sourceText - Full text of the chunk
+ */
+
+/**
+ * Validates the citations of a generated answer against the retrieved sources.
+ * Citations of unknown sources are dropped together with their [n] markers,
+ * sources referenced only by a marker get a citation, and quotes that do not
+ * appear in the cited chunk are replaced by an excerpt of it.
+ * @function validateCitations
+ * @param {Object} answer - Parsed model output
+ * @param {string} answer.response - The answer text with [n] markers
+ * @param {Array<{source: number, quote: string}>} [answer.citations] - Citations claimed by the model
+ * @param {Array<{id: string, pageContent: string, metadata: Object, score: number}>} results - The sources given to the model
+ * @returns {{response: string, citations: Citation[], dropped: Array<{source: *, reason: string}>}} The checked answer
+ */
+export const validateCitations = ({ response, citations }, results) => {
+    const dropped = [];
+    const claimed = new Map();
+
+    for (const citation of Array.isArray(citations) ? citations : []) {
+        const source = Number(citation?.source);
+        if (!Number.isInteger(source) || source < 1 || source > results.length) {
+            dropped.push({ source: citation?.source ?? null, reason: 'unknown_source' });
+        } else if (!claimed.has(source)) {
+            claimed.set(source, typeof citation.quote === 'string' ? citation.quote : '');
+        }
+    }
+
+    // Markers must point at a known source; unknown ones are removed from the text
+    const cleanedResponse = response.replace(/\s?\[(\d+)\]/g, (marker, number) => {
+        const source = Number(number);
+        if (source >= 1 && source <= results.length) {
+            if (!claimed.has(source)) {
+                claimed.set(source, '');
+            }
+            return marker;
+        }
+        dropped.push({ source, reason: 'unknown_marker' });
+        return '';
+    });
+
+    const validated = [...claimed.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([source, quote]) => {
+            const { id, pageContent, metadata = {}, score } = results[source - 1];
+            const quoteVerified = Boolean(quote.trim()) && normalize(pageContent).includes(normalize(quote));
+
+            return {
+                source,
+                chunkId: id,
+                title: metadata.title,
+                category: metadata.category,
+                topic: metadata.topic,
+                chunkIndex: metadata.chunkIndex,
+                score: score ?? null,
+                quote: quoteVerified ? excerpt(quote) : excerpt(pageContent),
+                quoteVerified,
+                sourceText: pageContent
+            };
+        });
+
+    return { response: cleanedResponse, citations: validated, dropped };
+};
@@ -0,0 +1,30 @@
+/**
+ * File Version Utility Module
+ * @module utils/fileVersion
+ * @requires fs/promises
+ *
+ * Tells whether a data file changed since it was read, so a store kept in
+ * memory by the server can reload what another process (such as
+ * `npm run ingest`) wrote before answering from, or writing over, its copy.
+ */
+
+import { stat } from 'fs/promises';
+
+/**
+ * Returns the version of a file: its modification time and size
+ * @async
+ * @function readFileVersion
+ * @param {string} filePath - The file
+ * @returns {Promise<string|null>} A value that changes whenever the file is rewritten, null when it does not exist
+ */
+export const readFileVersion = async (filePath) => {
+    try {
+        const { mtimeMs, size } = await stat(filePath);
+        return `${mtimeMs}:${size}`;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return null;
+    }
+};
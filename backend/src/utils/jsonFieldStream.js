@@ -0,0 +1,105 @@
+/**
+ * Streaming JSON Field Extraction Module
+ * @module utils/jsonFieldStream
+ *
+ * The response generator asks the model for `{ "response": "..." }`, so the
+ * raw token stream is JSON. This module decodes the value of a single string
+ * field while the JSON is still arriving, letting the server forward readable
+ * text to the customer long before the object is complete.
+ */
+
+/**
+ * Escape sequences allowed inside JSON strings
+ * @type {Object<string, string>}
+ */
+const ESCAPES = {
+    '"': '"',
+    '\\': '\\',
+    '/': '/',
+    b: '\b',
+    f: '\f',
+    n: '\n',
+    r: '\r',
+    t: '\t'
+};
+
+/**
+ * Incrementally decodes one top-level string field of a streamed JSON object
+ * @class JsonFieldStream
+ *
+ * @example
+ * const stream = new JsonFieldStream('response');
+ * stream.push('{"respon');          // ''
+ * stream.push('se": "Hello\\nwor'); // 'Hello\nwor'
+ * stream.push('ld"}');              // 'ld'
+ */
+export class JsonFieldStream {
+    /**
+     * @constructor
+     * @param {string} field - Name of the string field to decode
+     */
+    constructor(field) {
+        this.buffer = '';
+        this.fieldPattern = new RegExp(`"${field}"\\s*:\\s*"`);
+        this.position = -1;
+        this.done = false;
+    }
+
+    /**
+     * Appends raw model output and returns the newly decoded field text
+     * @method push
+     * @param {string} chunk - The next piece of raw model output
+     * @returns {string} Decoded text that was not returned before
+     */
+    push(chunk) {
+        this.buffer += chunk;
+
+        if (this.done) {
+            return '';
+        }
+
+        if (this.position === -1) {
+            const match = this.fieldPattern.exec(this.buffer);
+            if (!match) {
+                return '';
+            }
+            this.position = match.index + match[0].length;
+        }
+
+        let text = '';
+        while (this.position < this.buffer.length) {
+            const char = this.buffer[this.position];
+
+            if (char === '"') {
+                this.done = true;
+                break;
+            }
+
+            if (char !== '\\') {
+                text += char;
+                this.position++;
+                continue;
+            }
+
+            // Wait for the rest of an escape sequence split across chunks
+            const next = this.buffer[this.position + 1];
+            if (next === undefined) {
+                break;
+            }
+
+            if (next === 'u') {
+                const hex = this.buffer.slice(this.position + 2, this.position + 6);
+                if (hex.length < 4) {
+                    break;
+                }
+                text += String.fromCharCode(parseInt(hex, 16));
+                this.position += 6;
+            } else {
+                text += ESCAPES[next] ?? next;
+                this.position += 2;
+            }
+        }
+
+        return text;
+    }
+}
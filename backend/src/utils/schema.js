@@ -0,0 +1,118 @@
+/**
+ * Schema Validation Utility Module
+ * @module utils/schema
+ *
+ * Validates values against a small subset of JSON Schema, enough to describe
+ * the structured output of the pipeline nodes without a dependency:
+ * `type` (object, array, string, number, integer, boolean, null or a list of
+ * them), `properties`, `required`, `additionalProperties: false`, `items`,
+ * `enum`, `minimum`, `maximum`, `minLength`, `maxLength` and `minItems`.
+ */
+
+/**
+ * Returns the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} Type name
+ */
+const typeOf = (value) => {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+};
+
+/**
+ * Whether a value matches one of the allowed types (integers are numbers too)
+ * @param {*} value - Value to check
+ * @param {string|string[]} type - Allowed type or types
+ * @returns {boolean} Whether the type matches
+ */
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+};
+
+/**
+ * Validates a value against a schema
+ * @function validateSchema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema subset
+ * @param {string} [path='$'] - Path of the value, used in error messages
+ * @returns {string[]} Validation errors, empty when the value is valid
+ *
+ * @example
+ * validateSchema({ intent: 'billing_inquiry' }, {
+ *     type: 'object',
+ *     required: ['intent', 'confidence'],
+ *     properties: { intent: { type: 'string' }, confidence: { type: 'number' } }
+ * });
+ * // ['$.confidence is required']
+ */
+export const validateSchema = (value, schema, path = '$') => {
+    if (schema.type && !matchesType(value, schema.type)) {
+        return [`${path} must be of type ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push(schema.minLength > 1
+                ? `${path} must be at least ${schema.minLength} characters`
+                : `${path} must not be empty`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        }
+        if (schema.additionalProperties === false) {
+            Object.keys(value)
+                .filter(key => !(key in (schema.properties || {})))
+                .forEach(key => errors.push(`${path}.${key} is not allowed`));
+        }
+    }
+
+    return errors;
+};
@@ -44,6 +44,7 @@ export class TextProcessor {
      * @param {Object} document - The document to process
      * @param {string} document.text - The document text content
      * @param {Object} document.metadata - The document metadata
+     * @param {Object} [options={}] - Chunking options passed to splitIntoChunks
      * @returns {Promise<Array<{text: string, metadata: Object}>} Array of processed chunks with metadata
      * 
      * @example
@@ -52,8 +53,8 @@ export class TextProcessor {
      *   metadata: { category: "support", topic: "billing" }
      * });
      */
-    static async processDocument(document) {
-        const chunks = await this.splitIntoChunks(document.text);
+    static async processDocument(document, options = {}) {
+        const chunks = await this.splitIntoChunks(document.text, options);
         
         return chunks.map((chunk, index) => ({
             text: chunk,
@@ -64,4 +65,19 @@ export class TextProcessor {
             }
         }));
     }
+
+    /**
+     * Roughly estimate the number of model tokens in a text
+     * Uses the common ~4 characters per token heuristic, which is close
+     * enough for budgeting prompt context without a tokenizer dependency.
+     * @static
+     * @param {string} text - The text to measure
+     * @returns {number} Estimated token count
+     *
+     * @example
+     * const tokens = TextProcessor.estimateTokens("How do I reset my password?");
+     */
+    static estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * Vector Store Factory Module
+ * @module vectorStore
+ * @requires ../config
+ * @requires ../config/pinecone
+ * @requires ./pineconeVectorStore
+ * @requires ./localVectorStore
+ *
+ * Selects the vector store backend from `vectorStore.backend` in the configuration (VECTOR_STORE):
+ * - `pinecone` (default): the Pinecone index named by PINECONE_INDEX
+ * - `local`: JSON files under LOCAL_VECTOR_STORE_DIR (default `.data/vector-store`)
+ */
+
+import { getConfig } from '../config/index.js';
+import { initializePinecone } from '../config/pinecone.js';
+import { PineconeVectorStore } from './pineconeVectorStore.js';
+import { LocalVectorStore } from './localVectorStore.js';
+
+/**
+ * Namespace holding the customer service knowledge base (`vectorStore.namespace`, KB_NAMESPACE)
+ * @type {string}
+ */
+export const KNOWLEDGE_BASE_NAMESPACE = getConfig().vectorStore.namespace;
+
+/**
+ * Backend factories keyed by VECTOR_STORE value
+ * @type {Object<string, Function>}
+ */
+const backends = {
+    pinecone: async (namespace) => {
+        const { index } = await initializePinecone();
+        return new PineconeVectorStore({ index, namespace });
+    },
+    local: async (namespace) => new LocalVectorStore({
+        directory: getConfig().vectorStore.localDirectory,
+        namespace
+    })
+};
+
+/**
+ * Store instances are shared so the local backend loads its file only once
+ * @type {Map<string, Promise<VectorStore>>}
+ */
+const stores = new Map();
+
+/**
+ * Returns the configured vector store for a namespace
+ * @async
+ * @function createVectorStore
+ * @param {Object} [options={}] - Factory options
+ * @param {string} [options.namespace=KNOWLEDGE_BASE_NAMESPACE] - Namespace to use
+ * @returns {Promise<VectorStore>} The vector store
+ * @throws {Error} If the configuration names an unknown backend
+ */
+export const createVectorStore = async ({ namespace = KNOWLEDGE_BASE_NAMESPACE } = {}) => {
+    const { backend } = getConfig().vectorStore;
+    const createBackend = backends[backend];
+
+    if (!createBackend) {
+        throw new Error(`Unknown vector store "${backend}"`);
+    }
+
+    const key = `${backend}:${namespace}`;
+    if (!stores.has(key)) {
+        const store = createBackend(namespace);
+        // Do not cache failed initializations so the next request can retry
+        store.catch(() => stores.delete(key));
+        stores.set(key, store);
+    }
+
+    return stores.get(key);
+};
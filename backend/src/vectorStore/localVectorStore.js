@@ -0,0 +1,167 @@
+/**
+ * Local Vector Store Module
+ * @module vectorStore/localVectorStore
+ * @requires fs/promises
+ * @requires path
+ * @requires ./vectorStore
+ * @requires ./metadataFilter
+ * @requires ../utils/fileVersion
+ *
+ * In-process vector store that keeps each namespace in a JSON file and ranks
+ * records by cosine similarity. It needs no network access, which makes it
+ * suitable for offline development, CI and air-gapped deployments. Queries
+ * are a linear scan, which is fine for knowledge bases of a few thousand chunks.
+ *
+ * The file is read again whenever it changed on disk, before every query and
+ * write, so the server picks up what `npm run ingest` wrote instead of
+ * answering from (and later saving) a stale copy.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { VectorStore } from './vectorStore.js';
+import { matchesFilter } from './metadataFilter.js';
+import { readFileVersion } from '../utils/fileVersion.js';
+
+/**
+ * Computes the cosine similarity of two vectors
+ * @function cosineSimilarity
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} Similarity between -1 and 1 (0 for empty vectors)
+ * @throws {Error} If the vectors have different dimensions
+ */
+export const cosineSimilarity = (a, b) => {
+    if (a.length !== b.length) {
+        throw new Error(`Vector dimension mismatch: ${a.length} vs ${b.length}`);
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+};
+
+/**
+ * Vector store backed by a JSON file per namespace
+ * @class LocalVectorStore
+ * @extends VectorStore
+ */
+export class LocalVectorStore extends VectorStore {
+    /**
+     * @constructor
+     * @param {Object} options - Store options
+     * @param {string} options.directory - Directory holding the namespace files
+     * @param {string} options.namespace - Namespace to read and write
+     */
+    constructor({ directory, namespace }) {
+        super(namespace);
+        this.filePath = path.join(directory, `${namespace}.json`);
+        this.records = null;
+        this.version = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Loads the namespace file on first access and again whenever another
+     * process rewrote it
+     * @async
+     * @private
+     * @returns {Promise<Map<string, Object>>} Records keyed by id
+     */
+    async load() {
+        const version = await readFileVersion(this.filePath);
+        if (!this.records || version !== this.version) {
+            try {
+                const data = JSON.parse(await readFile(this.filePath, 'utf8'));
+                this.records = new Map(data.records.map(record => [record.id, record]));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                this.records = new Map();
+            }
+            this.version = version;
+        }
+        return this.records;
+    }
+
+    /**
+     * Writes the namespace file atomically, one write at a time. A failed
+     * write rejects for its caller only; later writes still run.
+     * @async
+     * @private
+     * @returns {Promise<void>}
+     */
+    async persist() {
+        // Snapshot now: a reload before the queued write runs replaces this.records
+        const records = [...this.records.values()];
+        this.writeQueue = this.writeQueue
+            .catch(() => {})
+            .then(async () => {
+                const tempPath = `${this.filePath}.tmp`;
+                await mkdir(path.dirname(this.filePath), { recursive: true });
+                await writeFile(tempPath, JSON.stringify({ namespace: this.namespace, records }));
+                await rename(tempPath, this.filePath);
+                // Our own write must not look like a change made by another process
+                this.version = await readFileVersion(this.filePath);
+            });
+        return this.writeQueue;
+    }
+
+    async upsert(records) {
+        const store = await this.load();
+        for (const { id, values, metadata = {} } of records) {
+            store.set(id, { id, values, metadata });
+        }
+        await this.persist();
+    }
+
+    async query({ vector, topK = 3, filter }) {
+        const store = await this.load();
+        const matches = [];
+
+        for (const record of store.values()) {
+            if (matchesFilter(record.metadata, filter)) {
+                matches.push({
+                    id: record.id,
+                    score: cosineSimilarity(vector, record.values),
+                    metadata: record.metadata
+                });
+            }
+        }
+
+        matches.sort((a, b) => b.score - a.score);
+        return { matches: matches.slice(0, topK) };
+    }
+
+    async delete(ids) {
+        const store = await this.load();
+        ids.forEach(id => store.delete(id));
+        await this.persist();
+    }
+
+    async fetch(ids) {
+        const store = await this.load();
+        return ids
+            .filter(id => store.has(id))
+            .map(id => ({ id, metadata: store.get(id).metadata }));
+    }
+
+    async list({ prefix = '' } = {}) {
+        const store = await this.load();
+        return [...store.keys()].filter(id => id.startsWith(prefix));
+    }
+
+    async describe() {
+        const store = await this.load();
+        const [first] = store.values();
+        return { dimension: first?.values.length ?? null, recordCount: store.size };
+    }
+}
@@ -0,0 +1,69 @@
+/**
+ * Metadata Filter Module
+ * @module vectorStore/metadataFilter
+ *
+ * Evaluates the subset of Pinecone's metadata filter language used by the
+ * agents, so local stores accept the same filters as Pinecone:
+ * `{ category: 'billing' }`, `{ intent: { $in: ['billing_inquiry'] } }`,
+ * `{ $or: [{ topic: 'subscription' }, { topic: 'features' }] }`.
+ */
+
+/**
+ * Comparison operators keyed by their filter name
+ * @type {Object<string, Function>}
+ */
+const OPERATORS = {
+    $eq: (value, expected) => value === expected,
+    $ne: (value, expected) => value !== expected,
+    $gt: (value, expected) => value > expected,
+    $gte: (value, expected) => value >= expected,
+    $lt: (value, expected) => value < expected,
+    $lte: (value, expected) => value <= expected,
+    $in: (value, expected) => expected.includes(value),
+    $nin: (value, expected) => !expected.includes(value),
+    $exists: (value, expected) => (value !== undefined) === expected
+};
+
+/**
+ * Checks a single metadata value against a field condition
+ * @param {*} value - The metadata value
+ * @param {*} condition - A literal (equality) or an operator object
+ * @returns {boolean} Whether the value satisfies the condition
+ * @throws {Error} If the condition uses an unsupported operator
+ */
+const matchesCondition = (value, condition) => {
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+        return value === condition;
+    }
+
+    return Object.entries(condition).every(([operator, expected]) => {
+        const compare = OPERATORS[operator];
+        if (!compare) {
+            throw new Error(`Unsupported metadata filter operator "${operator}"`);
+        }
+        return compare(value, expected);
+    });
+};
+
+/**
+ * Checks whether record metadata satisfies a filter
+ * @function matchesFilter
+ * @param {Object} metadata - The record metadata
+ * @param {Object} [filter] - Pinecone-style metadata filter
+ * @returns {boolean} True when there is no filter or every clause matches
+ */
+export const matchesFilter = (metadata = {}, filter) => {
+    if (!filter) {
+        return true;
+    }
+
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$and') {
+            return condition.every((clause) => matchesFilter(metadata, clause));
+        }
+        if (key === '$or') {
+            return condition.some((clause) => matchesFilter(metadata, clause));
+        }
+        return matchesCondition(metadata[key], condition);
+    });
+};
@@ -0,0 +1,100 @@
+/**
+ * Pinecone Vector Store Module
+ * @module vectorStore/pineconeVectorStore
+ * @requires ./vectorStore
+ */
+
+import { VectorStore } from './vectorStore.js';
+
+/**
+ * Pinecone limits the size of a single upsert request
+ * @type {number}
+ */
+const UPSERT_BATCH_SIZE = 100;
+
+/**
+ * Ids fetched per request, keeping the request URL short
+ * @type {number}
+ */
+const FETCH_BATCH_SIZE = 100;
+
+/**
+ * Vector store backed by a Pinecone index namespace
+ * @class PineconeVectorStore
+ * @extends VectorStore
+ */
+export class PineconeVectorStore extends VectorStore {
+    /**
+     * @constructor
+     * @param {Object} options - Store options
+     * @param {Object} options.index - Pinecone index reference
+     * @param {string} options.namespace - Namespace inside the index
+     */
+    constructor({ index, namespace }) {
+        super(namespace);
+        this.index = index;
+        this.store = index.namespace(namespace);
+    }
+
+    async upsert(records) {
+        for (let i = 0; i < records.length; i += UPSERT_BATCH_SIZE) {
+            await this.store.upsert(records.slice(i, i + UPSERT_BATCH_SIZE));
+        }
+    }
+
+    async query({ vector, topK = 3, filter }) {
+        const results = await this.store.query({
+            vector,
+            topK,
+            filter,
+            includeMetadata: true  // Include document metadata in results
+        });
+
+        return {
+            matches: results.matches.map(match => ({
+                id: match.id,
+                score: match.score,
+                metadata: match.metadata
+            }))
+        };
+    }
+
+    async delete(ids) {
+        if (ids.length) {
+            await this.store.deleteMany(ids);
+        }
+    }
+
+    async fetch(ids) {
+        const records = [];
+        for (let i = 0; i < ids.length; i += FETCH_BATCH_SIZE) {
+            const response = await this.store.fetch(ids.slice(i, i + FETCH_BATCH_SIZE));
+            records.push(...Object.values(response.records || {}).map(record => ({
+                id: record.id,
+                metadata: record.metadata
+            })));
+        }
+        return records;
+    }
+
+    async list({ prefix } = {}) {
+        const ids = [];
+        let paginationToken;
+
+        do {
+            const page = await this.store.listPaginated({ prefix, paginationToken });
+            ids.push(...(page.vectors || []).map(vector => vector.id));
+            paginationToken = page.pagination?.next;
+        } while (paginationToken);
+
+        return ids;
+    }
+
+    async describe() {
+        const stats = await this.index.describeIndexStats();
+        return {
+            dimension: stats.dimension ?? null,
+            recordCount: stats.namespaces?.[this.namespace]?.recordCount ?? 0
+        };
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Vector Store Interface Module
+ * @module vectorStore/vectorStore
+ *
+ * Every knowledge base backend implements this interface so the agents and
+ * scripts never talk to a specific vector database directly.
+ */
+
+/**
+ * A stored vector with its metadata
+ * @typedef {Object} VectorRecord
+ * @property {string} id - Unique record id within the namespace
+ * @property {number[]} values - The embedding vector
+ * @property {Object} [metadata] - Flat metadata (text, category, intent, topic, ...)
+ */
+
+/**
+ * A query match, highest score first
+ * @typedef {Object} VectorMatch
+ * @property {string} id - The record id
+ * @property {number} score - Similarity score (higher is more similar)
+ * @property {Object} metadata - The record metadata
+ */
+
+/**
+ * Base class for vector store backends
+ * @class VectorStore
+ * @abstract
+ */
+export class VectorStore {
+    /**
+     * @constructor
+     * @param {string} namespace - Namespace the store reads and writes
+     */
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    /**
+     * Inserts or replaces records
+     * @async
+     * @abstract
+     * @param {VectorRecord[]} records - Records to write
+     * @returns {Promise<void>}
+     */
+    async upsert(records) {
+        throw new Error(`${this.constructor.name} does not implement upsert()`);
+    }
+
+    /**
+     * Finds the records most similar to a vector
+     * @async
+     * @abstract
+     * @param {Object} options - Query options
+     * @param {number[]} options.vector - The query embedding
+     * @param {number} [options.topK=3] - Maximum number of matches
+     * @param {Object} [options.filter] - Pinecone-style metadata filter
+     * @returns {Promise<{matches: VectorMatch[]}>} Matches ordered by score
+     */
+    async query(options) {
+        throw new Error(`${this.constructor.name} does not implement query()`);
+    }
+
+    /**
+     * Removes records by id
+     * @async
+     * @abstract
+     * @param {string[]} ids - Ids of the records to remove
+     * @returns {Promise<void>}
+     */
+    async delete(ids) {
+        throw new Error(`${this.constructor.name} does not implement delete()`);
+    }
+
+    /**
+     * Fetches records by id, without their vectors
+     * @async
+     * @abstract
+     * @param {string[]} ids - Ids of the records to fetch
+     * @returns {Promise<Array<{id: string, metadata: Object}>>} Found records; missing ids are left out
+     */
+    async fetch(ids) {
+        throw new Error(`${this.constructor.name} does not implement fetch()`);
+    }
+
+    /**
+     * Lists record ids in the namespace
+     * @async
+     * @abstract
+     * @param {Object} [options={}] - List options
+     * @param {string} [options.prefix] - Only return ids starting with this prefix
+     * @returns {Promise<string[]>} Record ids
+     */
+    async list(options = {}) {
+        throw new Error(`${this.constructor.name} does not implement list()`);
+    }
+
+    /**
+     * Describes the index behind the store, for readiness checks
+     * @async
+     * @abstract
+     * @returns {Promise<{dimension: (number|null), recordCount: number}>} Vector dimension
+     *   (null while it is unknown, e.g. an empty local store) and records in the namespace
+     */
+    async describe() {
+        throw new Error(`${this.constructor.name} does not implement describe()`);
+    }
+}
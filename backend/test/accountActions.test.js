@@ -0,0 +1,87 @@
+/**
+ * Tests of the account action confirmation (pipeline/accountActions)
+ */
+
+import './support/env.js';
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { getPendingAction, readConfirmation } from '../src/pipeline/accountActions.js';
+
+const { runPipeline } = await import('../src/pipeline/index.js');
+
+describe('readConfirmation', () => {
+    it('confirms only replies that are just an affirmative', () => {
+        for (const reply of ['yes', 'Yes!', '  ok. ', 'okay', 'go ahead please', 'Sure, please', 'confirmed!!']) {
+            assert.equal(readConfirmation(reply), 'confirm', reply);
+        }
+        for (const reply of ['ok, but first tell me the fee', 'yes and also upgrade me', 'yesterday', 'sure?']) {
+            assert.equal(readConfirmation(reply), null, reply);
+        }
+    });
+
+    it('cancels on a refusal', () => {
+        assert.equal(readConfirmation('No thanks'), 'cancel');
+        assert.equal(readConfirmation('never mind'), 'cancel');
+        assert.equal(readConfirmation('dont do that'), 'cancel');
+    });
+});
+
+describe('getPendingAction', () => {
+    const pendingAction = { tool: 'pauseSubscription', arguments: { months: 2 }, accountId: 'acc_1001' };
+
+    it('returns the action of the last turn for the account it was planned for', () => {
+        assert.equal(getPendingAction([{ pendingAction }], 'acc_1001'), pendingAction);
+        assert.equal(getPendingAction([{ pendingAction }, { pendingAction: null }], 'acc_1001'), null);
+    });
+
+    it('ignores actions of another account, or without one', () => {
+        assert.equal(getPendingAction([{ pendingAction }], 'acc_1002'), null);
+        assert.equal(getPendingAction([{ pendingAction }], null), null);
+        assert.equal(getPendingAction([{ pendingAction: { ...pendingAction, accountId: undefined } }], undefined), null);
+    });
+});
+
+describe('handleAccountAction', () => {
+    /**
+     * Sends a message in a session
+     * @param {string} sessionId - Session id
+     * @param {string} message - The customer's message
+     * @param {string} [accountId='acc_1001'] - Account of the request
+     * @returns {Promise<Object>} The response object
+     */
+    const send = async (sessionId, message, accountId = 'acc_1001') => (
+        (await runPipeline('standard', message, { sessionId, accountId })).response
+    );
+
+    it('asks to confirm a change, then runs it on "yes"', async () => {
+        const asked = await send('confirm-1', 'Please pause my subscription for 2 months');
+        assert.match(asked.response, /^Just to confirm: would you like me to pause/);
+        assert.deepEqual(asked.pendingAction, { tool: 'pauseSubscription', arguments: { months: 2 }, accountId: 'acc_1001' });
+
+        const done = await send('confirm-1', 'yes');
+        assert.deepEqual(done.toolCall, { tool: 'pauseSubscription', arguments: { months: 2 }, status: 'completed' });
+    });
+
+    it('cancels the change on "no"', async () => {
+        await send('confirm-2', 'Please pause my subscription for 3 months');
+        const cancelled = await send('confirm-2', 'no');
+
+        assert.equal(cancelled.response, 'Okay, I haven\'t changed anything on your account.');
+        assert.deepEqual(cancelled.toolCall, { tool: 'pauseSubscription', arguments: { months: 3 }, status: 'cancelled' });
+    });
+
+    it('does not run the change on a reply that asks something else', async () => {
+        await send('confirm-3', 'Please pause my subscription for 2 months');
+        const answer = await send('confirm-3', 'ok, but first tell me the fee');
+
+        assert.notEqual(answer.toolCall?.status, 'completed');
+    });
+
+    it('does not run the change when confirmed for another account', async () => {
+        await send('confirm-4', 'Please pause my subscription for 2 months', 'acc_1001');
+        const answer = await send('confirm-4', 'yes', 'acc_1002');
+
+        assert.equal(answer.toolCall, undefined);
+        assert.equal(answer.pendingAction, undefined);
+    });
+});
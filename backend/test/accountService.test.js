@@ -0,0 +1,112 @@
+/**
+ * Tests of the mock account service and the account tools (accounts/accountService, tools)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { AccountService, AccountServiceError } from '../src/accounts/accountService.js';
+import { getTool, listTools } from '../src/tools/index.js';
+
+/**
+ * Runs an account service call expecting it to fail
+ * @param {Promise} call - The pending call
+ * @param {string} code - Expected error code
+ * @returns {Promise<void>}
+ */
+const rejectsWith = (call, code) => assert.rejects(call, (error) => {
+    assert.ok(error instanceof AccountServiceError);
+    assert.equal(error.code, code);
+    return true;
+});
+
+describe('AccountService', () => {
+    it('returns the profile with a masked email and the plan price', async () => {
+        const account = await new AccountService().getAccount('acc_1001');
+
+        assert.equal(account.email, 'a***@example.com');
+        assert.equal(account.subscription.planName, 'Professional');
+        assert.equal(account.subscription.monthlyPrice, 4900);
+        await rejectsWith(new AccountService().getAccount('acc_missing'), 'account_not_found');
+    });
+
+    it('lists the newest invoices and the upcoming one', async () => {
+        const { invoices, upcoming } = await new AccountService().listInvoices('acc_1001', { limit: 1 });
+
+        assert.deepEqual(invoices.map(invoice => invoice.id), ['INV-2026-1010']);
+        assert.deepEqual(upcoming, { date: '2026-11-01', amount: 4900 });
+    });
+
+    it('pauses an active subscription only, for 1 to 3 months', async () => {
+        const service = new AccountService();
+        await rejectsWith(service.pauseSubscription('acc_1001', { months: 4 }), 'invalid_argument');
+
+        const subscription = await service.pauseSubscription('acc_1001', { months: 2 });
+        assert.equal(subscription.status, 'paused');
+        assert.equal(subscription.pausedUntil, '2027-01-01');
+        assert.equal(subscription.nextBillingDate, '2027-01-01');
+        await rejectsWith(service.pauseSubscription('acc_1001'), 'invalid_state');
+    });
+
+    it('upgrades to a higher plan only', async () => {
+        const service = new AccountService();
+        await rejectsWith(service.upgradeSubscription('acc_1001', { plan: 'starter' }), 'invalid_state');
+        await rejectsWith(service.upgradeSubscription('acc_1001', { plan: 'platinum' }), 'invalid_argument');
+
+        const subscription = await service.upgradeSubscription('acc_1001', { plan: 'enterprise' });
+        assert.equal(subscription.previousPlan, 'professional');
+        assert.equal(subscription.monthlyPrice, 19900);
+    });
+
+    it('keeps the changes of every service to itself', async () => {
+        await new AccountService().pauseSubscription('acc_1001');
+        assert.equal((await new AccountService().getAccount('acc_1001')).subscription.status, 'active');
+    });
+
+    it('records password reset requests', async () => {
+        const service = new AccountService();
+        const { sentTo } = await service.sendPasswordReset('acc_1002');
+
+        assert.equal(sentTo, 's***@example.com');
+        assert.deepEqual(service.passwordResets.map(request => request.accountId), ['acc_1002']);
+    });
+});
+
+describe('account tools', () => {
+    it('registers every tool, marking the ones that change the account', () => {
+        assert.deepEqual(
+            listTools().map(({ name, mutating }) => [name, mutating]),
+            [
+                ['lookupAccount', false],
+                ['listInvoices', false],
+                ['pauseSubscription', true],
+                ['upgradeSubscription', true],
+                ['sendPasswordReset', true]
+            ]
+        );
+        listTools()
+            .filter(tool => tool.mutating)
+            .forEach(tool => assert.equal(typeof tool.confirmation, 'function', tool.name));
+    });
+
+    it('describes what the customer confirms and the result', () => {
+        const pause = getTool('pauseSubscription');
+        assert.equal(pause.confirmation({}), 'pause your subscription for 1 month');
+        assert.equal(pause.confirmation({ months: 2 }), 'pause your subscription for 2 months');
+        assert.equal(
+            getTool('upgradeSubscription').confirmation({ plan: 'enterprise' }),
+            'upgrade your subscription to the Enterprise plan ($199.00/month from your next invoice)'
+        );
+        assert.equal(
+            getTool('listInvoices').describe({ invoices: [], upcoming: { date: '2026-11-01', amount: 4900 } }),
+            'Your next invoice of $49.00 will be issued on 2026-11-01. You have no invoices yet.'
+        );
+    });
+
+    it('looks up the account of the request', async () => {
+        const account = await getTool('lookupAccount').run({}, { accountId: 'acc_1002' });
+        assert.equal(
+            getTool('lookupAccount').describe(account),
+            'Hi Sam Rivera, your Starter subscription ($19.00/month) is paused until 2026-12-01. Your next billing date is 2026-12-01.'
+        );
+    });
+});
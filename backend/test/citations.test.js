@@ -0,0 +1,103 @@
+/**
+ * Tests of the knowledge source numbering and citation checks (utils/citations)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { formatKnowledgeSources, validateCitations } from '../src/utils/citations.js';
+
+/**
+ * Knowledge base results given to the model
+ * @type {Array<Object>}
+ */
+const results = [
+    {
+        id: 'billing-0',
+        pageContent: 'Refunds are issued to the original card within 5 business days.',
+        metadata: { title: 'Billing', category: 'billing', topic: 'refunds', chunkIndex: 0 },
+        score: 0.82
+    },
+    {
+        id: 'shipping-2',
+        pageContent: 'Orders ship within 2 days.',
+        metadata: { title: 'Shipping' }
+    }
+];
+
+describe('formatKnowledgeSources', () => {
+    it('numbers the sources from 1 with their title and details', () => {
+        assert.equal(
+            formatKnowledgeSources(results),
+            '[1] Billing (category: billing, topic: refunds)\n'
+            + 'Refunds are issued to the original card within 5 business days.\n\n'
+            + '[2] Shipping\nOrders ship within 2 days.'
+        );
+        assert.equal(formatKnowledgeSources([]), '');
+    });
+});
+
+describe('validateCitations', () => {
+    it('keeps a citation whose quote appears in the cited chunk, ignoring case and spacing', () => {
+        const { response, citations, dropped } = validateCitations({
+            response: 'You will get your money back within 5 business days [1].',
+            citations: [{ source: 1, quote: 'refunds are issued\n to the Original Card' }]
+        }, results);
+
+        assert.equal(response, 'You will get your money back within 5 business days [1].');
+        assert.deepEqual(dropped, []);
+        assert.deepEqual(citations, [{
+            source: 1,
+            chunkId: 'billing-0',
+            title: 'Billing',
+            category: 'billing',
+            topic: 'refunds',
+            chunkIndex: 0,
+            score: 0.82,
+            quote: 'refunds are issued to the Original Card',
+            quoteVerified: true,
+            sourceText: results[0].pageContent
+        }]);
+    });
+
+    it('replaces a quote missing from the chunk with an excerpt of it', () => {
+        const { citations } = validateCitations({
+            response: 'Refunds take a week [1].',
+            citations: [{ source: 1, quote: 'Refunds take a week.' }]
+        }, results);
+
+        assert.equal(citations[0].quoteVerified, false);
+        assert.equal(citations[0].quote, results[0].pageContent);
+    });
+
+    it('drops unknown sources and their markers', () => {
+        const { response, citations, dropped } = validateCitations({
+            response: 'Orders ship fast [3] and refunds are quick [1].',
+            citations: [{ source: 7, quote: 'anything' }, { source: 'one' }, { source: 1, quote: 'within 5 business days' }]
+        }, results);
+
+        assert.equal(response, 'Orders ship fast and refunds are quick [1].');
+        assert.deepEqual(citations.map(({ source }) => source), [1]);
+        assert.deepEqual(dropped, [
+            { source: 7, reason: 'unknown_source' },
+            { source: 'one', reason: 'unknown_source' },
+            { source: 3, reason: 'unknown_marker' }
+        ]);
+    });
+
+    it('cites the sources referenced by a marker only, in source order', () => {
+        const { citations } = validateCitations({ response: 'Shipping takes 2 days [2], refunds 5 [1].' }, results);
+
+        assert.deepEqual(citations.map(({ source, chunkId }) => [source, chunkId]), [[1, 'billing-0'], [2, 'shipping-2']]);
+        assert.equal(citations[1].quoteVerified, false);
+        assert.equal(citations[1].quote, 'Orders ship within 2 days.');
+        assert.equal(citations[1].score, null);
+    });
+
+    it('cuts long excerpts at a word boundary', () => {
+        const long = [{ id: 'long', pageContent: 'word '.repeat(100), metadata: {} }];
+        const [citation] = validateCitations({ response: 'See [1].' }, long).citations;
+
+        assert.ok(citation.quote.length <= 301);
+        assert.match(citation.quote, /word…$/);
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests of the layered configuration loader (config/index)
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ConfigError, loadConfig } from '../src/config/index.js';
+
+/**
+ * Environment that passes validation without any service: the local vector store
+ * @type {Object<string, string>}
+ */
+const LOCAL = { VECTOR_STORE: 'local' };
+
+/**
+ * Loads the configuration expecting it to be invalid
+ * @param {Object<string, string>} env - Environment variables
+ * @returns {ConfigError} The error thrown
+ */
+const loadInvalid = (env) => {
+    try {
+        loadConfig(env);
+    } catch (error) {
+        assert.ok(error instanceof ConfigError);
+        return error;
+    }
+    assert.fail('the configuration was accepted');
+};
+
+describe('loadConfig', () => {
+    let directory;
+    /**
+     * Writes a CONFIG_PATH file
+     * @param {string} name - File name
+     * @param {Object|string} settings - Settings, or raw content
+     * @returns {Promise<string>} Path of the file
+     */
+    const writeSettings = async (name, settings) => {
+        const filePath = path.join(directory, name);
+        await writeFile(filePath, typeof settings === 'string' ? settings : JSON.stringify(settings));
+        return filePath;
+    };
+
+    before(async () => {
+        directory = await mkdtemp(path.join(tmpdir(), 'config-test-'));
+    });
+
+    after(async () => {
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    it('starts from the defaults in the development environment', () => {
+        const config = loadConfig(LOCAL);
+
+        assert.equal(config.environment, 'development');
+        assert.equal(config.server.port, 3000);
+        assert.equal(config.retrieval.topK, 3);
+        assert.equal(config.rateLimits.enabled, true);
+        assert.equal(config.vectorStore.backend, 'local');
+    });
+
+    it('applies the file of NODE_ENV over the defaults', () => {
+        const config = loadConfig({ NODE_ENV: 'test' });
+
+        assert.equal(config.environment, 'test');
+        assert.equal(config.llm.provider, 'fake');
+        assert.equal(config.rateLimits.enabled, false);
+        assert.deepEqual(config.tracing.exporters, ['jsonl']);
+        // Settings the environment file does not set keep their default
+        assert.equal(config.retrieval.topK, 3);
+        assert.equal(config.rateLimits.perIp.burst, 10);
+    });
+
+    it('applies CONFIG_PATH over the environment file, and variables over both', async () => {
+        const configPath = await writeSettings('layers.json', {
+            server: { port: 5000 },
+            retrieval: { topK: 7, minScore: 0.5 }
+        });
+        const config = loadConfig({ NODE_ENV: 'test', CONFIG_PATH: configPath, KB_TOP_K: '9' });
+
+        assert.equal(config.server.port, 5000);
+        assert.equal(config.retrieval.minScore, 0.5);
+        assert.equal(config.retrieval.topK, 9);
+        assert.equal(config.llm.provider, 'fake');
+    });
+
+    it('converts environment variables to their setting types', () => {
+        const config = loadConfig({
+            ...LOCAL,
+            PORT: '8080',
+            CORS_ORIGINS: 'https://a.example.com, https://b.example.com,',
+            RATE_LIMIT_ENABLED: 'FALSE',
+            KB_MIN_SCORE: '0.25',
+            API_KEYS: 'crm:0123456789abcdef0123,billing:fedcba9876543210fedc',
+            CLASSIFY_INTENT_LLM_MODEL: 'gpt-4o-mini',
+            CLASSIFY_INTENT_LLM_TEMPERATURE: '0',
+            KB_MIN_SCORE_COMPLAINT: '0.4'
+        });
+
+        assert.equal(config.server.port, 8080);
+        assert.deepEqual(config.server.corsOrigins, ['https://a.example.com', 'https://b.example.com']);
+        assert.equal(config.rateLimits.enabled, false);
+        assert.equal(config.retrieval.minScore, 0.25);
+        assert.deepEqual(config.auth.apiKeys, [
+            { name: 'crm', key: '0123456789abcdef0123' },
+            { name: 'billing', key: 'fedcba9876543210fedc' }
+        ]);
+        assert.deepEqual(config.llm.nodes.classifyIntent, { model: 'gpt-4o-mini', temperature: 0 });
+        assert.equal(config.retrieval.minScoreByIntent.complaint, 0.4);
+    });
+
+    it('ignores empty environment variables', () => {
+        assert.equal(loadConfig({ ...LOCAL, PORT: '' }).server.port, 3000);
+    });
+
+    it('reports every problem with where the setting was set', async () => {
+        const configPath = await writeSettings('invalid.json', { server: { corsOrigin: '*' } });
+        const error = loadInvalid({ NODE_ENV: 'production', CONFIG_PATH: configPath, ...LOCAL, KB_TOP_K: '0', PORT: 'http' });
+
+        assert.equal(error.code, 'INVALID_CONFIG');
+        assert.equal(error.environment, 'production');
+        assert.deepEqual(error.problems, [
+            'PORT must be an integer, got "http"',
+            'config.server.corsOrigin is not allowed (set by ' + configPath + ')',
+            'config.retrieval.topK must be at least 1 (set by KB_TOP_K)'
+        ]);
+        assert.match(error.message, /^Invalid configuration for the "production" environment:\n {2}- PORT/);
+    });
+
+    it('reports unreadable files', async () => {
+        const configPath = await writeSettings('broken.json', '{ "server": ');
+        const [problem] = loadInvalid({ ...LOCAL, CONFIG_PATH: configPath }).problems;
+        assert.match(problem, new RegExp(`^Cannot read ${configPath}: `));
+
+        const listPath = await writeSettings('list.json', []);
+        assert.deepEqual(loadInvalid({ ...LOCAL, CONFIG_PATH: listPath }).problems, [`${listPath} must contain a JSON object`]);
+    });
+
+    it('never includes API keys in its messages', () => {
+        const { problems } = loadInvalid({ ...LOCAL, API_KEYS: 'crm:tooshortsecret,nameonly' });
+        assert.deepEqual(problems, ['API_KEYS must be a comma separated list of name:key pairs']);
+
+        const error = loadInvalid({ ...LOCAL, API_KEYS: 'crm:tooshortsecret' });
+        assert.deepEqual(error.problems, ['config.auth.apiKeys[0].key must be at least 16 characters (set by API_KEYS)']);
+        assert.doesNotMatch(error.message, /tooshortsecret/);
+    });
+
+    it('checks settings that depend on each other', () => {
+        assert.deepEqual(loadInvalid({}).problems, [
+            'pinecone.apiKey is required when the vector store is pinecone: set PINECONE_API_KEY, or VECTOR_STORE=local to run without Pinecone',
+            'pinecone.index is required when the vector store is pinecone: set PINECONE_INDEX, or VECTOR_STORE=local to run without Pinecone'
+        ]);
+        assert.deepEqual(loadInvalid({ ...LOCAL, API_KEY_REQUIRED: 'true' }).problems, [
+            'auth.apiKeys must list at least one key when auth.required is true: set API_KEYS'
+        ]);
+        assert.deepEqual(loadInvalid({ ...LOCAL, CONVERSATION_MAX_TURNS: '3' }).problems, [
+            'conversations.maxTurns (3) must be at least conversations.historyWindow (5)'
+        ]);
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests of the conversation store and its persistence adapters (memory/conversationStore)
+ */
+
+import { dataDirectory } from './support/env.js';
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import {
+    ConversationStore,
+    InMemoryPersistenceAdapter,
+    JsonFilePersistenceAdapter
+} from '../src/memory/conversationStore.js';
+
+/**
+ * Creates a clock the test moves forward
+ * @returns {{now: Function, advance: Function}} The clock and a function advancing it by milliseconds
+ */
+const createClock = () => {
+    let time = Date.parse('2026-01-01T00:00:00Z');
+    return {
+        now: () => time,
+        advance: (ms) => {
+            time += ms;
+        }
+    };
+};
+
+/**
+ * A stored conversation last updated at a time
+ * @param {number} time - Update time in milliseconds
+ * @returns {Object} The conversation
+ */
+const conversationAt = (time) => ({ turns: [], updatedAt: new Date(time).toISOString() });
+
+describe('ConversationStore', () => {
+    it('returns the recent turns as chat messages, within the window', async () => {
+        const store = new ConversationStore({ window: 2 });
+        for (const message of ['first', 'second', 'third']) {
+            await store.appendTurn('s1', { userMessage: message, response: `re: ${message}` });
+        }
+
+        assert.deepEqual(await store.getHistory('s1'), [
+            { role: 'user', content: 'second' },
+            { role: 'assistant', content: 're: second' },
+            { role: 'user', content: 'third' },
+            { role: 'assistant', content: 're: third' }
+        ]);
+        assert.deepEqual(await store.getHistory('unknown'), []);
+    });
+
+    it('drops the oldest turns beyond the token budget', async () => {
+        const store = new ConversationStore({ tokenBudget: 30 });
+        await store.appendTurn('s1', { userMessage: 'x'.repeat(200), response: 'older' });
+        await store.appendTurn('s1', { userMessage: 'newest', response: 'kept' });
+
+        assert.deepEqual((await store.getHistory('s1')).map(message => message.content), ['newest', 'kept']);
+    });
+
+    it('keeps at most maxTurns turns, with their metadata', async () => {
+        const store = new ConversationStore({ maxTurns: 3 });
+        for (let i = 0; i < 5; i++) {
+            await store.appendTurn('s1', { userMessage: `m${i}`, response: 'r', outcome: 'answered' });
+        }
+
+        const turns = await store.getTurns('s1');
+        assert.deepEqual(turns.map(turn => turn.userMessage), ['m2', 'm3', 'm4']);
+        assert.equal(turns[0].outcome, 'answered');
+        assert.ok(turns[0].timestamp);
+    });
+
+    it('forgets a cleared session', async () => {
+        const store = new ConversationStore();
+        await store.appendTurn('s1', { userMessage: 'hi', response: 'hello' });
+        await store.clear('s1');
+        assert.deepEqual(await store.getTurns('s1'), []);
+    });
+});
+
+describe('InMemoryPersistenceAdapter', () => {
+    it('forgets sessions idle for longer than ttlMs', async () => {
+        const clock = createClock();
+        const adapter = new InMemoryPersistenceAdapter({ ttlMs: 1000, now: clock.now });
+        await adapter.save('s1', { turns: [] });
+
+        clock.advance(600);
+        assert.ok(await adapter.load('s1'));
+        // Reading a session extends it
+        clock.advance(600);
+        assert.ok(await adapter.load('s1'));
+        clock.advance(1000);
+        assert.equal(await adapter.load('s1'), null);
+    });
+
+    it('drops the least recently used sessions beyond maxSessions', async () => {
+        const adapter = new InMemoryPersistenceAdapter({ maxSessions: 2 });
+        await adapter.save('a', { turns: [] });
+        await adapter.save('b', { turns: [] });
+        await adapter.load('a');
+        await adapter.save('c', { turns: [] });
+
+        assert.deepEqual([...adapter.conversations.keys()], ['a', 'c']);
+    });
+});
+
+describe('JsonFilePersistenceAdapter', () => {
+    it('persists conversations across instances', async () => {
+        const filePath = path.join(dataDirectory, 'persisted.json');
+        const store = new ConversationStore({ adapter: new JsonFilePersistenceAdapter(filePath) });
+        await store.appendTurn('s1', { userMessage: 'hi', response: 'hello' });
+
+        const reopened = new ConversationStore({ adapter: new JsonFilePersistenceAdapter(filePath) });
+        assert.equal((await reopened.getTurns('s1'))[0].response, 'hello');
+    });
+
+    it('keeps every session saved by concurrent first calls', async () => {
+        const filePath = path.join(dataDirectory, 'concurrent.json');
+        const store = new ConversationStore({ adapter: new JsonFilePersistenceAdapter(filePath) });
+        await Promise.all(['a', 'b', 'c'].map(sessionId => store.appendTurn(sessionId, { userMessage: 'hi', response: 'hello' })));
+
+        assert.deepEqual(Object.keys(JSON.parse(await readFile(filePath, 'utf8'))).sort(), ['a', 'b', 'c']);
+    });
+
+    it('drops expired and least recently updated sessions before writing', async () => {
+        const clock = createClock();
+        const filePath = path.join(dataDirectory, 'evicted.json');
+        const adapter = new JsonFilePersistenceAdapter(filePath, { maxSessions: 2, ttlMs: 1000, now: clock.now });
+
+        await adapter.save('expired', conversationAt(clock.now() - 2000));
+        assert.equal(await adapter.load('expired'), null);
+
+        await adapter.save('oldest', conversationAt(clock.now() - 300));
+        await adapter.save('older', conversationAt(clock.now() - 200));
+        await adapter.save('newest', conversationAt(clock.now()));
+
+        assert.deepEqual(Object.keys(JSON.parse(await readFile(filePath, 'utf8'))).sort(), ['newest', 'older']);
+
+        clock.advance(900);
+        assert.equal(await adapter.load('older'), null);
+        assert.ok(await adapter.load('newest'));
+    });
+});
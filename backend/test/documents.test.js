@@ -0,0 +1,81 @@
+/**
+ * Tests of knowledge base document management (knowledgeBase/documents)
+ */
+
+import './support/env.js';
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+
+const {
+    KnowledgeBaseError,
+    createDocument,
+    deleteDocument,
+    getDocument,
+    listDocuments,
+    searchDocuments,
+    updateDocument
+} = await import('../src/knowledgeBase/documents.js');
+
+/**
+ * Expects a call to fail with a KnowledgeBaseError
+ * @param {Promise} promise - The call
+ * @param {number} statusCode - Expected HTTP status
+ * @param {RegExp} message - Expected message
+ * @returns {Promise<void>}
+ */
+const rejectsWith = (promise, statusCode, message) => assert.rejects(promise, (error) => {
+    assert.ok(error instanceof KnowledgeBaseError);
+    assert.equal(error.statusCode, statusCode);
+    assert.match(error.message, message);
+    return true;
+});
+
+describe('knowledge base documents', () => {
+    it('creates, reads, updates and deletes a document', async () => {
+        const created = await createDocument({
+            text: 'Refunds are issued to the original card within 5 business days.',
+            metadata: { source: 'api/refunds', category: 'billing' }
+        });
+        assert.equal(created.scope, 'api');
+        assert.deepEqual(created.changes, { added: 1, updated: 0, removed: 0, unchanged: 0 });
+
+        const read = await getDocument(created.id);
+        assert.deepEqual(read.chunks.map(({ text }) => text), ['Refunds are issued to the original card within 5 business days.']);
+        assert.ok((await listDocuments({ scope: 'api' })).some(({ id }) => id === created.id));
+
+        const [match] = await searchDocuments({ query: 'refund to my card', topK: 1 });
+        assert.equal(match.metadata.documentId, created.id);
+
+        const updated = await updateDocument(created.id, { text: 'Refunds take 10 business days.', metadata: { category: 'billing' } });
+        assert.equal(updated.id, created.id);
+        assert.equal(updated.changes.updated, 1);
+
+        assert.deepEqual(await deleteDocument(created.id), { id: created.id, deletedChunks: 1 });
+        await rejectsWith(getDocument(created.id), 404, /not found/);
+    });
+
+    it('refuses a second document with the same source', async () => {
+        await createDocument({ text: 'Orders ship daily.', metadata: { source: 'api/shipping' } });
+        await rejectsWith(createDocument({ text: 'Orders ship weekly.', metadata: { source: 'api/shipping' } }), 409, /already exists/);
+    });
+
+    it('validates documents and searches', async () => {
+        await rejectsWith(createDocument({ text: '  ' }), 400, /^text must be a non-empty string$/);
+        await rejectsWith(createDocument({ text: 'x', metadata: [] }), 400, /^metadata must be an object$/);
+        await rejectsWith(createDocument({ text: 'x', metadata: { chunkIndex: 1 } }), 400, /^metadata.chunkIndex is set by the indexer$/);
+        await rejectsWith(createDocument({ text: 'x', metadata: { tags: [1] } }), 400, /must be a string, number, boolean or list of strings$/);
+        await rejectsWith(updateDocument('doc-missing', { text: 'x' }), 404, /not found/);
+        await rejectsWith(searchDocuments({ query: 'refund', topK: 51 }), 400, /^topK must be an integer between 1 and 50$/);
+        await rejectsWith(searchDocuments({ query: 'refund', mode: 'keyword' }), 400, /^mode must be "vector" or "hybrid"$/);
+    });
+
+    it('runs concurrent changes one after the other', async () => {
+        const created = await Promise.all(['a', 'b', 'c'].map(name => createDocument({
+            text: `Article ${name}`,
+            metadata: { source: `api/concurrent-${name}` }
+        })));
+
+        const listed = new Set((await listDocuments()).map(({ id }) => id));
+        assert.ok(created.every(({ id }) => listed.has(id)));
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests of the escalation decision and handoff (pipeline/escalation)
+ */
+
+import './support/env.js';
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+
+const { decideEscalation, escalateToHuman } = await import('../src/pipeline/escalation.js');
+const { ticketStore } = await import('../src/escalations/ticketStore.js');
+
+describe('decideEscalation', () => {
+    const support = { intent: 'support_request', confidence: 0.9 };
+
+    /**
+     * Decides on a message
+     * @param {Object} state - Execution state to change
+     * @returns {Promise<Object>} The decision
+     */
+    const decide = (state) => decideEscalation.run({ userMessage: 'My app crashes', intent: support, turns: [], ...state }, {});
+
+    it('does not escalate a first message', async () => {
+        assert.deepEqual(await decide({}), {
+            escalate: false,
+            reason: null,
+            signals: { humanRequested: false, repeatedIntent: false, unsureAfterClarifying: false, failedTurns: 0 }
+        });
+    });
+
+    it('escalates when the customer asks for a person', async () => {
+        for (const userMessage of ['Can I talk to a human?', 'I want to speak with a real person', 'Get me a representative', 'live agent please']) {
+            assert.equal((await decide({ userMessage })).reason, 'customer_request', userMessage);
+        }
+        assert.equal((await decide({ userMessage: 'Is this a human-readable format?' })).escalate, false);
+    });
+
+    it('escalates a repeated complaint only', async () => {
+        const complaint = { intent: 'complaint', confidence: 0.9 };
+        assert.equal((await decide({ intent: complaint, turns: [{ intent: 'support_request' }] })).escalate, false);
+        assert.equal((await decide({ intent: complaint, turns: [{ intent: 'complaint' }] })).reason, 'complaint');
+        assert.equal((await decide({ turns: [{ intent: 'support_request' }] })).escalate, false);
+    });
+
+    it('escalates a message still unclear after a clarifying question', async () => {
+        const unsure = { intent: 'support_request', confidence: 0.2 };
+        assert.equal((await decide({ intent: unsure })).escalate, false);
+        assert.equal((await decide({ intent: unsure, turns: [{ outcome: 'clarification' }] })).reason, 'low_confidence');
+    });
+
+    it('escalates after consecutive turns that did not help', async () => {
+        const failed = await decide({ turns: [{ outcome: 'fallback' }, { outcome: 'clarification' }] });
+        assert.equal(failed.reason, 'repeated_failure');
+        assert.equal(failed.signals.failedTurns, 2);
+
+        assert.equal((await decide({ turns: [{ outcome: 'fallback' }, { outcome: 'answered' }, { outcome: 'fallback' }] })).escalate, false);
+    });
+});
+
+describe('escalateToHuman', () => {
+    const state = {
+        userMessage: 'Talk to a human',
+        intent: { intent: 'complaint' },
+        escalation: { escalate: true, reason: 'customer_request' },
+        route: { node: 'escalateToHuman', priority: 'high' },
+        turns: [{ userMessage: 'The app is broken', response: 'Sorry about that.', timestamp: '2026-01-01T00:00:00.000Z' }]
+    };
+
+    it('runs only for messages routed to it and not answered yet', () => {
+        assert.equal(escalateToHuman.when(state), true);
+        assert.equal(escalateToHuman.when({ ...state, response: 'Answered' }), false);
+        assert.equal(escalateToHuman.when({ route: { node: 'generateResponse' } }), false);
+    });
+
+    it('opens a ticket with the transcript, then updates it on the next escalation', async () => {
+        const tokens = [];
+        const runtime = { sessionId: 'escalation-1', onToken: token => tokens.push(token) };
+        const first = await escalateToHuman.run(state, runtime);
+
+        assert.match(first.response, new RegExp(`Your ticket reference is ${first.ticket.reference};`));
+        assert.deepEqual(tokens, [first.response]);
+        assert.equal(first.ticket.status, 'open');
+        assert.equal(first.ticket.reason, 'customer_request');
+        const ticket = await ticketStore.get(first.ticket.id);
+        assert.equal(ticket.priority, 'high');
+        assert.equal(ticket.sessionId, 'escalation-1');
+        assert.deepEqual(ticket.transcript.map(({ role, content }) => [role, content]), [
+            ['user', 'The app is broken'],
+            ['assistant', 'Sorry about that.'],
+            ['user', 'Talk to a human']
+        ]);
+
+        const second = await escalateToHuman.run({ ...state, userMessage: 'Hello?' }, { sessionId: 'escalation-1' });
+        assert.equal(second.ticket.id, first.ticket.id);
+        assert.match(second.response, /already has this conversation/);
+        assert.equal((await ticketStore.get(first.ticket.id)).transcript.at(-1).content, 'Hello?');
+    });
+});
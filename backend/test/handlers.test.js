@@ -0,0 +1,87 @@
+/**
+ * Tests of intent routing (pipeline/handlers)
+ */
+
+import './support/env.js';
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { AGENT_NODES } from '../src/pipeline/configurations.js';
+
+const { getClarifyMinConfidence, routeIntent } = await import('../src/pipeline/handlers.js');
+
+describe('routeIntent', () => {
+    const billing = {
+        intent: 'billing_inquiry',
+        confidence: 0.9,
+        routing: { handler: 'billing', priority: 'normal', knowledgeFilter: { category: 'billing' } }
+    };
+
+    /**
+     * Routes a message
+     * @param {Object} state - Execution state to change
+     * @param {Object} [runtime={}] - Runtime to change
+     * @returns {Promise<Object>} The route
+     */
+    const route = (state, runtime = {}) => routeIntent.run(
+        { userMessage: 'Why was I charged twice?', intent: billing, turns: [], ...state },
+        { nodeNames: AGENT_NODES, accountId: 'acc_1001', ...runtime }
+    );
+
+    it('dispatches to the handler of the intent with its knowledge filter', async () => {
+        assert.deepEqual(await route({}), {
+            handler: 'billing',
+            node: 'handleBillingInquiry',
+            usesKnowledge: true,
+            requiresGrounding: true,
+            reason: 'intent_routing',
+            requestedHandler: 'billing',
+            intent: 'billing_inquiry',
+            confidence: 0.9,
+            minConfidence: getClarifyMinConfidence(),
+            priority: 'normal',
+            knowledgeFilter: { category: 'billing' }
+        });
+    });
+
+    it('asks to clarify messages classified with low confidence', async () => {
+        const clarify = await route({ intent: { ...billing, confidence: getClarifyMinConfidence() - 0.1 } });
+
+        assert.equal(clarify.node, 'askClarifyingQuestion');
+        assert.equal(clarify.reason, 'low_confidence');
+        assert.equal(clarify.requestedHandler, 'billing');
+        assert.equal(clarify.knowledgeFilter, null);
+    });
+
+    it('escalates before any other route', async () => {
+        const escalated = await route({
+            intent: { ...billing, confidence: 0.1 },
+            escalation: { escalate: true }
+        });
+
+        assert.equal(escalated.node, 'escalateToHuman');
+        assert.equal(escalated.reason, 'escalation');
+    });
+
+    it('sends the reply to a pending confirmation to the account handler', async () => {
+        const turns = [{ pendingAction: { tool: 'pauseSubscription', arguments: { months: 2 }, accountId: 'acc_1001' } }];
+
+        const reply = await route({ userMessage: 'yes', turns });
+        assert.equal(reply.node, 'handleAccountAction');
+        assert.equal(reply.reason, 'confirmation_reply');
+
+        assert.equal((await route({ userMessage: 'Why was I charged twice?', turns })).reason, 'intent_routing');
+    });
+
+    it('falls back to the default handler for unknown handlers and missing nodes', async () => {
+        const unmapped = await route({ intent: { ...billing, routing: { handler: 'refunds' } } });
+        assert.equal(unmapped.node, 'generateResponse');
+        assert.equal(unmapped.reason, 'unmapped_handler');
+        assert.equal(unmapped.priority, 'normal');
+        assert.equal(unmapped.knowledgeFilter, null);
+
+        const missing = await route({}, { nodeNames: AGENT_NODES.filter(name => name !== 'handleBillingInquiry') });
+        assert.equal(missing.node, 'generateResponse');
+        assert.equal(missing.reason, 'handler_not_in_pipeline');
+        assert.equal(missing.requestedHandler, 'billing');
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests of the dependency checks behind the readiness probe (health/healthChecker)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { HealthChecker } from '../src/health/healthChecker.js';
+
+/**
+ * Creates a check counting its runs
+ * @param {string} name - Check name
+ * @param {Function} [run] - Check body, resolving to the details by default
+ * @returns {Object} The check, with `runs` counting its calls
+ */
+const countedCheck = (name, run = async () => ({ detail: name })) => {
+    const check = { name, runs: 0 };
+    check.run = (context) => {
+        check.runs++;
+        return run(context);
+    };
+    return check;
+};
+
+describe('HealthChecker', () => {
+    it('reports every check with its status and latency', async () => {
+        const checker = new HealthChecker({
+            checks: [
+                countedCheck('store'),
+                countedCheck('handit', async () => ({ status: 'disabled', reason: 'no key' }))
+            ]
+        });
+        const { status, checks } = await checker.check();
+
+        assert.equal(status, 'ready');
+        assert.deepEqual(Object.keys(checks), ['store', 'handit']);
+        assert.equal(checks.store.status, 'ok');
+        assert.equal(checks.store.detail, 'store');
+        assert.equal(typeof checks.store.latencyMs, 'number');
+        assert.ok(!Number.isNaN(Date.parse(checks.store.checkedAt)));
+        assert.deepEqual({ status: checks.handit.status, reason: checks.handit.reason }, { status: 'disabled', reason: 'no key' });
+    });
+
+    it('is not ready while a check fails, rejects or times out', async () => {
+        let aborted = false;
+        const checker = new HealthChecker({
+            timeoutMs: 20,
+            checks: [
+                countedCheck('reported', async () => ({ status: 'error', error: 'index missing' })),
+                countedCheck('rejected', async () => {
+                    throw Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED' });
+                }),
+                // Rejects once aborted, as fetch does
+                countedCheck('slow', ({ signal }) => new Promise((resolve, reject) => {
+                    signal.addEventListener('abort', () => {
+                        aborted = true;
+                        setTimeout(() => reject(new Error('aborted')), 0);
+                    });
+                }))
+            ]
+        });
+        const { status, checks } = await checker.check();
+
+        assert.equal(status, 'not_ready');
+        assert.equal(checks.reported.error, 'index missing');
+        assert.deepEqual([checks.rejected.status, checks.rejected.error, checks.rejected.code], ['error', 'connection refused', 'ECONNREFUSED']);
+        assert.deepEqual([checks.slow.status, checks.slow.error, checks.slow.code], ['error', 'Timed out after 20 ms', 'TIMEOUT']);
+        assert.equal(aborted, true);
+    });
+
+    it('reuses results until they expire, sharing the checks already running', async () => {
+        const store = countedCheck('store');
+        const cached = new HealthChecker({ checks: [store] });
+        await Promise.all([cached.check(), cached.check()]);
+        await cached.check();
+        assert.equal(store.runs, 1);
+
+        const expiring = countedCheck('store');
+        const uncached = new HealthChecker({ checks: [expiring], cacheTtlMs: 0 });
+        await uncached.check();
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await uncached.check();
+        assert.equal(expiring.runs, 2);
+    });
+
+    it('lets a check read the result of another without running it twice', async () => {
+        const store = countedCheck('store', async () => ({ status: 'error', error: 'down' }));
+        const dimension = countedCheck('dimension', async ({ resultOf }) => (
+            (await resultOf('store')).status === 'ok' ? {} : { status: 'unknown' }
+        ));
+        const { status, checks } = await new HealthChecker({ checks: [store, dimension] }).check();
+
+        assert.equal(status, 'not_ready');
+        assert.equal(checks.dimension.status, 'unknown');
+        assert.equal(store.runs, 1);
+        assert.throws(() => new HealthChecker({ checks: [] }).runCheck('missing'), /^Error: Unknown health check "missing"$/);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests of knowledge base ingestion: the parsers (knowledgeBase/parsers), the
+ * directory loader (knowledgeBase/loader) and chunking (utils/textProcessor)
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { parseCsv, parseCsvRows, parseFrontMatter, parseHtml, parseMarkdown } from '../src/knowledgeBase/parsers.js';
+import { loadDocuments, slugify } from '../src/knowledgeBase/loader.js';
+import { TextProcessor } from '../src/utils/textProcessor.js';
+
+describe('parsers', () => {
+    it('read front matter and take the Markdown title from it or the first heading', () => {
+        const markdown = '---\ntitle: "Refunds"\nintent: billing_inquiry\n---\n# Refund policy\n\nRefunds take 5 days.\n';
+
+        assert.deepEqual(parseFrontMatter(markdown).attributes, { title: 'Refunds', intent: 'billing_inquiry' });
+        assert.deepEqual(parseMarkdown(markdown), [{
+            text: '# Refund policy\n\nRefunds take 5 days.',
+            metadata: { title: 'Refunds', intent: 'billing_inquiry' }
+        }]);
+        assert.equal(parseMarkdown('# Shipping\n\nWe ship daily.')[0].metadata.title, 'Shipping');
+    });
+
+    it('turn HTML into text, keeping blocks and list items and decoding entities', () => {
+        const [document] = parseHtml(`
+            <html><head><title>Plans &amp; pricing</title><style>p { color: red }</style></head>
+            <body><h1>Plans</h1><p>Starter&nbsp;plan:</p><ul><li>5 seats</li><li>&#8364;10 / month</li></ul>
+            <script>track()</script></body></html>`);
+
+        assert.equal(document.metadata.title, 'Plans & pricing');
+        assert.equal(document.text, 'Plans\nStarter plan:\n- 5 seats\n- €10 / month');
+    });
+
+    it('split CSV rows with quoted commas, quotes and line breaks', () => {
+        assert.deepEqual(parseCsvRows('a,b\r\n"x, y","say ""hi""\nthere"\n\n'), [
+            ['a', 'b'],
+            ['x, y', 'say "hi"\nthere']
+        ]);
+    });
+
+    it('turn every CSV row into a question and answer document', () => {
+        const documents = parseCsv('Question,Answer,Category\nHow do I pay?,By card.,billing\nCan I cancel?,"Yes, anytime.",\n');
+
+        assert.deepEqual(documents, [
+            { text: 'Question: How do I pay?\n\nAnswer: By card.', metadata: { title: 'How do I pay?', row: 1, category: 'billing' } },
+            { text: 'Question: Can I cancel?\n\nAnswer: Yes, anytime.', metadata: { title: 'Can I cancel?', row: 2 } }
+        ]);
+        assert.throws(() => parseCsv('q,a\nx,y'), /CSV files need "question" and "answer" columns/);
+    });
+});
+
+describe('loadDocuments', () => {
+    let directory;
+
+    before(async () => {
+        directory = await mkdtemp(path.join(tmpdir(), 'ingestion-test-'));
+        await mkdir(path.join(directory, 'billing'));
+        await mkdir(path.join(directory, '.drafts'));
+        await writeFile(path.join(directory, 'billing', 'refund-policy.md'), 'Refunds take 5 days.');
+        await writeFile(path.join(directory, 'billing', 'faq.csv'), 'question,answer,topic\nHow do I pay?,By card.,payment\nWhen am I billed?,Monthly.,\n');
+        await writeFile(path.join(directory, 'welcome.txt'), '---\ntitle: Welcome\n---\nHello.');
+        await writeFile(path.join(directory, 'manual.pdf'), '%PDF');
+        await writeFile(path.join(directory, 'broken.csv'), 'name\nx\n');
+        await writeFile(path.join(directory, '.drafts', 'draft.md'), 'Not ready.');
+    });
+
+    after(async () => {
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    it('completes the metadata from the folder structure', async () => {
+        const { documents } = await loadDocuments(directory);
+
+        assert.deepEqual(documents.map(({ metadata }) => metadata), [
+            { category: 'billing', topic: 'payment', source: 'billing/faq.csv#row-1', title: 'How do I pay?' },
+            { category: 'billing', topic: 'when_am_i_billed', source: 'billing/faq.csv#row-2', title: 'When am I billed?' },
+            { category: 'billing', topic: 'refund_policy', source: 'billing/refund-policy.md', title: 'Refund policy' },
+            { category: 'general', topic: 'welcome', source: 'welcome.txt', title: 'Welcome' }
+        ]);
+    });
+
+    it('reports skipped and failed files, ignoring hidden ones', async () => {
+        const { files } = await loadDocuments(directory);
+        const bySource = Object.fromEntries(files.map(file => [file.source, file]));
+
+        assert.deepEqual(Object.keys(bySource).sort(), ['billing/faq.csv', 'billing/refund-policy.md', 'broken.csv', 'manual.pdf', 'welcome.txt']);
+        assert.equal(bySource['billing/faq.csv'].documents, 2);
+        assert.equal(bySource['broken.csv'].status, 'failed');
+        assert.equal(bySource['manual.pdf'].status, 'skipped');
+        assert.match(bySource['manual.pdf'].reason, /pdftotext/);
+    });
+
+    it('slugifies names into identifiers', () => {
+        assert.equal(slugify('  Refund Policy (2024)! '), 'refund_policy_2024');
+    });
+});
+
+describe('TextProcessor', () => {
+    it('splits long text into overlapping chunks within the size', async () => {
+        const text = Array.from({ length: 20 }, (_, i) => `Sentence number ${i} about refunds.`).join(' ');
+        const chunks = await TextProcessor.splitIntoChunks(text, { chunkSize: 120, chunkOverlap: 40 });
+
+        assert.ok(chunks.length > 1);
+        assert.ok(chunks.every(chunk => chunk.length <= 120));
+        assert.ok(chunks.slice(1).every((chunk, i) => chunks[i].includes(chunk.split('.')[0].trim())));
+    });
+
+    it('numbers the chunks of a document', async () => {
+        const chunks = await TextProcessor.processDocument({ text: 'Short text.', metadata: { source: 'a.md' } });
+        assert.deepEqual(chunks, [{ text: 'Short text.', metadata: { source: 'a.md', chunkIndex: 0, totalChunks: 1 } }]);
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests of the intent taxonomy (config/intents)
+ */
+
+import './support/env.js';
+import { after, before, describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { getIntent, getIntents, loadIntentTaxonomy } from '../src/config/intents.js';
+
+describe('loadIntentTaxonomy', () => {
+    let directory;
+    /**
+     * Writes a taxonomy file
+     * @param {string} name - File name
+     * @param {Object|string} taxonomy - Taxonomy, or raw content
+     * @returns {Promise<string>} Path of the file
+     */
+    const writeTaxonomy = async (name, taxonomy) => {
+        const filePath = path.join(directory, name);
+        await writeFile(filePath, typeof taxonomy === 'string' ? taxonomy : JSON.stringify(taxonomy));
+        return filePath;
+    };
+
+    before(async () => {
+        directory = await mkdtemp(path.join(tmpdir(), 'intents-test-'));
+    });
+
+    after(async () => {
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    it('fills in default examples and routing', async () => {
+        const filePath = await writeTaxonomy('minimal.json', {
+            intents: [
+                { name: 'greeting', description: 'Says hello' },
+                { name: 'refund', description: 'Wants money back', examples: ['Refund me'], routing: { handler: 'billing', priority: 'high' } }
+            ]
+        });
+
+        assert.deepEqual(loadIntentTaxonomy(filePath), [
+            {
+                name: 'greeting',
+                description: 'Says hello',
+                examples: [],
+                routing: { handler: 'default', priority: 'normal', knowledgeFilter: null }
+            },
+            {
+                name: 'refund',
+                description: 'Wants money back',
+                examples: ['Refund me'],
+                routing: { handler: 'billing', priority: 'high', knowledgeFilter: null }
+            }
+        ]);
+    });
+
+    it('reports every problem of an invalid taxonomy', async () => {
+        const filePath = await writeTaxonomy('invalid.json', {
+            intents: [
+                { name: 'greeting', description: 'Says hello' },
+                { name: 'greeting', description: 'Says hi', routing: { priority: 'urgent' } },
+                { description: 'No name' }
+            ]
+        });
+
+        assert.throws(() => loadIntentTaxonomy(filePath), {
+            message: `Invalid intent taxonomy ${filePath}: `
+                + '$.intents[1].routing.priority must be one of "normal", "high", got "urgent"; '
+                + '$.intents[2].name is required; '
+                + 'intent "greeting" is defined more than once'
+        });
+        assert.throws(
+            () => loadIntentTaxonomy(path.join(directory, 'missing.json')),
+            /^Error: Cannot read the intent taxonomy .*missing\.json: ENOENT/
+        );
+        const emptyPath = await writeTaxonomy('empty.json', { intents: [] });
+        assert.throws(() => loadIntentTaxonomy(emptyPath), /\$\.intents must have at least 1 items$/);
+    });
+});
+
+describe('getIntents', () => {
+    it('loads the bundled taxonomy, including the intents of the knowledge base metadata', () => {
+        const names = getIntents().map(intent => intent.name);
+
+        assert.ok(names.includes('company_inquiry'));
+        assert.ok(names.includes('contact_inquiry'));
+        assert.equal(getIntents(), getIntents());
+    });
+
+    it('finds an intent by name', () => {
+        assert.deepEqual(getIntent('billing_inquiry').routing.knowledgeFilter, { category: 'billing' });
+        assert.equal(getIntent('weather_report'), undefined);
+    });
+});
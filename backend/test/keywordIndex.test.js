@@ -0,0 +1,109 @@
+/**
+ * Tests of the BM25 keyword index (knowledgeBase/keywordIndex)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { KeywordIndex, tokenize } from '../src/knowledgeBase/keywordIndex.js';
+
+/**
+ * Builds an index kept in memory only (its file never exists)
+ * @param {Object<string, string|[string, Object]>} chunks - Text, or text and metadata, keyed by id
+ * @returns {KeywordIndex} The index
+ */
+const buildIndex = (chunks) => {
+    const index = new KeywordIndex('/nonexistent/keyword-index.json');
+    for (const [id, chunk] of Object.entries(chunks)) {
+        const [text, metadata] = [].concat(chunk);
+        index.add(id, text, metadata);
+    }
+    return index;
+};
+
+describe('tokenize', () => {
+    it('lowercases, splits on punctuation and drops stop words', () => {
+        assert.deepEqual(
+            tokenize('Call +1 (800) 555-0123 for SLA questions'),
+            ['call', '1', '800', '555', '0123', 'sla', 'questions']
+        );
+        assert.deepEqual(tokenize('How do I reset my Password?'), ['reset', 'password']);
+    });
+
+    it('returns no terms for empty text', () => {
+        assert.deepEqual(tokenize(''), []);
+        assert.deepEqual(tokenize(undefined), []);
+    });
+});
+
+describe('KeywordIndex.search', () => {
+    it('scores a single match with the BM25 formula', () => {
+        const index = buildIndex({
+            refund: 'refund policy for annual plans',
+            shipping: 'shipping times for all orders'
+        });
+
+        const [match] = index.search('refund');
+        // One of two chunks contains the term, and the chunk has the average length
+        const idf = Math.log(1 + (2 - 1 + 0.5) / (1 + 0.5));
+        assert.equal(match.id, 'refund');
+        assert.ok(Math.abs(match.score - idf) < 1e-12);
+        assert.equal(match.coverage, 1);
+        assert.equal(match.metadata.text, 'refund policy for annual plans');
+    });
+
+    it('ranks rarer terms and repeated terms higher', () => {
+        const index = buildIndex({
+            common: 'account settings page',
+            rare: 'account invoice download',
+            repeated: 'invoice invoice account',
+            other: 'account password reset'
+        });
+
+        const matches = index.search('account invoice');
+        assert.deepEqual(matches.map(match => match.id).slice(0, 2), ['repeated', 'rare']);
+        assert.ok(matches.find(match => match.id === 'rare').score > matches.find(match => match.id === 'common').score);
+        assert.equal(matches.find(match => match.id === 'common').coverage, 0.5);
+    });
+
+    it('favours shorter chunks for the same term frequency', () => {
+        const index = buildIndex({
+            short: 'warranty terms',
+            long: 'warranty terms cover hardware defects during the first year after purchase'
+        });
+
+        const [first, second] = index.search('warranty');
+        assert.equal(first.id, 'short');
+        assert.ok(first.score > second.score);
+    });
+
+    it('applies topK and metadata filters', () => {
+        const index = buildIndex({
+            billing: ['refund to the original card', { category: 'billing' }],
+            returns: ['refund after a return', { category: 'returns' }],
+            other: ['refund status', { category: 'billing' }]
+        });
+
+        assert.equal(index.search('refund', { topK: 2 }).length, 2);
+        assert.deepEqual(
+            index.search('refund', { filter: { category: 'billing' } }).map(match => match.id).sort(),
+            ['billing', 'other']
+        );
+    });
+
+    it('returns nothing for unknown terms, stop words or an empty index', () => {
+        const index = buildIndex({ refund: 'refund policy' });
+        assert.deepEqual(index.search('delivery'), []);
+        assert.deepEqual(index.search('how do i'), []);
+        assert.deepEqual(buildIndex({}).search('refund'), []);
+    });
+
+    it('updates its statistics when chunks are replaced or removed', () => {
+        const index = buildIndex({ a: 'refund policy', b: 'shipping policy' });
+        assert.deepEqual(index.search('refund').map(match => match.id), ['a']);
+
+        index.add('b', 'refund by bank transfer');
+        index.remove('a');
+        assert.deepEqual(index.search('refund').map(match => match.id), ['b']);
+        assert.equal(index.has('a'), false);
+    });
+});
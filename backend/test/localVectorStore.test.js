@@ -0,0 +1,114 @@
+/**
+ * Tests of the local vector store (vectorStore/localVectorStore) and its
+ * metadata filters (vectorStore/metadataFilter)
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { LocalVectorStore, cosineSimilarity } from '../src/vectorStore/localVectorStore.js';
+import { matchesFilter } from '../src/vectorStore/metadataFilter.js';
+
+describe('cosineSimilarity', () => {
+    it('compares the direction of vectors', () => {
+        assert.equal(cosineSimilarity([1, 0], [2, 0]), 1);
+        assert.equal(cosineSimilarity([1, 0], [0, 3]), 0);
+        assert.equal(cosineSimilarity([1, 0], [-1, 0]), -1);
+        assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+    });
+
+    it('rejects vectors of different dimensions', () => {
+        assert.throws(() => cosineSimilarity([1, 0], [1, 0, 0]), /Vector dimension mismatch: 2 vs 3/);
+    });
+});
+
+describe('matchesFilter', () => {
+    const metadata = { category: 'billing', intent: 'billing_inquiry', priority: 2 };
+
+    it('matches literals and comparison operators', () => {
+        assert.equal(matchesFilter(metadata), true);
+        assert.equal(matchesFilter(metadata, { category: 'billing' }), true);
+        assert.equal(matchesFilter(metadata, { category: 'billing', priority: { $gte: 3 } }), false);
+        assert.equal(matchesFilter(metadata, { intent: { $in: ['billing_inquiry', 'complaint'] } }), true);
+        assert.equal(matchesFilter(metadata, { topic: { $exists: false } }), true);
+    });
+
+    it('combines clauses with $and and $or', () => {
+        assert.equal(matchesFilter(metadata, { $or: [{ category: 'returns' }, { priority: { $lt: 3 } }] }), true);
+        assert.equal(matchesFilter(metadata, { $and: [{ category: 'billing' }, { intent: { $ne: 'billing_inquiry' } }] }), false);
+    });
+
+    it('rejects unsupported operators', () => {
+        assert.throws(() => matchesFilter(metadata, { category: { $regex: 'bill' } }), /Unsupported metadata filter operator "\$regex"/);
+    });
+});
+
+describe('LocalVectorStore', () => {
+    let directory;
+
+    before(async () => {
+        directory = await mkdtemp(path.join(tmpdir(), 'vector-store-test-'));
+    });
+
+    after(async () => {
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    /**
+     * Creates a store with three records
+     * @param {string} namespace - Namespace of the store
+     * @returns {Promise<LocalVectorStore>} The store
+     */
+    const createStore = async (namespace) => {
+        const store = new LocalVectorStore({ directory, namespace });
+        await store.upsert([
+            { id: 'doc-a#0', values: [1, 0], metadata: { category: 'billing' } },
+            { id: 'doc-a#1', values: [0.8, 0.6], metadata: { category: 'billing' } },
+            { id: 'doc-b#0', values: [0, 1], metadata: { category: 'shipping' } }
+        ]);
+        return store;
+    };
+
+    it('ranks records by similarity and applies topK and filters', async () => {
+        const store = await createStore('query');
+
+        const { matches } = await store.query({ vector: [1, 0], topK: 2 });
+        assert.deepEqual(matches.map(({ id, score }) => [id, score]), [['doc-a#0', 1], ['doc-a#1', 0.8]]);
+        assert.deepEqual(matches[0].metadata, { category: 'billing' });
+
+        const filtered = await store.query({ vector: [1, 0], filter: { category: 'shipping' } });
+        assert.deepEqual(filtered.matches.map(({ id }) => id), ['doc-b#0']);
+    });
+
+    it('fetches, lists, describes and deletes records', async () => {
+        const store = await createStore('manage');
+
+        assert.deepEqual(await store.fetch(['doc-b#0', 'missing']), [{ id: 'doc-b#0', metadata: { category: 'shipping' } }]);
+        assert.deepEqual(await store.list({ prefix: 'doc-a' }), ['doc-a#0', 'doc-a#1']);
+        assert.deepEqual(await store.describe(), { dimension: 2, recordCount: 3 });
+
+        await store.delete(['doc-a#0', 'doc-a#1']);
+        assert.deepEqual(await store.list(), ['doc-b#0']);
+    });
+
+    it('persists records and picks up what another process wrote', async () => {
+        await createStore('shared');
+        const reader = new LocalVectorStore({ directory, namespace: 'shared' });
+        assert.equal((await reader.describe()).recordCount, 3);
+
+        // Written like `npm run ingest` would, from another store instance
+        await writeFile(path.join(directory, 'shared.json'), JSON.stringify({
+            namespace: 'shared',
+            records: [{ id: 'doc-c#0', values: [1, 1, 1], metadata: {} }]
+        }));
+        assert.deepEqual(await reader.describe(), { dimension: 3, recordCount: 1 });
+    });
+
+    it('starts empty without a file', async () => {
+        const store = new LocalVectorStore({ directory, namespace: 'empty' });
+        assert.deepEqual(await store.query({ vector: [1, 0] }), { matches: [] });
+        assert.deepEqual(await store.describe(), { dimension: null, recordCount: 0 });
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests of the structured logger and its redaction (logging/logger)
+ */
+
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'assert/strict';
+import { Logger, getRequestId, redactCustomerContent, runWithRequestContext } from '../src/logging/logger.js';
+
+/**
+ * Environment variables the logger reads, restored after every test
+ * @type {string[]}
+ */
+const LOGGER_VARIABLES = ['LOG_LEVEL', 'LOG_FORMAT', 'LOG_REDACT'];
+
+describe('Logger', () => {
+    let saved;
+    let lines;
+
+    beforeEach(() => {
+        saved = Object.fromEntries(LOGGER_VARIABLES.map(name => [name, process.env[name]]));
+        Object.assign(process.env, { LOG_LEVEL: 'debug', LOG_FORMAT: 'json', LOG_REDACT: 'true' });
+        lines = [];
+        for (const stream of ['stdout', 'stderr']) {
+            mock.method(process[stream], 'write', (line) => {
+                lines.push({ stream, entry: JSON.parse(line) });
+                return true;
+            });
+        }
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+    });
+
+    it('writes one JSON entry per call with the fields of the logger', () => {
+        new Logger({ component: 'pipeline' }).child({ pipeline: 'enhanced' }).info('Run finished', { durationMs: 12 });
+
+        const [{ stream, entry: { time, ...fields } }] = lines;
+        assert.equal(stream, 'stdout');
+        assert.match(time, /^\d{4}-\d{2}-\d{2}T/);
+        assert.deepEqual(fields, { level: 'info', msg: 'Run finished', component: 'pipeline', pipeline: 'enhanced', durationMs: 12 });
+    });
+
+    it('skips levels below LOG_LEVEL and writes errors to stderr', () => {
+        process.env.LOG_LEVEL = 'warn';
+        const logger = new Logger();
+        logger.debug('hidden');
+        logger.info('hidden');
+        logger.warn('shown');
+        logger.error('failed', { error: Object.assign(new Error('boom'), { code: 'E_BOOM' }) });
+
+        assert.deepEqual(lines.map(({ stream, entry }) => [stream, entry.msg]), [['stdout', 'shown'], ['stderr', 'failed']]);
+        const { error } = lines[1].entry;
+        assert.equal(error.name, 'Error');
+        assert.equal(error.message, 'boom');
+        assert.equal(error.code, 'E_BOOM');
+        assert.match(error.stack, /^Error: boom/);
+    });
+
+    it('adds the id of the request being handled', async () => {
+        const logger = new Logger();
+        await runWithRequestContext({ requestId: 'req-1' }, async () => {
+            await Promise.resolve();
+            assert.equal(getRequestId(), 'req-1');
+            logger.info('inside');
+        });
+        logger.info('outside');
+
+        assert.equal(lines[0].entry.requestId, 'req-1');
+        assert.equal('requestId' in lines[1].entry, false);
+    });
+
+    it('redacts customer content at any depth, keeping its length', () => {
+        new Logger().info('Node finished', {
+            node: 'generateResponse',
+            userMessage: 'My card number is 4111',
+            output: { response: 'Hello', citations: [{ source: 1, quote: 'x' }] },
+            messages: [{ role: 'user', content: 'Hi there' }, 'plain text']
+        });
+
+        const { entry } = lines[0];
+        assert.equal(entry.node, 'generateResponse');
+        assert.equal(entry.userMessage, '[redacted 22 chars]');
+        assert.deepEqual(entry.output, { response: '[redacted 5 chars]', citations: [{ source: 1, quote: 'x' }] });
+        assert.deepEqual(entry.messages, [{ role: 'user', content: '[redacted 8 chars]' }, '[redacted 10 chars]']);
+    });
+
+    it('keeps customer content when LOG_REDACT is false', () => {
+        process.env.LOG_REDACT = 'false';
+        new Logger().info('Node finished', { userMessage: 'Hello' });
+        assert.equal(lines[0].entry.userMessage, 'Hello');
+    });
+});
+
+describe('redactCustomerContent', () => {
+    it('redacts the content keys of a value and survives cycles', () => {
+        const trace = { traceId: 't1', root: { input: { userMessage: 'Hi' } }, spans: [] };
+        trace.spans.push({ output: { text: 'abc' }, trace });
+
+        assert.deepEqual(redactCustomerContent(trace), {
+            traceId: 't1',
+            root: { input: { userMessage: '[redacted 2 chars]' } },
+            spans: [{ output: { text: '[redacted 3 chars]' }, trace: '[circular]' }]
+        });
+        assert.equal(redactCustomerContent('top-level strings are kept'), 'top-level strings are kept');
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests of the index manifest (knowledgeBase/manifest) and the sync plans
+ * built from it (knowledgeBase/indexer)
+ */
+
+import './support/env.js';
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { readFile } from 'fs/promises';
+import { IndexManifest } from '../src/knowledgeBase/manifest.js';
+import { documentId, planSync } from '../src/knowledgeBase/indexer.js';
+
+/**
+ * Builds a manifest document
+ * @param {string} id - Document id
+ * @param {string} scope - Document scope
+ * @returns {Object} The document
+ */
+const entry = (id, scope = 'sample') => ({ id, scope, key: id, metadata: {}, chunks: [{ id: `${id}#0`, hash: 'h' }], indexedAt: '2026-01-01T00:00:00.000Z' });
+
+describe('IndexManifest', () => {
+    it('starts empty and reloads what was saved', async () => {
+        const manifest = await IndexManifest.load('roundtrip');
+        assert.deepEqual(manifest.list(), []);
+
+        manifest.set(entry('a'));
+        manifest.set(entry('b', 'api'));
+        await manifest.save();
+
+        const reloaded = await IndexManifest.load('roundtrip');
+        assert.deepEqual(reloaded.list('api'), [entry('b', 'api')]);
+        assert.deepEqual([...reloaded.chunkIds()], ['a#0', 'b#0']);
+    });
+
+    it('runs concurrent saves of the same file one at a time, in call order', async () => {
+        const first = await IndexManifest.load('concurrent');
+        const second = await IndexManifest.load('concurrent');
+        first.set(entry('first'));
+        second.set(entry('second'));
+
+        await Promise.all([first.save(), second.save(), first.save(), second.save()]);
+
+        const saved = JSON.parse(await readFile(second.filePath, 'utf8'));
+        assert.deepEqual(Object.keys(saved.documents), ['second']);
+    });
+
+    it('keeps saving after a failed save', async () => {
+        const manifest = await IndexManifest.load('recovery');
+        const { filePath } = manifest;
+        manifest.filePath = '/dev/null/manifest.json';
+        await assert.rejects(manifest.save());
+
+        manifest.filePath = filePath;
+        manifest.set(entry('a'));
+        await manifest.save();
+        assert.deepEqual((await IndexManifest.load('recovery')).list(), [entry('a')]);
+    });
+});
+
+describe('planSync', () => {
+    const refunds = { text: 'Refunds are issued within 5 days.', metadata: { source: 'faq/refunds.md' } };
+    const shipping = { text: 'Orders ship within 2 days.', metadata: { source: 'faq/shipping.md' } };
+
+    /**
+     * Plans a sync and records its entries, as applySyncPlan does
+     * @param {IndexManifest} manifest - The manifest
+     * @param {Object} options - planSync options
+     * @returns {Promise<Object>} The plan
+     */
+    const sync = async (manifest, options) => {
+        const plan = await planSync({ manifest, ...options });
+        plan.entries.forEach(document => manifest.set(document));
+        plan.removals.forEach(id => manifest.remove(id));
+        return plan;
+    };
+
+    it('embeds new documents, then nothing while they are unchanged', async () => {
+        const manifest = new IndexManifest('/nonexistent/manifest.json');
+        const added = await sync(manifest, { documents: [refunds, shipping], scope: 'sample' });
+
+        assert.deepEqual(added.documents.map(({ status }) => status), ['added', 'added']);
+        assert.deepEqual(added.upserts.map(({ id }) => id), [`${documentId(refunds)}#0`, `${documentId(shipping)}#0`]);
+
+        const again = await sync(manifest, { documents: [refunds, shipping], scope: 'sample' });
+        assert.deepEqual(again.upserts, []);
+        assert.deepEqual(again.deletes, []);
+        assert.equal(again.unchanged, 2);
+
+        const forced = await planSync({ manifest, documents: [refunds], scope: 'sample', force: true, prune: false });
+        assert.equal(forced.upserts.length, 1);
+    });
+
+    it('re-embeds changed chunks and deletes the chunks a document no longer has', async () => {
+        const manifest = new IndexManifest('/nonexistent/manifest.json');
+        const chunkOptions = { chunkSize: 100, chunkOverlap: 10 };
+        const long = { ...refunds, text: 'Refunds are issued within 5 days. '.repeat(10) };
+        await sync(manifest, { documents: [long], scope: 'sample', chunkOptions });
+        const chunks = manifest.get(documentId(refunds)).chunks.length;
+        assert.ok(chunks > 1);
+
+        const plan = await sync(manifest, { documents: [{ ...refunds, text: 'Refunds take a week.' }], scope: 'sample', chunkOptions });
+        const [summary] = plan.documents;
+        assert.equal(summary.status, 'updated');
+        assert.deepEqual([summary.updated, summary.removed], [1, chunks - 1]);
+        assert.equal(plan.deletes.length, chunks - 1);
+    });
+
+    it('removes missing documents of its own scope only', async () => {
+        const manifest = new IndexManifest('/nonexistent/manifest.json');
+        await sync(manifest, { documents: [refunds, shipping], scope: 'sample' });
+        manifest.set(entry('api-doc', 'api'));
+
+        const plan = await sync(manifest, { documents: [refunds], scope: 'sample' });
+        assert.deepEqual(plan.removals, [documentId(shipping)]);
+        assert.deepEqual(plan.deletes, [`${documentId(shipping)}#0`]);
+        assert.ok(manifest.get('api-doc'));
+
+        const kept = await planSync({ manifest, documents: [], scope: 'sample', prune: false });
+        assert.deepEqual(kept.removals, []);
+    });
+
+    it('rejects two documents with the same identity', async () => {
+        const manifest = new IndexManifest('/nonexistent/manifest.json');
+        await assert.rejects(
+            planSync({ manifest, documents: [refunds, { ...refunds, text: 'copy' }], scope: 'sample' }),
+            /Duplicate knowledge base document "faq\/refunds.md"/
+        );
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests of the Prometheus metrics registry (metrics/registry)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { Registry } from '../src/metrics/registry.js';
+
+describe('Registry', () => {
+    it('renders counters with one sample per label combination', () => {
+        const registry = new Registry();
+        const counter = registry.counter({ name: 'requests_total', help: 'Requests', labelNames: ['route', 'status'] });
+        counter.inc({ route: '/api/chat', status: 200 });
+        counter.inc({ route: '/api/chat', status: 200 }, 2);
+        counter.inc({ route: '/api/chat', status: 500 });
+
+        assert.equal(registry.render(), [
+            '# HELP requests_total Requests',
+            '# TYPE requests_total counter',
+            'requests_total{route="/api/chat",status="200"} 3',
+            'requests_total{route="/api/chat",status="500"} 1',
+            ''
+        ].join('\n'));
+    });
+
+    it('renders histograms with cumulative buckets, sum and count', () => {
+        const registry = new Registry();
+        const histogram = registry.histogram({ name: 'duration_seconds', help: 'Duration', labelNames: ['node'], buckets: [1, 0.1] });
+        histogram.observe({ node: 'a' }, 0.05);
+        histogram.observe({ node: 'a' }, 0.5);
+        histogram.observe({ node: 'a' }, 3);
+
+        assert.equal(registry.render(), [
+            '# HELP duration_seconds Duration',
+            '# TYPE duration_seconds histogram',
+            'duration_seconds_bucket{node="a",le="0.1"} 1',
+            'duration_seconds_bucket{node="a",le="1"} 2',
+            'duration_seconds_bucket{node="a",le="+Inf"} 3',
+            'duration_seconds_sum{node="a"} 3.55',
+            'duration_seconds_count{node="a"} 3',
+            ''
+        ].join('\n'));
+    });
+
+    it('escapes label values and help text, and renders metrics without labels', () => {
+        const registry = new Registry();
+        registry.counter({ name: 'paths_total', help: 'Paths\nseen', labelNames: ['path', 'missing'] }).inc({ path: 'C:\\"x"\n' });
+        registry.counter({ name: 'ticks_total', help: 'Ticks' }).inc();
+
+        const lines = registry.render().split('\n');
+        assert.equal(lines[0], '# HELP paths_total Paths\\nseen');
+        assert.equal(lines[2], 'paths_total{path="C:\\\\\\"x\\"\\n",missing=""} 1');
+        assert.equal(lines[5], 'ticks_total 1');
+    });
+
+    it('renders a metric without samples as its HELP and TYPE lines', () => {
+        const registry = new Registry();
+        registry.counter({ name: 'errors_total', help: 'Errors', labelNames: ['code'] });
+        assert.equal(registry.render(), '# HELP errors_total Errors\n# TYPE errors_total counter\n');
+    });
+
+    it('refuses two metrics with the same name', () => {
+        const registry = new Registry();
+        registry.counter({ name: 'requests_total', help: 'Requests' });
+        assert.throws(() => registry.histogram({ name: 'requests_total', help: 'Again' }), /^Error: Metric "requests_total" is already registered$/);
+    });
+});
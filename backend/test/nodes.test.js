@@ -0,0 +1,94 @@
+/**
+ * Tests of the pipeline nodes (pipeline/nodes)
+ */
+
+import './support/env.js';
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+
+const { classifyIntent, groundedFallback } = await import('../src/pipeline/nodes.js');
+const { getIntents } = await import('../src/config/intents.js');
+
+describe('classifyIntent', () => {
+    it('only accepts the intents of the taxonomy', () => {
+        assert.deepEqual(classifyIntent.schema.properties.intent.enum, getIntents().map(intent => intent.name));
+    });
+
+    it('lists the intents with their examples and returns the routing of the chosen one', async () => {
+        let messages;
+        const runtime = {
+            resolvePrompt: async (prompt) => prompt,
+            complete: async (sent) => {
+                messages = sent;
+                return { userMessage: 'ignored', intent: 'billing_inquiry', confidence: 0.8 };
+            }
+        };
+        const history = [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello!' }];
+        const result = await classifyIntent.run({ userMessage: 'Why was I charged twice?', history }, runtime);
+
+        for (const { name, description, examples } of getIntents()) {
+            assert.ok(messages[0].content.includes(`- ${name}: ${description}`), name);
+            examples.forEach(example => assert.ok(messages[0].content.includes(`Example: "${example}"`), example));
+        }
+        assert.deepEqual(messages.slice(1), [...history, { role: 'user', content: 'Customer Message: Why was I charged twice?' }]);
+        assert.deepEqual(result, {
+            userMessage: 'Why was I charged twice?',
+            intent: 'billing_inquiry',
+            confidence: 0.8,
+            routing: { handler: 'billing', priority: 'normal', knowledgeFilter: { category: 'billing' } }
+        });
+    });
+});
+
+describe('groundedFallback', () => {
+    const retrieval = { grounded: false, minScore: 0.3, bestScore: 0.12 };
+    const context = { retrieval, intent: { userMessage: 'What is the airspeed of a swallow?' } };
+
+    /**
+     * Creates the runtime of the node on a knowledge base holding the given chunks
+     * @param {Array<{id: string, metadata: Object}>} chunks - Chunks of the knowledge base
+     * @returns {Object} The runtime, with `tokens` holding the streamed tokens and `filters` the queried filters
+     */
+    const createRuntime = (chunks) => {
+        const runtime = { tokens: [], filters: [] };
+        return Object.assign(runtime, {
+            embeddings: { embedQuery: async () => [1] },
+            vectorStore: {
+                query: async ({ filter }) => {
+                    runtime.filters.push(filter);
+                    return { matches: chunks.filter(chunk => chunk.metadata.category === filter.category.$eq) };
+                }
+            },
+            onToken: (token) => runtime.tokens.push(token)
+        });
+    };
+
+    it('runs only when the search found nothing relevant and the route needs knowledge', () => {
+        assert.equal(groundedFallback.when({ context }), true);
+        assert.equal(groundedFallback.when({ context: { retrieval: { grounded: true } } }), false);
+        assert.equal(groundedFallback.when({ context, route: { requiresGrounding: false } }), false);
+        assert.equal(groundedFallback.when({}), false);
+    });
+
+    it('refuses to guess and quotes the contact information of the knowledge base', async () => {
+        const runtime = createRuntime([
+            { id: 'faq-1', metadata: { category: 'faq', text: 'Shipping takes 3 days.' } },
+            { id: 'contact-1', metadata: { category: 'contact_info', text: 'Call +1 800 555 0123.' } }
+        ]);
+        const { response, fallback } = await groundedFallback.run({ context }, runtime);
+
+        assert.match(response, /^I'm sorry, I couldn't find reliable information/);
+        assert.match(response, /Call \+1 800 555 0123\.$/);
+        assert.deepEqual(fallback, { reason: 'no_relevant_knowledge', minScore: 0.3, bestScore: 0.12, contactSource: 'contact-1' });
+        assert.deepEqual(runtime.filters, [{ category: { $eq: 'contact_info' } }]);
+        assert.deepEqual(runtime.tokens, [response]);
+        assert.deepEqual(runtime.input, { userMessage: context.intent.userMessage, retrieval });
+    });
+
+    it('points to the support team when the knowledge base has no contact information', async () => {
+        const { response, fallback } = await groundedFallback.run({ context }, createRuntime([]));
+
+        assert.match(response, /Please contact our support team/);
+        assert.equal(fallback.contactSource, null);
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests of the pipeline engine (pipeline/engine) and its plugins
+ */
+
+import './support/env.js';
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { Pipeline } from '../src/pipeline/engine.js';
+import { handitPromptOptimization } from '../src/pipeline/plugins/handitPromptOptimization.js';
+import { getConfig } from '../src/config/index.js';
+import { createPipeline, findPipelineProblems } from '../src/pipeline/index.js';
+import { AGENT_NODES, defaultPipelineConfigurations } from '../src/pipeline/configurations.js';
+
+/**
+ * A node answering with the prompt it resolved
+ * @type {Object}
+ */
+const answerNode = {
+    name: 'answer',
+    type: 'tool',
+    output: 'response',
+    run: async (state, runtime) => ({ response: await runtime.resolvePrompt(`Answer: ${state.userMessage}`) })
+};
+
+/**
+ * Creates a plugin whose hooks all throw, recording which were called
+ * @param {string[]} calls - Receives the hook names
+ * @returns {Object} The plugin
+ */
+const throwingPlugin = (calls) => Object.fromEntries(
+    ['onRunStart', 'resolvePrompt', 'onNodeEnd', 'onRunEnd'].map(hook => [hook, async () => {
+        calls.push(hook);
+        throw new Error(`${hook} failed`);
+    }])
+);
+
+describe('Pipeline', () => {
+    it('runs its nodes in order, skipping those whose condition is false', async () => {
+        const events = [];
+        const step = (name, when) => ({
+            name,
+            type: 'tool',
+            output: name,
+            event: name,
+            when,
+            run: async (state) => [...(state.trail ?? []), name]
+        });
+        const pipeline = new Pipeline({
+            name: 'test',
+            agentName: 'test_agent',
+            nodes: [
+                { ...step('first'), output: 'trail' },
+                { ...step('skipped', () => false), output: 'trail' },
+                { ...step('second', ({ trail }) => trail.length === 1), output: 'trail' },
+                { name: 'answer', type: 'tool', output: 'response', run: async ({ trail }) => ({ response: trail.join(' > ') }) }
+            ]
+        });
+
+        const result = await pipeline.run('hi', { onEvent: (event, data) => events.push([event, data]) });
+
+        assert.deepEqual(result.response, { response: 'first > second' });
+        assert.deepEqual(events, [['first', ['first']], ['second', ['first', 'second']]]);
+        assert.deepEqual(result.meta.nodes.map(({ name }) => name), ['first', 'second', 'answer']);
+    });
+
+    it('reports a failing node to the plugins and fails the run', async () => {
+        const calls = [];
+        const pipeline = new Pipeline({
+            name: 'test',
+            agentName: 'test_agent',
+            nodes: [
+                { name: 'broken', type: 'tool', run: async () => { throw new Error('node failed'); } },
+                answerNode
+            ],
+            plugins: [{
+                name: 'observer',
+                onNodeError: async (node, { error }) => calls.push(['onNodeError', node.name, error.message]),
+                onRunError: async (execution, error) => calls.push(['onRunError', error.message]),
+                onRunEnd: async () => calls.push(['onRunEnd'])
+            }]
+        });
+
+        await assert.rejects(pipeline.run('hi'), /node failed/);
+        assert.deepEqual(calls, [['onNodeError', 'broken', 'node failed'], ['onRunError', 'node failed']]);
+    });
+});
+
+describe('Pipeline plugins', () => {
+    it('never fail a run when their hooks throw', async () => {
+        const calls = [];
+        const ended = [];
+        const pipeline = new Pipeline({
+            name: 'test',
+            agentName: 'test_agent',
+            nodes: [answerNode],
+            plugins: [
+                { name: 'broken', ...throwingPlugin(calls) },
+                { name: 'observer', onRunEnd: async (execution, result) => ended.push(result.response) }
+            ]
+        });
+
+        const result = await pipeline.run('where is my order?');
+
+        assert.deepEqual(result.response, { response: 'Answer: where is my order?' });
+        assert.deepEqual(calls, ['onRunStart', 'resolvePrompt', 'onNodeEnd', 'onRunEnd']);
+        // Plugins after the failing one are still called
+        assert.deepEqual(ended, [{ response: 'Answer: where is my order?' }]);
+    });
+
+    it('keep the prompt of earlier plugins when a later one fails to resolve it', async () => {
+        const pipeline = new Pipeline({
+            name: 'test',
+            agentName: 'test_agent',
+            nodes: [answerNode],
+            plugins: [
+                { name: 'rewrite', resolvePrompt: async () => 'Optimized prompt' },
+                { name: 'broken', resolvePrompt: async () => { throw new Error('unavailable'); } }
+            ]
+        });
+
+        assert.deepEqual((await pipeline.run('hello')).response, { response: 'Optimized prompt' });
+    });
+});
+
+describe('handitPromptOptimization', () => {
+    const node = { name: 'generateResponse' };
+
+    it('does not call Handit without an API key', async () => {
+        let fetched = false;
+        const plugin = handitPromptOptimization({ fetchPrompt: async () => { fetched = true; return 'prompt'; } });
+
+        assert.equal(getConfig().handit.apiKey, null);
+        assert.equal(await plugin.resolvePrompt(node), null);
+        assert.equal(fetched, false);
+    });
+
+    it('returns the optimized prompt, or null when Handit fails', async () => {
+        getConfig().handit.apiKey = 'test-handit-key';
+        try {
+            const modelIds = [];
+            const working = handitPromptOptimization({
+                fetchPrompt: async ({ modelId }) => {
+                    modelIds.push(modelId);
+                    return 'Optimized prompt';
+                }
+            });
+            const failing = handitPromptOptimization({ fetchPrompt: async () => { throw new Error('ECONNREFUSED'); } });
+
+            assert.equal(await working.resolvePrompt(node), 'Optimized prompt');
+            assert.deepEqual(modelIds, ['generateResponse']);
+            assert.equal(await failing.resolvePrompt(node), null);
+        } finally {
+            getConfig().handit.apiKey = null;
+        }
+    });
+});
+
+describe('Pipeline configurations', () => {
+    it('build the built-in variants from the same nodes, differing only in plugins', () => {
+        const { standard, enhanced } = defaultPipelineConfigurations;
+        assert.equal(standard.nodes, AGENT_NODES);
+        assert.equal(enhanced.nodes, AGENT_NODES);
+        assert.deepEqual(
+            enhanced.plugins.filter(plugin => !standard.plugins.includes(plugin)),
+            ['handitPromptOptimization', 'tracing']
+        );
+
+        for (const [variant, config] of Object.entries(defaultPipelineConfigurations)) {
+            assert.deepEqual(findPipelineProblems(config, `pipelines.${variant}`), []);
+            assert.deepEqual(createPipeline(variant, config).nodes.map(({ name }) => name), AGENT_NODES);
+        }
+    });
+
+    it('report unknown nodes and plugins and invalid plugin options', () => {
+        const problems = findPipelineProblems({
+            nodes: ['classifyIntent', 'translate'],
+            plugins: ['metrics', 'audit', { name: 'tracing', options: 'jsonl' }, 3]
+        }, 'pipelines.custom');
+
+        assert.equal(problems.length, 4);
+        assert.equal(problems[0], 'pipelines.custom.plugins[3] must be of type string or object, got integer');
+        assert.match(problems[1], /^pipelines\.custom\.nodes\[1\] must be a registered node \(.*\), got "translate"$/);
+        assert.match(problems[2], /^pipelines\.custom\.plugins\[1\] must be a registered plugin \(.*\), got "audit"$/);
+        assert.equal(problems[3], 'pipelines.custom.plugins[2].options must be of type object, got string');
+        assert.deepEqual(findPipelineProblems({ plugins: [] }, 'pipelines.empty'), ['pipelines.empty.nodes is required']);
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests of the provider registry (providers) and the fake provider (providers/fake)
+ */
+
+import './support/env.js';
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { FakeChatModel, FakeEmbeddings } from '../src/providers/fake.js';
+import { getConfig } from '../src/config/index.js';
+import {
+    createChatModel,
+    getEmbeddingsConfig,
+    getNodeModelConfig,
+    registerProvider,
+    validateModelConfig
+} from '../src/providers/index.js';
+
+/**
+ * Applies configuration changes for the duration of a test
+ * @param {Object} changes - Settings of the `llm` section to change
+ * @param {Function} test - The test
+ * @returns {Promise<void>}
+ */
+const withLlmSettings = async (changes, test) => {
+    const { llm } = getConfig();
+    const previous = { ...llm };
+    Object.assign(llm, changes);
+    try {
+        await test();
+    } finally {
+        Object.assign(llm, previous);
+    }
+};
+
+describe('FakeChatModel', () => {
+    const script = {
+        generateResponse: [{ match: 'refund', response: { response: 'Refunds about {{userMessage}}' } }],
+        '*': [{ match: 'hello', response: 'Hi!' }]
+    };
+
+    it('answers with the first matching rule of the node, then of "*"', async () => {
+        const model = new FakeChatModel({ nodeName: 'generateResponse', script });
+
+        const scripted = await model.invoke([{ role: 'user', content: 'Customer Message: refund please' }]);
+        assert.equal(scripted.content, '{"response":"Refunds about refund please"}');
+        assert.equal((await model.invoke([{ role: 'user', content: 'hello' }])).content, 'Hi!');
+    });
+
+    it('falls back to the canned answer of the node', async () => {
+        const classifier = new FakeChatModel({ nodeName: 'classifyIntent', script });
+        const { content } = await classifier.invoke([{ role: 'user', content: 'Why was I charged twice?' }]);
+        assert.equal(JSON.parse(content).intent, 'billing_inquiry');
+
+        const unknown = new FakeChatModel({ nodeName: 'unknownNode' });
+        assert.equal((await unknown.invoke([{ role: 'user', content: 'anything' }])).content, '');
+    });
+
+    it('streams the completion in chunks, ending with the usage', async () => {
+        const model = new FakeChatModel({ nodeName: 'any', script: { any: [{ match: '', response: 'abcdefghij' }] }, chunkSize: 4 });
+        const chunks = [];
+        for await (const chunk of model.stream([{ role: 'user', content: 'question' }])) {
+            chunks.push(chunk);
+        }
+
+        assert.deepEqual(chunks.map(({ content }) => content), ['abcd', 'efgh', 'ij', '']);
+        assert.deepEqual(chunks.at(-1).usage_metadata, { input_tokens: 2, output_tokens: 3, total_tokens: 5 });
+    });
+
+    it('stops when aborted', async () => {
+        const model = new FakeChatModel({ nodeName: 'generateResponse' });
+        await assert.rejects(model.invoke([{ role: 'user', content: 'hi' }], { signal: AbortSignal.abort() }), { name: 'AbortError' });
+    });
+});
+
+describe('FakeEmbeddings', () => {
+    const embeddings = new FakeEmbeddings({ dimensions: 64 });
+
+    it('returns unit vectors of the configured dimension, the same for the same text', async () => {
+        const [a, b] = await embeddings.embedDocuments(['reset my password', 'Reset my password!']);
+        assert.equal(a.length, 64);
+        assert.ok(Math.abs(Math.hypot(...a) - 1) < 1e-12);
+        assert.deepEqual(a, b);
+    });
+
+    it('gives texts sharing words closer vectors', async () => {
+        const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+        const [query, related, unrelated] = await embeddings.embedDocuments([
+            'how do I reset my password', 'password reset instructions', 'shipping times for orders'
+        ]);
+        assert.ok(dot(query, related) > dot(query, unrelated));
+    });
+});
+
+describe('provider registry', () => {
+    it('applies per-node settings over the global ones', async () => {
+        await withLlmSettings({ nodes: { classifyIntent: { model: 'small-model', temperature: 0 } } }, () => {
+            assert.deepEqual(
+                { ...getNodeModelConfig('classifyIntent'), apiKey: undefined },
+                { nodeName: 'classifyIntent', provider: 'fake', model: 'small-model', temperature: 0, baseURL: undefined, apiKey: undefined, script: undefined }
+            );
+            assert.equal(getNodeModelConfig('generateResponse').model, getConfig().llm.model);
+        });
+    });
+
+    it('builds models with registered providers and rejects unknown ones', async () => {
+        const created = [];
+        registerProvider('recording', {
+            createChatModel: (config) => {
+                created.push(config);
+                return { model: config.model };
+            }
+        });
+
+        await withLlmSettings({ provider: 'recording' }, () => {
+            createChatModel('generateResponse');
+            assert.equal(created[0].nodeName, 'generateResponse');
+        });
+        await withLlmSettings({ provider: 'missing' }, () => {
+            assert.throws(() => validateModelConfig('generateResponse'), /Unknown LLM provider "missing". Registered providers: openai, openai-compatible, fake, recording/);
+        });
+    });
+
+    it('checks required settings of the OpenAI-compatible provider', async () => {
+        await withLlmSettings({ provider: 'openai-compatible', baseURL: null }, () => {
+            assert.throws(() => validateModelConfig('generateResponse'), /set LLM_BASE_URL/);
+        });
+    });
+
+    it('follows the chat model settings for unset embeddings settings', async () => {
+        await withLlmSettings({ baseURL: 'http://localhost:11434/v1' }, () => {
+            assert.equal(getEmbeddingsConfig().provider, 'fake');
+            assert.equal(getEmbeddingsConfig().baseURL, 'http://localhost:11434/v1');
+        });
+    });
+});
@@ -0,0 +1,224 @@
+/**
+ * Tests of reciprocal rank fusion, hybrid search and intent-aware retrieval
+ * (knowledgeBase/retrieval)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { getMinScore, queryKnowledgeBase, reciprocalRankFusion, retrieve } from '../src/knowledgeBase/retrieval.js';
+import { KeywordIndex } from '../src/knowledgeBase/keywordIndex.js';
+import { matchesFilter } from '../src/vectorStore/metadataFilter.js';
+
+/**
+ * Builds a ranked list of matches with decreasing scores
+ * @param {...string} ids - Match ids, best first
+ * @returns {Array<{id: string, score: number, metadata: Object}>} The matches
+ */
+const ranking = (...ids) => ids.map((id, index) => ({ id, score: 1 - index / 10, metadata: { text: id } }));
+
+/**
+ * Creates a vector store answering every query with fixed similarity scores,
+ * applying the metadata filter of the query
+ * @param {Array<{id: string, score: number, metadata: Object}>} records - The records and their scores
+ * @returns {Object} The vector store, with `filters` holding the filter of every query
+ */
+const fixedScoreStore = (records) => {
+    const filters = [];
+    return {
+        filters,
+        query: async ({ topK, filter }) => {
+            filters.push(filter);
+            const matches = records
+                .filter(record => matchesFilter(record.metadata, filter))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, topK);
+            return { matches };
+        }
+    };
+};
+
+/**
+ * Vector-only retrieval settings
+ * @type {Object}
+ */
+const retrievalConfig = {
+    topK: 2,
+    mode: 'vector',
+    rrfK: 60,
+    reranker: 'none',
+    minScore: 0.3,
+    minScoreByIntent: {},
+    minKeywordCoverage: 0.6,
+    intentStrategy: 'filter',
+    intentMinConfidence: 0.7,
+    intentBoost: 0.1,
+    filterMinResults: 1,
+    filterMinScore: 0.3
+};
+
+describe('reciprocalRankFusion', () => {
+    it('gives a match first in every list a fused score of 1', () => {
+        const [first] = reciprocalRankFusion({ vector: ranking('a', 'b'), keyword: ranking('a', 'c') });
+        assert.equal(first.id, 'a');
+        assert.equal(first.scores.fused, 1);
+    });
+
+    it('sums 1 / (k + rank) over the lists, normalized by the best possible sum', () => {
+        const k = 60;
+        const fused = reciprocalRankFusion({ vector: ranking('a', 'b'), keyword: ranking('b', 'c') }, k);
+        const maximum = 2 / (k + 1);
+        const byId = Object.fromEntries(fused.map(match => [match.id, match.scores.fused]));
+
+        assert.ok(Math.abs(byId.b - (1 / (k + 2) + 1 / (k + 1)) / maximum) < 1e-12);
+        assert.ok(Math.abs(byId.a - 1 / (k + 1) / maximum) < 1e-12);
+        assert.ok(Math.abs(byId.c - 1 / (k + 2) / maximum) < 1e-12);
+        assert.deepEqual(fused.map(match => match.id), ['b', 'a', 'c']);
+    });
+
+    it('keeps the score, rank and coverage of every stage', () => {
+        const keyword = [{ id: 'a', score: 7.5, coverage: 0.5, metadata: {} }];
+        const [match] = reciprocalRankFusion({ vector: ranking('x', 'a'), keyword });
+
+        assert.equal(match.id, 'a');
+        assert.deepEqual(
+            { ...match.scores, fused: undefined },
+            { vector: 0.9, vectorRank: 2, keyword: 7.5, keywordRank: 1, keywordCoverage: 0.5, fused: undefined }
+        );
+    });
+
+    it('lets a smaller k favour the top ranks more', () => {
+        const rankings = { vector: ranking('a', 'b', 'c'), keyword: ranking('c', 'd', 'b') };
+        const gap = (k) => {
+            const scores = Object.fromEntries(reciprocalRankFusion(rankings, k).map(match => [match.id, match.scores.fused]));
+            return scores.a - scores.d;
+        };
+        assert.ok(gap(1) > gap(60));
+    });
+});
+
+describe('queryKnowledgeBase', () => {
+    const config = { mode: 'hybrid', rrfK: 60, reranker: 'none' };
+
+    it('fuses vector and keyword matches in hybrid mode', async () => {
+        const vectorStore = {
+            query: async ({ topK }) => ({ matches: ranking('vector-only', 'both').slice(0, topK) })
+        };
+        const keywordIndex = new KeywordIndex('/nonexistent/keyword-index.json');
+        keywordIndex.add('both', 'reset your password from the login page');
+        keywordIndex.add('keyword-only', 'password rules');
+
+        const matches = await queryKnowledgeBase({
+            vectorStore, keywordIndex, vector: [1, 0], query: 'reset password', topK: 3, config
+        });
+
+        assert.deepEqual(matches.map(match => match.id), ['both', 'vector-only', 'keyword-only']);
+        // score stays the vector similarity so thresholds keep their meaning
+        assert.equal(matches[0].score, 0.9);
+        assert.equal(matches[2].score, null);
+        assert.equal(matches[0].rankScore, matches[0].scores.fused);
+    });
+
+    it('returns the vector matches only in vector mode', async () => {
+        const vectorStore = { query: async () => ({ matches: ranking('a', 'b') }) };
+        const matches = await queryKnowledgeBase({
+            vectorStore, vector: [1, 0], query: 'anything', topK: 1, config: { ...config, mode: 'vector' }
+        });
+
+        assert.deepEqual(matches, [{ ...ranking('a')[0], rankScore: 1, scores: { vector: 1 } }]);
+    });
+});
+
+describe('retrieve', () => {
+    const records = [
+        { id: 'general', score: 0.9, metadata: { text: 'general', category: 'faq' } },
+        { id: 'billing', score: 0.8, metadata: { text: 'billing', intent: 'billing_inquiry', category: 'billing' } },
+        { id: 'weak-billing', score: 0.2, metadata: { text: 'weak', intent: 'billing_inquiry', category: 'billing' } },
+        { id: 'weak-complaint', score: 0.25, metadata: { text: 'weak', intent: 'complaint', category: 'faq' } }
+    ];
+    const billing = { intent: 'billing_inquiry', confidence: 0.9 };
+
+    /**
+     * Retrieves from the fixed score store
+     * @param {Object} options - retrieve options and settings to change
+     * @returns {Promise<Object>} The matches, the report and the filters queried
+     */
+    const run = async ({ config = {}, ...options } = {}) => {
+        const vectorStore = fixedScoreStore(records);
+        const result = await retrieve({ vectorStore, vector: [1], query: 'q', config: { ...retrievalConfig, ...config }, ...options });
+        return { ...result, filters: vectorStore.filters };
+    };
+
+    it('searches the documents of a confidently classified intent only', async () => {
+        const { matches, retrieval } = await run({ intent: billing });
+
+        assert.deepEqual(matches.map(({ id }) => id), ['billing']);
+        assert.equal(retrieval.strategy, 'intent_filter');
+        assert.deepEqual(retrieval.filter, { intent: { $eq: 'billing_inquiry' } });
+    });
+
+    it('searches everything when the intent is uncertain, disabled or its documents are weak', async () => {
+        const uncertain = await run({ intent: { ...billing, confidence: 0.5 } });
+        assert.equal(uncertain.retrieval.reason, 'low_intent_confidence');
+        assert.deepEqual(uncertain.filters, [undefined]);
+
+        const disabled = await run({ intent: billing, config: { intentStrategy: 'none' } });
+        assert.equal(disabled.retrieval.reason, 'intent_strategy_disabled');
+
+        const weak = await run({ intent: { intent: 'complaint', confidence: 0.9 } });
+        assert.equal(weak.retrieval.strategy, 'unfiltered');
+        assert.equal(weak.retrieval.reason, 'weak_filtered_results');
+        assert.equal(weak.retrieval.filteredBestScore, 0.25);
+        assert.deepEqual(weak.matches.map(({ id }) => id), ['general', 'billing']);
+    });
+
+    it('ranks documents of the intent higher with the boost strategy', async () => {
+        const { matches, retrieval } = await run({ intent: billing, config: { intentStrategy: 'boost', intentBoost: 0.2 } });
+
+        assert.deepEqual(matches.map(({ id }) => id), ['billing', 'general']);
+        assert.equal(retrieval.strategy, 'intent_boost');
+        assert.equal(retrieval.boostedCount, 1);
+    });
+
+    it('keeps only the matches reaching the minimum score of the intent', async () => {
+        const { matches, retrieval } = await run({ config: { minScore: 0.85 } });
+
+        assert.deepEqual(matches.map(({ id }) => id), ['general']);
+        assert.equal(retrieval.minScore, 0.85);
+        assert.equal(retrieval.bestScore, 0.9);
+        assert.equal(retrieval.discarded, 1);
+        assert.equal(retrieval.grounded, true);
+        assert.equal(matches[0].score, 0.9);
+    });
+
+    it('reports an ungrounded search when no match is relevant', async () => {
+        const { matches, retrieval } = await run({
+            intent: { ...billing, confidence: 0.5 },
+            config: { minScoreByIntent: { billing_inquiry: 0.95 } }
+        });
+
+        assert.deepEqual(matches, []);
+        assert.equal(retrieval.minScore, 0.95);
+        assert.equal(retrieval.discarded, 2);
+        assert.equal(retrieval.grounded, false);
+    });
+
+    it('drops the base filter of the route when it leaves no strong match', async () => {
+        const kept = await run({ baseFilter: { category: 'billing' } });
+        assert.equal(kept.retrieval.baseFilterApplied, true);
+        assert.deepEqual(kept.matches.map(({ id }) => id), ['billing']);
+
+        const dropped = await run({ baseFilter: { category: 'returns' } });
+        assert.equal(dropped.retrieval.baseFilterApplied, false);
+        assert.equal(dropped.retrieval.baseFilterReason, 'weak_filtered_results');
+        assert.deepEqual(dropped.filters, [{ category: 'returns' }, undefined]);
+    });
+});
+
+describe('getMinScore', () => {
+    it('uses the minimum score of the intent, else the default one', () => {
+        const config = { minScore: 0.3, minScoreByIntent: { complaint: 0.5 } };
+        assert.equal(getMinScore('complaint', config), 0.5);
+        assert.equal(getMinScore('billing_inquiry', config), 0.3);
+        assert.equal(getMinScore(undefined, config), 0.3);
+    });
+});
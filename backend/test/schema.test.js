@@ -0,0 +1,77 @@
+/**
+ * Tests of the JSON Schema subset validator (utils/schema)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { validateSchema } from '../src/utils/schema.js';
+
+describe('validateSchema', () => {
+    it('accepts a valid value', () => {
+        const schema = {
+            type: 'object',
+            required: ['intent'],
+            properties: { intent: { type: 'string' }, confidence: { type: 'number', minimum: 0, maximum: 1 } }
+        };
+        assert.deepEqual(validateSchema({ intent: 'billing_inquiry', confidence: 0.9 }, schema), []);
+    });
+
+    it('reports the type of a value of the wrong type, and stops there', () => {
+        assert.deepEqual(validateSchema('3', { type: 'number', minimum: 5 }), ['$ must be of type number, got string']);
+        assert.deepEqual(validateSchema(null, { type: ['string', 'null'] }), []);
+        assert.deepEqual(validateSchema([], { type: 'object' }), ['$ must be of type object, got array']);
+    });
+
+    it('tells integers from other numbers', () => {
+        assert.deepEqual(validateSchema(3, { type: 'integer' }), []);
+        assert.deepEqual(validateSchema(3.5, { type: 'integer' }), ['$ must be of type integer, got number']);
+        assert.deepEqual(validateSchema(3, { type: 'number' }), []);
+    });
+
+    it('checks enums and number ranges', () => {
+        assert.deepEqual(
+            validateSchema('vector', { type: 'string', enum: ['hybrid', 'keyword'] }),
+            ['$ must be one of "hybrid", "keyword", got "vector"']
+        );
+        assert.deepEqual(validateSchema(0, { type: 'integer', minimum: 1 }), ['$ must be at least 1']);
+        assert.deepEqual(validateSchema(2.5, { type: 'number', maximum: 2 }), ['$ must be at most 2']);
+    });
+
+    it('checks string lengths, ignoring surrounding blanks for the minimum', () => {
+        assert.deepEqual(validateSchema('  ', { type: 'string', minLength: 1 }), ['$ must not be empty']);
+        assert.deepEqual(validateSchema('short', { type: 'string', minLength: 16 }), ['$ must be at least 16 characters']);
+        assert.deepEqual(validateSchema('toolong', { type: 'string', maxLength: 3 }), ['$ must be at most 3 characters']);
+    });
+
+    it('checks array sizes and every item with its index', () => {
+        const schema = { type: 'array', minItems: 1, items: { type: 'string' } };
+        assert.deepEqual(validateSchema([], schema), ['$ must have at least 1 items']);
+        assert.deepEqual(validateSchema(['a', 2, 'c', false], schema), [
+            '$[1] must be of type string, got integer',
+            '$[3] must be of type string, got boolean'
+        ]);
+    });
+
+    it('reports missing, invalid and unknown properties with their path', () => {
+        const schema = {
+            type: 'object',
+            required: ['server'],
+            additionalProperties: false,
+            properties: {
+                server: {
+                    type: 'object',
+                    required: ['port'],
+                    properties: { port: { type: 'integer', minimum: 1 } }
+                },
+                retrieval: { type: 'object', properties: { topK: { type: 'integer', minimum: 1 } } }
+            }
+        };
+
+        assert.deepEqual(validateSchema({}, schema, 'config'), ['config.server is required']);
+        assert.deepEqual(validateSchema({ server: {}, retrieval: { topK: 0 }, extra: true }, schema, 'config'), [
+            'config.server.port is required',
+            'config.retrieval.topK must be at least 1',
+            'config.extra is not allowed'
+        ]);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests of structured model output and its repair (pipeline/structuredOutput)
+ */
+
+import './support/env.js';
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { StructuredOutputError, invokeStructured, parseJsonObject } from '../src/pipeline/structuredOutput.js';
+
+/**
+ * Schema of the test completions
+ * @type {Object}
+ */
+const schema = {
+    type: 'object',
+    required: ['response'],
+    properties: { response: { type: 'string', minLength: 1 } }
+};
+
+/**
+ * Creates a chat model answering with the given completions in turn,
+ * recording the messages of every call
+ * @param {string[]} replies - Raw completions
+ * @returns {Object} The model, with `calls` holding the messages sent
+ */
+const scriptedModel = (replies) => {
+    const calls = [];
+    const next = (messages) => {
+        calls.push(messages);
+        return replies[calls.length - 1];
+    };
+    return {
+        calls,
+        invoke: async (messages) => ({ content: next(messages) }),
+        stream: async function* (messages) {
+            // Split in pieces so the field decoder sees partial JSON
+            const content = next(messages);
+            for (let i = 0; i < content.length; i += 5) {
+                yield { content: content.slice(i, i + 5) };
+            }
+        }
+    };
+};
+
+describe('parseJsonObject', () => {
+    it('ignores code fences and text around the object', () => {
+        assert.deepEqual(parseJsonObject('Sure!\n```json\n{"response": "Hi"}\n```'), { value: { response: 'Hi' }, errors: [] });
+    });
+
+    it('explains why a reply cannot be parsed', () => {
+        assert.deepEqual(parseJsonObject('I cannot help'), { errors: ['the reply does not contain a JSON object'] });
+        assert.match(parseJsonObject('{"response": }').errors[0], /^the reply is not valid JSON: /);
+    });
+});
+
+describe('invokeStructured', () => {
+    it('returns the first valid completion', async () => {
+        const llm = scriptedModel(['{"response": "Hello"}']);
+        const result = await invokeStructured({ llm, messages: [], schema, nodeName: 'answer', maxRetries: 2 });
+
+        assert.deepEqual(result, { value: { response: 'Hello' }, attempts: 1 });
+    });
+
+    it('shows the model its errors until it complies', async () => {
+        const llm = scriptedModel(['not json', '{"response": ""}', '{"response": "Fixed"}']);
+        const usage = { llmCalls: 0 };
+        const result = await invokeStructured({
+            llm, messages: [{ role: 'user', content: 'hi' }], schema, nodeName: 'answer', maxRetries: 2, usage
+        });
+
+        assert.deepEqual(result, { value: { response: 'Fixed' }, attempts: 3 });
+        assert.equal(usage.llmCalls, 3);
+        const [, second, third] = llm.calls;
+        assert.deepEqual(second[1], { role: 'assistant', content: 'not json' });
+        assert.match(second[2].content, /^Your previous reply could not be used:\n- the reply does not contain a JSON object\n/);
+        assert.match(third[4].content, /- \$\.response must not be empty/);
+    });
+
+    it('fails with a StructuredOutputError once the retries run out', async () => {
+        const llm = scriptedModel(['{}', '{}']);
+        await assert.rejects(
+            invokeStructured({ llm, messages: [], schema, nodeName: 'answer', maxRetries: 1 }),
+            (error) => {
+                assert.ok(error instanceof StructuredOutputError);
+                assert.equal(error.code, 'INVALID_MODEL_OUTPUT');
+                assert.equal(error.attempts, 2);
+                assert.deepEqual(error.errors, ['$.response is required']);
+                assert.equal(error.rawOutput, '{}');
+                return true;
+            }
+        );
+    });
+
+    it('streams the first attempt and resets the streamed text before repairing it', async () => {
+        const events = [];
+        const llm = scriptedModel(['{"response": "Hel', '{"response": "Hello"}']);
+        const result = await invokeStructured({
+            llm,
+            messages: [],
+            schema,
+            nodeName: 'answer',
+            streamField: 'response',
+            onToken: (text) => events.push(text),
+            onReset: () => events.push('<reset>'),
+            maxRetries: 1
+        });
+
+        assert.deepEqual(result.value, { response: 'Hello' });
+        // The repair attempt is not streamed
+        assert.equal(events.at(-1), '<reset>');
+        assert.equal(events.slice(0, -1).join(''), 'Hel');
+    });
+
+    it('does not reset when nothing was streamed or no repair follows', async () => {
+        let resets = 0;
+        const options = { schema, nodeName: 'answer', streamField: 'response', onToken: () => {}, onReset: () => resets++ };
+
+        await invokeStructured({ ...options, llm: scriptedModel(['no json', '{"response": "Hi"}']), messages: [], maxRetries: 1 });
+        await assert.rejects(invokeStructured({ ...options, llm: scriptedModel(['{"response": "Hi"']), messages: [], maxRetries: 0 }));
+        assert.equal(resets, 0);
+    });
+});
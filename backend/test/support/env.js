@@ -0,0 +1,28 @@
+/**
+ * Test environment: imported first by tests whose modules read the
+ * configuration, so it runs on the fake provider and the local vector store
+ * (environments/test.json) and keeps every data file in a temporary directory.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+/**
+ * Temporary directory holding the data files of this test process
+ * @type {string}
+ */
+export const dataDirectory = mkdtempSync(path.join(tmpdir(), 'support-agent-test-'));
+
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+    LOCAL_VECTOR_STORE_DIR: path.join(dataDirectory, 'vector-store'),
+    KB_MANIFEST_DIR: path.join(dataDirectory, 'kb-manifest'),
+    KB_KEYWORD_INDEX_DIR: path.join(dataDirectory, 'keyword-index'),
+    CONVERSATION_STORE_PATH: path.join(dataDirectory, 'conversations.json'),
+    ESCALATION_STORE_PATH: path.join(dataDirectory, 'escalations.json'),
+    TRACE_STORE_PATH: path.join(dataDirectory, 'traces.jsonl')
+});
+
+process.on('exit', () => rmSync(dataDirectory, { recursive: true, force: true }));
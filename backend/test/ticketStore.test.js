@@ -0,0 +1,98 @@
+/**
+ * Tests of the escalation ticket store (escalations/ticketStore)
+ */
+
+import { dataDirectory } from './support/env.js';
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import path from 'path';
+import { EscalationError, TicketStore } from '../src/escalations/ticketStore.js';
+
+let files = 0;
+
+/**
+ * Creates a store on a new file of the test directory
+ * @returns {TicketStore} The store
+ */
+const createStore = () => new TicketStore(path.join(dataDirectory, `tickets-${++files}.json`));
+
+const transcript = [{ role: 'user', content: 'I want to talk to a person' }];
+
+describe('TicketStore', () => {
+    it('opens a ticket with a short reference and finds it by id or reference', async () => {
+        const store = createStore();
+        const { ticket, created } = await store.create({ sessionId: 's1', reason: 'customer_request', transcript });
+
+        assert.equal(created, true);
+        assert.equal(ticket.status, 'open');
+        assert.match(ticket.reference, /^ESC-[2-9A-HJ-NP-Z]{6}$/);
+        assert.equal(await store.get(ticket.id), ticket);
+        assert.equal(await store.get(ticket.reference), ticket);
+        await assert.rejects(store.get('ESC-NOPE'), { name: 'EscalationError', statusCode: 404 });
+    });
+
+    it('keeps one unresolved ticket per session, updating its transcript', async () => {
+        const store = createStore();
+        const first = await store.create({ sessionId: 's1', reason: 'repeated_failures', transcript });
+        const longer = [...transcript, { role: 'user', content: 'Hello?' }];
+        const second = await store.create({ sessionId: 's1', reason: 'customer_request', transcript: longer });
+
+        assert.equal(second.created, false);
+        assert.equal(second.ticket.id, first.ticket.id);
+        assert.deepEqual(second.ticket.transcript, longer);
+
+        await store.resolve(first.ticket.id, 'Refunded');
+        assert.equal((await store.create({ sessionId: 's1', reason: 'customer_request', transcript })).created, true);
+    });
+
+    it('moves tickets from open to claimed to resolved, once', async () => {
+        const store = createStore();
+        const { ticket } = await store.create({ reason: 'complaint', transcript });
+
+        await assert.rejects(store.claim(ticket.id, ' '), EscalationError);
+        assert.equal((await store.claim(ticket.id, ' Dana ')).claimedBy, 'Dana');
+        await assert.rejects(store.claim(ticket.id, 'Sam'), { statusCode: 409 });
+        assert.equal((await store.resolve(ticket.reference, ' Called back ')).resolution, 'Called back');
+        await assert.rejects(store.resolve(ticket.id), { statusCode: 409 });
+    });
+
+    it('lists tickets newest first, by status', async () => {
+        const store = createStore();
+        const { ticket: older } = await store.create({ sessionId: 'a', reason: 'complaint', transcript });
+        await new Promise(resolve => setTimeout(resolve, 2));
+        const { ticket: newer } = await store.create({ sessionId: 'b', reason: 'complaint', transcript });
+        await store.claim(older.id, 'Dana');
+
+        assert.deepEqual((await store.list()).map(ticket => ticket.id), [newer.id, older.id]);
+        assert.deepEqual((await store.list({ status: 'claimed' })).map(ticket => ticket.id), [older.id]);
+        await assert.rejects(store.list({ status: 'closed' }), { statusCode: 400 });
+    });
+
+    it('keeps every ticket created by concurrent first calls', async () => {
+        const filePath = path.join(dataDirectory, 'concurrent.json');
+        await writeFile(filePath, '[]');
+        const store = new TicketStore(filePath);
+
+        await Promise.all(['a', 'b', 'c'].map(sessionId => store.create({ sessionId, reason: 'complaint', transcript })));
+
+        assert.equal((await store.list()).length, 3);
+        assert.equal(JSON.parse(await readFile(filePath, 'utf8')).length, 3);
+    });
+
+    it('persists tickets, and keeps writing after a failed write', async () => {
+        const directory = path.join(dataDirectory, 'failing');
+        const filePath = path.join(directory, 'tickets.json');
+        const store = new TicketStore(filePath);
+        await store.list();
+
+        // A directory in place of the temporary file makes the next write fail
+        await mkdir(`${filePath}.tmp`, { recursive: true });
+        await assert.rejects(store.create({ sessionId: 'a', reason: 'complaint', transcript }));
+        await rm(`${filePath}.tmp`, { recursive: true });
+        await store.create({ sessionId: 'b', reason: 'complaint', transcript });
+
+        const reopened = new TicketStore(filePath);
+        assert.deepEqual((await reopened.list()).map(ticket => ticket.sessionId).sort(), ['a', 'b']);
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests of the token bucket rate limiter (rateLimit/tokenBucket)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { TokenBucketLimiter } from '../src/rateLimit/tokenBucket.js';
+
+/**
+ * Creates a limiter on a clock the test moves forward
+ * @param {Object} [options={}] - Limiter options
+ * @returns {{limiter: TokenBucketLimiter, advance: Function}} The limiter and a function advancing the clock by milliseconds
+ */
+const createLimiter = (options = {}) => {
+    let now = 0;
+    return {
+        limiter: new TokenBucketLimiter({ ...options, now: () => now }),
+        advance: (ms) => {
+            now += ms;
+        }
+    };
+};
+
+describe('TokenBucketLimiter', () => {
+    const limit = { burst: 3, perMinute: 6 };
+
+    it('allows a burst, then refuses until a token is refilled', () => {
+        const { limiter } = createLimiter();
+
+        assert.deepEqual(limiter.take('ip:1', limit), { allowed: true, remaining: 2, retryAfterSeconds: 0 });
+        assert.equal(limiter.take('ip:1', limit).remaining, 1);
+        assert.equal(limiter.take('ip:1', limit).remaining, 0);
+        // 6 tokens per minute: the next one is 10 seconds away
+        assert.deepEqual(limiter.take('ip:1', limit), { allowed: false, remaining: 0, retryAfterSeconds: 10 });
+    });
+
+    it('refills continuously at the configured rate', () => {
+        const { limiter, advance } = createLimiter();
+        for (let i = 0; i < 3; i++) {
+            limiter.take('ip:1', limit);
+        }
+
+        advance(5000);
+        assert.deepEqual(limiter.take('ip:1', limit), { allowed: false, remaining: 0, retryAfterSeconds: 5 });
+        advance(5000);
+        assert.deepEqual(limiter.take('ip:1', limit), { allowed: true, remaining: 0, retryAfterSeconds: 0 });
+    });
+
+    it('never refills beyond the burst', () => {
+        const { limiter, advance } = createLimiter();
+        limiter.take('ip:1', limit);
+
+        advance(60 * 60 * 1000);
+        assert.equal(limiter.take('ip:1', limit).remaining, 2);
+    });
+
+    it('keeps a bucket per client', () => {
+        const { limiter } = createLimiter();
+        for (let i = 0; i < 3; i++) {
+            limiter.take('ip:1', limit);
+        }
+
+        assert.equal(limiter.take('ip:1', limit).allowed, false);
+        assert.equal(limiter.take('ip:2', limit).allowed, true);
+        assert.equal(limiter.take('key:crm', { burst: 1, perMinute: 60 }).allowed, true);
+        assert.equal(limiter.take('key:crm', { burst: 1, perMinute: 60 }).retryAfterSeconds, 1);
+    });
+
+    it('drops the least recently used buckets beyond maxBuckets', () => {
+        const { limiter } = createLimiter({ maxBuckets: 2 });
+        limiter.take('ip:1', limit);
+        limiter.take('ip:2', limit);
+        limiter.take('ip:1', limit);
+        limiter.take('ip:3', limit);
+
+        assert.deepEqual([...limiter.buckets.keys()], ['ip:1', 'ip:3']);
+        // A dropped bucket starts full again
+        assert.equal(limiter.take('ip:2', limit).remaining, 2);
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests of reading recorded traces back (tracing/traceStore)
+ */
+
+import { dataDirectory } from './support/env.js';
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { TraceStore } from '../src/tracing/traceStore.js';
+
+/**
+ * Builds the spans of a finished trace as the JSONL exporter writes them:
+ * node spans first, then the root span
+ * @param {string} traceId - Trace id
+ * @param {number} start - Start minute of the trace
+ * @param {Object} [attributes={}] - Root span attributes
+ * @param {number} [nodes=2] - Number of node spans
+ * @returns {Array<Object>} The spans, in write order
+ */
+const traceSpans = (traceId, start, attributes = {}, nodes = 2) => {
+    const at = (minute) => new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString();
+    const children = Array.from({ length: nodes }, (_, index) => ({
+        traceId,
+        spanId: `${traceId}-${index}`,
+        parentSpanId: `${traceId}-root`,
+        name: `node${index}`,
+        status: 'ok',
+        startedAt: at(start + index),
+        endedAt: at(start + index + 1)
+    }));
+    const root = {
+        traceId,
+        spanId: `${traceId}-root`,
+        parentSpanId: null,
+        name: 'processCustomerRequest',
+        status: 'ok',
+        error: null,
+        input: { userMessage: `message of ${traceId}` },
+        startedAt: at(start),
+        endedAt: at(start + nodes),
+        durationMs: nodes * 60000,
+        usage: { totalTokens: 42, cost: 0.001, currency: 'USD' },
+        attributes: { agentName: 'agent', pipeline: 'enhanced', sessionId: null, requestId: null, ...attributes }
+    };
+    return [...children, root];
+};
+
+/**
+ * Writes spans as JSONL files and opens a store on them
+ * @param {string} name - Directory name
+ * @param {Array<Array<Object|string>>} files - Lines of the current file, then of the rotated ones
+ * @returns {Promise<TraceStore>} The store
+ */
+const createStore = async (name, files) => {
+    const filePath = path.join(dataDirectory, name, 'traces.jsonl');
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await Promise.all(files.map((lines, index) => writeFile(
+        index ? `${filePath}.${index}` : filePath,
+        lines.map(line => (typeof line === 'string' ? line : JSON.stringify(line))).join('\n') + '\n'
+    )));
+    return new TraceStore(filePath, files.length - 1);
+};
+
+describe('TraceStore.list', () => {
+    it('summarizes the latest traces, newest first', async () => {
+        const store = await createStore('list', [[...traceSpans('a', 0), ...traceSpans('b', 10, { sessionId: 's1' }, 3)]]);
+
+        assert.deepEqual(await store.list({ limit: 1 }), [{
+            traceId: 'b',
+            pipeline: 'enhanced',
+            agentName: 'agent',
+            sessionId: 's1',
+            requestId: null,
+            userMessage: 'message of b',
+            status: 'ok',
+            error: null,
+            startedAt: '2026-01-01T00:10:00.000Z',
+            durationMs: 180000,
+            totalTokens: 42,
+            cost: 0.001,
+            currency: 'USD',
+            spanCount: 3
+        }]);
+        assert.deepEqual((await store.list()).map(({ traceId, spanCount }) => [traceId, spanCount]), [['b', 3], ['a', 2]]);
+    });
+
+    it('filters by session and request', async () => {
+        const store = await createStore('filter', [[
+            ...traceSpans('a', 0, { sessionId: 's1', requestId: 'r1' }),
+            ...traceSpans('b', 10, { sessionId: 's2', requestId: 'r2' }),
+            ...traceSpans('c', 20, { sessionId: 's1', requestId: 'r3' })
+        ]]);
+
+        assert.deepEqual((await store.list({ sessionId: 's1' })).map(({ traceId }) => traceId), ['c', 'a']);
+        assert.deepEqual((await store.list({ requestId: 'r2' })).map(({ traceId }) => traceId), ['b']);
+        assert.deepEqual(await store.list({ sessionId: 'unknown' }), []);
+    });
+
+    it('reads the rotated files and skips lines cut short', async () => {
+        const store = await createStore('rotated', [
+            [...traceSpans('c', 20), '{"traceId": "d", "spa'],
+            traceSpans('b', 10),
+            traceSpans('a', 0)
+        ]);
+
+        assert.deepEqual((await store.list()).map(({ traceId }) => traceId), ['c', 'b', 'a']);
+    });
+
+    it('reads lines longer than a read chunk', async () => {
+        const [node, root] = traceSpans('long', 0, {}, 1);
+        const store = await createStore('long', [[{ ...node, output: 'x'.repeat(200 * 1024) }, root]]);
+
+        assert.equal((await store.get('long')).spans[0].output.length, 200 * 1024);
+    });
+
+    it('lists nothing when no trace was recorded', async () => {
+        assert.deepEqual(await new TraceStore(path.join(dataDirectory, 'missing', 'traces.jsonl'), 2).list(), []);
+    });
+});
+
+describe('TraceStore.get', () => {
+    it('returns a trace with its spans in start order', async () => {
+        const spans = traceSpans('a', 0, {}, 3);
+        const store = await createStore('get', [[spans[1], spans[0], spans[2], spans[3], ...traceSpans('b', 10)]]);
+        const trace = await store.get('a');
+
+        assert.equal(trace.traceId, 'a');
+        assert.equal(trace.spanCount, 3);
+        assert.equal(trace.root.spanId, 'a-root');
+        assert.deepEqual(trace.spans.map(({ name }) => name), ['node0', 'node1', 'node2']);
+        assert.equal(await store.get('unknown'), null);
+    });
+
+    it('keeps the run order of spans starting in the same millisecond', async () => {
+        const [first, second, root] = traceSpans('a', 0);
+        const store = await createStore('same-start', [[first, { ...second, startedAt: first.startedAt }, root]]);
+
+        assert.deepEqual((await store.get('a')).spans.map(({ name }) => name), ['node0', 'node1']);
+    });
+
+    it('returns a trace still in progress without its root span', async () => {
+        const store = await createStore('in-progress', [traceSpans('a', 0).slice(0, 2)]);
+
+        assert.deepEqual(await store.get('a'), {
+            traceId: 'a',
+            status: 'in_progress',
+            spanCount: 2,
+            root: null,
+            spans: traceSpans('a', 0).slice(0, 2)
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests of the tracer, the JSONL exporter and the tracing plugin
+ * (tracing/tracer, tracing/jsonlExporter, pipeline/plugins/tracing)
+ */
+
+import { dataDirectory } from './support/env.js';
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { readFile, readdir } from 'fs/promises';
+import path from 'path';
+import { ROOT_SPAN_NAME, Tracer } from '../src/tracing/tracer.js';
+import { JsonlTraceExporter, getTraceStorePath } from '../src/tracing/jsonlExporter.js';
+
+const { runPipeline } = await import('../src/pipeline/index.js');
+
+/**
+ * Reads the spans of a JSONL file
+ * @param {string} filePath - The file
+ * @returns {Promise<Array<Object>>} The spans, in write order
+ */
+const readSpans = async (filePath) => (await readFile(filePath, 'utf8'))
+    .trim()
+    .split('\n')
+    .map(line => JSON.parse(line));
+
+describe('Tracer', () => {
+    /**
+     * Creates an exporter recording every call
+     * @returns {Object} The exporter, with `calls` holding the method names and arguments
+     */
+    const recordingExporter = () => {
+        const calls = [];
+        const record = (method) => async (...args) => {
+            calls.push([method, ...args]);
+        };
+        return { name: 'recording', calls, startTrace: record('startTrace'), exportSpan: record('exportSpan'), endTrace: record('endTrace') };
+    };
+
+    it('records node spans under a root span ending the trace', async () => {
+        const exporter = recordingExporter();
+        const tracer = new Tracer([exporter]);
+        const trace = await tracer.startTrace({ agentName: 'agent', pipeline: 'standard', sessionId: 's1', input: { userMessage: 'hi' }, startedAt: 1000 });
+
+        const span = await tracer.recordSpan(trace, { name: 'classifyIntent', type: 'llm', input: 'in', output: 'out', startedAt: 1000, endedAt: 1250 });
+        const failed = await tracer.recordSpan(trace, { name: 'lookupAccount', type: 'tool', input: {}, error: Object.assign(new Error('down'), { code: 'E_DOWN' }), startedAt: 1250, endedAt: 1300 });
+        const root = await tracer.endTrace(trace, { output: { response: 'hello' } });
+
+        assert.deepEqual({ ...span, spanId: undefined }, {
+            traceId: trace.traceId,
+            spanId: undefined,
+            parentSpanId: trace.rootSpanId,
+            name: 'classifyIntent',
+            type: 'llm',
+            status: 'ok',
+            input: 'in',
+            output: 'out',
+            error: null,
+            startedAt: new Date(1000).toISOString(),
+            endedAt: new Date(1250).toISOString(),
+            durationMs: 250
+        });
+        assert.equal(failed.status, 'error');
+        assert.deepEqual(failed.error, { name: 'Error', message: 'down', code: 'E_DOWN' });
+        assert.equal(root.spanId, trace.rootSpanId);
+        assert.equal(root.parentSpanId, null);
+        assert.equal(root.name, ROOT_SPAN_NAME);
+        assert.deepEqual(root.attributes, { agentName: 'agent', pipeline: 'standard', sessionId: 's1', requestId: null });
+        assert.deepEqual(exporter.calls.map(([method]) => method), ['startTrace', 'exportSpan', 'exportSpan', 'endTrace']);
+    });
+
+    it('never fails when an exporter does', async () => {
+        const exporter = recordingExporter();
+        const failing = { name: 'failing', exportSpan: async () => { throw new Error('exporter down'); } };
+        const tracer = new Tracer([failing, exporter]);
+        const trace = await tracer.startTrace({ agentName: 'agent', pipeline: 'standard', input: {} });
+
+        await tracer.recordSpan(trace, { name: 'classifyIntent', type: 'llm', input: {}, startedAt: Date.now() });
+        await tracer.endTrace(trace);
+        assert.deepEqual(exporter.calls.map(([method]) => method), ['startTrace', 'exportSpan', 'endTrace']);
+    });
+});
+
+describe('JsonlTraceExporter', () => {
+    /**
+     * Builds a span of about 100 bytes
+     * @param {number} index - Span number
+     * @returns {Object} The span
+     */
+    const span = (index) => ({ traceId: 't', spanId: `span-${index}`, parentSpanId: 'root', padding: 'x'.repeat(60) });
+
+    it('appends every span as one line, without interleaving concurrent writes', async () => {
+        const filePath = path.join(dataDirectory, 'jsonl-append', 'traces.jsonl');
+        const exporter = new JsonlTraceExporter(filePath);
+
+        await Promise.all(Array.from({ length: 20 }, (_, index) => exporter.exportSpan({}, span(index))));
+        await exporter.endTrace({}, { traceId: 't', spanId: 'root', parentSpanId: null });
+
+        const spans = await readSpans(filePath);
+        assert.deepEqual(spans.map(({ spanId }) => spanId), [...Array.from({ length: 20 }, (_, index) => `span-${index}`), 'root']);
+    });
+
+    it('rotates the file before it grows beyond its size limit', async () => {
+        const directory = path.join(dataDirectory, 'jsonl-rotate');
+        const filePath = path.join(directory, 'traces.jsonl');
+        const lineBytes = JSON.stringify(span(0)).length + 1;
+        const exporter = new JsonlTraceExporter(filePath, { maxFileBytes: lineBytes * 2, maxFiles: 2 });
+
+        for (let index = 0; index < 7; index++) {
+            await exporter.exportSpan({}, span(index));
+        }
+
+        assert.deepEqual((await readdir(directory)).sort(), ['traces.jsonl', 'traces.jsonl.1', 'traces.jsonl.2']);
+        assert.deepEqual((await readSpans(filePath)).map(({ spanId }) => spanId), ['span-6']);
+        assert.deepEqual((await readSpans(`${filePath}.1`)).map(({ spanId }) => spanId), ['span-4', 'span-5']);
+        assert.deepEqual((await readSpans(`${filePath}.2`)).map(({ spanId }) => spanId), ['span-2', 'span-3']);
+    });
+
+    it('starts over without keeping rotated files when maxFiles is 0', async () => {
+        const directory = path.join(dataDirectory, 'jsonl-truncate');
+        const filePath = path.join(directory, 'traces.jsonl');
+        const exporter = new JsonlTraceExporter(filePath, { maxFileBytes: 10, maxFiles: 0 });
+
+        await exporter.exportSpan({}, span(0));
+        await exporter.exportSpan({}, span(1));
+
+        assert.deepEqual(await readdir(directory), ['traces.jsonl']);
+        assert.deepEqual((await readSpans(filePath)).map(({ spanId }) => spanId), ['span-1']);
+    });
+});
+
+describe('tracing plugin', () => {
+    it('records a pipeline run offline, one span per node run and the root span last', async () => {
+        const { traceId, response } = await runPipeline('enhanced', 'How do I reset my password?', { sessionId: 'tracing-1' });
+
+        const spans = (await readSpans(getTraceStorePath())).filter(span => span.traceId === traceId);
+        const root = spans.at(-1);
+        assert.equal(root.parentSpanId, null);
+        assert.equal(root.status, 'ok');
+        assert.equal(root.attributes.sessionId, 'tracing-1');
+        assert.equal(root.input.userMessage, 'How do I reset my password?');
+        assert.deepEqual(root.output.response, response);
+
+        const nodes = spans.slice(0, -1);
+        assert.ok(nodes.length > 0);
+        assert.ok(nodes.every(span => span.parentSpanId === root.spanId && span.status === 'ok'));
+        assert.equal(nodes[0].name, 'classifyIntent');
+        assert.equal(nodes[0].type, 'llm');
+    });
+});
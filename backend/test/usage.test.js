@@ -0,0 +1,135 @@
+/**
+ * Tests of usage and cost accounting (pipeline/usage, config/pricing)
+ */
+
+import './support/env.js';
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { calculateCost, loadPricing } from '../src/config/pricing.js';
+import {
+    addUsage, countEmbeddings, describeNodeUsage, emptyUsage, readUsageMetadata, summarizeUsage
+} from '../src/pipeline/usage.js';
+
+const { runPipeline } = await import('../src/pipeline/index.js');
+
+describe('readUsageMetadata', () => {
+    it('reads the token counts reported by the model', () => {
+        assert.deepEqual(
+            readUsageMetadata({ usage_metadata: { input_tokens: 120, output_tokens: 30, total_tokens: 150 } }),
+            { inputTokens: 120, outputTokens: 30, totalTokens: 150 }
+        );
+        assert.deepEqual(readUsageMetadata({ usage_metadata: { input_tokens: 5, output_tokens: 2 } }).totalTokens, 7);
+        assert.deepEqual(readUsageMetadata({ content: 'no usage' }), { inputTokens: 0, outputTokens: 0, totalTokens: 0 });
+    });
+});
+
+describe('countEmbeddings', () => {
+    it('counts embedded texts and estimates their tokens at four characters each', async () => {
+        const usage = emptyUsage();
+        const embeddings = countEmbeddings({
+            model: 'text-embedding-3-small',
+            embedQuery: async () => [1],
+            embedDocuments: async (texts) => texts.map(() => [1])
+        }, usage);
+
+        assert.deepEqual(await embeddings.embedQuery('refund policy'), [1]);
+        assert.equal((await embeddings.embedDocuments(['abcd', 'abcde'])).length, 2);
+        assert.equal(embeddings.model, 'text-embedding-3-small');
+        assert.equal(usage.embeddingCalls, 3);
+        assert.equal(usage.embeddingTokens, 4 + 1 + 2);
+    });
+});
+
+describe('calculateCost', () => {
+    it('prices chat and embedding tokens per million', () => {
+        const usage = { ...emptyUsage(), llmCalls: 1, inputTokens: 1000, outputTokens: 500, embeddingCalls: 1, embeddingTokens: 2000 };
+
+        assert.deepEqual(calculateCost(usage, { model: 'gpt-4o', embeddingModel: 'text-embedding-3-small' }), {
+            cost: (1000 * 2.5 + 500 * 10 + 2000 * 0.02) / 1e6,
+            unpricedModels: []
+        });
+    });
+
+    it('reports models missing from the table instead of counting them as free', () => {
+        const usage = { ...emptyUsage(), llmCalls: 1, inputTokens: 10 };
+        assert.deepEqual(calculateCost(usage, { model: 'my-model' }), { cost: null, unpricedModels: ['my-model'] });
+        // Models that were not used need no price
+        assert.deepEqual(calculateCost(emptyUsage(), { model: 'my-model' }), { cost: 0, unpricedModels: [] });
+    });
+});
+
+describe('loadPricing', () => {
+    it('rejects invalid price tables', async () => {
+        const directory = await mkdtemp(path.join(tmpdir(), 'pricing-test-'));
+        try {
+            const filePath = path.join(directory, 'pricing.json');
+            await writeFile(filePath, JSON.stringify({ currency: 'EUR', models: { cheap: { outputPerMillion: -1 } } }));
+
+            assert.throws(() => loadPricing(filePath), {
+                message: `Invalid price table ${filePath}: $.models["cheap"].inputPerMillion is required; `
+                    + '$.models["cheap"].outputPerMillion must be at least 0'
+            });
+        } finally {
+            await rm(directory, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('summarizeUsage', () => {
+    it('sums the nodes of a run with their cost', () => {
+        const nodes = [
+            describeNodeUsage({
+                name: 'classifyIntent',
+                type: 'llm',
+                startedAt: 0,
+                endedAt: 40,
+                usage: addUsage(emptyUsage(), { llmCalls: 1, inputTokens: 1e6, outputTokens: 0, totalTokens: 1e6 }),
+                model: 'gpt-4o-mini'
+            }),
+            describeNodeUsage({ name: 'lookupAccount', type: 'tool', startedAt: 40, endedAt: 45, model: 'gpt-4o-mini' }),
+            describeNodeUsage({
+                name: 'generateResponse',
+                type: 'llm',
+                startedAt: 45,
+                endedAt: 100,
+                usage: addUsage(emptyUsage(), { llmCalls: 1, inputTokens: 10, outputTokens: 10, totalTokens: 20 }),
+                model: 'my-model'
+            })
+        ];
+        assert.equal(nodes[0].cost, 0.15);
+        assert.equal(nodes[1].model, null);
+        assert.equal(nodes[1].durationMs, 5);
+
+        const { durationMs, totals } = summarizeUsage(nodes, 100);
+        assert.equal(durationMs, 100);
+        assert.deepEqual(totals, {
+            ...emptyUsage(),
+            llmCalls: 2,
+            inputTokens: 1e6 + 10,
+            outputTokens: 10,
+            totalTokens: 1e6 + 20,
+            cost: 0.15,
+            currency: 'USD',
+            unpricedModels: ['my-model']
+        });
+    });
+});
+
+describe('run meta', () => {
+    it('reports the time, tokens and cost of every node of a run', async () => {
+        const { meta } = await runPipeline('standard', 'What are your shipping times?', { sessionId: 'usage-1' });
+
+        const classify = meta.nodes.find(node => node.name === 'classifyIntent');
+        assert.equal(classify.model, 'fake');
+        assert.equal(classify.llmCalls, 1);
+        assert.ok(classify.totalTokens > 0);
+        assert.equal(classify.cost, 0);
+        assert.equal(meta.nodes.find(node => node.name === 'searchKnowledgeBase').embeddingCalls, 1);
+        assert.ok(meta.nodes.every(node => node.durationMs >= 0));
+        assert.equal(meta.totals.totalTokens, meta.nodes.reduce((sum, node) => sum + node.totalTokens, 0));
+        assert.equal(meta.totals.currency, 'USD');
+    });
+});
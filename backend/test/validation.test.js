@@ -0,0 +1,38 @@
+/**
+ * Tests of the boot configuration checks (config/validation)
+ */
+
+import { dataDirectory } from './support/env.js';
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { writeFileSync } from 'fs';
+import path from 'path';
+
+const taxonomyPath = path.join(dataDirectory, 'intents.json');
+process.env.INTENT_TAXONOMY_PATH = taxonomyPath;
+
+const { findConfigurationProblems } = await import('../src/config/validation.js');
+const { getIntents } = await import('../src/config/intents.js');
+
+describe('findConfigurationProblems', () => {
+    it('reports an intent taxonomy that cannot be read', () => {
+        const problems = findConfigurationProblems();
+        assert.equal(problems.length, 1);
+        assert.match(problems[0], new RegExp(`^Cannot read the intent taxonomy ${taxonomyPath}: ENOENT`));
+    });
+
+    it('reports an invalid intent taxonomy', () => {
+        writeFileSync(taxonomyPath, JSON.stringify({ intents: [{ name: 'billing' }] }));
+        assert.deepEqual(findConfigurationProblems(), [
+            `Invalid intent taxonomy ${taxonomyPath}: $.intents[0].description is required`
+        ]);
+    });
+
+    it('finds no problem in the test configuration with a valid taxonomy', () => {
+        writeFileSync(taxonomyPath, JSON.stringify({
+            intents: [{ name: 'billing_inquiry', description: 'Invoices and payments' }]
+        }));
+        assert.deepEqual(findConfigurationProblems(), []);
+        assert.equal(getIntents()[0].routing.handler, 'default');
+    });
+});
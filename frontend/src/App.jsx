@@ -1,5 +1,6 @@
 import { BrowserRouter, Routes, Route } from "react-router-dom";
 import Chat from "./features/chat/pages/Chat";
+import Traces from "./features/traces/pages/Traces";
 
 import { ThemeProvider } from "@mui/material/styles";
 import theme from "./theme/theme";
@@ -10,6 +11,8 @@ function App() {
       <ThemeProvider theme={theme}>
         <Routes>
           <Route path="/" element={<Chat />} />
+          <Route path="/traces" element={<Traces />} />
+          <Route path="/traces/:traceId" element={<Traces />} />
         </Routes>
       </ThemeProvider>
     </BrowserRouter>
@@ -1,6 +1,7 @@
 import React, { useState } from "react";
 import { Box, TextField, IconButton, styled } from "@mui/material";
 import SendIcon from "@mui/icons-material/Send";
+import StopIcon from "@mui/icons-material/Stop";
 
 const InputContainer = styled(Box)(({ theme }) => ({
   padding: '16px 20px',
@@ -46,12 +47,12 @@ const SendButton = styled(IconButton)(({ theme }) => ({
   boxShadow: '0 2px 8px rgba(0, 0, 0, 0.1)',
 }));
 
-const ChatInput = ({ onSend }) => {
+const ChatInput = ({ onSend, onStop, isStreaming = false }) => {
   const [message, setMessage] = useState("");
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (message.trim()) {
+    if (message.trim() && !isStreaming) {
       onSend(message);
       setMessage("");
     }
@@ -74,20 +75,31 @@ const ChatInput = ({ onSend }) => {
             },
           }}
         />
-        <SendButton
-          type="submit"
-          disabled={!message.trim()}
-          sx={{
-            width: 48,
-            height: 48,
-            '&.Mui-disabled': {
-              backgroundColor: 'rgba(0, 0, 0, 0.12)',
-              color: 'rgba(0, 0, 0, 0.26)',
-            },
-          }}
-        >
-          <SendIcon />
-        </SendButton>
+        {isStreaming && onStop ? (
+          <SendButton
+            type="button"
+            onClick={onStop}
+            aria-label="Stop response"
+            sx={{ width: 48, height: 48 }}
+          >
+            <StopIcon />
+          </SendButton>
+        ) : (
+          <SendButton
+            type="submit"
+            disabled={!message.trim()}
+            sx={{
+              width: 48,
+              height: 48,
+              '&.Mui-disabled': {
+                backgroundColor: 'rgba(0, 0, 0, 0.12)',
+                color: 'rgba(0, 0, 0, 0.26)',
+              },
+            }}
+          >
+            <SendIcon />
+          </SendButton>
+        )}
       </Box>
     </InputContainer>
   );
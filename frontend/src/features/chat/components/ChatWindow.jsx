@@ -2,6 +2,7 @@ import React, { useState } from "react";
 import { Box, Typography } from "@mui/material";
 import MessageList from "./MessageList";
 import ChatInput from "./ChatInput";
+import EscalationNotice from "./EscalationNotice";
 import { generateSimpleResponse } from "../services/chatService";
 
 const ChatWindow = () => {
@@ -14,6 +15,10 @@ const ChatWindow = () => {
   ]);
 
   const [isLoading, setIsLoading] = useState(false);
+  // Set once the conversation has been escalated to a human
+  const [ticket, setTicket] = useState(null);
+  // Each window keeps its own conversation so follow-ups keep their context
+  const [sessionId] = useState(() => crypto.randomUUID());
 
   const handleSendMessage = async (text) => {
     try {
@@ -24,16 +29,20 @@ const ChatWindow = () => {
 
       setIsLoading(true);
 
-      const response = await generateSimpleResponse(text);
+      const response = await generateSimpleResponse(text, sessionId);
 
       setMessages((prev) => [
         ...prev,
         {
           id: prev.length + 1,
           text: response.answer,
+          citations: response.citations,
           sender: "bot",
         },
       ]);
+      if (response.ticket) {
+        setTicket(response.ticket);
+      }
     } catch (error) {
       setMessages((prev) => [
         ...prev,
@@ -73,6 +82,7 @@ const ChatWindow = () => {
         </Typography>
       </Box>
       <MessageList messages={messages} isLoading={isLoading} />
+      <EscalationNotice ticket={ticket} />
       <ChatInput onSend={handleSendMessage} />
     </Box>
   );
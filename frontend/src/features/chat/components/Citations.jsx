@@ -0,0 +1,92 @@
+import React, { useState } from "react";
+import { Box, Chip, Collapse, Paper, Typography } from "@mui/material";
+
+// Prefer the document title, otherwise "category › topic"
+const formatSource = (citation) =>
+  citation.title ||
+  [citation.category, citation.topic]
+    .filter(Boolean)
+    .join(" › ")
+    .replace(/_/g, " ") ||
+  "Knowledge base";
+
+const Citations = ({ citations }) => {
+  const [expandedSource, setExpandedSource] = useState(null);
+
+  if (!citations?.length) {
+    return null;
+  }
+
+  const expanded = citations.find(
+    (citation) => citation.source === expandedSource
+  );
+
+  const toggle = (source) => {
+    setExpandedSource((current) => (current === source ? null : source));
+  };
+
+  return (
+    <Box sx={{ mt: 1.5 }}>
+      <Box sx={{ display: "flex", flexWrap: "wrap", gap: 0.5 }}>
+        {citations.map((citation) => (
+          <Chip
+            key={citation.source}
+            size="small"
+            color="primary"
+            variant={citation.source === expandedSource ? "filled" : "outlined"}
+            label={`[${citation.source}] ${formatSource(citation)}`}
+            onClick={() => toggle(citation.source)}
+            sx={{
+              fontSize: "0.75rem",
+              maxWidth: "100%",
+              textTransform: "capitalize",
+            }}
+          />
+        ))}
+      </Box>
+      <Collapse in={Boolean(expanded)} unmountOnExit>
+        {expanded && (
+          <Paper
+            variant="outlined"
+            sx={{
+              mt: 1,
+              p: 1.5,
+              backgroundColor: "#fff",
+            }}
+          >
+            <Typography
+              variant="caption"
+              color="text.secondary"
+              component="div"
+            >
+              Source [{expanded.source}]
+              {expanded.chunkIndex !== undefined &&
+                ` · chunk ${expanded.chunkIndex + 1}`}
+              {typeof expanded.score === "number" &&
+                ` · relevance ${expanded.score.toFixed(2)}`}
+            </Typography>
+            <Typography
+              variant="body2"
+              sx={{ fontStyle: "italic", my: 1, color: "#202124" }}
+            >
+              “{expanded.quote}”
+            </Typography>
+            <Typography
+              variant="body2"
+              sx={{
+                whiteSpace: "pre-wrap",
+                color: "#5f6368",
+                maxHeight: "200px",
+                overflowY: "auto",
+              }}
+            >
+              {expanded.sourceText}
+            </Typography>
+          </Paper>
+        )}
+      </Collapse>
+    </Box>
+  );
+};
+
+export default Citations;
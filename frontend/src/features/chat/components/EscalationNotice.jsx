@@ -0,0 +1,29 @@
+import React from "react";
+import { Alert, AlertTitle } from "@mui/material";
+
+// Shown once the conversation has been handed over to the support team
+const EscalationNotice = ({ ticket }) => {
+  if (!ticket) {
+    return null;
+  }
+
+  return (
+    <Alert
+      severity="info"
+      sx={{
+        mx: 2,
+        mb: 1,
+        flexShrink: 0,
+        borderRadius: "8px",
+      }}
+    >
+      <AlertTitle sx={{ fontSize: "0.875rem", mb: 0.25 }}>
+        Handed over to our support team
+      </AlertTitle>
+      Your ticket reference is <strong>{ticket.reference}</strong>. A member
+      of the team will follow up on this conversation.
+    </Alert>
+  );
+};
+
+export default EscalationNotice;
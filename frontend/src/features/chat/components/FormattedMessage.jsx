@@ -1,7 +1,8 @@
 import React from "react";
 import { Box, Typography, Paper, CircularProgress } from "@mui/material";
+import Citations from "./Citations";
 
-const FormattedMessage = ({ text, isLoading }) => {
+const FormattedMessage = ({ text, citations, isLoading }) => {
   // Function to format JSON strings within the text
   const formatJsonInText = (text) => {
     return text.split(/({.*?})/).map((part, index) => {
@@ -62,7 +63,12 @@ const FormattedMessage = ({ text, isLoading }) => {
     );
   }
 
-  return <Box sx={{ my: 1 }}>{formatJsonInText(text)}</Box>;
+  return (
+    <Box sx={{ my: 1 }}>
+      {formatJsonInText(text)}
+      <Citations citations={citations} />
+    </Box>
+  );
 };
 
 export default FormattedMessage;
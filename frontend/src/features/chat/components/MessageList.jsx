@@ -1,5 +1,7 @@
 import React from 'react';
-import { Box, Typography, CircularProgress } from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
+import { Box, Typography, CircularProgress, Link } from '@mui/material';
+import Citations from './Citations';
 
 const MessageList = ({ messages, isLoading }) => {
   return (
@@ -22,7 +24,8 @@ const MessageList = ({ messages, isLoading }) => {
         },
       }}
     >
-      {messages.map((message) => (
+      {/* Bot replies that are still waiting for their first streamed token are not shown */}
+      {messages.filter((message) => message.text).map((message) => (
         <Box
           key={message.id}
           sx={{
@@ -57,6 +60,22 @@ const MessageList = ({ messages, isLoading }) => {
             >
               {message.text}
             </Typography>
+            {/* Numbered knowledge base sources the answer was based on */}
+            <Citations citations={message.citations} />
+            {/* Opens the recorded trace of the request that produced the reply */}
+            {message.traceId && (
+              <Link
+                component={RouterLink}
+                to={`/traces/${message.traceId}`}
+                target="_blank"
+                rel="noopener"
+                underline="hover"
+                variant="caption"
+                sx={{ display: 'inline-block', mt: 1, color: '#4f46e5' }}
+              >
+                View trace
+              </Link>
+            )}
           </Box>
         </Box>
       ))}
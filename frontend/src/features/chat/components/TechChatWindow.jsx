@@ -1,8 +1,9 @@
-import React, { useState } from "react";
+import React, { useRef, useState } from "react";
 import { Box, Typography, Switch } from "@mui/material";
 import MessageList from "./MessageList";
 import ChatInput from "./ChatInput";
-import { generateEnhancedResponse } from "../services/chatService";
+import EscalationNotice from "./EscalationNotice";
+import { streamEnhancedResponse } from "../services/chatService";
 
 const TechChatWindow = () => {
   const [messages, setMessages] = useState([
@@ -14,43 +15,87 @@ const TechChatWindow = () => {
   ]);
 
   const [isLoading, setIsLoading] = useState(false);
+  // Each window keeps its own conversation so follow-ups keep their context
+  const [sessionId] = useState(() => crypto.randomUUID());
   const [handitEnabled, setHanditEnabled] = useState(true);
 
+  const [isStreaming, setIsStreaming] = useState(false);
+  // Set once the conversation has been escalated to a human
+  const [ticket, setTicket] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const updateMessage = (id, update) => {
+    setMessages((prev) =>
+      prev.map((message) =>
+        message.id === id ? { ...message, ...update(message) } : message
+      )
+    );
+  };
+
   const handleSendMessage = async (text) => {
+    // The bot reply is added up front and filled in as tokens arrive
+    const botMessageId = messages.length + 2;
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
     try {
       setMessages((prev) => [
         ...prev,
         { id: prev.length + 1, text, sender: "user" },
+        { id: prev.length + 2, text: "", sender: "bot" },
       ]);
 
       setIsLoading(true);
+      setIsStreaming(true);
 
-      const response = await generateEnhancedResponse(text);
-
-      setMessages((prev) => [
-        ...prev,
-        {
-          id: prev.length + 1,
-          text: response.answer,
-          sender: "bot",
+      const response = await streamEnhancedResponse(text, sessionId, {
+        signal: abortController.signal,
+        onToken: (token) => {
+          setIsLoading(false);
+          updateMessage(botMessageId, (message) => ({
+            text: message.text + token,
+          }));
         },
-      ]);
+        // The streamed answer was invalid: wait for the repaired one
+        onReset: () => {
+          setIsLoading(true);
+          updateMessage(botMessageId, () => ({ text: "" }));
+        },
+      });
+
+      updateMessage(botMessageId, () => ({
+        text: response.answer,
+        citations: response.citations,
+        traceId: response.traceId,
+      }));
+      if (response.ticket) {
+        setTicket(response.ticket);
+      }
     } catch (error) {
-      setMessages((prev) => [
-        ...prev,
-        {
-          id: prev.length + 1,
+      if (error.name === "AbortError") {
+        updateMessage(botMessageId, (message) => ({
+          text: message.text
+            ? `${message.text}\n\n(Response stopped)`
+            : "Response stopped.",
+        }));
+      } else {
+        updateMessage(botMessageId, () => ({
           text:
             error.message ||
             "Sorry, there was an error processing your message.",
-          sender: "bot",
-        },
-      ]);
+        }));
+      }
     } finally {
+      abortControllerRef.current = null;
       setIsLoading(false);
+      setIsStreaming(false);
     }
   };
 
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
   return (
     <Box
       sx={{
@@ -117,7 +162,12 @@ const TechChatWindow = () => {
         userMessageColor="#4f46e5"
         botMessageColor="#f1f4f9"
       />
-      <ChatInput onSend={handleSendMessage} />
+      <EscalationNotice ticket={ticket} />
+      <ChatInput
+        onSend={handleSendMessage}
+        onStop={handleStop}
+        isStreaming={isStreaming}
+      />
     </Box>
   );
 };
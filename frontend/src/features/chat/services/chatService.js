@@ -2,6 +2,18 @@ import axios from 'axios';
 
 const API_BASE_URL = 'http://localhost:4000/api';
 
+// The demo has no sign-in: every chat acts on this seeded customer account
+const DEMO_ACCOUNT_ID = 'acc_1001';
+
+/**
+ * Error message of a failed request, with the request id support can look up in the logs
+ * @param {Object} data - The error body returned by the backend
+ * @returns {string} The message
+ */
+const describeError = (data) => (
+    data.requestId ? `${data.error} (reference: ${data.requestId})` : data.error
+);
+
 const chatApi = axios.create({
     baseURL: API_BASE_URL,
     headers: {
@@ -12,17 +24,23 @@ const chatApi = axios.create({
 /**
  * Generate a response for the standard chat without Handit tracing
  * @param {string} message - The user's message
- * @returns {Promise<Object>} The response data
+ * @param {string} sessionId - The conversation session id of the chat window
+ * @returns {Promise<Object>} The response data (answer, citations, escalation ticket, trace id, timestamp)
  */
-export const generateSimpleResponse = async (message) => {
+export const generateSimpleResponse = async (message, sessionId) => {
     try {
         const { data } = await chatApi.post('/chat/simple', {
-            message
+            message,
+            sessionId,
+            accountId: DEMO_ACCOUNT_ID
         });
 
         if (data.status === 'success' && data.data?.response?.response) {
             return {
                 answer: data.data.response.response,
+                citations: data.data.response.citations || [],
+                ticket: data.data.response.ticket || null,
+                traceId: data.data.traceId || null,
                 timestamp: new Date().toISOString()
             };
         }
@@ -31,7 +49,7 @@ export const generateSimpleResponse = async (message) => {
 
     } catch (error) {
         if (error.response?.data?.error) {
-            throw new Error(error.response.data.error);
+            throw new Error(describeError(error.response.data));
         }
         throw new Error('Failed to connect to the chat service');
     }
@@ -40,17 +58,23 @@ export const generateSimpleResponse = async (message) => {
 /**
  * Generate a response for the AI-enhanced chat with Handit tracing
  * @param {string} message - The user's message
- * @returns {Promise<Object>} The response data
+ * @param {string} sessionId - The conversation session id of the chat window
+ * @returns {Promise<Object>} The response data (answer, citations, escalation ticket, trace id, timestamp)
  */
-export const generateEnhancedResponse = async (message) => {
+export const generateEnhancedResponse = async (message, sessionId) => {
     try {
         const { data } = await chatApi.post('/chat', {
-            message
+            message,
+            sessionId,
+            accountId: DEMO_ACCOUNT_ID
         });
 
         if (data.status === 'success' && data.data?.response?.response) {
             return {
                 answer: data.data.response.response,
+                citations: data.data.response.citations || [],
+                ticket: data.data.response.ticket || null,
+                traceId: data.data.traceId || null,
                 timestamp: new Date().toISOString()
             };
         }
@@ -58,8 +82,107 @@ export const generateEnhancedResponse = async (message) => {
         throw new Error(data.error || 'Failed to get response');
     } catch (error) {
         if (error.response?.data?.error) {
-            throw new Error(error.response.data.error);
+            throw new Error(describeError(error.response.data));
+        }
+        throw new Error('Failed to connect to the enhanced chat service');
+    }
+};
+
+/**
+ * Parse one Server-Sent Events block into its event name and JSON payload
+ * @param {string} block - Raw event text without the trailing blank line
+ * @returns {{event: string, data: Object}|null} The parsed event
+ */
+const parseServerSentEvent = (block) => {
+    let event = 'message';
+    const data = [];
+
+    for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            data.push(line.slice(5).trim());
+        }
+    }
+
+    return data.length ? { event, data: JSON.parse(data.join('\n')) } : null;
+};
+
+/**
+ * Stream a response for the AI-enhanced chat with Handit tracing
+ * @param {string} message - The user's message
+ * @param {string} sessionId - The conversation session id of the chat window
+ * @param {Object} handlers - Stream callbacks and options
+ * @param {Function} [handlers.onToken] - Receives each piece of generated text
+ * @param {Function} [handlers.onReset] - Called when the text received so far must be discarded
+ *   (the answer was invalid and is being repaired; the repaired answer is returned, not streamed)
+ * @param {Function} [handlers.onEvent] - Receives (event, data) for every pipeline event
+ * @param {AbortSignal} [handlers.signal] - Aborts the stream mid-flight
+ * @returns {Promise<Object>} The final response data (answer, citations, escalation ticket, trace id, timestamp)
+ */
+export const streamEnhancedResponse = async (message, sessionId, { onToken, onReset, onEvent, signal } = {}) => {
+    let response;
+    try {
+        response = await fetch(`${API_BASE_URL}/chat/stream`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ message, sessionId, accountId: DEMO_ACCOUNT_ID }),
+            signal
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw error;
         }
         throw new Error('Failed to connect to the enhanced chat service');
     }
-};
\ No newline at end of file
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error ? describeError(data) : 'Failed to get response');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) {
+            break;
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        for (const block of blocks) {
+            const parsed = parseServerSentEvent(block);
+            if (!parsed) {
+                continue;
+            }
+
+            const { event, data } = parsed;
+            onEvent?.(event, data);
+
+            if (event === 'token') {
+                onToken?.(data.text);
+            } else if (event === 'reset') {
+                onReset?.();
+            } else if (event === 'error') {
+                throw new Error(data.error ? describeError(data) : 'Failed to get response');
+            } else if (event === 'done' && data.data?.response?.response) {
+                return {
+                    answer: data.data.response.response,
+                    citations: data.data.response.citations || [],
+                    ticket: data.data.response.ticket || null,
+                    traceId: data.data.traceId || null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        }
+    }
+
+    throw new Error('The response stream ended unexpectedly');
+};
@@ -0,0 +1,80 @@
+import React from "react";
+import {
+  Chip,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+
+const TraceList = ({ traces, onSelect }) => {
+  if (!traces.length) {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ py: 4, textAlign: "center" }}>
+        No traces recorded yet. Send a message in the Handit AI chat to record one.
+      </Typography>
+    );
+  }
+
+  return (
+    <TableContainer
+      component={Paper}
+      variant="outlined"
+      sx={{ borderRadius: "12px" }}
+    >
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Started</TableCell>
+            <TableCell>Message</TableCell>
+            <TableCell>Pipeline</TableCell>
+            <TableCell>Status</TableCell>
+            <TableCell align="right">Duration</TableCell>
+            <TableCell align="right">Spans</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {traces.map((trace) => (
+            <TableRow
+              key={trace.traceId}
+              hover
+              onClick={() => onSelect(trace.traceId)}
+              sx={{ cursor: "pointer" }}
+            >
+              <TableCell sx={{ whiteSpace: "nowrap" }}>
+                {new Date(trace.startedAt).toLocaleString()}
+              </TableCell>
+              <TableCell
+                sx={{
+                  maxWidth: 360,
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                  whiteSpace: "nowrap",
+                }}
+              >
+                {trace.userMessage}
+              </TableCell>
+              <TableCell>{trace.pipeline}</TableCell>
+              <TableCell>
+                <Chip
+                  size="small"
+                  label={trace.status}
+                  color={trace.status === "ok" ? "success" : "error"}
+                  variant="outlined"
+                />
+              </TableCell>
+              <TableCell align="right">{trace.durationMs} ms</TableCell>
+              <TableCell align="right">{trace.spanCount}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+};
+
+export default TraceList;
@@ -0,0 +1,146 @@
+import React, { useState } from "react";
+import { Box, Chip, Collapse, Paper, Typography } from "@mui/material";
+
+const TYPE_COLORS = {
+  llm: "#4f46e5",
+  tool: "#0ea5e9",
+};
+
+const ERROR_COLOR = "#dc2626";
+
+// Pretty-printed JSON of a span input, output or error
+const JsonBlock = ({ label, value }) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Typography variant="caption" color="text.secondary" sx={{ fontWeight: 600 }}>
+        {label}
+      </Typography>
+      <Box
+        component="pre"
+        sx={{
+          m: 0,
+          mt: 0.5,
+          p: 1.5,
+          maxHeight: 320,
+          overflow: "auto",
+          fontSize: "0.75rem",
+          backgroundColor: "#f8fafc",
+          border: "1px solid rgba(0, 0, 0, 0.08)",
+          borderRadius: "6px",
+          whiteSpace: "pre-wrap",
+          wordBreak: "break-word",
+        }}
+      >
+        {typeof value === "string" ? value : JSON.stringify(value, null, 2)}
+      </Box>
+    </Box>
+  );
+};
+
+const TraceTimeline = ({ trace }) => {
+  const [expandedSpan, setExpandedSpan] = useState(null);
+
+  // Bars are placed relative to the request, or to the spans while it is still running
+  const start = Date.parse(trace.root?.startedAt ?? trace.spans[0]?.startedAt);
+  const end = trace.root
+    ? Date.parse(trace.root.endedAt)
+    : Math.max(...trace.spans.map((span) => Date.parse(span.endedAt)));
+  const total = Math.max(end - start, 1);
+
+  const toggle = (spanId) => {
+    setExpandedSpan((current) => (current === spanId ? null : spanId));
+  };
+
+  if (!trace.spans.length) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        This trace has no recorded nodes.
+      </Typography>
+    );
+  }
+
+  return (
+    <Paper variant="outlined" sx={{ borderRadius: "12px", overflow: "hidden" }}>
+      {trace.spans.map((span) => {
+        const offset = ((Date.parse(span.startedAt) - start) / total) * 100;
+        const width = Math.max((span.durationMs / total) * 100, 0.5);
+        const color = span.error ? ERROR_COLOR : TYPE_COLORS[span.type] || "#64748b";
+        const expanded = expandedSpan === span.spanId;
+
+        return (
+          <Box
+            key={span.spanId}
+            sx={{ borderBottom: "1px solid rgba(0, 0, 0, 0.08)", "&:last-child": { borderBottom: "none" } }}
+          >
+            <Box
+              onClick={() => toggle(span.spanId)}
+              sx={{
+                display: "grid",
+                gridTemplateColumns: { xs: "1fr 80px", md: "260px 1fr 80px" },
+                alignItems: "center",
+                gap: 2,
+                px: 2,
+                py: 1.25,
+                cursor: "pointer",
+                backgroundColor: expanded ? "#f1f4f9" : "transparent",
+                "&:hover": { backgroundColor: "#f1f4f9" },
+              }}
+            >
+              <Box sx={{ display: "flex", alignItems: "center", gap: 1, minWidth: 0 }}>
+                <Chip
+                  size="small"
+                  label={span.type}
+                  sx={{ backgroundColor: color, color: "#fff", fontSize: "0.7rem", height: 20 }}
+                />
+                <Typography
+                  variant="body2"
+                  sx={{ fontWeight: 500, overflow: "hidden", textOverflow: "ellipsis" }}
+                >
+                  {span.name}
+                </Typography>
+              </Box>
+              <Box
+                sx={{
+                  display: { xs: "none", md: "block" },
+                  position: "relative",
+                  height: 10,
+                  backgroundColor: "#f1f5f9",
+                  borderRadius: "5px",
+                }}
+              >
+                <Box
+                  sx={{
+                    position: "absolute",
+                    left: `${Math.min(offset, 99.5)}%`,
+                    width: `${width}%`,
+                    maxWidth: `${100 - Math.min(offset, 99.5)}%`,
+                    height: "100%",
+                    backgroundColor: color,
+                    borderRadius: "5px",
+                  }}
+                />
+              </Box>
+              <Typography variant="body2" color="text.secondary" sx={{ textAlign: "right" }}>
+                {span.durationMs} ms
+              </Typography>
+            </Box>
+            <Collapse in={expanded} unmountOnExit>
+              <Box sx={{ px: 2, pb: 2 }}>
+                <JsonBlock label="Error" value={span.error} />
+                <JsonBlock label="Input" value={span.input} />
+                <JsonBlock label="Output" value={span.output} />
+                <JsonBlock label="Usage" value={span.usage} />
+              </Box>
+            </Collapse>
+          </Box>
+        );
+      })}
+    </Paper>
+  );
+};
+
+export default TraceTimeline;
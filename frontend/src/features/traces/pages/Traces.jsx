@@ -0,0 +1,189 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Link as RouterLink, useNavigate, useParams } from "react-router-dom";
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Container,
+  Link,
+  TextField,
+  Typography,
+} from "@mui/material";
+import TraceList from "../components/TraceList";
+import TraceTimeline from "../components/TraceTimeline";
+import {
+  fetchTrace,
+  fetchTraces,
+  getAdminKey,
+  setAdminKey,
+} from "../services/traceService";
+
+// Label and value pairs shown above the timeline
+const describeTrace = (trace) => [
+  ["Message", trace.userMessage],
+  ["Pipeline", trace.pipeline],
+  ["Session", trace.sessionId],
+  ["Started", trace.startedAt && new Date(trace.startedAt).toLocaleString()],
+  ["Duration", trace.durationMs !== undefined && `${trace.durationMs} ms`],
+  ["Tokens", trace.totalTokens !== null && trace.totalTokens !== undefined && String(trace.totalTokens)],
+  ["Cost", trace.cost !== null && trace.cost !== undefined && `${trace.cost.toFixed(6)} ${trace.currency}`],
+  ["Status", trace.status],
+];
+
+const Traces = () => {
+  const { traceId } = useParams();
+  const navigate = useNavigate();
+
+  const [traces, setTraces] = useState([]);
+  const [trace, setTrace] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Traces are served with the backend's admin API key, asked once per browser session
+  const [needsAdminKey, setNeedsAdminKey] = useState(!getAdminKey());
+  const [adminKeyInput, setAdminKeyInput] = useState("");
+
+  // Loads the list, or the selected trace when the URL names one
+  const load = useCallback(async () => {
+    if (!getAdminKey()) {
+      setIsLoading(false);
+      return;
+    }
+    setIsLoading(true);
+    setError(null);
+    try {
+      if (traceId) {
+        setTrace(await fetchTrace(traceId));
+      } else {
+        setTraces(await fetchTraces());
+      }
+    } catch (loadError) {
+      setNeedsAdminKey(Boolean(loadError.unauthorized));
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [traceId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const submitAdminKey = (event) => {
+    event.preventDefault();
+    setAdminKey(adminKeyInput.trim());
+    setAdminKeyInput("");
+    setNeedsAdminKey(false);
+    load();
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: "100vh",
+        background: "linear-gradient(to bottom, #ffffff, #f8f9fa)",
+        py: 6,
+      }}
+    >
+      <Container maxWidth="lg">
+        <Box
+          sx={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            mb: 4,
+          }}
+        >
+          <Box>
+            <Typography
+              variant="h4"
+              sx={{ fontWeight: 600, color: "#1e293b", letterSpacing: "-0.5px" }}
+            >
+              {traceId ? "Trace" : "Recent traces"}
+            </Typography>
+            <Link component={RouterLink} to={traceId ? "/traces" : "/"} underline="hover">
+              {traceId ? "← All traces" : "← Back to chat"}
+            </Link>
+          </Box>
+          <Button variant="outlined" onClick={load} disabled={isLoading || needsAdminKey}>
+            Refresh
+          </Button>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 3 }}>
+            {error}
+          </Alert>
+        )}
+
+        {needsAdminKey && (
+          <Box
+            component="form"
+            onSubmit={submitAdminKey}
+            sx={{ display: "flex", gap: 2, alignItems: "center", mb: 3 }}
+          >
+            <TextField
+              type="password"
+              size="small"
+              label="Admin API key"
+              value={adminKeyInput}
+              onChange={(event) => setAdminKeyInput(event.target.value)}
+              sx={{ minWidth: 320 }}
+            />
+            <Button type="submit" variant="contained" disabled={!adminKeyInput.trim()}>
+              Show traces
+            </Button>
+          </Box>
+        )}
+
+        {isLoading ? (
+          <Box sx={{ display: "flex", justifyContent: "center", py: 6 }}>
+            <CircularProgress />
+          </Box>
+        ) : traceId ? (
+          trace && (
+            <>
+              <Box
+                sx={{
+                  display: "grid",
+                  gridTemplateColumns: "max-content 1fr",
+                  columnGap: 2,
+                  rowGap: 0.5,
+                  mb: 3,
+                }}
+              >
+                {describeTrace(trace)
+                  .filter(([, value]) => value)
+                  .map(([label, value]) => (
+                    <React.Fragment key={label}>
+                      <Typography variant="body2" color="text.secondary">
+                        {label}
+                      </Typography>
+                      <Typography variant="body2" sx={{ wordBreak: "break-word" }}>
+                        {value}
+                      </Typography>
+                    </React.Fragment>
+                  ))}
+              </Box>
+              {trace.error && (
+                <Alert severity="error" sx={{ mb: 3 }}>
+                  {trace.error.name}: {trace.error.message}
+                </Alert>
+              )}
+              <TraceTimeline trace={trace} />
+            </>
+          )
+        ) : (
+          !error && !needsAdminKey && (
+            <TraceList
+              traces={traces}
+              onSelect={(id) => navigate(`/traces/${id}`)}
+            />
+          )
+        )}
+      </Container>
+    </Box>
+  );
+};
+
+export default Traces;
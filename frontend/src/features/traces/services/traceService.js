@@ -0,0 +1,72 @@
+import axios from 'axios';
+
+const API_BASE_URL = 'http://localhost:4000/api';
+
+// Traces hold customer conversations: the backend serves them with its admin API key
+const ADMIN_KEY_STORAGE_KEY = 'adminApiKey';
+
+const traceApi = axios.create({
+    baseURL: API_BASE_URL
+});
+
+traceApi.interceptors.request.use((config) => {
+    const adminKey = getAdminKey();
+    if (adminKey) {
+        config.headers['X-Admin-Key'] = adminKey;
+    }
+    return config;
+});
+
+/**
+ * The admin API key entered in this browser tab
+ * @returns {string|null} The key, null until one is entered
+ */
+export const getAdminKey = () => sessionStorage.getItem(ADMIN_KEY_STORAGE_KEY);
+
+/**
+ * Remember the admin API key for the rest of the browser session
+ * @param {string} adminKey - The backend's KB_ADMIN_API_KEY
+ * @returns {void}
+ */
+export const setAdminKey = (adminKey) => {
+    sessionStorage.setItem(ADMIN_KEY_STORAGE_KEY, adminKey);
+};
+
+/**
+ * Error of a failed trace request, with `unauthorized` set when the admin key is missing or wrong
+ * @param {Object} error - The axios error
+ * @returns {Error} The error to show
+ */
+const describeError = (error) => {
+    const failure = new Error(error.response?.data?.error || 'Failed to connect to the trace service');
+    failure.unauthorized = error.response?.status === 401;
+    return failure;
+};
+
+/**
+ * Fetch the most recent traces recorded by the backend, newest first
+ * @param {number} [limit=20] - Maximum number of traces
+ * @returns {Promise<Array<Object>>} Trace summaries (message, pipeline, status, duration, span count)
+ */
+export const fetchTraces = async (limit = 20) => {
+    try {
+        const { data } = await traceApi.get('/traces', { params: { limit } });
+        return data.data;
+    } catch (error) {
+        throw describeError(error);
+    }
+};
+
+/**
+ * Fetch a trace with its node and tool spans
+ * @param {string} traceId - The trace id returned with a chat response
+ * @returns {Promise<Object>} The trace with its root span and spans in start order
+ */
+export const fetchTrace = async (traceId) => {
+    try {
+        const { data } = await traceApi.get(`/traces/${encodeURIComponent(traceId)}`);
+        return data.data;
+    } catch (error) {
+        throw describeError(error);
+    }
+};